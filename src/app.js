@@ -45,6 +45,17 @@ try {
     path.join(__dirname, "./middlewares/errorHandler")
   );
 
+  // Without the practice timezone every "today" would be the server's
+  const { checkPracticeTimezone } = require(
+    path.join(__dirname, "./utils/facilityTime")
+  );
+  const timezoneCheck = checkPracticeTimezone();
+  if (timezoneCheck.error) {
+    logger.error(timezoneCheck.error);
+    process.exit(1);
+  }
+  if (timezoneCheck.warning) logger.warn(timezoneCheck.warning);
+
   console.log("Connecting to database...");
   // Connect to MongoDB
   connectDB().catch((err) => {
@@ -52,7 +63,23 @@ try {
     // Continue even if DB connection fails - app will still start
   });
 
+  // Start the background job worker (resumes jobs interrupted by a restart)
+  require(path.join(__dirname, "./jobs"))();
+
   console.log("Setting up middlewares...");
+  // Behind a reverse proxy, use the client address it forwards (needed for
+  // per-IP rate limits and OTP lockouts); TRUST_PROXY is a hop count,
+  // "true" or a list of proxy addresses
+  if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set(
+      "trust proxy",
+      /^\d+$/.test(trustProxy)
+        ? parseInt(trustProxy)
+        : trustProxy === "true" || trustProxy
+    );
+  }
+
   // Security middlewares
   app.use(helmet());
 
@@ -76,12 +103,61 @@ try {
     require(path.join(__dirname, "./routes/appointmentRoutes"))
   );
   app.use("/api/kiosk", require(path.join(__dirname, "./routes/kioskRoutes")));
-  app.use("/api/auth", require(path.join(__dirname, "./routes/authRoutes")));
+  app.use(
+    "/api/auth",
+    require(path.join(__dirname, "./middlewares/rateLimiter")),
+    require(path.join(__dirname, "./routes/authRoutes"))
+  );
+  app.use("/api/staff", require(path.join(__dirname, "./routes/staffRoutes")));
+  app.use("/api/jobs", require(path.join(__dirname, "./routes/jobRoutes")));
+  app.use(
+    "/api/import-profiles",
+    require(path.join(__dirname, "./routes/importProfileRoutes"))
+  );
+  app.use(
+    "/api/consents",
+    require(path.join(__dirname, "./routes/consentRoutes"))
+  );
+  app.use(
+    "/api/facilities",
+    require(path.join(__dirname, "./routes/facilityRoutes"))
+  );
+  app.use(
+    "/api/workflows",
+    require(path.join(__dirname, "./routes/workflowRoutes"))
+  );
+  app.use(
+    "/api/flow-board",
+    require(path.join(__dirname, "./routes/flowBoardRoutes"))
+  );
+  app.use(
+    "/api/analytics",
+    require(path.join(__dirname, "./routes/analyticsRoutes"))
+  );
+  app.use(
+    "/api/reports",
+    require(path.join(__dirname, "./routes/reportRoutes"))
+  );
+  app.use(
+    "/api/notifications",
+    require(path.join(__dirname, "./routes/notificationRoutes"))
+  );
+  app.use(
+    "/api/reminders",
+    require(path.join(__dirname, "./routes/reminderRoutes"))
+  );
+  app.use(
+    "/api/pre-check-in",
+    require(path.join(__dirname, "./routes/preCheckInRoutes"))
+  );
   app.use(
     "/api/patients",
     require(path.join(__dirname, "./routes/patientRoutes"))
   );
 
+  // FHIR R4 read API
+  app.use("/fhir/r4", require(path.join(__dirname, "./routes/fhirRoutes")));
+
   // API health check
   app.get("/api/health", (req, res) => {
     res.status(200).json({
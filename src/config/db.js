@@ -13,9 +13,8 @@ const connectDB = async () => {
 
     logger.info(`MongoDB Connected: ${conn.connection.host}`);
 
-    // Setup for future FHIR integration
-    // When migrating to FHIR, create adapters here that translate between
-    // our MongoDB models and FHIR resources
+    // FHIR resources are mapped from these models in utils/fhirMapper.js
+    // and served read-only under /fhir/r4
 
     return conn;
   } catch (error) {
@@ -0,0 +1,91 @@
+const asyncHandler = require("express-async-handler");
+const moment = require("moment");
+const Appointment = require("../models/appointmentModel");
+const {
+  GROUP_BY_FIELDS,
+  METRICS,
+  buildAnalyticsPipeline,
+  toMetrics,
+} = require("../utils/analytics");
+const { getLocalToday, getDateFilter } = require("../utils/facilityTime");
+const { successResponse } = require("../utils/apiResponse");
+const { ApiError } = require("../middlewares/errorHandler");
+
+/**
+ * @desc    Clinic throughput and wait-time metrics (summary, visits, wait-time,
+ *          door-to-door, face-time or no-shows), in seconds.
+ *          ?from=&to=YYYY-MM-DD (defaults to the last 30 days),
+ *          ?groupBy=day|week|month|provider|facility|visitType|televisit
+ *          (comma-separated to combine), ?provider=, ?facility=,
+ *          ?visitType=, ?televisit=true|false
+ * @route   GET /api/analytics/:metric
+ * @access  Private (practice_admin)
+ */
+const getAnalytics = asyncHandler(async (req, res) => {
+  const { metric } = req.params;
+  const { provider, facility, visitType, televisit } = req.query;
+
+  if (!METRICS[metric]) {
+    throw new ApiError(
+      `Unknown metric: ${metric}. Expected one of: ${Object.keys(METRICS).join(", ")}`,
+      404
+    );
+  }
+
+  const groupBy = req.query.groupBy
+    ? String(req.query.groupBy)
+        .split(",")
+        .map((key) => key.trim())
+    : [];
+  const unknownGroups = groupBy.filter((key) => !GROUP_BY_FIELDS[key]);
+
+  if (unknownGroups.length > 0) {
+    throw new ApiError(
+      `Invalid groupBy: ${unknownGroups.join(", ")}. Expected: ${Object.keys(GROUP_BY_FIELDS).join(", ")}`,
+      400
+    );
+  }
+
+  // Default to the last 30 days
+  const to = req.query.to || getLocalToday();
+  const from =
+    req.query.from ||
+    moment.utc(to, "YYYY-MM-DD").subtract(29, "days").format("YYYY-MM-DD");
+
+  if (
+    !moment(from, "YYYY-MM-DD", true).isValid() ||
+    !moment(to, "YYYY-MM-DD", true).isValid()
+  ) {
+    throw new ApiError("from and to must be dates (YYYY-MM-DD)", 400);
+  }
+
+  const filter = { appointmentDate: getDateFilter(from, to) };
+  if (provider) {
+    filter.appointmentProviderName = { $regex: provider, $options: "i" };
+  }
+  if (facility) {
+    filter.appointmentFacilityName = { $regex: facility, $options: "i" };
+  }
+  if (visitType) {
+    filter.visitType = { $regex: visitType, $options: "i" };
+  }
+  if (televisit !== undefined) {
+    filter.isTelevisit = televisit === "true" ? true : { $ne: true };
+  }
+
+  const groups = await Appointment.aggregate(
+    buildAnalyticsPipeline(filter, groupBy)
+  );
+
+  return successResponse(
+    res,
+    200,
+    "Analytics retrieved successfully",
+    groups.map((group) => toMetrics(group, METRICS[metric])),
+    { metric, from, to, groupBy, unit: "seconds" }
+  );
+});
+
+module.exports = {
+  getAnalytics,
+};
@@ -1,13 +1,50 @@
 const asyncHandler = require("express-async-handler");
-const fs = require("fs").promises;
 const path = require("path");
+const fs = require("fs");
+const mongoose = require("mongoose");
+const moment = require("moment-timezone");
+const { v4: uuidv4 } = require("uuid");
 const Appointment = require("../models/appointmentModel");
 const Patient = require("../models/patientModel");
-const { parseExcelFile } = require("../utils/excelParser");
+const UploadPreview = require("../models/uploadPreviewModel");
+const UploadBatch = require("../models/uploadBatchModel");
+const ImportProfile = require("../models/importProfileModel");
+const Staff = require("../models/staffModel");
 const {
-  calculateDurations,
-  validateTimeEvents,
-} = require("../utils/timeCalculator");
+  parseExcelFile,
+  validateAppointmentRow,
+} = require("../utils/excelParser");
+const { EVENT_TYPES, validateTimeEvents } = require("../utils/timeCalculator");
+const { toCsv } = require("../utils/csvWriter");
+const {
+  IMPORT_MODES,
+  getImportableFields,
+  getSchemaErrors,
+  removeUploadedFile,
+} = require("../utils/appointmentImporter");
+const { publishAppointmentEvent } = require("../utils/flowBoard");
+const { ATTENDANCE_STATUSES } = require("../utils/attendance");
+const {
+  APPOINTMENT_STATUSES,
+  STATUS_TRANSITIONS,
+  applyStatusChange,
+  advanceStatus,
+  getStatusForEvents,
+  reconcileEventStatus,
+} = require("../utils/appointmentStatus");
+const {
+  DEFAULT_TIMEZONE,
+  getFacilityTimezone,
+  getAppointmentTimezone,
+  getLocalToday,
+  isAppointmentToday,
+  getDateFilter,
+  getLocalDayRange,
+} = require("../utils/facilityTime");
+const { enqueueJob } = require("../jobs/jobQueue");
+const { APPOINTMENT_IMPORT_JOB } = require("../jobs/appointmentImportJob");
+const { PREVIEW_TTL_MINUTES } = require("../jobs/previewSweeper");
+const { importDir, previewDir } = require("../middlewares/upload");
 const {
   successResponse,
   errorResponse,
@@ -16,10 +53,103 @@ const {
 const { ApiError } = require("../middlewares/errorHandler");
 const logger = require("../config/logger");
 
+// Fields a PATCH cannot set: the scheduled start is worked out from the date
+// and start time, status changes go through the status endpoint, reminders
+// are written by the reminder scheduler and pre-check-in by the patient
+const SERVER_OWNED_FIELDS = [
+  "scheduledStart",
+  "timezone",
+  "status",
+  "statusHistory",
+  "reminders",
+  "reminderResponse",
+  "preCheckIn",
+];
+
 /**
- * @desc    Upload Excel file with appointments
+ * Validate the import mode requested for an upload
+ * @param {string} mode - Mode from the query string
+ * @returns {string} - Import mode (defaults to insert)
+ */
+const getImportMode = (mode = "insert") => {
+  if (!IMPORT_MODES.includes(mode)) {
+    throw new ApiError(
+      `Invalid import mode: ${mode}. Expected one of: ${IMPORT_MODES.join(", ")}`,
+      400
+    );
+  }
+  return mode;
+};
+
+/**
+ * Look up the import profile requested for an upload
+ * @param {string} value - Profile name or id from the query string
+ * @returns {Object|undefined} - Active import profile, or undefined if none was requested
+ */
+const resolveImportProfile = async (value) => {
+  if (!value) return undefined;
+
+  const query = mongoose.Types.ObjectId.isValid(value)
+    ? { $or: [{ _id: value }, { name: String(value).toLowerCase() }] }
+    : { name: String(value).toLowerCase() };
+
+  const profile = await ImportProfile.findOne({ ...query, isActive: true });
+
+  if (!profile) {
+    throw new ApiError(`Import profile not found: ${value}`, 404);
+  }
+  return profile;
+};
+
+/**
+ * Register an upload batch and queue it for background import
+ * @param {Object} file - {fileId, fileName, filePath, headerMapping}
+ * @param {string} mode - One of IMPORT_MODES
+ * @param {Object} staff - Staff member who uploaded the file
+ * @param {Object} profile - Import profile used to parse the file (optional)
+ * @returns {Object} - Response data with the job id
+ */
+const queueUpload = async (
+  { fileId, fileName, filePath, headerMapping },
+  mode,
+  staff,
+  profile
+) => {
+  const profileId = profile ? profile._id : undefined;
+
+  await UploadBatch.create({
+    fileId,
+    fileName,
+    mode,
+    profile: profileId,
+    status: "queued",
+    uploadedBy: staff && staff._id,
+    startedAt: new Date(),
+  });
+
+  const job = await enqueueJob(
+    APPOINTMENT_IMPORT_JOB,
+    { fileId, fileName, filePath, headerMapping, mode, profileId },
+    { createdBy: staff && staff._id }
+  );
+
+  return {
+    jobId: job._id,
+    fileId,
+    fileName,
+    mode,
+    profile: profile ? profile.name : undefined,
+    status: job.status,
+    statusUrl: `/api/jobs/${job._id}`,
+  };
+};
+
+/**
+ * @desc    Upload Excel file with appointments (?mode=insert|upsert|replace-day,
+ *          ?profile=<import profile name>). The import runs in the background,
+ *          poll the returned job for progress.
  * @route   POST /api/appointments/upload
- * @access  Private
+ * @access  Private (front_desk, practice_admin)
  */
 const uploadAppointments = asyncHandler(async (req, res) => {
   // Check if file exists in the request
@@ -27,80 +157,226 @@ const uploadAppointments = asyncHandler(async (req, res) => {
     throw new ApiError("No file uploaded", 400);
   }
 
+  let mode;
+  let profile;
   try {
-    // Parse Excel file
-    const { fileId, fileName, appointments } = await parseExcelFile(
-      req.fileInfo.path,
-      req.fileInfo.originalName
-    );
+    mode = getImportMode(req.query.mode);
+    profile = await resolveImportProfile(req.query.profile);
+  } catch (error) {
+    await removeUploadedFile(req.fileInfo.path);
+    throw error;
+  }
 
-    // Insert appointments into database
-    const insertedAppointments = [];
-    const errors = [];
-
-    for (const appointmentData of appointments) {
-      try {
-        // Check for required fields
-        if (!appointmentData.encounterId || !appointmentData.patientAcctNo) {
-          errors.push({
-            message: "Missing required fields",
-            data: appointmentData,
-          });
-          continue;
-        }
-
-        // Check if appointment already exists
-        const existingAppointment = await Appointment.findOne({
-          encounterId: appointmentData.encounterId,
-        });
-
-        if (existingAppointment) {
-          errors.push({
-            message: "Appointment with this Encounter ID already exists",
-            encounterId: appointmentData.encounterId,
-          });
-          continue;
-        }
-
-        // Insert appointment
-        const appointment = await Appointment.create(appointmentData);
-        insertedAppointments.push(appointment);
-
-        // Update or create patient record
-        await Patient.createOrUpdateFromAppointment(appointment);
-      } catch (error) {
-        errors.push({
-          message: `Error inserting appointment: ${error.message}`,
-          data: appointmentData,
-        });
-      }
-    }
+  try {
+    // Queue the file to be parsed and imported by the job worker
+    const data = await queueUpload(
+      {
+        fileId: uuidv4(),
+        fileName: req.fileInfo.originalName,
+        filePath: req.fileInfo.path,
+      },
+      mode,
+      req.staff,
+      profile
+    );
 
-    return successResponse(res, 201, "Appointments uploaded successfully", {
-      fileId,
-      fileName,
-      total: appointments.length,
-      inserted: insertedAppointments.length,
-      errors: errors.length > 0 ? errors : undefined,
-    });
+    return successResponse(res, 202, "Appointment import queued", data);
   } catch (error) {
     logger.error(`Error in uploadAppointments: ${error.message}`);
+    await removeUploadedFile(req.fileInfo.path);
+    throw new ApiError(`Failed to queue Excel file: ${error.message}`, 500);
+  }
+});
+
+/**
+ * @desc    Dry-run an Excel upload and report how it would be imported
+ *          (?profile=<import profile name>)
+ * @route   POST /api/appointments/upload/preview
+ * @access  Private (front_desk, practice_admin)
+ */
+const previewUpload = asyncHandler(async (req, res) => {
+  // Check if file exists in the request
+  if (!req.file || !req.fileInfo) {
+    throw new ApiError("No file uploaded", 400);
+  }
+
+  const sampleSize = Math.min(parseInt(req.query.sampleSize) || 10, 100);
+
+  let profile;
+  try {
+    profile = await resolveImportProfile(req.query.profile);
+  } catch (error) {
+    await removeUploadedFile(req.fileInfo.path);
+    throw error;
+  }
+
+  let parsed;
+  try {
+    parsed = await parseExcelFile(
+      req.fileInfo.path,
+      req.fileInfo.originalName,
+      { profile }
+    );
+  } catch (error) {
+    logger.error(`Error in previewUpload: ${error.message}`);
 
     // Clean up uploaded file on error
-    try {
-      await fs.unlink(req.fileInfo.path);
-    } catch (unlinkError) {
-      logger.warn(`Failed to delete file: ${unlinkError.message}`);
+    await removeUploadedFile(req.fileInfo.path);
+
+    throw new ApiError(`Failed to process Excel file: ${error.message}`, 400);
+  }
+
+  const { fileId, fileName, headers, columnMapping, appointments, cellErrors } =
+    parsed;
+  const importableFields = getImportableFields();
+
+  // Columns that don't land on an appointment field are dropped on import
+  const unmappedColumns = columnMapping
+    .filter(({ header, field }) => header && !importableFields.includes(field))
+    .map(({ header, field }) => ({ header, suggestedField: field }));
+
+  // Validate every row without touching the database
+  const rowErrors = [];
+  const seenEncounterIds = new Set();
+  const cellErrorsByRow = cellErrors.reduce((acc, cell) => {
+    if (!acc.has(cell.row)) acc.set(cell.row, []);
+    acc.get(cell.row).push(cell);
+    return acc;
+  }, new Map());
+
+  appointments.forEach((appointment, index) => {
+    const row = index + 2; // Excel row number (header is row 1)
+    const messages = validateAppointmentRow(
+      appointment,
+      profile && profile.requiredFields
+    );
+
+    // Cells the parser couldn't convert, then anything the schema rejects
+    const cells = [
+      ...(cellErrorsByRow.get(row) || []),
+      ...getSchemaErrors(appointment, columnMapping),
+    ];
+    cells.forEach((cell) => messages.push(cell.message));
+
+    if (appointment.encounterId) {
+      const encounterId = String(appointment.encounterId);
+      if (seenEncounterIds.has(encounterId)) {
+        messages.push(`Duplicate encounterId in file: ${encounterId}`);
+      }
+      seenEncounterIds.add(encounterId);
     }
 
-    throw new ApiError(`Failed to process Excel file: ${error.message}`, 500);
+    if (messages.length > 0) {
+      rowErrors.push({
+        row,
+        encounterId: appointment.encounterId,
+        messages,
+        cells,
+      });
+    }
+  });
+
+  // Remember the file so the same batch can be committed later; until then
+  // it waits in the preview directory, which the preview sweeper cleans up
+  const previewPath = path.join(previewDir, path.basename(req.fileInfo.path));
+  await fs.promises.rename(req.fileInfo.path, previewPath);
+
+  await UploadPreview.create({
+    previewId: fileId,
+    fileName,
+    filePath: previewPath,
+    profileId: profile && profile._id,
+    createdBy: req.staff && req.staff._id,
+    expiresAt: new Date(Date.now() + PREVIEW_TTL_MINUTES * 60000),
+  });
+
+  return successResponse(res, 200, "Upload preview generated successfully", {
+    previewId: fileId,
+    fileName,
+    profile: profile ? profile.name : undefined,
+    total: appointments.length,
+    valid: appointments.length - rowErrors.length,
+    invalid: rowErrors.length,
+    headers,
+    columnMapping,
+    unmappedColumns,
+    errors: rowErrors,
+    sample: appointments.slice(0, sampleSize),
+  });
+});
+
+/**
+ * @desc    Commit a previewed upload, optionally with a header mapping override
+ *          (?mode=insert|upsert|replace-day, ?profile=<import profile name>)
+ * @route   POST /api/appointments/upload/:previewId/commit
+ * @access  Private (front_desk, practice_admin)
+ */
+const commitUpload = asyncHandler(async (req, res) => {
+  const { previewId } = req.params;
+  const { mapping = {} } = req.body || {};
+  const mode = getImportMode(req.query.mode);
+
+  if (typeof mapping !== "object" || Array.isArray(mapping)) {
+    throw new ApiError("Mapping must be an object of header → field", 400);
+  }
+
+  // Only allow mapping onto fields the import can actually write
+  const importableFields = getImportableFields();
+  const invalidTargets = Object.entries(mapping)
+    .filter(([, field]) => field && !importableFields.includes(field))
+    .map(([header, field]) => ({
+      field: header,
+      message: `Unknown appointment field: ${field}`,
+    }));
+
+  if (invalidTargets.length > 0) {
+    throw new ApiError("Invalid header mapping", 400, invalidTargets);
+  }
+
+  const preview = await UploadPreview.findOne({ previewId });
+
+  if (!preview || preview.expiresAt < new Date()) {
+    throw new ApiError("Upload preview not found or expired", 404);
+  }
+
+  // Use the profile the file was previewed with unless another one is given
+  const profile = req.query.profile
+    ? await resolveImportProfile(req.query.profile)
+    : preview.profileId
+      ? await ImportProfile.findById(preview.profileId)
+      : undefined;
+
+  // A preview can only be committed once
+  const committed = await UploadPreview.findOneAndDelete({ _id: preview._id });
+
+  if (!committed) {
+    throw new ApiError("Upload preview not found or expired", 404);
   }
+
+  // Move the file out of the preview directory before the import job gets it
+  const filePath = path.join(importDir, path.basename(preview.filePath));
+  await fs.promises.rename(preview.filePath, filePath);
+
+  // Queue the same file again, keeping the previewed fileId
+  const data = await queueUpload(
+    {
+      fileId: preview.previewId,
+      fileName: preview.fileName,
+      filePath,
+      headerMapping: { ...preview.headerMapping, ...mapping },
+    },
+    mode,
+    req.staff,
+    profile
+  );
+
+  return successResponse(res, 202, "Appointment import queued", data);
 });
 
 /**
  * @desc    Get all appointments by date
  * @route   GET /api/appointments
- * @access  Private
+ * @access  Private (staff)
  */
 const getAppointments = asyncHandler(async (req, res) => {
   const {
@@ -110,6 +386,8 @@ const getAppointments = asyncHandler(async (req, res) => {
     provider,
     facility,
     status,
+    appointmentStatus,
+    attendance,
     search,
   } = req.query;
 
@@ -118,16 +396,7 @@ const getAppointments = asyncHandler(async (req, res) => {
 
   // Filter by date if provided
   if (date) {
-    const startDate = new Date(date);
-    startDate.setHours(0, 0, 0, 0);
-
-    const endDate = new Date(date);
-    endDate.setHours(23, 59, 59, 999);
-
-    filter.appointmentDate = {
-      $gte: startDate,
-      $lte: endDate,
-    };
+    filter.appointmentDate = getDateFilter(date);
   }
 
   // Filter by provider if provided
@@ -145,6 +414,30 @@ const getAppointments = asyncHandler(async (req, res) => {
     filter.visitStatus = { $regex: status, $options: "i" };
   }
 
+  // Filter by lifecycle status (comma-separated) if provided
+  if (appointmentStatus) {
+    const statuses = String(appointmentStatus).split(",");
+    const unknown = statuses.filter((s) => !APPOINTMENT_STATUSES.includes(s));
+    if (unknown.length > 0) {
+      throw new ApiError(
+        `Invalid appointmentStatus: ${unknown.join(", ")}. Expected one of: ${APPOINTMENT_STATUSES.join(", ")}`,
+        400
+      );
+    }
+    filter.status = { $in: statuses };
+  }
+
+  // Filter by attendance (late or no_show) if provided
+  if (attendance) {
+    if (!ATTENDANCE_STATUSES.includes(attendance)) {
+      throw new ApiError(
+        `Invalid attendance: ${attendance}. Expected one of: ${ATTENDANCE_STATUSES.join(", ")}`,
+        400
+      );
+    }
+    filter["attendance.status"] = attendance;
+  }
+
   // Search by patient name or account number
   if (search) {
     filter.$or = [
@@ -166,7 +459,7 @@ const getAppointments = asyncHandler(async (req, res) => {
 
   // Get appointments
   const appointments = await Appointment.find(filter)
-    .sort({ appointmentDate: 1, appointmentStartTime: 1 })
+    .sort({ appointmentDate: 1, scheduledStart: 1, appointmentStartTime: 1 })
     .skip(skip)
     .limit(limitNum);
 
@@ -192,7 +485,7 @@ const getAppointments = asyncHandler(async (req, res) => {
 /**
  * @desc    Get one appointment by Encounter ID
  * @route   GET /api/appointments/:encounterId
- * @access  Private
+ * @access  Private (staff)
  */
 const getAppointment = asyncHandler(async (req, res) => {
   const appointment = await Appointment.findOne({
@@ -214,7 +507,7 @@ const getAppointment = asyncHandler(async (req, res) => {
 /**
  * @desc    Update appointment with KIOSK data
  * @route   PATCH /api/appointments/:encounterId
- * @access  Private
+ * @access  Private (front_desk, medical_assistant, practice_admin)
  */
 const updateAppointment = asyncHandler(async (req, res) => {
   // Find appointment
@@ -226,20 +519,26 @@ const updateAppointment = asyncHandler(async (req, res) => {
     throw new ApiError("Appointment not found", 404);
   }
 
-  // Check if appointment is for today
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-
-  const appointmentDate = new Date(appointment.appointmentDate);
-  appointmentDate.setHours(0, 0, 0, 0);
-
-  const isToday = appointmentDate.getTime() === today.getTime();
+  // Check if appointment is for today in the facility's timezone
+  const isToday = isAppointmentToday(
+    appointment,
+    await getAppointmentTimezone(appointment)
+  );
 
   // Only allow updates for current-day appointments or in development
   if (!isToday && process.env.NODE_ENV === "production") {
     throw new ApiError("Can only update appointments for current day", 400);
   }
 
+  // The status only changes through the status endpoint, which checks the
+  // transition and records it in the history
+  if (req.body.status !== undefined || req.body.statusHistory !== undefined) {
+    throw new ApiError(
+      "status cannot be updated here, use POST /api/appointments/:encounterId/status",
+      400
+    );
+  }
+
   // Update only empty fields (don't overwrite existing data)
   const updates = {};
   const kioskData = req.body;
@@ -273,6 +572,9 @@ const updateAppointment = asyncHandler(async (req, res) => {
     // Skip if value is undefined or null
     if (value === undefined || value === null) return;
 
+    // Skip fields a PATCH cannot set
+    if (SERVER_OWNED_FIELDS.includes(key.split(".")[0])) return;
+
     // Get the value at the nested path in the appointment
     const parts = key.split(".");
     let currentObj = appointmentObj;
@@ -324,6 +626,46 @@ const updateAppointment = asyncHandler(async (req, res) => {
     { new: true, runValidators: true }
   );
 
+  // Keep the scheduled start in step with the fields it comes from
+  if (
+    updates.appointmentStartTime !== undefined ||
+    updates.appointmentFacilityName !== undefined
+  ) {
+    updatedAppointment.setSchedule(
+      await getFacilityTimezone(updatedAppointment.appointmentFacilityName)
+    );
+    await updatedAppointment.save();
+  }
+
+  if (updates.kioskCheckIn) {
+    publishAppointmentEvent("checked_in", updatedAppointment, {
+      checkedInAt: updatedAppointment.kioskCheckIn.checkedInAt,
+    });
+
+    const statusChange = advanceStatus(updatedAppointment, "checked_in", {
+      by: req.staff._id,
+      source: "kiosk",
+    });
+    if (statusChange) {
+      await updatedAppointment.save();
+      publishAppointmentEvent("status_changed", updatedAppointment, {
+        field: "status",
+        ...statusChange,
+      });
+    }
+  }
+
+  if (
+    updates.visitStatus !== undefined &&
+    updates.visitStatus !== appointment.visitStatus
+  ) {
+    publishAppointmentEvent("status_changed", updatedAppointment, {
+      field: "visitStatus",
+      from: appointment.visitStatus,
+      to: updatedAppointment.visitStatus,
+    });
+  }
+
   return successResponse(
     res,
     200,
@@ -333,54 +675,207 @@ const updateAppointment = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Delete appointments by file ID
+ * @desc    Get upload history
+ * @route   GET /api/appointments/uploads
+ * @access  Private (front_desk, practice_admin)
+ */
+const getUploadBatches = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status } = req.query;
+
+  const filter = {};
+  if (status) filter.status = status;
+
+  // Pagination
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const total = await UploadBatch.countDocuments(filter);
+
+  // Row errors can be large, they're only returned by the detail endpoint
+  const batches = await UploadBatch.find(filter)
+    .select("-rowErrors")
+    .populate("uploadedBy", "firstName lastName email role")
+    .sort({ startedAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const paginationInfo = getPaginationInfo(
+    pageNum,
+    limitNum,
+    total,
+    `${req.protocol}://${req.get("host")}/api/appointments/uploads`
+  );
+
+  return successResponse(res, 200, "Uploads retrieved successfully", batches, {
+    pagination: paginationInfo,
+  });
+});
+
+/**
+ * @desc    Get one upload with its row errors (?format=csv downloads failed rows)
+ * @route   GET /api/appointments/uploads/:fileId
+ * @access  Private (front_desk, practice_admin)
+ */
+const getUploadBatch = asyncHandler(async (req, res) => {
+  const batch = await UploadBatch.findOne({
+    fileId: req.params.fileId,
+  }).populate("uploadedBy rolledBackBy", "firstName lastName email role");
+
+  if (!batch) {
+    throw new ApiError("Upload not found", 404);
+  }
+
+  if (req.query.format === "csv") {
+    // One line per failed row: the error followed by the parsed row data
+    const dataKeys = [
+      ...new Set(batch.rowErrors.flatMap((e) => Object.keys(e.data || {}))),
+    ];
+    const columns = [
+      { key: "row", label: "Row" },
+      { key: "encounterId", label: "Encounter ID" },
+      { key: "message", label: "Error" },
+      ...dataKeys.map((key) => ({ key: `data.${key}`, label: key })),
+    ];
+    const rows = batch.rowErrors.map((e) => {
+      const row = {
+        row: e.row,
+        encounterId: e.encounterId,
+        message: e.message,
+      };
+      dataKeys.forEach((key) => {
+        row[`data.${key}`] = e.data ? e.data[key] : undefined;
+      });
+      return row;
+    });
+
+    const baseName = path.parse(batch.fileName || batch.fileId).name;
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${baseName}-failed-rows.csv"`
+    );
+    return res.status(200).send(toCsv(columns, rows));
+  }
+
+  return successResponse(res, 200, "Upload retrieved successfully", batch);
+});
+
+/**
+ * @desc    Delete appointments by file ID and mark the upload as rolled back
  * @route   DELETE /api/appointments/file/:fileId
- * @access  Private
+ * @access  Private (practice_admin)
  */
 const deleteAppointmentsByFile = asyncHandler(async (req, res) => {
   const { fileId } = req.params;
 
+  const batch = await UploadBatch.findOne({ fileId });
+
+  if (batch && batch.status === "rolled_back") {
+    throw new ApiError("This upload has already been rolled back", 400);
+  }
+
   // Find all appointments with this fileId
   const appointments = await Appointment.find({ fileId });
 
-  if (appointments.length === 0) {
+  if (!batch && appointments.length === 0) {
     throw new ApiError("No appointments found for this file ID", 404);
   }
 
-  // Get the encounter IDs to update patient references later
-  const encounterIds = appointments.map((a) => a.encounterId);
-
   // Delete the appointments
   const deleteResult = await Appointment.deleteMany({ fileId });
 
-  // Clean up patient references (optional but recommended)
-  for (const appointment of appointments) {
+  // Clean up patient references
+  const appointmentIdsByPatient = appointments.reduce((acc, appointment) => {
+    if (!acc[appointment.patientAcctNo]) acc[appointment.patientAcctNo] = [];
+    acc[appointment.patientAcctNo].push(appointment._id);
+    return acc;
+  }, {});
+
+  for (const [acctNo, appointmentIds] of Object.entries(
+    appointmentIdsByPatient
+  )) {
     try {
-      const patient = await Patient.findOne({
-        acctNo: appointment.patientAcctNo,
-      });
-      if (patient) {
-        // Remove this appointment from patient's list
-        patient.appointments = patient.appointments.filter(
-          (id) => !encounterIds.includes(id.toString())
-        );
-        await patient.save();
-      }
+      await Patient.updateOne(
+        { acctNo },
+        { $pull: { appointments: { $in: appointmentIds } } }
+      );
     } catch (error) {
       logger.warn(`Error updating patient references: ${error.message}`);
     }
   }
 
+  // Keep the upload record, but mark it as rolled back
+  if (batch) {
+    batch.status = "rolled_back";
+    batch.rolledBackAt = new Date();
+    batch.rolledBackBy = req.staff && req.staff._id;
+    batch.rolledBackCount = deleteResult.deletedCount;
+    await batch.save();
+  }
+
   return successResponse(res, 200, "Appointments deleted successfully", {
     fileId,
     deleted: deleteResult.deletedCount,
+    status: batch ? batch.status : undefined,
   });
 });
 
+/**
+ * Check that the staff members time events refer to exist and fill in their role
+ * @param {Array} events - Time events from the request body
+ * @returns {Array} - Events with only the stored fields and actorRole set
+ */
+const linkEventActors = async (events) => {
+  const actorIds = [
+    ...new Set(events.filter((e) => e.actorId).map((e) => String(e.actorId))),
+  ];
+  const actors = await Staff.find({ _id: { $in: actorIds } }).select("role");
+  const unknownActors = actorIds.filter(
+    (id) => !actors.some((actor) => actor._id.equals(id))
+  );
+
+  if (unknownActors.length > 0) {
+    throw new ApiError(
+      "Invalid time events",
+      400,
+      unknownActors.map((id) => `Unknown staff member: ${id}`)
+    );
+  }
+
+  return events.map(
+    ({ label, time, actorId, actorRole, roomId, deviceId }) => ({
+      label,
+      time,
+      actorId,
+      actorRole:
+        actorRole ||
+        (actorId && actors.find((actor) => actor._id.equals(actorId)).role) ||
+        undefined,
+      roomId,
+      deviceId,
+    })
+  );
+};
+
+/**
+ * Copy the stored fields of a time event (for the change history)
+ * @param {Object} event - visitTimes.rawEvents entry
+ * @returns {Object} - {label, time, actorId, actorRole, roomId, deviceId}
+ */
+const toEventValue = (event) => ({
+  label: event.label,
+  time: event.time,
+  actorId: event.actorId,
+  actorRole: event.actorRole,
+  roomId: event.roomId,
+  deviceId: event.deviceId,
+});
+
 /**
  * @desc    Record time tracking events
  * @route   POST /api/appointments/:encounterId/times
- * @access  Private
+ * @access  Private (medical_assistant, provider, practice_admin)
  */
 const recordTimeEvents = asyncHandler(async (req, res) => {
   const { encounterId } = req.params;
@@ -404,6 +899,8 @@ const recordTimeEvents = asyncHandler(async (req, res) => {
     throw new ApiError("Appointment not found", 404);
   }
 
+  const newEvents = await linkEventActors(events);
+
   // Add events to appointment
   if (!appointment.visitTimes) {
     appointment.visitTimes = { rawEvents: [] };
@@ -412,30 +909,422 @@ const recordTimeEvents = asyncHandler(async (req, res) => {
   // Append new events
   appointment.visitTimes.rawEvents = [
     ...(appointment.visitTimes.rawEvents || []),
-    ...events,
+    ...newEvents,
   ];
 
   // Calculate durations
-  const durations = calculateDurations(appointment.visitTimes.rawEvents);
+  const { segments, warnings } = appointment.calculateDurations();
 
-  appointment.visitTimes.patientDuration = durations.patientDuration;
-  appointment.visitTimes.doctorDuration = durations.doctorDuration;
-  appointment.visitTimes.staffDuration = durations.staffDuration;
+  // Starting or ending a visit moves the appointment status forward
+  const statusChange = advanceStatus(
+    appointment,
+    getStatusForEvents(newEvents),
+    { by: req.staff._id, source: "time_event" }
+  );
 
   // Save appointment
   await appointment.save();
 
+  publishAppointmentEvent("time_events", appointment, {
+    events: newEvents.map(({ label, time }) => ({ label, time })),
+    durations: appointment.visitTimes.durations,
+  });
+
+  if (statusChange) {
+    publishAppointmentEvent("status_changed", appointment, {
+      field: "status",
+      ...statusChange,
+    });
+  }
+
   return successResponse(res, 200, "Time events recorded successfully", {
     encounterId,
+    status: appointment.status,
+    visitTimes: appointment.visitTimes,
+    segments,
+    warnings,
+  });
+});
+
+/**
+ * Find an appointment and one of its time events, or fail with 404
+ * @param {string} encounterId - Encounter ID
+ * @param {string} eventId - visitTimes.rawEvents entry ID
+ * @returns {Object} - {appointment, event}
+ */
+const findTimeEvent = async (encounterId, eventId) => {
+  const appointment = await Appointment.findOne({ encounterId });
+
+  if (!appointment) {
+    throw new ApiError("Appointment not found", 404);
+  }
+
+  const event = mongoose.isValidObjectId(eventId)
+    ? appointment.visitTimes.rawEvents.id(eventId)
+    : null;
+
+  if (!event) {
+    throw new ApiError("Time event not found", 404);
+  }
+
+  return { appointment, event };
+};
+
+/**
+ * @desc    Correct a time event (label, time, actor, room or device).
+ *          A reason is required; the old value is kept in the event history.
+ * @route   PATCH /api/appointments/:encounterId/times/:eventId
+ * @access  Private (medical_assistant, provider, practice_admin)
+ */
+const updateTimeEvent = asyncHandler(async (req, res) => {
+  const { encounterId, eventId } = req.params;
+  const { reason, ...changes } = req.body || {};
+
+  if (!reason || !String(reason).trim()) {
+    throw new ApiError("A reason is required to change a time event", 400);
+  }
+
+  const { appointment, event } = await findTimeEvent(encounterId, eventId);
+  const oldValue = toEventValue(event);
+
+  const updated = { ...oldValue };
+  ["label", "time", "actorId", "actorRole", "roomId", "deviceId"].forEach(
+    (key) => {
+      if (changes[key] !== undefined) updated[key] = changes[key];
+    }
+  );
+
+  // A new actor gets their own role unless one is given
+  if (changes.actorId !== undefined && changes.actorRole === undefined) {
+    updated.actorRole = undefined;
+  }
+
+  const validation = validateTimeEvents([updated]);
+  if (!validation.isValid) {
+    throw new ApiError("Invalid time event", 400, validation.errors);
+  }
+
+  const [newValue] = await linkEventActors([updated]);
+
+  event.set(newValue);
+  appointment.visitTimes.eventHistory.push({
+    eventId: event._id,
+    action: "update",
+    oldValue,
+    newValue: toEventValue(event),
+    reason: String(reason).trim(),
+    changedBy: req.staff._id,
+    changedAt: new Date(),
+  });
+
+  // Recalculate durations
+  const { segments, warnings } = appointment.calculateDurations();
+
+  // The status follows the corrected events
+  const statusChange = reconcileEventStatus(appointment, {
+    by: req.staff._id,
+    reason: `Time event updated: ${String(reason).trim()}`,
+  });
+
+  await appointment.save();
+
+  logger.info(`Time event ${eventId} of ${encounterId} updated: ${reason}`);
+
+  publishAppointmentEvent("time_events", appointment, {
+    updated: eventId,
+    durations: appointment.visitTimes.durations,
+  });
+
+  if (statusChange) {
+    publishAppointmentEvent("status_changed", appointment, {
+      field: "status",
+      ...statusChange,
+    });
+  }
+
+  return successResponse(res, 200, "Time event updated successfully", {
+    encounterId,
+    status: appointment.status,
+    visitTimes: appointment.visitTimes,
+    segments,
+    warnings,
+  });
+});
+
+/**
+ * @desc    Delete a time event (e.g. a mistaken tap). A reason is required
+ *          (body or ?reason=); the event is kept in the event history.
+ * @route   DELETE /api/appointments/:encounterId/times/:eventId
+ * @access  Private (medical_assistant, provider, practice_admin)
+ */
+const deleteTimeEvent = asyncHandler(async (req, res) => {
+  const { encounterId, eventId } = req.params;
+  const reason = (req.body && req.body.reason) || req.query.reason;
+
+  if (!reason || !String(reason).trim()) {
+    throw new ApiError("A reason is required to delete a time event", 400);
+  }
+
+  const { appointment, event } = await findTimeEvent(encounterId, eventId);
+
+  appointment.visitTimes.eventHistory.push({
+    eventId: event._id,
+    action: "delete",
+    oldValue: toEventValue(event),
+    reason: String(reason).trim(),
+    changedBy: req.staff._id,
+    changedAt: new Date(),
+  });
+  event.deleteOne();
+
+  // Recalculate durations
+  const { segments, warnings } = appointment.calculateDurations();
+
+  // The status follows the corrected events
+  const statusChange = reconcileEventStatus(appointment, {
+    by: req.staff._id,
+    reason: `Time event deleted: ${String(reason).trim()}`,
+  });
+
+  await appointment.save();
+
+  logger.info(`Time event ${eventId} of ${encounterId} deleted: ${reason}`);
+
+  publishAppointmentEvent("time_events", appointment, {
+    deleted: eventId,
+    durations: appointment.visitTimes.durations,
+  });
+
+  if (statusChange) {
+    publishAppointmentEvent("status_changed", appointment, {
+      field: "status",
+      ...statusChange,
+    });
+  }
+
+  return successResponse(res, 200, "Time event deleted successfully", {
+    encounterId,
+    status: appointment.status,
     visitTimes: appointment.visitTimes,
+    segments,
+    warnings,
   });
 });
 
+/**
+ * @desc    Change the status of an appointment ({status, reason, time});
+ *          the change must be an allowed transition
+ * @route   POST /api/appointments/:encounterId/status
+ * @access  Private (front_desk, medical_assistant, provider, practice_admin)
+ */
+const changeAppointmentStatus = asyncHandler(async (req, res) => {
+  const { status, reason, time } = req.body || {};
+
+  if (!status) {
+    throw new ApiError("status is required", 400);
+  }
+
+  if (!APPOINTMENT_STATUSES.includes(status)) {
+    throw new ApiError(
+      `Invalid status: ${status}. Expected one of: ${APPOINTMENT_STATUSES.join(", ")}`,
+      400
+    );
+  }
+
+  const at = time ? new Date(time) : new Date();
+  if (isNaN(at.getTime()) || at > new Date()) {
+    throw new ApiError("time must be a date that is not in the future", 400);
+  }
+
+  const appointment = await Appointment.findOne({
+    encounterId: req.params.encounterId,
+  });
+
+  if (!appointment) {
+    throw new ApiError("Appointment not found", 404);
+  }
+
+  const result = applyStatusChange(appointment, status, {
+    by: req.staff._id,
+    at,
+    reason,
+    source: "manual",
+  });
+
+  if (result.error) {
+    throw new ApiError(result.error, 409);
+  }
+
+  await appointment.save();
+
+  logger.info(
+    `Appointment ${appointment.encounterId} status: ${result.from} → ${result.to}`
+  );
+
+  publishAppointmentEvent("status_changed", appointment, {
+    field: "status",
+    ...result,
+  });
+
+  return successResponse(res, 200, "Appointment status updated successfully", {
+    encounterId: appointment.encounterId,
+    status: appointment.status,
+    allowed: STATUS_TRANSITIONS[appointment.status],
+    statusHistory: appointment.statusHistory,
+  });
+});
+
+/**
+ * @desc    Time each staff member spent with patients, per day or per patient
+ *          (?from=&to=YYYY-MM-DD, ?actorId=, ?type=patient|doctor|staff,
+ *          ?groupBy=day|patient). Only admins can see other staff members' time.
+ * @route   GET /api/appointments/times/actors
+ * @access  Private (medical_assistant, provider, practice_admin)
+ */
+const getActorTimes = asyncHandler(async (req, res) => {
+  const { type, groupBy = "day" } = req.query;
+  const isAdmin = ["practice_admin", "super_admin"].includes(req.staff.role);
+  const actorId = req.query.actorId || (isAdmin ? null : req.staff._id);
+
+  if (!["day", "patient"].includes(groupBy)) {
+    throw new ApiError("groupBy must be day or patient", 400);
+  }
+
+  if (type && !EVENT_TYPES.includes(type)) {
+    throw new ApiError(
+      `Invalid type: ${type}. Expected one of: ${EVENT_TYPES.join(", ")}`,
+      400
+    );
+  }
+
+  if (actorId && !mongoose.isValidObjectId(actorId)) {
+    throw new ApiError("Invalid actorId", 400);
+  }
+
+  if (!isAdmin && !req.staff._id.equals(actorId)) {
+    throw new ApiError("You can only view your own time", 403);
+  }
+
+  // Default to today (days are in the practice timezone)
+  const today = getLocalToday();
+  const fromDay = req.query.from || today;
+  const toDay = req.query.to || req.query.from || today;
+
+  if (
+    !moment(fromDay, "YYYY-MM-DD", true).isValid() ||
+    !moment(toDay, "YYYY-MM-DD", true).isValid()
+  ) {
+    throw new ApiError("from and to must be dates (YYYY-MM-DD)", 400);
+  }
+
+  const { start: from } = getLocalDayRange(fromDay);
+  const { end: to } = getLocalDayRange(toDay);
+
+  const segmentFilter = {
+    actorId: actorId
+      ? new mongoose.Types.ObjectId(String(actorId))
+      : { $exists: true, $ne: null },
+    start: { $gte: from, $lte: to },
+    end: { $ne: null },
+  };
+  if (type) segmentFilter.type = type;
+
+  const segments = await Appointment.aggregate([
+    { $match: { "visitTimes.segments": { $elemMatch: segmentFilter } } },
+    { $unwind: "$visitTimes.segments" },
+    {
+      $match: Object.keys(segmentFilter).reduce((acc, key) => {
+        acc[`visitTimes.segments.${key}`] = segmentFilter[key];
+        return acc;
+      }, {}),
+    },
+    {
+      $project: {
+        encounterId: 1,
+        patientAcctNo: 1,
+        patientName: 1,
+        segment: "$visitTimes.segments",
+      },
+    },
+  ]);
+
+  // Group per staff member, event type and day or patient
+  const groups = new Map();
+
+  segments.forEach(({ encounterId, patientAcctNo, patientName, segment }) => {
+    const groupValue =
+      groupBy === "day"
+        ? moment.tz(segment.start, DEFAULT_TIMEZONE).format("YYYY-MM-DD")
+        : patientAcctNo;
+    const key = `${segment.actorId}|${segment.type}|${groupValue}`;
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        actorId: segment.actorId,
+        actorRole: segment.actorRole,
+        type: segment.type,
+        ...(groupBy === "day"
+          ? { day: groupValue }
+          : { patientAcctNo, patientName }),
+        duration: 0,
+        segments: 0,
+        encounterIds: new Set(),
+      });
+    }
+
+    const group = groups.get(key);
+    group.duration += segment.duration || 0;
+    group.segments += 1;
+    group.encounterIds.add(encounterId);
+  });
+
+  const staff = await Staff.find({
+    _id: { $in: [...new Set(segments.map((s) => String(s.segment.actorId)))] },
+  }).select("firstName lastName");
+
+  const results = [...groups.values()]
+    .map(({ encounterIds, ...group }) => {
+      const member = staff.find((s) => s._id.equals(group.actorId));
+      return {
+        ...group,
+        actorName: member ? member.fullName : undefined,
+        appointments: encounterIds.size,
+      };
+    })
+    .sort(
+      (a, b) =>
+        String(a.actorName).localeCompare(String(b.actorName)) ||
+        String(a.day || a.patientName).localeCompare(
+          String(b.day || b.patientName)
+        )
+    );
+
+  return successResponse(
+    res,
+    200,
+    "Staff time retrieved successfully",
+    results,
+    {
+      from,
+      to,
+      groupBy,
+    }
+  );
+});
+
 module.exports = {
   uploadAppointments,
+  previewUpload,
+  commitUpload,
   getAppointments,
   getAppointment,
   updateAppointment,
+  getUploadBatches,
+  getUploadBatch,
   deleteAppointmentsByFile,
   recordTimeEvents,
+  updateTimeEvent,
+  deleteTimeEvent,
+  changeAppointmentStatus,
+  getActorTimes,
 };
@@ -3,13 +3,67 @@ const Patient = require("../models/patientModel");
 const {
   generateNumericOTP,
   sendOTP,
-  verifyOTP,
+  hashOTP,
 } = require("../utils/otpGenerator");
+const {
+  getLockout,
+  recordFailure,
+  reserveAttempt,
+  clearFailures,
+} = require("../utils/otpAttempts");
+const {
+  createSession,
+  rotateSession,
+  revokeSessions,
+} = require("../utils/sessions");
+const Session = require("../models/sessionModel");
 const { successResponse, errorResponse } = require("../utils/apiResponse");
 const { generateToken } = require("../middlewares/auth");
 const { ApiError } = require("../middlewares/errorHandler");
 const logger = require("../config/logger");
 
+// Seconds a patient must wait before another code is sent
+const RESEND_COOLDOWN_SECONDS =
+  parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+
+/**
+ * Build the error for a request that has to wait, with a Retry-After header
+ * @param {Object} res - Express response
+ * @param {Date} until - When the client can try again
+ * @param {string} message - Error message
+ * @returns {ApiError}
+ */
+const retryLaterError = (res, until, message) => {
+  const seconds = Math.max(1, Math.ceil((until - Date.now()) / 1000));
+  res.set("Retry-After", String(seconds));
+  return new ApiError(message, 429);
+};
+
+/**
+ * Build the error for a locked-out account or IP address
+ * @param {Object} res - Express response
+ * @param {Date} lockedUntil - End of the lockout
+ * @returns {ApiError}
+ */
+const lockedOutError = (res, lockedUntil) =>
+  retryLaterError(
+    res,
+    lockedUntil,
+    `Too many failed attempts. Try again in ${Math.ceil(
+      (lockedUntil - Date.now()) / 60000
+    )} minutes`
+  );
+
+/**
+ * Device details stored with a session
+ * @param {Object} req - Express request
+ * @returns {Object} - {userAgent, ipAddress}
+ */
+const getClient = (req) => ({
+  userAgent: req.get("User-Agent"),
+  ipAddress: req.ip,
+});
+
 /**
  * @desc    Request OTP for patient portal login
  * @route   POST /api/auth/login
@@ -23,10 +77,20 @@ const requestOTP = asyncHandler(async (req, res) => {
     throw new ApiError("Patient account number is required", 400);
   }
 
+  // Locked-out accounts and addresses get no new codes
+  const lockout = await getLockout(acctNo, req.ip);
+  if (lockout) {
+    throw lockedOutError(res, lockout.lockedUntil);
+  }
+
   // Find patient by account number
   const patient = await Patient.findOne({ acctNo });
 
+  // Guessing account numbers counts towards the lockout
   if (!patient) {
+    const { lockedUntil } = await recordFailure(acctNo, req.ip);
+    if (lockedUntil) throw lockedOutError(res, lockedUntil);
+
     throw new ApiError("Patient not found", 404);
   }
 
@@ -46,26 +110,45 @@ const requestOTP = asyncHandler(async (req, res) => {
       normalizedRequestPhone.endsWith(normalizedPatientPhone);
 
     if (!phoneMatches) {
+      // Guessing phone numbers counts towards the lockout
+      const { lockedUntil } = await recordFailure(acctNo, req.ip);
+      if (lockedUntil) throw lockedOutError(res, lockedUntil);
+
       throw new ApiError("Phone number does not match our records", 400);
     }
   }
 
+  // Wait between codes so the endpoint can't be used to flood a patient
+  const nextSendAt = patient.otp?.sentAt
+    ? new Date(patient.otp.sentAt.getTime() + RESEND_COOLDOWN_SECONDS * 1000)
+    : null;
+  if (nextSendAt && nextSendAt > new Date()) {
+    throw retryLaterError(
+      res,
+      nextSendAt,
+      `Please wait ${Math.ceil(
+        (nextSendAt - Date.now()) / 1000
+      )} seconds before requesting a new code`
+    );
+  }
+
   // Generate OTP
   const otp = generateNumericOTP(6);
 
-  // Save OTP to patient record
+  // Save the OTP's hash to the patient record
   patient.otp = {
-    code: otp.code,
+    codeHash: hashOTP(patient.acctNo, otp.code),
     expiresAt: otp.expiresAt,
+    sentAt: new Date(),
+    attempts: 0,
   };
 
   await patient.save();
 
   // Send OTP via preferred method
   try {
-    // For now, just log it (implement actual SMS/email sending in production)
     const contactMethod = patient.cellPhone ? "sms" : "email";
-    await sendOTP(patient, otp.code, contactMethod);
+    await sendOTP(patient, otp.code, contactMethod, otp.expiresAt);
 
     // In development, return the OTP for testing
     const otpData =
@@ -84,7 +167,7 @@ const requestOTP = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Verify OTP and provide JWT token
+ * @desc    Verify OTP and start a session (access and refresh token)
  * @route   POST /api/auth/verify-otp
  * @access  Public
  */
@@ -96,35 +179,63 @@ const verifyPatientOTP = asyncHandler(async (req, res) => {
     throw new ApiError("Account number and OTP are required", 400);
   }
 
-  // Find patient by account number
-  const patient = await Patient.findOne({ acctNo });
+  const lockout = await getLockout(acctNo, req.ip);
+  if (lockout) {
+    throw lockedOutError(res, lockout.lockedUntil);
+  }
+
+  // Take one guess at the pending code before comparing it
+  const patient = await reserveAttempt(acctNo);
 
   if (!patient) {
-    throw new ApiError("Patient not found", 404);
+    if (!(await Patient.exists({ acctNo }))) {
+      await recordFailure(acctNo, req.ip);
+      throw new ApiError("Patient not found", 404);
+    }
+
+    // No code was requested, or every guess at it has been used
+    throw new ApiError("Invalid or expired OTP, please request a new one", 400);
   }
 
   // Verify OTP
-  if (
-    !patient.otp ||
-    !patient.otp.code ||
-    !patient.otp.expiresAt ||
-    patient.otp.code !== otp ||
-    new Date() > new Date(patient.otp.expiresAt)
-  ) {
-    throw new ApiError("Invalid or expired OTP", 400);
+  if (!patient.verifyOTP(otp)) {
+    const { remaining, lockedUntil } = await recordFailure(
+      patient.acctNo,
+      req.ip
+    );
+
+    // A lockout also voids the code, so a new one is needed afterwards
+    if (lockedUntil) {
+      patient.otp = undefined;
+      await patient.save();
+      throw lockedOutError(res, lockedUntil);
+    }
+
+    throw new ApiError(
+      `Invalid or expired OTP (${remaining} ${
+        remaining === 1 ? "attempt" : "attempts"
+      } left)`,
+      400
+    );
   }
 
-  // Clear OTP after successful verification
+  // Clear OTP and failed attempts after successful verification
   patient.otp = undefined;
   await patient.save();
+  await clearFailures(patient.acctNo);
 
-  // Generate JWT token
-  const token = generateToken(patient.acctNo);
+  // Sign in this device
+  const { session, refreshToken } = await createSession(
+    patient.acctNo,
+    getClient(req)
+  );
 
   return successResponse(res, 200, "OTP verified successfully", {
     acctNo: patient.acctNo,
     name: patient.name || patient.fullName,
-    token,
+    token: generateToken(patient.acctNo, session._id),
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt,
   });
 });
 
@@ -141,39 +252,113 @@ const getProfile = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Refresh token
+ * @desc    Exchange a refresh token for a new access and refresh token
  * @route   POST /api/auth/refresh-token
- * @access  Private
+ * @access  Public (refresh token)
  */
 const refreshToken = asyncHandler(async (req, res) => {
-  // Patient is already attached to request by auth middlewares
-  const patient = req.patient;
+  if (!req.body.refreshToken) {
+    throw new ApiError("Refresh token is required", 400);
+  }
 
-  // Generate new token
-  const token = generateToken(patient.acctNo);
+  const result = await rotateSession(req.body.refreshToken, getClient(req));
+
+  if (result.error) {
+    throw new ApiError(result.error, 401);
+  }
+
+  const { session } = result;
 
   return successResponse(res, 200, "Token refreshed successfully", {
-    acctNo: patient.acctNo,
-    token,
+    acctNo: session.patientAcctNo,
+    token: generateToken(session.patientAcctNo, session._id),
+    refreshToken: result.refreshToken,
+    refreshTokenExpiresAt: session.expiresAt,
   });
 });
 
 /**
- * @desc    Logout patient
+ * @desc    Logout patient (signs out the current session)
  * @route   POST /api/auth/logout
  * @access  Private
  */
 const logout = asyncHandler(async (req, res) => {
-  // Nothing to do on server side since we're using JWT
-  // Client should discard the token
+  await revokeSessions(req.patient.acctNo, req.sessionId, "logout");
 
   return successResponse(res, 200, "Logout successful");
 });
 
+/**
+ * @desc    Sign out every session of the patient, including this one
+ * @route   POST /api/auth/logout-all-devices
+ * @access  Private
+ */
+const logoutAllDevices = asyncHandler(async (req, res) => {
+  const revoked = await revokeSessions(req.patient.acctNo, null, "logout_all");
+
+  logger.info(
+    `Patient ${req.patient.acctNo} signed out of ${revoked} session(s)`
+  );
+
+  return successResponse(res, 200, "Logged out of all devices", { revoked });
+});
+
+/**
+ * @desc    List the devices the patient is signed in on
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    patientAcctNo: req.patient.acctNo,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("userAgent ipAddress createdAt lastUsedAt expiresAt")
+    .sort({ lastUsedAt: -1 });
+
+  return successResponse(
+    res,
+    200,
+    "Sessions retrieved successfully",
+    sessions.map((session) => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      signedInAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id.toString() === req.sessionId,
+    }))
+  );
+});
+
+/**
+ * @desc    Sign out one of the patient's sessions
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+const revokeSession = asyncHandler(async (req, res) => {
+  const revoked = await revokeSessions(
+    req.patient.acctNo,
+    req.params.id,
+    "revoked"
+  );
+
+  if (!revoked) {
+    throw new ApiError("Session not found", 404);
+  }
+
+  return successResponse(res, 200, "Session signed out");
+});
+
 module.exports = {
   requestOTP,
   verifyPatientOTP,
   getProfile,
   refreshToken,
   logout,
+  logoutAllDevices,
+  getSessions,
+  revokeSession,
 };
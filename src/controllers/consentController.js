@@ -0,0 +1,180 @@
+const asyncHandler = require("express-async-handler");
+const ConsentDocument = require("../models/consentDocumentModel");
+const ConsentSignature = require("../models/consentSignatureModel");
+const { successResponse, getPaginationInfo } = require("../utils/apiResponse");
+const { ApiError } = require("../middlewares/errorHandler");
+const logger = require("../config/logger");
+
+/**
+ * @desc    Get consent form versions (?type=, ?active=true|false)
+ * @route   GET /api/consents/documents
+ * @access  Private (staff)
+ */
+const getConsentDocuments = asyncHandler(async (req, res) => {
+  const { type, active } = req.query;
+
+  const filter = {};
+  if (type) filter.type = type;
+  if (active !== undefined) filter.isActive = active === "true";
+
+  const documents = await ConsentDocument.find(filter)
+    .sort({ type: 1, version: -1 })
+    .populate("publishedBy", "firstName lastName email");
+
+  return successResponse(
+    res,
+    200,
+    "Consent forms retrieved successfully",
+    documents
+  );
+});
+
+/**
+ * @desc    Publish a new version of a consent form.
+ *          Patients who signed an earlier version will have to sign again.
+ * @route   POST /api/consents/documents
+ * @access  Private (practice_admin)
+ */
+const publishConsentDocument = asyncHandler(async (req, res) => {
+  const { type, title, body, required } = req.body;
+
+  if (!type || !title || !body) {
+    throw new ApiError("Type, title and body are required", 400);
+  }
+
+  if (!ConsentDocument.CONSENT_TYPES.includes(type)) {
+    throw new ApiError(
+      `Invalid consent type: ${type}. Expected one of: ${ConsentDocument.CONSENT_TYPES.join(", ")}`,
+      400
+    );
+  }
+
+  const latest = await ConsentDocument.findOne({ type }).sort({ version: -1 });
+
+  const document = await ConsentDocument.create({
+    type,
+    version: latest ? latest.version + 1 : 1,
+    title,
+    body,
+    required,
+    publishedBy: req.staff._id,
+  });
+
+  logger.info(`Consent form published: ${type} v${document.version}`);
+
+  return successResponse(
+    res,
+    201,
+    "Consent form published successfully",
+    document
+  );
+});
+
+/**
+ * @desc    Activate or retire a consent form version (the text cannot change)
+ * @route   PATCH /api/consents/documents/:id
+ * @access  Private (practice_admin)
+ */
+const updateConsentDocument = asyncHandler(async (req, res) => {
+  const document = await ConsentDocument.findById(req.params.id);
+
+  if (!document) {
+    throw new ApiError("Consent form not found", 404);
+  }
+
+  const { isActive, required, title, body } = req.body;
+
+  if (title !== undefined || body !== undefined) {
+    throw new ApiError(
+      "Consent form text cannot be changed, publish a new version instead",
+      400
+    );
+  }
+
+  if (isActive !== undefined) document.isActive = isActive;
+  if (required !== undefined) document.required = required;
+
+  await document.save();
+
+  return successResponse(
+    res,
+    200,
+    "Consent form updated successfully",
+    document
+  );
+});
+
+/**
+ * @desc    Get signed consent records (?patientAcctNo=, ?type=)
+ * @route   GET /api/consents/signatures
+ * @access  Private (front_desk, medical_assistant, practice_admin)
+ */
+const getConsentSignatures = asyncHandler(async (req, res) => {
+  const { patientAcctNo, type } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+
+  const filter = {};
+  if (patientAcctNo) filter.patientAcctNo = patientAcctNo;
+  if (type) filter.documentType = type;
+
+  const total = await ConsentSignature.countDocuments(filter);
+  const signatures = await ConsentSignature.find(filter)
+    .select("-signature.strokes")
+    .sort({ signedAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit)
+    .populate("capturedBy", "firstName lastName email");
+
+  const paginationInfo = getPaginationInfo(
+    page,
+    limit,
+    total,
+    `${req.protocol}://${req.get("host")}/api/consents/signatures`
+  );
+
+  return successResponse(
+    res,
+    200,
+    "Consent signatures retrieved successfully",
+    signatures,
+    { pagination: paginationInfo }
+  );
+});
+
+/**
+ * @desc    Get the captured signature (image, or strokes as JSON)
+ * @route   GET /api/consents/signatures/:id/signature
+ * @access  Private (front_desk, medical_assistant, practice_admin)
+ */
+const getSignatureData = asyncHandler(async (req, res) => {
+  const consentSignature = await ConsentSignature.findById(
+    req.params.id
+  ).select("+signature.image.data");
+
+  if (!consentSignature) {
+    throw new ApiError("Consent signature not found", 404);
+  }
+
+  const { signature } = consentSignature;
+
+  if (signature.format === "image") {
+    res.setHeader("Content-Type", signature.image.contentType);
+    return res.status(200).send(signature.image.data);
+  }
+
+  return successResponse(res, 200, "Signature retrieved successfully", {
+    format: signature.format,
+    width: signature.width,
+    height: signature.height,
+    strokes: signature.strokes,
+  });
+});
+
+module.exports = {
+  getConsentDocuments,
+  publishConsentDocument,
+  updateConsentDocument,
+  getConsentSignatures,
+  getSignatureData,
+};
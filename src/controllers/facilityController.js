@@ -0,0 +1,103 @@
+const asyncHandler = require("express-async-handler");
+const Facility = require("../models/facilityModel");
+const { DEFAULT_TIMEZONE, getLocalToday } = require("../utils/facilityTime");
+const { successResponse } = require("../utils/apiResponse");
+const { ApiError } = require("../middlewares/errorHandler");
+const logger = require("../config/logger");
+
+// Facility settings that can be set through the API
+const EDITABLE_FIELDS = ["name", "timezone"];
+
+/**
+ * Pick the editable settings from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} - Facility settings
+ */
+const pickFacilitySettings = (body = {}) =>
+  EDITABLE_FIELDS.reduce((acc, key) => {
+    if (body[key] !== undefined) acc[key] = body[key];
+    return acc;
+  }, {});
+
+/**
+ * @desc    Get all facilities and the practice default timezone
+ * @route   GET /api/facilities
+ * @access  Private (staff)
+ */
+const getFacilities = asyncHandler(async (req, res) => {
+  const facilities = await Facility.find().sort({ name: 1 });
+
+  return successResponse(
+    res,
+    200,
+    "Facilities retrieved successfully",
+    facilities.map((facility) => ({
+      ...facility.toObject(),
+      today: getLocalToday(facility.timezone),
+    })),
+    { defaultTimezone: DEFAULT_TIMEZONE, today: getLocalToday() }
+  );
+});
+
+/**
+ * @desc    Create a facility
+ * @route   POST /api/facilities
+ * @access  Private (practice_admin)
+ */
+const createFacility = asyncHandler(async (req, res) => {
+  const facility = await Facility.create({
+    ...pickFacilitySettings(req.body),
+    createdBy: req.staff._id,
+  });
+
+  logger.info(`Facility created: ${facility.name} (${facility.timezone})`);
+
+  return successResponse(res, 201, "Facility created successfully", facility);
+});
+
+/**
+ * @desc    Update a facility
+ * @route   PATCH /api/facilities/:id
+ * @access  Private (practice_admin)
+ */
+const updateFacility = asyncHandler(async (req, res) => {
+  const facility = await Facility.findById(req.params.id);
+
+  if (!facility) {
+    throw new ApiError("Facility not found", 404);
+  }
+
+  facility.set(pickFacilitySettings(req.body));
+  await facility.save();
+
+  return successResponse(res, 200, "Facility updated successfully", facility);
+});
+
+/**
+ * @desc    Delete a facility (its appointments fall back to the default timezone)
+ * @route   DELETE /api/facilities/:id
+ * @access  Private (practice_admin)
+ */
+const deleteFacility = asyncHandler(async (req, res) => {
+  const facility = await Facility.findById(req.params.id);
+
+  if (!facility) {
+    throw new ApiError("Facility not found", 404);
+  }
+
+  await facility.deleteOne();
+
+  logger.info(`Facility deleted: ${facility.name}`);
+
+  return successResponse(res, 200, "Facility deleted successfully", {
+    id: facility._id,
+    name: facility.name,
+  });
+});
+
+module.exports = {
+  getFacilities,
+  createFacility,
+  updateFacility,
+  deleteFacility,
+};
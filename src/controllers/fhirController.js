@@ -0,0 +1,462 @@
+const asyncHandler = require("express-async-handler");
+const moment = require("moment");
+const Appointment = require("../models/appointmentModel");
+const Patient = require("../models/patientModel");
+const {
+  SYSTEMS,
+  APPOINTMENT_STATUS_RULES,
+  ENCOUNTER_STATUS_RULES,
+  getStatusQuery,
+  toFhirPatient,
+  toFhirAppointment,
+  toFhirEncounter,
+  toSearchBundle,
+  toOperationOutcome,
+} = require("../utils/fhirMapper");
+const { ApiError } = require("../middlewares/errorHandler");
+const logger = require("../config/logger");
+
+// Search page size (_count)
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// FHIR issue type for each HTTP status
+const ISSUE_CODES = {
+  400: "invalid",
+  401: "login",
+  403: "forbidden",
+  404: "not-found",
+};
+
+/**
+ * Base URL of the FHIR endpoint, used for fullUrl and paging links
+ * @param {Object} req - Express request
+ * @returns {string} - Base URL (e.g. https://host/fhir/r4)
+ */
+const getBaseUrl = (req) =>
+  process.env.FHIR_BASE_URL || `${req.protocol}://${req.get("host")}/fhir/r4`;
+
+/**
+ * Send a FHIR resource with the FHIR JSON content type
+ * @param {Object} res - Express response
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} resource - FHIR resource
+ */
+const sendResource = (res, statusCode, resource) =>
+  res.status(statusCode).type("application/fhir+json").json(resource);
+
+/**
+ * Get all values of a search parameter (repeated and comma-separated)
+ * @param {*} param - Value from req.query
+ * @returns {Array} - List of values
+ */
+const getParamValues = (param) =>
+  []
+    .concat(param || [])
+    .flatMap((value) => String(value).split(","))
+    .map((value) => value.trim())
+    .filter(Boolean);
+
+/**
+ * Parse a token search parameter (system|value or value)
+ * @param {string} param - Parameter value
+ * @returns {Object} - {system, value}, system is undefined if not given
+ */
+const parseToken = (param) => {
+  const index = param.indexOf("|");
+  if (index === -1) return { system: undefined, value: param };
+  return { system: param.slice(0, index), value: param.slice(index + 1) };
+};
+
+/**
+ * Get the values of a token parameter that use the expected system
+ * @param {*} param - Value from req.query
+ * @param {string} system - Identifier system we issue
+ * @returns {Array|null} - Matching values, or null if the parameter is absent
+ */
+const getIdentifierValues = (param, system) => {
+  const tokens = getParamValues(param).map(parseToken);
+  if (tokens.length === 0) return null;
+
+  return tokens
+    .filter((token) => !token.system || token.system === system)
+    .map((token) => token.value);
+};
+
+/**
+ * Parse a patient reference (Patient/123 or 123) into an account number
+ * @param {string} param - Parameter value
+ * @returns {string} - Account number
+ */
+const parsePatientReference = (param) => param.replace(/^.*Patient\//, "");
+
+/**
+ * Parse a date search parameter into a MongoDB range condition
+ * Supports the eq, ne, gt, ge, lt, le prefixes and year, month,
+ * day or full timestamp precision
+ * @param {string} param - Parameter value (e.g. ge2025-03-01)
+ * @returns {Object} - MongoDB condition
+ */
+const parseDateParam = (param) => {
+  const match = param.match(/^(eq|ne|gt|ge|lt|le)?(\d{4}(-\d{2}){0,2}(T.+)?)$/);
+  if (!match) {
+    throw new ApiError(`Invalid date search parameter: ${param}`, 400);
+  }
+
+  const [, prefix = "eq", value] = match;
+  const precision = match[4]
+    ? "second"
+    : { 4: "year", 7: "month", 10: "day" }[value.length];
+  const date = match[4] ? moment.parseZone(value) : moment.utc(value);
+
+  if (!date.isValid()) {
+    throw new ApiError(`Invalid date search parameter: ${param}`, 400);
+  }
+
+  const start = date.clone().startOf(precision).toDate();
+  const end = date.clone().endOf(precision).toDate();
+
+  switch (prefix) {
+    case "gt":
+      return { $gt: end };
+    case "ge":
+      return { $gte: start };
+    case "lt":
+      return { $lt: start };
+    case "le":
+      return { $lte: end };
+    case "ne":
+      return { $not: { $gte: start, $lte: end } };
+    default:
+      return { $gte: start, $lte: end };
+  }
+};
+
+/**
+ * Read _count and _offset from the query string
+ * @param {Object} query - req.query
+ * @returns {Object} - {count, offset}
+ */
+const getPaging = (query) => {
+  // _count=0 only returns the total
+  const count = parseInt(query._count);
+
+  return {
+    count: isNaN(count)
+      ? DEFAULT_PAGE_SIZE
+      : Math.min(Math.max(count, 0), MAX_PAGE_SIZE),
+    offset: Math.max(parseInt(query._offset) || 0, 0),
+  };
+};
+
+/**
+ * Build the self/next/previous links of a search Bundle
+ * @param {Object} req - Express request
+ * @param {string} resourceType - Searched resource type
+ * @param {Object} paging - {count, offset}
+ * @param {number} total - Total number of matches
+ * @returns {Array} - Bundle links
+ */
+const getSearchLinks = (req, resourceType, { count, offset }, total) => {
+  const toUrl = (pageOffset) => {
+    const params = new URLSearchParams();
+    Object.entries(req.query)
+      .filter(([key]) => !["_count", "_offset"].includes(key))
+      .forEach(([key, value]) =>
+        [].concat(value).forEach((v) => params.append(key, v))
+      );
+    params.set("_count", count);
+    params.set("_offset", pageOffset);
+    return `${getBaseUrl(req)}/${resourceType}?${params.toString()}`;
+  };
+
+  const links = [{ relation: "self", url: toUrl(offset) }];
+  if (count > 0 && offset + count < total) {
+    links.push({ relation: "next", url: toUrl(offset + count) });
+  }
+  if (count > 0 && offset > 0) {
+    links.push({
+      relation: "previous",
+      url: toUrl(Math.max(offset - count, 0)),
+    });
+  }
+  return links;
+};
+
+/**
+ * Build the MongoDB filter for an Appointment or Encounter search
+ * @param {Object} query - req.query
+ * @param {Array} statusRules - Status rules of the searched resource type
+ * @returns {Object|null} - Filter, or null if nothing can match
+ */
+const getVisitFilter = (query, statusRules) => {
+  const conditions = [];
+
+  const ids = getParamValues(query._id);
+  if (ids.length > 0) {
+    conditions.push({ encounterId: { $in: ids } });
+  }
+
+  const identifiers = getIdentifierValues(
+    query.identifier,
+    SYSTEMS.encounterId
+  );
+  if (identifiers) {
+    if (identifiers.length === 0) return null;
+    conditions.push({ encounterId: { $in: identifiers } });
+  }
+
+  const patients = getParamValues(query.patient || query.subject).map(
+    parsePatientReference
+  );
+  if (patients.length > 0) {
+    conditions.push({ patientAcctNo: { $in: patients } });
+  }
+
+  // Repeated date parameters must all match (e.g. date=ge..&date=le..)
+  [].concat(query.date || []).forEach((param) => {
+    conditions.push({ appointmentDate: parseDateParam(String(param)) });
+  });
+
+  const statuses = getParamValues(query.status);
+  if (statuses.length > 0) {
+    const statusQuery = getStatusQuery(statusRules, statuses);
+    if (!statusQuery) return null;
+    conditions.push(statusQuery);
+  }
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+/**
+ * Run a search and send the matches as a Bundle
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} options - {resourceType, model, filter, sort, toResource}
+ */
+const sendSearchBundle = async (
+  req,
+  res,
+  { resourceType, model, filter, sort, toResource }
+) => {
+  const paging = getPaging(req.query);
+
+  let total = 0;
+  let documents = [];
+
+  if (filter) {
+    [total, documents] = await Promise.all([
+      model.countDocuments(filter),
+      paging.count > 0
+        ? model.find(filter).sort(sort).skip(paging.offset).limit(paging.count)
+        : [],
+    ]);
+  }
+
+  return sendResource(
+    res,
+    200,
+    toSearchBundle(documents.map(toResource), {
+      baseUrl: getBaseUrl(req),
+      total,
+      links: getSearchLinks(req, resourceType, paging, total),
+    })
+  );
+};
+
+/**
+ * @desc    FHIR capability statement describing the supported interactions
+ * @route   GET /fhir/r4/metadata
+ * @access  Public
+ */
+const getCapabilityStatement = (req, res) => {
+  const visitSearchParams = [
+    { name: "_id", type: "token" },
+    { name: "identifier", type: "token" },
+    { name: "patient", type: "reference" },
+    { name: "date", type: "date" },
+    { name: "status", type: "token" },
+  ];
+
+  return sendResource(res, 200, {
+    resourceType: "CapabilityStatement",
+    status: "active",
+    date: new Date().toISOString(),
+    kind: "instance",
+    fhirVersion: "4.0.1",
+    format: ["application/fhir+json", "json"],
+    implementation: {
+      description: "YTFCS appointment and patient data",
+      url: getBaseUrl(req),
+    },
+    rest: [
+      {
+        mode: "server",
+        security: {
+          description: "Staff JWT in the Authorization header (Bearer token)",
+        },
+        resource: [
+          {
+            type: "Patient",
+            interaction: [{ code: "read" }, { code: "search-type" }],
+            searchParam: [
+              { name: "_id", type: "token" },
+              { name: "identifier", type: "token" },
+            ],
+          },
+          {
+            type: "Appointment",
+            interaction: [{ code: "read" }, { code: "search-type" }],
+            searchParam: visitSearchParams,
+          },
+          {
+            type: "Encounter",
+            interaction: [{ code: "read" }, { code: "search-type" }],
+            searchParam: visitSearchParams,
+          },
+        ],
+      },
+    ],
+  });
+};
+
+/**
+ * @desc    Read a Patient by account number
+ * @route   GET /fhir/r4/Patient/:id
+ * @access  Private (staff)
+ */
+const readPatient = asyncHandler(async (req, res) => {
+  const patient = await Patient.findOne({ acctNo: req.params.id });
+
+  if (!patient) {
+    throw new ApiError(`Patient/${req.params.id} not found`, 404);
+  }
+
+  return sendResource(res, 200, toFhirPatient(patient));
+});
+
+/**
+ * @desc    Search Patients (_id, identifier)
+ * @route   GET /fhir/r4/Patient
+ * @access  Private (staff)
+ */
+const searchPatients = asyncHandler(async (req, res) => {
+  const conditions = [];
+  let filter = {};
+
+  const ids = getParamValues(req.query._id);
+  if (ids.length > 0) {
+    conditions.push({ acctNo: { $in: ids } });
+  }
+
+  const identifiers = getIdentifierValues(req.query.identifier, SYSTEMS.acctNo);
+  if (identifiers) {
+    conditions.push({ acctNo: { $in: identifiers } });
+  }
+
+  if (conditions.length > 0) {
+    filter = { $and: conditions };
+  }
+
+  return sendSearchBundle(req, res, {
+    resourceType: "Patient",
+    model: Patient,
+    filter,
+    sort: { acctNo: 1 },
+    toResource: toFhirPatient,
+  });
+});
+
+/**
+ * @desc    Read an Appointment by encounter ID
+ * @route   GET /fhir/r4/Appointment/:id
+ * @access  Private (staff)
+ */
+const readAppointment = asyncHandler(async (req, res) => {
+  const appointment = await Appointment.findOne({
+    encounterId: req.params.id,
+  });
+
+  if (!appointment) {
+    throw new ApiError(`Appointment/${req.params.id} not found`, 404);
+  }
+
+  return sendResource(res, 200, toFhirAppointment(appointment));
+});
+
+/**
+ * @desc    Search Appointments (_id, identifier, patient, date, status)
+ * @route   GET /fhir/r4/Appointment
+ * @access  Private (staff)
+ */
+const searchAppointments = asyncHandler(async (req, res) =>
+  sendSearchBundle(req, res, {
+    resourceType: "Appointment",
+    model: Appointment,
+    filter: getVisitFilter(req.query, APPOINTMENT_STATUS_RULES),
+    sort: { appointmentDate: 1, encounterId: 1 },
+    toResource: toFhirAppointment,
+  })
+);
+
+/**
+ * @desc    Read an Encounter by encounter ID
+ * @route   GET /fhir/r4/Encounter/:id
+ * @access  Private (staff)
+ */
+const readEncounter = asyncHandler(async (req, res) => {
+  const appointment = await Appointment.findOne({
+    encounterId: req.params.id,
+  });
+
+  if (!appointment) {
+    throw new ApiError(`Encounter/${req.params.id} not found`, 404);
+  }
+
+  return sendResource(res, 200, toFhirEncounter(appointment));
+});
+
+/**
+ * @desc    Search Encounters (_id, identifier, patient, date, status)
+ * @route   GET /fhir/r4/Encounter
+ * @access  Private (staff)
+ */
+const searchEncounters = asyncHandler(async (req, res) =>
+  sendSearchBundle(req, res, {
+    resourceType: "Encounter",
+    model: Appointment,
+    filter: getVisitFilter(req.query, ENCOUNTER_STATUS_RULES),
+    sort: { appointmentDate: 1, encounterId: 1 },
+    toResource: toFhirEncounter,
+  })
+);
+
+// FHIR error handler, errors are returned as OperationOutcome resources
+const fhirErrorHandler = (err, req, res, next) => {
+  const statusCode = err.statusCode || (err.name === "CastError" ? 400 : 500);
+  const message =
+    statusCode >= 500 ? "Internal server error" : err.message || "Error";
+
+  const logLevel = statusCode >= 500 ? "error" : "warn";
+  logger[logLevel](`FHIR ${statusCode} - ${err.message}`, {
+    url: req.originalUrl,
+    method: req.method,
+  });
+
+  return sendResource(
+    res,
+    statusCode,
+    toOperationOutcome(ISSUE_CODES[statusCode] || "exception", message)
+  );
+};
+
+module.exports = {
+  getCapabilityStatement,
+  readPatient,
+  searchPatients,
+  readAppointment,
+  searchAppointments,
+  readEncounter,
+  searchEncounters,
+  fhirErrorHandler,
+};
@@ -0,0 +1,35 @@
+const asyncHandler = require("express-async-handler");
+const moment = require("moment");
+const { subscribe } = require("../utils/flowBoard");
+const { getFacilityTimezone, getLocalToday } = require("../utils/facilityTime");
+const { ApiError } = require("../middlewares/errorHandler");
+const logger = require("../config/logger");
+
+/**
+ * @desc    Live stream of the day's appointment events (Server-Sent Events)
+ *          (?date=YYYY-MM-DD, defaults to the facility's today; ?facility=,
+ *          ?provider=)
+ * @route   GET /api/flow-board/stream
+ * @access  Private (staff)
+ */
+const streamFlowBoard = asyncHandler(async (req, res) => {
+  const { facility, provider } = req.query;
+  const date =
+    req.query.date || getLocalToday(await getFacilityTimezone(facility));
+
+  if (!moment(date, "YYYY-MM-DD", true).isValid()) {
+    throw new ApiError("date must be YYYY-MM-DD", 400);
+  }
+
+  logger.info(
+    `Flow board connected: ${req.staff.email} (${date}${
+      facility ? `, ${facility}` : ""
+    }${provider ? `, ${provider}` : ""})`
+  );
+
+  subscribe(req, res, { date, facility, provider });
+});
+
+module.exports = {
+  streamFlowBoard,
+};
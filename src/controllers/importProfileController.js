@@ -0,0 +1,214 @@
+const asyncHandler = require("express-async-handler");
+const ImportProfile = require("../models/importProfileModel");
+const { getImportableFields } = require("../utils/appointmentImporter");
+const { successResponse } = require("../utils/apiResponse");
+const { ApiError } = require("../middlewares/errorHandler");
+const logger = require("../config/logger");
+
+// Profile settings that can be set through the API
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "headerAliases",
+  "fieldTypes",
+  "dateFormats",
+  "booleanVocabulary",
+  "phoneFormat",
+  "requiredFields",
+  "defaultFacility",
+  "isActive",
+];
+
+/**
+ * Check that every field a profile refers to is an importable appointment field
+ * @param {Object} data - Profile settings from the request body
+ * @returns {Array} - Validation errors ({field, message})
+ */
+const validateProfileFields = (data) => {
+  const importableFields = getImportableFields();
+  const errors = [];
+
+  const check = (setting, field) => {
+    if (!importableFields.includes(field)) {
+      errors.push({
+        field: setting,
+        message: `Unknown appointment field: ${field}`,
+      });
+    }
+  };
+
+  // Entries of a list setting, or none (with an error) when it isn't a list
+  const entriesOf = (setting) => {
+    const value = data[setting];
+    if (value === undefined || value === null) return [];
+
+    if (!Array.isArray(value)) {
+      errors.push({ field: setting, message: `${setting} must be an array` });
+      return [];
+    }
+    return value;
+  };
+
+  // headerAliases and fieldTypes entries are objects naming a field
+  ["headerAliases", "fieldTypes"].forEach((setting) =>
+    entriesOf(setting).forEach((entry, index) => {
+      if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+        errors.push({
+          field: setting,
+          message: `Entry ${index} of ${setting} must be an object with a field`,
+        });
+        return;
+      }
+      check(setting, entry.field);
+    })
+  );
+  entriesOf("requiredFields").forEach((field) =>
+    check("requiredFields", field)
+  );
+
+  return errors;
+};
+
+/**
+ * Pick the editable settings from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} - Profile settings
+ */
+const pickProfileSettings = (body = {}) =>
+  EDITABLE_FIELDS.reduce((acc, key) => {
+    if (body[key] !== undefined) acc[key] = body[key];
+    return acc;
+  }, {});
+
+/**
+ * @desc    Get all import profiles
+ * @route   GET /api/import-profiles
+ * @access  Private (front_desk, practice_admin)
+ */
+const getImportProfiles = asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.active !== undefined) {
+    filter.isActive = req.query.active === "true";
+  }
+
+  const profiles = await ImportProfile.find(filter).sort({ name: 1 });
+
+  return successResponse(
+    res,
+    200,
+    "Import profiles retrieved successfully",
+    profiles
+  );
+});
+
+/**
+ * @desc    Get an import profile
+ * @route   GET /api/import-profiles/:id
+ * @access  Private (front_desk, practice_admin)
+ */
+const getImportProfile = asyncHandler(async (req, res) => {
+  const profile = await ImportProfile.findById(req.params.id);
+
+  if (!profile) {
+    throw new ApiError("Import profile not found", 404);
+  }
+
+  return successResponse(
+    res,
+    200,
+    "Import profile retrieved successfully",
+    profile
+  );
+});
+
+/**
+ * @desc    Create an import profile
+ * @route   POST /api/import-profiles
+ * @access  Private (practice_admin)
+ */
+const createImportProfile = asyncHandler(async (req, res) => {
+  const settings = pickProfileSettings(req.body);
+
+  if (!settings.name) {
+    throw new ApiError("Profile name is required", 400);
+  }
+
+  const errors = validateProfileFields(settings);
+  if (errors.length > 0) {
+    throw new ApiError("Invalid import profile", 400, errors);
+  }
+
+  const profile = await ImportProfile.create({
+    ...settings,
+    createdBy: req.staff._id,
+  });
+
+  logger.info(`Import profile created: ${profile.name}`);
+
+  return successResponse(
+    res,
+    201,
+    "Import profile created successfully",
+    profile
+  );
+});
+
+/**
+ * @desc    Update an import profile
+ * @route   PATCH /api/import-profiles/:id
+ * @access  Private (practice_admin)
+ */
+const updateImportProfile = asyncHandler(async (req, res) => {
+  const profile = await ImportProfile.findById(req.params.id);
+
+  if (!profile) {
+    throw new ApiError("Import profile not found", 404);
+  }
+
+  const settings = pickProfileSettings(req.body);
+
+  const errors = validateProfileFields(settings);
+  if (errors.length > 0) {
+    throw new ApiError("Invalid import profile", 400, errors);
+  }
+
+  profile.set(settings);
+  await profile.save();
+
+  return successResponse(
+    res,
+    200,
+    "Import profile updated successfully",
+    profile
+  );
+});
+
+/**
+ * @desc    Delete an import profile
+ * @route   DELETE /api/import-profiles/:id
+ * @access  Private (practice_admin)
+ */
+const deleteImportProfile = asyncHandler(async (req, res) => {
+  const profile = await ImportProfile.findById(req.params.id);
+
+  if (!profile) {
+    throw new ApiError("Import profile not found", 404);
+  }
+
+  await profile.deleteOne();
+
+  logger.info(`Import profile deleted: ${profile.name}`);
+
+  return successResponse(res, 200, "Import profile deleted successfully", {
+    id: profile._id,
+    name: profile.name,
+  });
+});
+
+module.exports = {
+  getImportProfiles,
+  getImportProfile,
+  createImportProfile,
+  updateImportProfile,
+  deleteImportProfile,
+};
@@ -0,0 +1,38 @@
+const asyncHandler = require("express-async-handler");
+const Job = require("../models/jobModel");
+const { successResponse } = require("../utils/apiResponse");
+const { ApiError } = require("../middlewares/errorHandler");
+
+/**
+ * @desc    Get background job status, progress and result
+ * @route   GET /api/jobs/:id
+ * @access  Private (staff)
+ */
+const getJob = asyncHandler(async (req, res) => {
+  const job = await Job.findById(req.params.id).select("-checkpoint");
+
+  if (!job) {
+    throw new ApiError("Job not found", 404);
+  }
+
+  return successResponse(res, 200, "Job retrieved successfully", {
+    id: job._id,
+    type: job.type,
+    status: job.status,
+    progress: {
+      totalRows: job.progress.totalRows,
+      processedRows: job.progress.processedRows,
+      percent: job.get("progress.percent"),
+    },
+    result: job.result,
+    error: job.error,
+    attempts: job.attempts,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  });
+});
+
+module.exports = {
+  getJob,
+};
@@ -1,6 +1,28 @@
 const asyncHandler = require("express-async-handler");
 const Appointment = require("../models/appointmentModel");
 const Patient = require("../models/patientModel");
+const ConsentDocument = require("../models/consentDocumentModel");
+const ConsentSignature = require("../models/consentSignatureModel");
+const {
+  renderConsentText,
+  hashConsentText,
+  getConsentStatus,
+  getConsentCheckInFlags,
+  parseSignatureStrokes,
+  parseSignatureDataUrl,
+} = require("../utils/consentForms");
+const { publishAppointmentEvent } = require("../utils/flowBoard");
+const {
+  buildCheckInUpdates,
+  combineCheckInData,
+  getPreCheckInChanges,
+} = require("../utils/preCheckIn");
+const { advanceStatus } = require("../utils/appointmentStatus");
+const {
+  getAppointmentTimezone,
+  getLocalToday,
+  isAppointmentToday,
+} = require("../utils/facilityTime");
 const { successResponse, errorResponse } = require("../utils/apiResponse");
 const { ApiError } = require("../middlewares/errorHandler");
 const logger = require("../config/logger");
@@ -20,36 +42,24 @@ const checkAppointment = asyncHandler(async (req, res) => {
     throw new ApiError("Encounter ID is required", 400);
   }
 
-  // Get today's date range
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-
-  const tomorrow = new Date(today);
-  tomorrow.setDate(tomorrow.getDate() + 1);
-
-  logger.info(`Server time: ${new Date()}`);
-  logger.info(`Today date range: ${today} to ${tomorrow}`);
-
-  // Find appointment for today with matching encounterId
-  const appointment = await Appointment.findOne({
-    encounterId,
-    appointmentDate: {
-      $gte: today,
-      $lt: tomorrow,
-    },
-  });
+  const appointment = await Appointment.findOne({ encounterId });
 
   if (!appointment) {
-    // Try finding without date constraint to debug
-    const anyAppointment = await Appointment.findOne({ encounterId });
-    if (anyAppointment) {
-      logger.info(
-        `Found appointment but outside date range: ${anyAppointment.appointmentDate}`
-      );
-    } else {
-      logger.info(`No appointment found with ID: ${encounterId}`);
-    }
+    logger.info(`No appointment found with ID: ${encounterId}`);
+    return errorResponse(
+      res,
+      404,
+      "No appointment found for today with this Encounter ID"
+    );
+  }
+
+  // The appointment must be on the current day of its facility
+  const timezone = await getAppointmentTimezone(appointment);
 
+  if (!isAppointmentToday(appointment, timezone)) {
+    logger.info(
+      `Found appointment but not for today (${getLocalToday(timezone)} in ${timezone}): ${appointment.appointmentDate}`
+    );
     return errorResponse(
       res,
       404,
@@ -62,6 +72,12 @@ const checkAppointment = asyncHandler(async (req, res) => {
   const appointmentData = appointment.toObject();
   appointmentData.hasCheckedIn = !!appointment.kioskCheckIn?.checkedInAt;
 
+  // Answers from the portal to review before confirming arrival
+  appointmentData.preCheckInChanges =
+    appointment.preCheckIn?.status === "submitted"
+      ? getPreCheckInChanges(appointment)
+      : [];
+
   return successResponse(res, 200, "Appointment found", appointmentData);
 });
 /**
@@ -80,20 +96,34 @@ const submitKioskData = asyncHandler(async (req, res) => {
     throw new ApiError("Appointment not found", 404);
   }
 
-  // Check if appointment is for today
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-
-  const appointmentDate = new Date(appointment.appointmentDate);
-  appointmentDate.setHours(0, 0, 0, 0);
-
-  const isToday = appointmentDate.getTime() === today.getTime();
+  // Check if appointment is for today in the facility's timezone
+  const isToday = isAppointmentToday(
+    appointment,
+    await getAppointmentTimezone(appointment)
+  );
 
   // Only allow check-ins for current-day appointments or in development
   if (!isToday && process.env.NODE_ENV === "production") {
     throw new ApiError("Can only check in for current day appointments", 400);
   }
 
+  // Signature flags come from the signed consent records for every form
+  // that has been published, the client's own flags are only used otherwise
+  const consentFlags = getConsentCheckInFlags(
+    await getConsentStatus(appointment)
+  );
+
+  // Answers the patient submitted ahead from the portal are the starting
+  // point; anything entered at the KIOSK takes precedence
+  const preCheckIn = appointment.toObject().preCheckIn || {};
+  const usePreCheckIn = preCheckIn.status === "submitted";
+  const checkInData = usePreCheckIn
+    ? combineCheckInData(appointment, preCheckIn, kioskData)
+    : kioskData;
+  const preCheckInImages = usePreCheckIn
+    ? preCheckIn.images.map((image) => image.url)
+    : [];
+
   // Prepare KIOSK data
   const updates = {
     kioskCheckIn: {
@@ -102,61 +132,20 @@ const submitKioskData = asyncHandler(async (req, res) => {
       hasHIPAASignature: kioskData.hasHIPAASignature || false,
       hasPracticePoliciesSignature:
         kioskData.hasPracticePoliciesSignature || false,
-      hasUploadedPictures: kioskData.hasUploadedPictures || false,
-      uploadedPictureURLs: kioskData.uploadedPictureURLs || [],
+      ...consentFlags,
+      hasUploadedPictures:
+        kioskData.hasUploadedPictures || preCheckInImages.length > 0,
+      uploadedPictureURLs: [
+        ...preCheckInImages,
+        ...(kioskData.uploadedPictureURLs || []),
+      ],
     },
+    ...buildCheckInUpdates(checkInData),
   };
 
-  // Add personal information if provided
-  if (kioskData.personalInfo) {
-    if (kioskData.personalInfo.fullName)
-      updates.patientName = kioskData.personalInfo.fullName;
-    if (kioskData.personalInfo.email)
-      updates.patientEmail = kioskData.personalInfo.email;
-    if (kioskData.personalInfo.phone)
-      updates.patientCellPhone = kioskData.personalInfo.phone;
-
-    // Address updates
-    if (kioskData.personalInfo.address)
-      updates.patientAddressLine1 = kioskData.personalInfo.address;
-    if (kioskData.personalInfo.city)
-      updates.patientCity = kioskData.personalInfo.city;
-    if (kioskData.personalInfo.state)
-      updates.patientState = kioskData.personalInfo.state;
-    if (kioskData.personalInfo.zipcode)
-      updates.patientZIPCode = kioskData.personalInfo.zipcode;
-  }
-
-  // Add insurance information if provided
-  if (kioskData.primaryInsurance) {
-    updates.primaryInsurance = kioskData.primaryInsurance;
-
-    // Also update the basic insurance fields for compatibility
-    if (kioskData.primaryInsurance.name) {
-      updates.primaryInsuranceName = kioskData.primaryInsurance.name;
-    }
-    if (kioskData.primaryInsurance.memberId) {
-      updates.primaryInsuranceSubscriberNo =
-        kioskData.primaryInsurance.memberId;
-    }
-  }
-
-  if (kioskData.secondaryInsurance) {
-    updates.secondaryInsurance = kioskData.secondaryInsurance;
-
-    // Also update the basic insurance fields for compatibility
-    if (kioskData.secondaryInsurance.name) {
-      updates.secondaryInsuranceName = kioskData.secondaryInsurance.name;
-    }
-    if (kioskData.secondaryInsurance.memberId) {
-      updates.secondaryInsuranceSubscriberNo =
-        kioskData.secondaryInsurance.memberId;
-    }
-  }
-
-  // Add medical information if provided
-  if (kioskData.medicalInfo) {
-    updates.medicalInfo = kioskData.medicalInfo;
+  if (usePreCheckIn) {
+    updates["preCheckIn.status"] = "applied";
+    updates["preCheckIn.appliedAt"] = updates.kioskCheckIn.checkedInAt;
   }
 
   // Update appointment
@@ -173,10 +162,26 @@ const submitKioskData = asyncHandler(async (req, res) => {
     logger.warn(`Error updating patient record: ${error.message}`);
   }
 
+  publishAppointmentEvent("checked_in", updatedAppointment, {
+    checkedInAt: updatedAppointment.kioskCheckIn.checkedInAt,
+  });
+
+  const statusChange = advanceStatus(updatedAppointment, "checked_in", {
+    source: "kiosk",
+  });
+  if (statusChange) {
+    await updatedAppointment.save();
+    publishAppointmentEvent("status_changed", updatedAppointment, {
+      field: "status",
+      ...statusChange,
+    });
+  }
+
   return successResponse(res, 200, "Check-in completed successfully", {
     encounterId,
     checkedIn: true,
     checkedInAt: updatedAppointment.kioskCheckIn.checkedInAt,
+    preCheckInApplied: usePreCheckIn,
   });
 });
 
@@ -223,14 +228,187 @@ const uploadPatientImages = asyncHandler(async (req, res) => {
 
   await appointment.save();
 
+  publishAppointmentEvent("images_uploaded", appointment, {
+    images: imageURLs.map((image) => image.type),
+  });
+
   return successResponse(res, 200, "Images uploaded successfully", {
     encounterId,
     uploadedImages: imageURLs,
   });
 });
 
+/**
+ * @desc    Get the consent forms a patient has to sign, rendered for the patient
+ * @route   GET /api/kiosk/consents/:encounterId
+ * @access  Private (front_desk, medical_assistant, practice_admin)
+ */
+const getConsentForms = asyncHandler(async (req, res) => {
+  const { encounterId } = req.params;
+
+  const appointment = await Appointment.findOne({ encounterId });
+
+  if (!appointment) {
+    throw new ApiError("Appointment not found", 404);
+  }
+
+  const consents = await getConsentStatus(appointment);
+
+  return successResponse(res, 200, "Consent forms retrieved successfully", {
+    encounterId,
+    patientAcctNo: appointment.patientAcctNo,
+    pendingRequired: consents.filter((c) => c.required && c.status !== "signed")
+      .length,
+    consents,
+  });
+});
+
+/**
+ * @desc    Sign a consent form with a signature image (multipart "signature"
+ *          file or data URL) or the vector strokes drawn on the KIOSK
+ * @route   POST /api/kiosk/consents/:encounterId/sign
+ * @access  Private (front_desk, medical_assistant, practice_admin)
+ */
+const signConsent = asyncHandler(async (req, res) => {
+  const { encounterId } = req.params;
+  const {
+    documentId,
+    textHash,
+    strokes,
+    signatureImage,
+    width,
+    height,
+    signerName,
+    signerRelationship,
+  } = req.body;
+
+  if (!documentId) {
+    throw new ApiError("Document ID is required", 400);
+  }
+
+  // The signature is tied to the exact text the KIOSK displayed
+  if (!textHash) {
+    throw new ApiError("Hash of the displayed consent text is required", 400);
+  }
+
+  const appointment = await Appointment.findOne({ encounterId });
+
+  if (!appointment) {
+    throw new ApiError("Appointment not found", 404);
+  }
+
+  const document = await ConsentDocument.findById(documentId);
+
+  if (!document || !document.isActive) {
+    throw new ApiError("Consent form not found", 404);
+  }
+
+  // Only the current version of a form can be signed
+  const newerVersion = await ConsentDocument.exists({
+    type: document.type,
+    version: { $gt: document.version },
+    isActive: true,
+  });
+
+  if (newerVersion) {
+    throw new ApiError(
+      "A newer version of this consent form has been published",
+      409
+    );
+  }
+
+  // Make sure the patient signed the text we would render now
+  const text = renderConsentText(document, appointment);
+  const renderedHash = hashConsentText(text);
+
+  if (textHash !== renderedHash) {
+    throw new ApiError(
+      "Consent form text has changed since it was displayed",
+      409
+    );
+  }
+
+  // Build the signature from an uploaded image, a data URL or strokes
+  let signature;
+
+  if (req.file) {
+    signature = {
+      format: "image",
+      image: { contentType: req.file.mimetype, data: req.file.buffer },
+    };
+  } else if (signatureImage) {
+    const image = parseSignatureDataUrl(signatureImage);
+    if (!image) {
+      throw new ApiError("Signature image must be a PNG or JPEG data URL", 400);
+    }
+    signature = { format: "image", image };
+  } else if (strokes) {
+    const parsedStrokes = parseSignatureStrokes(strokes);
+    if (!parsedStrokes) {
+      throw new ApiError(
+        "Signature strokes must be a list of strokes of {x, y} points",
+        400
+      );
+    }
+    signature = { format: "strokes", strokes: parsedStrokes };
+  } else {
+    throw new ApiError("A signature image or strokes are required", 400);
+  }
+
+  if (width) signature.width = Number(width);
+  if (height) signature.height = Number(height);
+
+  const consentSignature = await ConsentSignature.create({
+    patientAcctNo: appointment.patientAcctNo,
+    encounterId,
+    document: document._id,
+    documentType: document.type,
+    documentVersion: document.version,
+    textHash: renderedHash,
+    signature,
+    signerName: signerName || appointment.patientName,
+    signerRelationship,
+    signedAt: new Date(),
+    ipAddress: req.ip,
+    kioskId: req.body.kioskId || req.get("X-Kiosk-Id"),
+    userAgent: req.get("User-Agent"),
+    capturedBy: req.staff && req.staff._id,
+  });
+
+  logger.info(
+    `Consent signed: ${document.type} v${document.version} for patient ${appointment.patientAcctNo}`
+  );
+
+  // Keep the check-in flags in line with the signed records
+  const consents = await getConsentStatus(appointment);
+  const consentFlags = getConsentCheckInFlags(consents);
+
+  if (Object.keys(consentFlags).length > 0) {
+    await Appointment.updateOne(
+      { _id: appointment._id },
+      {
+        $set: Object.entries(consentFlags).reduce((acc, [flag, value]) => {
+          acc[`kioskCheckIn.${flag}`] = value;
+          return acc;
+        }, {}),
+      }
+    );
+  }
+
+  return successResponse(res, 201, "Consent signed successfully", {
+    signatureId: consentSignature._id,
+    documentType: consentSignature.documentType,
+    documentVersion: consentSignature.documentVersion,
+    textHash: consentSignature.textHash,
+    signedAt: consentSignature.signedAt,
+    consents: consents.map(({ text, ...consent }) => consent),
+  });
+});
+
 module.exports = {
   checkAppointment,
   submitKioskData,
   uploadPatientImages,
+  getConsentForms,
+  signConsent,
 };
@@ -0,0 +1,141 @@
+const asyncHandler = require("express-async-handler");
+const NotificationLog = require("../models/notificationLogModel");
+const {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_STATUSES,
+} = require("../utils/notificationTransports");
+const { sendNotification } = require("../utils/notifier");
+const { getDateFilter } = require("../utils/facilityTime");
+const { successResponse, getPaginationInfo } = require("../utils/apiResponse");
+const { ApiError } = require("../middlewares/errorHandler");
+
+/**
+ * @desc    List sent notifications (?status=pending|sent|failed,
+ *          ?channel=sms|email, ?template=, ?patientAcctNo=,
+ *          ?from=&to=YYYY-MM-DD, ?page=, ?limit=)
+ * @route   GET /api/notifications
+ * @access  Private (practice_admin)
+ */
+const getNotifications = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+  const { status, channel, template, patientAcctNo, from, to } = req.query;
+
+  const filter = {};
+
+  if (status) {
+    if (!NOTIFICATION_STATUSES.includes(status)) {
+      throw new ApiError(
+        `Invalid status. Expected one of: ${NOTIFICATION_STATUSES.join(", ")}`,
+        400
+      );
+    }
+    filter.status = status;
+  }
+
+  if (channel) {
+    if (!NOTIFICATION_CHANNELS.includes(channel)) {
+      throw new ApiError(
+        `Invalid channel. Expected one of: ${NOTIFICATION_CHANNELS.join(", ")}`,
+        400
+      );
+    }
+    filter.channel = channel;
+  }
+
+  if (template) filter.template = template;
+  if (patientAcctNo) filter.patientAcctNo = patientAcctNo;
+  if (from) filter.createdAt = getDateFilter(from, to || from);
+
+  const total = await NotificationLog.countDocuments(filter);
+  const notifications = await NotificationLog.find(filter)
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit)
+    .populate("sentBy", "firstName lastName email");
+
+  const paginationInfo = getPaginationInfo(
+    page,
+    limit,
+    total,
+    `${req.protocol}://${req.get("host")}/api/notifications`
+  );
+
+  return successResponse(
+    res,
+    200,
+    "Notifications retrieved successfully",
+    notifications,
+    { pagination: paginationInfo }
+  );
+});
+
+/**
+ * @desc    Get one sent notification
+ * @route   GET /api/notifications/:id
+ * @access  Private (practice_admin)
+ */
+const getNotification = asyncHandler(async (req, res) => {
+  const notification = await NotificationLog.findById(req.params.id)
+    .populate("appointment", "encounterId appointmentDate")
+    .populate("sentBy", "firstName lastName email");
+
+  if (!notification) {
+    throw new ApiError("Notification not found", 404);
+  }
+
+  return successResponse(
+    res,
+    200,
+    "Notification retrieved successfully",
+    notification
+  );
+});
+
+/**
+ * @desc    Send a test message to check a channel's transport ({channel, to});
+ *          responds with the log entry, including the error if it failed
+ * @route   POST /api/notifications/test
+ * @access  Private (practice_admin)
+ */
+const sendTestNotification = asyncHandler(async (req, res) => {
+  const { channel, to } = req.body || {};
+
+  if (!NOTIFICATION_CHANNELS.includes(channel)) {
+    throw new ApiError(
+      `channel must be one of: ${NOTIFICATION_CHANNELS.join(", ")}`,
+      400
+    );
+  }
+
+  if (!to) {
+    throw new ApiError("to is required", 400);
+  }
+
+  const result = await sendNotification({
+    channel,
+    to,
+    template: "test",
+    sentBy: req.staff._id,
+  });
+
+  if (!result.log) {
+    throw new ApiError(result.error, 400);
+  }
+
+  // A failed delivery is recorded in the log, which is returned either way
+  return successResponse(
+    res,
+    200,
+    result.error
+      ? `Test message could not be sent: ${result.error}`
+      : "Test message sent successfully",
+    result.log
+  );
+});
+
+module.exports = {
+  getNotifications,
+  getNotification,
+  sendTestNotification,
+};
@@ -7,6 +7,7 @@ const {
   getPaginationInfo,
 } = require("../utils/apiResponse");
 const { ApiError } = require("../middlewares/errorHandler");
+const { getLocalToday, toAppointmentDate } = require("../utils/facilityTime");
 const logger = require("../config/logger");
 
 /**
@@ -56,9 +57,8 @@ const getPatientAppointments = asyncHandler(async (req, res) => {
   // Build filter
   const filter = { patientAcctNo: acctNo };
 
-  // Filter by date
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+  // Filter by date (today is the practice's current day)
+  const today = toAppointmentDate(getLocalToday());
 
   if (past === "true") {
     // Get past appointments
@@ -127,7 +127,15 @@ const updatePatient = asyncHandler(async (req, res) => {
   }
 
   // Get allowed fields to update
-  const { email, phone, cellPhone, homePhone, workPhone, address } = req.body;
+  const {
+    email,
+    phone,
+    cellPhone,
+    homePhone,
+    workPhone,
+    address,
+    reminderOptOut,
+  } = req.body;
 
   // Update only provided fields
   if (email !== undefined) patient.email = email;
@@ -136,6 +144,15 @@ const updatePatient = asyncHandler(async (req, res) => {
   if (homePhone !== undefined) patient.homePhone = homePhone;
   if (workPhone !== undefined) patient.workPhone = workPhone;
 
+  // Update reminder opt-outs if provided ({sms, email})
+  if (reminderOptOut) {
+    ["sms", "email"].forEach((channel) => {
+      if (reminderOptOut[channel] !== undefined) {
+        patient.reminderOptOut[channel] = Boolean(reminderOptOut[channel]);
+      }
+    });
+  }
+
   // Update address if provided
   if (address) {
     patient.address = {
@@ -174,13 +191,12 @@ const getPatientDashboard = asyncHandler(async (req, res) => {
     throw new ApiError("Patient not found", 404);
   }
 
-  // Get today's date
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+  // Get today's date in the practice timezone
+  const today = toAppointmentDate(getLocalToday());
 
   // Get upcoming appointments (next 30 days)
   const thirtyDaysFromNow = new Date(today);
-  thirtyDaysFromNow.setDate(thirtyDaysFromNow.getDate() + 30);
+  thirtyDaysFromNow.setUTCDate(thirtyDaysFromNow.getUTCDate() + 30);
 
   const upcomingAppointments = await Appointment.find({
     patientAcctNo: acctNo,
@@ -0,0 +1,249 @@
+const fs = require("fs");
+const asyncHandler = require("express-async-handler");
+const Appointment = require("../models/appointmentModel");
+const {
+  CHECK_IN_SECTIONS,
+  mergeCheckInData,
+  pickCheckInData,
+  getCheckInDataOnFile,
+  getPreCheckInError,
+} = require("../utils/preCheckIn");
+const { getAppointmentTimezone } = require("../utils/facilityTime");
+const { successResponse } = require("../utils/apiResponse");
+const { ApiError } = require("../middlewares/errorHandler");
+const logger = require("../config/logger");
+
+/**
+ * Find one of the signed-in patient's appointments, or the one a
+ * pre-check-in link was issued for
+ * @param {Object} req - Request with acctNo and encounterId params, or an
+ *                      appointment link
+ * @returns {Object} - Appointment document
+ */
+const findPatientAppointment = async (req) => {
+  const { acctNo, encounterId } = req.appointmentLink || req.params;
+
+  // Make sure the patient can only access their own appointments
+  if (req.patient && req.patient.acctNo !== acctNo) {
+    throw new ApiError("Not authorized to access this appointment", 403);
+  }
+
+  const appointment = await Appointment.findOne({
+    encounterId,
+    patientAcctNo: acctNo,
+  });
+
+  if (!appointment) {
+    throw new ApiError("Appointment not found", 404);
+  }
+
+  return appointment;
+};
+
+/**
+ * Make sure an appointment still takes pre-check-in
+ * @param {Object} appointment - Appointment document
+ */
+const assertPreCheckInOpen = async (appointment) => {
+  const reason = getPreCheckInError(
+    appointment,
+    await getAppointmentTimezone(appointment)
+  );
+
+  if (reason) {
+    throw new ApiError(`Pre-check-in is closed: ${reason}`, 409);
+  }
+};
+
+/**
+ * Merge answers from a request body into the stored pre-check-in
+ * @param {Object} appointment - Appointment document
+ * @param {Object} body - Request body
+ */
+const saveAnswers = (appointment, body) => {
+  const now = new Date();
+  const stored = appointment.toObject().preCheckIn || {};
+  const merged = mergeCheckInData(
+    pickCheckInData(stored),
+    pickCheckInData(body)
+  );
+
+  CHECK_IN_SECTIONS.forEach((section) => {
+    if (merged[section])
+      appointment.set(`preCheckIn.${section}`, merged[section]);
+  });
+
+  if (!stored.status) {
+    appointment.set("preCheckIn.status", "draft");
+    appointment.set("preCheckIn.startedAt", now);
+  }
+  appointment.set("preCheckIn.savedAt", now);
+};
+
+/**
+ * Pre-check-in as returned to the portal
+ * @param {Object} appointment - Appointment document
+ * @param {string} closedReason - Why pre-check-in is closed, if it is
+ * @returns {Object}
+ */
+const formatPreCheckIn = (appointment, closedReason = null) => {
+  const preCheckIn = appointment.toObject().preCheckIn || {};
+
+  return {
+    encounterId: appointment.encounterId,
+    appointmentDate: appointment.appointmentDate,
+    scheduledStart: appointment.scheduledStart,
+    facility: appointment.appointmentFacilityName,
+    provider: appointment.appointmentProviderName,
+    open: !closedReason,
+    closedReason,
+    status: preCheckIn.status || null,
+    answers: pickCheckInData(preCheckIn),
+    images: preCheckIn.images || [],
+    onFile: getCheckInDataOnFile(appointment),
+    savedAt: preCheckIn.savedAt,
+    submittedAt: preCheckIn.submittedAt,
+    appliedAt: preCheckIn.appliedAt,
+  };
+};
+
+/**
+ * @desc    Get pre-check-in for an appointment, with the answers saved so
+ *          far and what is already on file
+ * @route   GET /api/patients/:acctNo/appointments/:encounterId/precheckin
+ * @route   GET /api/pre-check-in?token=
+ * @access  Private (requires JWT auth or a pre-check-in link)
+ */
+const getPreCheckIn = asyncHandler(async (req, res) => {
+  const appointment = await findPatientAppointment(req);
+  const closedReason = getPreCheckInError(
+    appointment,
+    await getAppointmentTimezone(appointment)
+  );
+
+  return successResponse(
+    res,
+    200,
+    "Pre-check-in retrieved successfully",
+    formatPreCheckIn(appointment, closedReason)
+  );
+});
+
+/**
+ * @desc    Save pre-check-in answers as a draft (any of personalInfo,
+ *          primaryInsurance, secondaryInsurance, medicalInfo; merged with
+ *          the answers saved before)
+ * @route   PUT /api/patients/:acctNo/appointments/:encounterId/precheckin
+ * @route   PUT /api/pre-check-in?token=
+ * @access  Private (requires JWT auth or a pre-check-in link)
+ */
+const savePreCheckIn = asyncHandler(async (req, res) => {
+  const appointment = await findPatientAppointment(req);
+  await assertPreCheckInOpen(appointment);
+
+  saveAnswers(appointment, req.body || {});
+  await appointment.save();
+
+  return successResponse(
+    res,
+    200,
+    "Pre-check-in saved successfully",
+    formatPreCheckIn(appointment)
+  );
+});
+
+/**
+ * @desc    Submit pre-check-in (optionally with final answers) so the KIOSK
+ *          only has to confirm arrival
+ * @route   POST /api/patients/:acctNo/appointments/:encounterId/precheckin/submit
+ * @route   POST /api/pre-check-in/submit?token=
+ * @access  Private (requires JWT auth or a pre-check-in link)
+ */
+const submitPreCheckIn = asyncHandler(async (req, res) => {
+  const appointment = await findPatientAppointment(req);
+  await assertPreCheckInOpen(appointment);
+
+  saveAnswers(appointment, req.body || {});
+
+  const preCheckIn = appointment.toObject().preCheckIn;
+  if (
+    Object.keys(pickCheckInData(preCheckIn)).length === 0 &&
+    !preCheckIn.images?.length
+  ) {
+    throw new ApiError(
+      "Nothing to submit, answer the questionnaire first",
+      400
+    );
+  }
+
+  appointment.set("preCheckIn.status", "submitted");
+  appointment.set("preCheckIn.submittedAt", new Date());
+  await appointment.save();
+
+  logger.info(
+    `Pre-check-in submitted for appointment ${appointment.encounterId}`
+  );
+
+  return successResponse(
+    res,
+    200,
+    "Pre-check-in submitted successfully",
+    formatPreCheckIn(appointment)
+  );
+});
+
+/**
+ * @desc    Upload pre-check-in images (photo, id, insurance card front and
+ *          back); a new image replaces the earlier ones of the same type
+ * @route   POST /api/patients/:acctNo/appointments/:encounterId/precheckin/images
+ * @route   POST /api/pre-check-in/images?token=
+ * @access  Private (requires JWT auth or a pre-check-in link)
+ */
+const uploadPreCheckInImages = asyncHandler(async (req, res) => {
+  const files = Object.values(req.files || {}).flat();
+
+  if (files.length === 0) {
+    throw new ApiError("No files uploaded", 400);
+  }
+
+  try {
+    const appointment = await findPatientAppointment(req);
+    await assertPreCheckInOpen(appointment);
+
+    const uploadedAt = new Date();
+    const images = files.map((file) => ({
+      type: file.fieldname,
+      url: `/uploads/patients/${appointment.patientAcctNo}/${file.filename}`,
+      uploadedAt,
+    }));
+    const replaced = new Set(images.map((image) => image.type));
+
+    saveAnswers(appointment, {});
+    appointment.set("preCheckIn.images", [
+      ...(appointment.toObject().preCheckIn.images || []).filter(
+        (image) => !replaced.has(image.type)
+      ),
+      ...images,
+    ]);
+    await appointment.save();
+
+    return successResponse(res, 200, "Images uploaded successfully", {
+      encounterId: appointment.encounterId,
+      uploadedImages: images,
+      images: appointment.preCheckIn.images,
+    });
+  } catch (error) {
+    // Don't keep files for a rejected upload
+    await Promise.all(
+      files.map((file) => fs.promises.unlink(file.path).catch(() => {}))
+    );
+    throw error;
+  }
+});
+
+module.exports = {
+  getPreCheckIn,
+  savePreCheckIn,
+  submitPreCheckIn,
+  uploadPreCheckInImages,
+};
@@ -0,0 +1,339 @@
+const crypto = require("crypto");
+const asyncHandler = require("express-async-handler");
+const Appointment = require("../models/appointmentModel");
+const ReminderCampaign = require("../models/reminderCampaignModel");
+const SmsOptOut = require("../models/smsOptOutModel");
+const {
+  REMINDABLE_STATUSES,
+  normalizePhone,
+  parseReply,
+  formatAppointmentTime,
+  applyReminderResponse,
+} = require("../utils/reminders");
+const { verifyAppointmentToken } = require("../utils/appointmentLinks");
+const { sendNotification } = require("../utils/notifier");
+const { publishAppointmentEvent } = require("../utils/flowBoard");
+const { successResponse } = require("../utils/apiResponse");
+const { ApiError } = require("../middlewares/errorHandler");
+const logger = require("../config/logger");
+
+// Campaign settings that can be set through the API
+const EDITABLE_FIELDS = [
+  "name",
+  "offsets",
+  "channels",
+  "facilityName",
+  "isActive",
+];
+
+/**
+ * Pick the editable settings from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} - Campaign settings
+ */
+const pickCampaignSettings = (body = {}) =>
+  EDITABLE_FIELDS.reduce((acc, key) => {
+    if (body[key] !== undefined) acc[key] = body[key];
+    return acc;
+  }, {});
+
+/**
+ * Summary of an appointment for the patient answering a reminder
+ * @param {Object} appointment - Appointment document
+ * @returns {Object}
+ */
+const summarizeAppointment = (appointment) => ({
+  encounterId: appointment.encounterId,
+  when: formatAppointmentTime(appointment),
+  scheduledStart: appointment.scheduledStart,
+  facility: appointment.appointmentFacilityName,
+  provider: appointment.appointmentProviderName,
+  status: appointment.status,
+  reminderResponse: appointment.reminderResponse,
+});
+
+/**
+ * Save a patient's answer to a reminder and tell the flow board
+ * @param {Object} appointment - Appointment document
+ * @param {string} action - confirm or cancel
+ * @param {string} via - sms or link
+ */
+const saveReminderResponse = async (appointment, action, via) => {
+  const result = applyReminderResponse(appointment, action, { via });
+
+  if (result.error) {
+    throw new ApiError(result.error, 409);
+  }
+
+  await appointment.save();
+
+  logger.info(
+    `Appointment ${appointment.encounterId} ${action} by the patient (${via})`
+  );
+
+  if (result.statusChange) {
+    publishAppointmentEvent("status_changed", appointment, {
+      field: "status",
+      ...result.statusChange,
+    });
+  }
+};
+
+/**
+ * Find the appointment a signed link is for
+ * @param {string} token - Link token
+ * @returns {Object} - Appointment document
+ */
+const findLinkedAppointment = async (token) => {
+  const link = verifyAppointmentToken(token, "respond");
+
+  if (link.error) {
+    throw new ApiError(link.error, 401);
+  }
+
+  const appointment = await Appointment.findOne({
+    encounterId: link.encounterId,
+  });
+
+  if (!appointment) {
+    throw new ApiError("Appointment not found", 404);
+  }
+
+  return appointment;
+};
+
+/**
+ * @desc    Get reminder campaigns
+ * @route   GET /api/reminders/campaigns
+ * @access  Private (practice_admin)
+ */
+const getReminderCampaigns = asyncHandler(async (req, res) => {
+  const campaigns = await ReminderCampaign.find()
+    .sort({ name: 1 })
+    .populate("createdBy", "firstName lastName email");
+
+  return successResponse(
+    res,
+    200,
+    "Reminder campaigns retrieved successfully",
+    campaigns
+  );
+});
+
+/**
+ * @desc    Create a reminder campaign
+ * @route   POST /api/reminders/campaigns
+ * @access  Private (practice_admin)
+ */
+const createReminderCampaign = asyncHandler(async (req, res) => {
+  const campaign = await ReminderCampaign.create({
+    ...pickCampaignSettings(req.body),
+    createdBy: req.staff._id,
+  });
+
+  logger.info(
+    `Reminder campaign created: ${campaign.name} (${campaign.offsets.join(", ")}h)`
+  );
+
+  return successResponse(
+    res,
+    201,
+    "Reminder campaign created successfully",
+    campaign
+  );
+});
+
+/**
+ * @desc    Update a reminder campaign
+ * @route   PATCH /api/reminders/campaigns/:id
+ * @access  Private (practice_admin)
+ */
+const updateReminderCampaign = asyncHandler(async (req, res) => {
+  const campaign = await ReminderCampaign.findById(req.params.id);
+
+  if (!campaign) {
+    throw new ApiError("Reminder campaign not found", 404);
+  }
+
+  campaign.set(pickCampaignSettings(req.body));
+  await campaign.save();
+
+  return successResponse(
+    res,
+    200,
+    "Reminder campaign updated successfully",
+    campaign
+  );
+});
+
+/**
+ * @desc    Delete a reminder campaign
+ * @route   DELETE /api/reminders/campaigns/:id
+ * @access  Private (practice_admin)
+ */
+const deleteReminderCampaign = asyncHandler(async (req, res) => {
+  const campaign = await ReminderCampaign.findById(req.params.id);
+
+  if (!campaign) {
+    throw new ApiError("Reminder campaign not found", 404);
+  }
+
+  await campaign.deleteOne();
+
+  logger.info(`Reminder campaign deleted: ${campaign.name}`);
+
+  return successResponse(res, 200, "Reminder campaign deleted successfully", {
+    id: campaign._id,
+    name: campaign.name,
+  });
+});
+
+/**
+ * @desc    Get the appointment a reminder link is for (?token=)
+ * @route   GET /api/reminders/respond
+ * @access  Public (signed link)
+ */
+const getReminderResponse = asyncHandler(async (req, res) => {
+  const appointment = await findLinkedAppointment(req.query.token);
+
+  return successResponse(
+    res,
+    200,
+    "Appointment retrieved successfully",
+    summarizeAppointment(appointment)
+  );
+});
+
+/**
+ * @desc    Confirm or cancel an appointment from a reminder link
+ *          ({token, action: confirm|cancel})
+ * @route   POST /api/reminders/respond
+ * @access  Public (signed link)
+ */
+const respondToReminder = asyncHandler(async (req, res) => {
+  const { token, action } = req.body || {};
+  const appointment = await findLinkedAppointment(token);
+
+  await saveReminderResponse(appointment, action, "link");
+
+  return successResponse(
+    res,
+    200,
+    action === "confirm"
+      ? "Appointment confirmed successfully"
+      : "Appointment cancelled successfully",
+    summarizeAppointment(appointment)
+  );
+});
+
+/**
+ * Compare a webhook secret in constant time
+ * @param {string} provided - Secret sent with the request
+ * @param {string} secret - Configured secret
+ * @returns {boolean}
+ */
+const isWebhookSecret = (provided, secret) => {
+  // Hash both so they have the same length for timingSafeEqual
+  const hash = (value) =>
+    crypto.createHash("sha256").update(String(value)).digest();
+
+  return !!provided && crypto.timingSafeEqual(hash(provided), hash(secret));
+};
+
+/**
+ * @desc    Receive an SMS reply from the SMS provider ({from, body});
+ *          C confirms, X cancels, STOP and START change the opt-out
+ * @route   POST /api/reminders/sms-reply
+ * @access  Public (SMS_WEBHOOK_SECRET in X-Webhook-Secret)
+ */
+const receiveSmsReply = asyncHandler(async (req, res) => {
+  const secret = process.env.SMS_WEBHOOK_SECRET;
+
+  if (!secret) {
+    throw new ApiError("SMS replies are not configured", 503);
+  }
+
+  if (!isWebhookSecret(req.get("x-webhook-secret"), secret)) {
+    throw new ApiError("Invalid webhook secret", 401);
+  }
+
+  // Accept both {from, body} and Twilio-style {From, Body}
+  const from = req.body.from || req.body.From;
+  const text = req.body.body || req.body.Body || req.body.text;
+  const phone = normalizePhone(from);
+
+  if (!phone) {
+    throw new ApiError("from must be a phone number", 400);
+  }
+
+  const action = parseReply(text);
+
+  if (!action) {
+    return successResponse(res, 200, "Reply not recognized", {
+      action: null,
+    });
+  }
+
+  if (action === "opt_out" || action === "opt_in") {
+    // The opt-out belongs to the number, so it covers everyone sharing it
+    if (action === "opt_out") {
+      await SmsOptOut.updateOne(
+        { phone },
+        { $setOnInsert: { phone, optedOutAt: new Date() } },
+        { upsert: true }
+      );
+    } else {
+      await SmsOptOut.deleteOne({ phone });
+    }
+
+    logger.info(
+      `Phone number ending ${phone.slice(-4)} ${
+        action === "opt_out" ? "opted out of" : "opted back in to"
+      } SMS reminders`
+    );
+
+    return successResponse(res, 200, "SMS preference updated successfully", {
+      action,
+      phone,
+    });
+  }
+
+  // Confirm or cancel the next visit this number was reminded of
+  const appointment = await Appointment.findOne({
+    reminders: {
+      $elemMatch: { channel: "sms", recipient: phone, status: "sent" },
+    },
+    scheduledStart: { $gt: new Date() },
+    status: { $in: REMINDABLE_STATUSES },
+  }).sort({ scheduledStart: 1 });
+
+  if (!appointment) {
+    throw new ApiError("No upcoming appointment for this number", 404);
+  }
+
+  await saveReminderResponse(appointment, action, "sms");
+
+  await sendNotification({
+    channel: "sms",
+    to: from,
+    template: "reminder_response",
+    data: { action, when: formatAppointmentTime(appointment) },
+    patientAcctNo: appointment.patientAcctNo,
+    appointment: appointment._id,
+  });
+
+  return successResponse(res, 200, "Reply applied successfully", {
+    action,
+    ...summarizeAppointment(appointment),
+  });
+});
+
+module.exports = {
+  getReminderCampaigns,
+  createReminderCampaign,
+  updateReminderCampaign,
+  deleteReminderCampaign,
+  getReminderResponse,
+  respondToReminder,
+  receiveSmsReply,
+};
@@ -0,0 +1,327 @@
+const fs = require("fs");
+const asyncHandler = require("express-async-handler");
+const moment = require("moment");
+const ReportSchedule = require("../models/reportScheduleModel");
+const ReportArchive = require("../models/reportArchiveModel");
+const {
+  REPORT_TYPES,
+  REPORT_RANGES,
+  getReportRange,
+  buildReport,
+} = require("../utils/reports");
+const { REPORT_FORMATS, writeReport } = require("../utils/reportWriter");
+const { getLocalToday } = require("../utils/facilityTime");
+const { enqueueJob } = require("../jobs/jobQueue");
+const { REPORT_JOB, archiveReport } = require("../jobs/reportJob");
+const { successResponse, getPaginationInfo } = require("../utils/apiResponse");
+const { ApiError } = require("../middlewares/errorHandler");
+const logger = require("../config/logger");
+
+// Schedule settings that can be set through the API
+const EDITABLE_FIELDS = ["name", "type", "format", "cron", "range", "isActive"];
+
+/**
+ * Pick the editable settings from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} - Schedule settings
+ */
+const pickScheduleSettings = (body = {}) =>
+  EDITABLE_FIELDS.reduce((acc, key) => {
+    if (body[key] !== undefined) acc[key] = body[key];
+    return acc;
+  }, {});
+
+/**
+ * @desc    List the available reports, formats and schedule ranges
+ * @route   GET /api/reports/types
+ * @access  Private (practice_admin)
+ */
+const getReportTypes = asyncHandler(async (req, res) => {
+  return successResponse(res, 200, "Report types retrieved successfully", {
+    types: Object.entries(REPORT_TYPES).map(([type, { title, columns }]) => ({
+      type,
+      title,
+      columns,
+    })),
+    formats: Object.keys(REPORT_FORMATS),
+    ranges: Object.keys(REPORT_RANGES),
+  });
+});
+
+/**
+ * @desc    Generate a report on demand (?from=&to=YYYY-MM-DD, default today;
+ *          ?format=json|csv|xlsx|pdf, default json; ?archive=true also
+ *          stores the file in the report archive)
+ * @route   GET /api/reports/:type
+ * @access  Private (practice_admin)
+ */
+const getReport = asyncHandler(async (req, res) => {
+  const { type } = req.params;
+  const format = req.query.format || "json";
+
+  if (!REPORT_TYPES[type]) {
+    throw new ApiError(
+      `Unknown report: ${type}. Expected one of: ${Object.keys(REPORT_TYPES).join(", ")}`,
+      404
+    );
+  }
+
+  if (format !== "json" && !REPORT_FORMATS[format]) {
+    throw new ApiError(
+      `Invalid format: ${format}. Expected json, ${Object.keys(REPORT_FORMATS).join(", ")}`,
+      400
+    );
+  }
+
+  // Default to today (appointment dates are calendar dates at UTC midnight)
+  const today = getLocalToday();
+  const from = moment.utc(req.query.from || today, "YYYY-MM-DD", true);
+  const to = moment.utc(
+    req.query.to || req.query.from || today,
+    "YYYY-MM-DD",
+    true
+  );
+
+  if (!from.isValid() || !to.isValid() || to.isBefore(from)) {
+    throw new ApiError(
+      "from and to must be dates (YYYY-MM-DD), from first",
+      400
+    );
+  }
+
+  const report = await buildReport(type, {
+    from: from.startOf("day").toDate(),
+    to: to.endOf("day").toDate(),
+  });
+
+  if (format === "json") {
+    return successResponse(
+      res,
+      200,
+      "Report generated successfully",
+      report.rows,
+      {
+        type,
+        title: report.title,
+        from: report.from,
+        to: report.to,
+        columns: report.columns,
+      }
+    );
+  }
+
+  if (req.query.archive === "true") {
+    await archiveReport(report, format, { generatedBy: req.staff._id });
+  }
+
+  const { buffer, contentType, fileName } = await writeReport(report, format);
+
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+  return res.status(200).send(buffer);
+});
+
+/**
+ * @desc    List archived reports (?type=, ?page=, ?limit=)
+ * @route   GET /api/reports/archive
+ * @access  Private (practice_admin)
+ */
+const getReportArchive = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+
+  const filter = {};
+  if (req.query.type) filter.type = req.query.type;
+
+  const total = await ReportArchive.countDocuments(filter);
+  const reports = await ReportArchive.find(filter)
+    .select("-filePath")
+    .sort({ createdAt: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit)
+    .populate("schedule", "name")
+    .populate("generatedBy", "firstName lastName email");
+
+  const paginationInfo = getPaginationInfo(
+    page,
+    limit,
+    total,
+    `${req.protocol}://${req.get("host")}/api/reports/archive`
+  );
+
+  return successResponse(
+    res,
+    200,
+    "Archived reports retrieved successfully",
+    reports,
+    { pagination: paginationInfo }
+  );
+});
+
+/**
+ * @desc    Download an archived report
+ * @route   GET /api/reports/archive/:id/download
+ * @access  Private (practice_admin)
+ */
+const downloadArchivedReport = asyncHandler(async (req, res) => {
+  const archive = await ReportArchive.findById(req.params.id);
+
+  if (!archive || !fs.existsSync(archive.filePath)) {
+    throw new ApiError("Archived report not found", 404);
+  }
+
+  res.setHeader("Content-Type", archive.contentType);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${archive.fileName}"`
+  );
+  return fs.createReadStream(archive.filePath).pipe(res);
+});
+
+/**
+ * @desc    Delete an archived report and its file
+ * @route   DELETE /api/reports/archive/:id
+ * @access  Private (practice_admin)
+ */
+const deleteArchivedReport = asyncHandler(async (req, res) => {
+  const archive = await ReportArchive.findById(req.params.id);
+
+  if (!archive) {
+    throw new ApiError("Archived report not found", 404);
+  }
+
+  await fs.promises.rm(archive.filePath, { force: true });
+  await archive.deleteOne();
+
+  return successResponse(res, 200, "Archived report deleted successfully", {
+    id: archive._id,
+    fileName: archive.fileName,
+  });
+});
+
+/**
+ * @desc    List report schedules
+ * @route   GET /api/reports/schedules
+ * @access  Private (practice_admin)
+ */
+const getReportSchedules = asyncHandler(async (req, res) => {
+  const schedules = await ReportSchedule.find().sort({ name: 1 });
+
+  return successResponse(
+    res,
+    200,
+    "Report schedules retrieved successfully",
+    schedules
+  );
+});
+
+/**
+ * @desc    Create a report schedule
+ * @route   POST /api/reports/schedules
+ * @access  Private (practice_admin)
+ */
+const createReportSchedule = asyncHandler(async (req, res) => {
+  const schedule = await ReportSchedule.create({
+    ...pickScheduleSettings(req.body),
+    createdBy: req.staff._id,
+  });
+
+  logger.info(`Report schedule created: ${schedule.name} (${schedule.cron})`);
+
+  return successResponse(
+    res,
+    201,
+    "Report schedule created successfully",
+    schedule
+  );
+});
+
+/**
+ * @desc    Update a report schedule
+ * @route   PATCH /api/reports/schedules/:id
+ * @access  Private (practice_admin)
+ */
+const updateReportSchedule = asyncHandler(async (req, res) => {
+  const schedule = await ReportSchedule.findById(req.params.id);
+
+  if (!schedule) {
+    throw new ApiError("Report schedule not found", 404);
+  }
+
+  schedule.set(pickScheduleSettings(req.body));
+  await schedule.save();
+
+  return successResponse(
+    res,
+    200,
+    "Report schedule updated successfully",
+    schedule
+  );
+});
+
+/**
+ * @desc    Delete a report schedule (its archived reports are kept)
+ * @route   DELETE /api/reports/schedules/:id
+ * @access  Private (practice_admin)
+ */
+const deleteReportSchedule = asyncHandler(async (req, res) => {
+  const schedule = await ReportSchedule.findById(req.params.id);
+
+  if (!schedule) {
+    throw new ApiError("Report schedule not found", 404);
+  }
+
+  await schedule.deleteOne();
+
+  logger.info(`Report schedule deleted: ${schedule.name}`);
+
+  return successResponse(res, 200, "Report schedule deleted successfully", {
+    id: schedule._id,
+    name: schedule.name,
+  });
+});
+
+/**
+ * @desc    Run a report schedule now (in the background)
+ * @route   POST /api/reports/schedules/:id/run
+ * @access  Private (practice_admin)
+ */
+const runReportSchedule = asyncHandler(async (req, res) => {
+  const schedule = await ReportSchedule.findById(req.params.id);
+
+  if (!schedule) {
+    throw new ApiError("Report schedule not found", 404);
+  }
+
+  const { from, to } = getReportRange(schedule.range);
+  const job = await enqueueJob(
+    REPORT_JOB,
+    {
+      type: schedule.type,
+      format: schedule.format,
+      from,
+      to,
+      scheduleId: schedule._id,
+      generatedBy: req.staff._id,
+    },
+    { createdBy: req.staff._id }
+  );
+
+  return successResponse(res, 202, "Report queued", {
+    jobId: job._id,
+    statusUrl: `/api/jobs/${job._id}`,
+  });
+});
+
+module.exports = {
+  getReportTypes,
+  getReport,
+  getReportArchive,
+  downloadArchivedReport,
+  deleteArchivedReport,
+  getReportSchedules,
+  createReportSchedule,
+  updateReportSchedule,
+  deleteReportSchedule,
+  runReportSchedule,
+};
@@ -0,0 +1,150 @@
+const asyncHandler = require("express-async-handler");
+const Staff = require("../models/staffModel");
+const { successResponse } = require("../utils/apiResponse");
+const { generateStaffToken } = require("../middlewares/auth");
+const { ApiError } = require("../middlewares/errorHandler");
+const logger = require("../config/logger");
+
+// Roles that only a super admin may grant
+const PRIVILEGED_ROLES = ["practice_admin", "super_admin"];
+
+/**
+ * @desc    Log in a staff member with email and password
+ * @route   POST /api/staff/login
+ * @access  Public
+ */
+const loginStaff = asyncHandler(async (req, res) => {
+  const { email, password } = req.body || {};
+
+  // Validate required fields
+  if (!email || !password) {
+    throw new ApiError("Email and password are required", 400);
+  }
+
+  if (typeof email !== "string" || typeof password !== "string") {
+    throw new ApiError("Email and password must be strings", 400);
+  }
+
+  const staff = await Staff.findOne({ email: email.toLowerCase() }).select(
+    "+password"
+  );
+
+  if (!staff || !staff.isActive || !(await staff.matchPassword(password))) {
+    logger.warn(`Failed staff login attempt for ${email}`);
+    throw new ApiError("Invalid email or password", 401);
+  }
+
+  staff.lastLogin = new Date();
+  await staff.save();
+
+  const token = generateStaffToken(staff);
+
+  return successResponse(res, 200, "Login successful", {
+    staff,
+    token,
+  });
+});
+
+/**
+ * @desc    Get current staff profile
+ * @route   GET /api/staff/me
+ * @access  Private (staff)
+ */
+const getStaffProfile = asyncHandler(async (req, res) => {
+  // Staff member is already attached to request by auth middlewares
+  return successResponse(res, 200, "Profile retrieved successfully", req.staff);
+});
+
+/**
+ * @desc    Get all staff members
+ * @route   GET /api/staff
+ * @access  Private (practice_admin)
+ */
+const getStaffMembers = asyncHandler(async (req, res) => {
+  const { role, active } = req.query;
+
+  const filter = {};
+  if (role) filter.role = role;
+  if (active !== undefined) filter.isActive = active === "true";
+
+  const staff = await Staff.find(filter).sort({ lastName: 1, firstName: 1 });
+
+  return successResponse(
+    res,
+    200,
+    "Staff members retrieved successfully",
+    staff
+  );
+});
+
+/**
+ * @desc    Create a staff account
+ * @route   POST /api/staff
+ * @access  Private (practice_admin)
+ */
+const createStaff = asyncHandler(async (req, res) => {
+  const { email, password, firstName, lastName, role, npi } = req.body;
+
+  if (!email || !password || !role) {
+    throw new ApiError("Email, password and role are required", 400);
+  }
+
+  if (PRIVILEGED_ROLES.includes(role) && req.staff.role !== "super_admin") {
+    throw new ApiError("Only a super admin can create admin accounts", 403);
+  }
+
+  const staff = await Staff.create({
+    email,
+    password,
+    firstName,
+    lastName,
+    role,
+    npi,
+  });
+
+  logger.info(`Staff account created: ${staff.email} (${staff.role})`);
+
+  return successResponse(res, 201, "Staff account created successfully", staff);
+});
+
+/**
+ * @desc    Update a staff account (role, details, activation, password)
+ * @route   PATCH /api/staff/:id
+ * @access  Private (practice_admin)
+ */
+const updateStaff = asyncHandler(async (req, res) => {
+  const staff = await Staff.findById(req.params.id);
+
+  if (!staff) {
+    throw new ApiError("Staff member not found", 404);
+  }
+
+  const { firstName, lastName, role, npi, isActive, password } = req.body;
+
+  // Only super admins may touch admin accounts or grant admin roles
+  if (
+    req.staff.role !== "super_admin" &&
+    (PRIVILEGED_ROLES.includes(staff.role) || PRIVILEGED_ROLES.includes(role))
+  ) {
+    throw new ApiError("Only a super admin can manage admin accounts", 403);
+  }
+
+  if (firstName !== undefined) staff.firstName = firstName;
+  if (lastName !== undefined) staff.lastName = lastName;
+  if (role !== undefined) staff.role = role;
+  if (npi !== undefined) staff.npi = npi;
+  if (isActive !== undefined) staff.isActive = isActive;
+  if (password) staff.password = password;
+
+  await staff.save();
+
+  return successResponse(res, 200, "Staff account updated successfully", staff);
+});
+
+module.exports = {
+  loginStaff,
+  getStaffProfile,
+  getStaffMembers,
+  createStaff,
+  updateStaff,
+};
@@ -0,0 +1,292 @@
+const asyncHandler = require("express-async-handler");
+const Appointment = require("../models/appointmentModel");
+const VisitWorkflow = require("../models/visitWorkflowModel");
+const {
+  getWorkflowForFacility,
+  getNextStages,
+  applyStageAction,
+  calculateStageDurations,
+  applyStageDurations,
+} = require("../utils/visitWorkflow");
+const { publishAppointmentEvent } = require("../utils/flowBoard");
+const { successResponse } = require("../utils/apiResponse");
+const { ApiError } = require("../middlewares/errorHandler");
+const logger = require("../config/logger");
+
+// Workflow settings that can be set through the API
+const EDITABLE_FIELDS = [
+  "facilityName",
+  "name",
+  "stages",
+  "transitions",
+  "isActive",
+];
+
+/**
+ * Pick the editable settings from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} - Workflow settings
+ */
+const pickWorkflowSettings = (body = {}) =>
+  EDITABLE_FIELDS.reduce((acc, key) => {
+    if (body[key] !== undefined) acc[key] = body[key];
+    return acc;
+  }, {});
+
+/**
+ * Build the stage summary returned by the stage endpoints
+ * @param {Object} appointment - Appointment document
+ * @param {Object} workflow - VisitWorkflow for the appointment's facility
+ * @returns {Object} - Current stage, the stages that can follow and durations
+ */
+const getStageSummary = (appointment, workflow) => {
+  const visitTimes = appointment.visitTimes || {};
+  const nextStages = visitTimes.completedAt
+    ? []
+    : getNextStages(workflow, visitTimes.currentStage);
+
+  return {
+    encounterId: appointment.encounterId,
+    workflow: workflow.name,
+    stages: workflow.stages,
+    currentStage: visitTimes.currentStage || null,
+    completedAt: visitTimes.completedAt || null,
+    nextStages,
+    skippableStages: nextStages.filter(
+      (key) => workflow.stages.find((stage) => stage.key === key).optional
+    ),
+    stageEvents: visitTimes.stageEvents || [],
+    ...calculateStageDurations(visitTimes.stageEvents, workflow),
+  };
+};
+
+/**
+ * @desc    Get all visit workflows
+ * @route   GET /api/workflows
+ * @access  Private (staff)
+ */
+const getWorkflows = asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.active !== undefined) {
+    filter.isActive = req.query.active === "true";
+  }
+
+  const workflows = await VisitWorkflow.find(filter).sort({ facilityName: 1 });
+
+  return successResponse(
+    res,
+    200,
+    "Visit workflows retrieved successfully",
+    workflows
+  );
+});
+
+/**
+ * @desc    Get a visit workflow
+ * @route   GET /api/workflows/:id
+ * @access  Private (staff)
+ */
+const getWorkflow = asyncHandler(async (req, res) => {
+  const workflow = await VisitWorkflow.findById(req.params.id);
+
+  if (!workflow) {
+    throw new ApiError("Visit workflow not found", 404);
+  }
+
+  return successResponse(
+    res,
+    200,
+    "Visit workflow retrieved successfully",
+    workflow
+  );
+});
+
+/**
+ * @desc    Create a visit workflow for a facility (no facility: practice default)
+ * @route   POST /api/workflows
+ * @access  Private (practice_admin)
+ */
+const createWorkflow = asyncHandler(async (req, res) => {
+  const settings = pickWorkflowSettings(req.body);
+
+  if (!settings.name || !Array.isArray(settings.stages)) {
+    throw new ApiError("Workflow name and stages are required", 400);
+  }
+
+  const workflow = await VisitWorkflow.create({
+    ...settings,
+    createdBy: req.staff._id,
+  });
+
+  logger.info(
+    `Visit workflow created: ${workflow.name} (${workflow.facilityName || "default"})`
+  );
+
+  return successResponse(
+    res,
+    201,
+    "Visit workflow created successfully",
+    workflow
+  );
+});
+
+/**
+ * @desc    Update a visit workflow
+ * @route   PATCH /api/workflows/:id
+ * @access  Private (practice_admin)
+ */
+const updateWorkflow = asyncHandler(async (req, res) => {
+  const workflow = await VisitWorkflow.findById(req.params.id);
+
+  if (!workflow) {
+    throw new ApiError("Visit workflow not found", 404);
+  }
+
+  workflow.set(pickWorkflowSettings(req.body));
+  await workflow.save();
+
+  return successResponse(
+    res,
+    200,
+    "Visit workflow updated successfully",
+    workflow
+  );
+});
+
+/**
+ * @desc    Delete a visit workflow (its facility falls back to the default)
+ * @route   DELETE /api/workflows/:id
+ * @access  Private (practice_admin)
+ */
+const deleteWorkflow = asyncHandler(async (req, res) => {
+  const workflow = await VisitWorkflow.findById(req.params.id);
+
+  if (!workflow) {
+    throw new ApiError("Visit workflow not found", 404);
+  }
+
+  await workflow.deleteOne();
+
+  logger.info(`Visit workflow deleted: ${workflow.name}`);
+
+  return successResponse(res, 200, "Visit workflow deleted successfully", {
+    id: workflow._id,
+    name: workflow.name,
+  });
+});
+
+/**
+ * @desc    Get the current stage of a visit, the stages that can follow
+ *          and the time spent in each stage
+ * @route   GET /api/appointments/:encounterId/stage
+ * @access  Private (staff)
+ */
+const getAppointmentStage = asyncHandler(async (req, res) => {
+  const appointment = await Appointment.findOne({
+    encounterId: req.params.encounterId,
+  });
+
+  if (!appointment) {
+    throw new ApiError("Appointment not found", 404);
+  }
+
+  const workflow = await getWorkflowForFacility(
+    appointment.appointmentFacilityName
+  );
+
+  return successResponse(
+    res,
+    200,
+    "Visit stage retrieved successfully",
+    getStageSummary(appointment, workflow)
+  );
+});
+
+/**
+ * Build a handler that moves a visit to another stage
+ * @param {string} action - advance, revert or skip
+ * @returns {Function} - Express handler
+ */
+const moveAppointmentStage = (action) =>
+  asyncHandler(async (req, res) => {
+    const { stage, time, reason } = req.body || {};
+
+    const appointment = await Appointment.findOne({
+      encounterId: req.params.encounterId,
+    });
+
+    if (!appointment) {
+      throw new ApiError("Appointment not found", 404);
+    }
+
+    const workflow = await getWorkflowForFacility(
+      appointment.appointmentFacilityName
+    );
+
+    const result = applyStageAction(appointment.visitTimes, workflow, action, {
+      stage,
+      at: time,
+      reason,
+      by: req.staff._id,
+    });
+
+    if (result.error) {
+      throw new ApiError(result.error, 409);
+    }
+
+    applyStageDurations(appointment, workflow);
+    await appointment.save();
+
+    logger.info(
+      `Visit ${appointment.encounterId}: ${action} ${result.from || "start"} → ${
+        result.to || "complete"
+      }`
+    );
+
+    publishAppointmentEvent("stage_changed", appointment, {
+      action,
+      from: result.from,
+      to: result.to,
+    });
+
+    return successResponse(
+      res,
+      200,
+      "Visit stage updated successfully",
+      getStageSummary(appointment, workflow)
+    );
+  });
+
+/**
+ * @desc    Move a visit to the next stage (or `stage`); past the last stage
+ *          the visit is complete
+ * @route   POST /api/appointments/:encounterId/stage/advance
+ * @access  Private (front_desk, medical_assistant, provider, practice_admin)
+ */
+const advanceStage = moveAppointmentStage("advance");
+
+/**
+ * @desc    Move a visit back to the stage it was in before
+ * @route   POST /api/appointments/:encounterId/stage/revert
+ * @access  Private (front_desk, medical_assistant, provider, practice_admin)
+ */
+const revertStage = moveAppointmentStage("revert");
+
+/**
+ * @desc    Skip the next (optional) stage, or `stage`
+ * @route   POST /api/appointments/:encounterId/stage/skip
+ * @access  Private (front_desk, medical_assistant, provider, practice_admin)
+ */
+const skipStage = moveAppointmentStage("skip");
+
+module.exports = {
+  getWorkflows,
+  getWorkflow,
+  createWorkflow,
+  updateWorkflow,
+  deleteWorkflow,
+  getAppointmentStage,
+  advanceStage,
+  revertStage,
+  skipStage,
+};
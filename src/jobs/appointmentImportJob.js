@@ -0,0 +1,122 @@
+const UploadBatch = require("../models/uploadBatchModel");
+const ImportProfile = require("../models/importProfileModel");
+const { parseExcelFile } = require("../utils/excelParser");
+const {
+  createImportReport,
+  mergeImportReport,
+  importAppointmentChunk,
+  removeMissingAppointments,
+  formatImportResponse,
+  removeUploadedFile,
+} = require("../utils/appointmentImporter");
+const logger = require("../config/logger");
+
+const APPOINTMENT_IMPORT_JOB = "appointment_import";
+
+// Rows written per bulk write (and per checkpoint)
+const CHUNK_SIZE = parseInt(process.env.IMPORT_CHUNK_SIZE) || 500;
+
+/**
+ * Import an uploaded appointment file in chunks.
+ * Progress is checkpointed after every chunk, so a restarted job continues
+ * from the last completed chunk instead of starting over.
+ * @param {Object} job - Job document ({fileId, fileName, filePath, headerMapping, mode, profileId})
+ * @param {Object} context - {updateProgress, saveCheckpoint} from the job queue
+ * @returns {Object} - Import result
+ */
+const runAppointmentImport = async (
+  job,
+  { updateProgress, saveCheckpoint }
+) => {
+  const { fileId, fileName, filePath, headerMapping, mode, profileId } =
+    job.payload;
+
+  const batch = await UploadBatch.findOne({ fileId });
+  if (batch) {
+    batch.status = "processing";
+    await batch.save();
+  }
+
+  try {
+    let profile;
+    if (profileId) {
+      profile = await ImportProfile.findById(profileId).lean();
+      if (!profile) {
+        throw new Error(`Import profile not found: ${profileId}`);
+      }
+    }
+
+    const parsed = await parseExcelFile(filePath, fileName, {
+      fileId,
+      headerMapping,
+      profile,
+    });
+    const { appointments, cellErrors, columnMapping } = parsed;
+
+    // Resume from the last checkpoint if this job was interrupted
+    const checkpoint = job.checkpoint || {};
+    const report = checkpoint.report || createImportReport(mode);
+    let processedRows = checkpoint.processedRows || 0;
+
+    if (processedRows > 0) {
+      logger.info(`Resuming import ${fileId} from row ${processedRows}`);
+    }
+
+    await updateProgress({ totalRows: appointments.length, processedRows });
+
+    while (processedRows < appointments.length) {
+      const chunk = appointments.slice(
+        processedRows,
+        processedRows + CHUNK_SIZE
+      );
+      mergeImportReport(
+        report,
+        await importAppointmentChunk(chunk, mode, processedRows, {
+          requiredFields: profile && profile.requiredFields,
+          cellErrors,
+          columnMapping,
+        })
+      );
+      processedRows += chunk.length;
+
+      await saveCheckpoint({ processedRows, report });
+      await updateProgress({ processedRows });
+    }
+
+    if (mode === "replace-day") {
+      Object.assign(report, await removeMissingAppointments(appointments));
+    }
+
+    if (batch) {
+      batch.set({
+        status: "completed",
+        totalRows: appointments.length,
+        insertedCount: report.created,
+        updatedCount: report.updated,
+        unchangedCount: report.unchanged,
+        failedCount: report.skipped,
+        removedCount: report.removed ? report.removed.length : 0,
+        rowErrors: report.errors,
+      });
+    }
+
+    return formatImportResponse(parsed, report);
+  } catch (error) {
+    if (batch) {
+      batch.status = "failed";
+      batch.errorMessage = error.message;
+    }
+    throw error;
+  } finally {
+    if (batch) {
+      batch.finishedAt = new Date();
+      await batch.save();
+    }
+    await removeUploadedFile(filePath);
+  }
+};
+
+module.exports = {
+  APPOINTMENT_IMPORT_JOB,
+  runAppointmentImport,
+};
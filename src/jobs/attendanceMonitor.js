@@ -0,0 +1,178 @@
+const moment = require("moment");
+const Appointment = require("../models/appointmentModel");
+const Patient = require("../models/patientModel");
+const { LATE_GRACE_MINUTES, isLate, isNoShow } = require("../utils/attendance");
+const {
+  DEFAULT_TIMEZONE,
+  getLocalToday,
+  getDateFilter,
+} = require("../utils/facilityTime");
+const {
+  CLOSED_STATUSES,
+  applyStatusChange,
+} = require("../utils/appointmentStatus");
+const { publishAppointmentEvent } = require("../utils/flowBoard");
+const logger = require("../config/logger");
+
+/**
+ * Attendance monitor
+ * Marks today's appointments late once the grace period has passed without
+ * a check-in, and appointments whose day is over (in the facility's
+ * timezone) as no-shows when the patient never arrived. Updates are
+ * conditional, so several server instances can run the monitor without
+ * counting a no-show twice.
+ */
+
+const MONITOR_INTERVAL_MS = 60 * 1000;
+
+// Past days checked for no-shows (covers a server that was down overnight)
+const NO_SHOW_LOOKBACK_DAYS = parseInt(process.env.NO_SHOW_LOOKBACK_DAYS) || 2;
+
+// Appointments still expected that nobody has checked in or recorded
+// time for
+const NOT_ARRIVED = {
+  status: { $nin: CLOSED_STATUSES },
+  "kioskCheckIn.checkedInAt": null,
+  "visitTimes.rawEvents.0": { $exists: false },
+  "visitTimes.stageEvents.0": { $exists: false },
+};
+
+let monitorTimer = null;
+
+/**
+ * Mark today's appointments whose patient is past the grace period
+ * @param {Date} now - Current time
+ * @returns {number} - Appointments marked late
+ */
+const markLateAppointments = async (now = new Date()) => {
+  const candidates = await Appointment.find({
+    scheduledStart: {
+      $gte: moment(now).subtract(1, "day").toDate(),
+      $lte: moment(now).subtract(LATE_GRACE_MINUTES, "minutes").toDate(),
+    },
+    "attendance.status": null,
+    ...NOT_ARRIVED,
+  });
+
+  let marked = 0;
+  for (const appointment of candidates.filter((a) => isLate(a, now))) {
+    const updated = await Appointment.findOneAndUpdate(
+      { _id: appointment._id, "attendance.status": null, ...NOT_ARRIVED },
+      {
+        $set: { "attendance.status": "late", "attendance.markedLateAt": now },
+      },
+      { new: true }
+    );
+    if (!updated) continue;
+
+    marked++;
+    publishAppointmentEvent("attendance_changed", updated, {
+      attendance: "late",
+    });
+  }
+
+  return marked;
+};
+
+/**
+ * Mark appointments whose day is over where the patient never arrived
+ * @param {Date} now - Current time
+ * @returns {number} - Appointments marked as no-show
+ */
+const markNoShows = async (now = new Date()) => {
+  const today = getLocalToday(DEFAULT_TIMEZONE, now);
+  const candidates = await Appointment.find({
+    appointmentDate: getDateFilter(
+      moment
+        .utc(today)
+        .subtract(NO_SHOW_LOOKBACK_DAYS, "days")
+        .format("YYYY-MM-DD"),
+      today
+    ),
+    "attendance.status": { $ne: "no_show" },
+    ...NOT_ARRIVED,
+  });
+
+  let marked = 0;
+  for (const appointment of candidates.filter((a) => isNoShow(a, now))) {
+    const updated = await Appointment.findOneAndUpdate(
+      {
+        _id: appointment._id,
+        "attendance.status": { $ne: "no_show" },
+        ...NOT_ARRIVED,
+      },
+      {
+        $set: {
+          "attendance.status": "no_show",
+          "attendance.markedNoShowAt": now,
+        },
+      },
+      { new: true }
+    );
+    if (!updated) continue;
+
+    marked++;
+
+    // Scheduled and confirmed appointments move to the no_show status; the
+    // patient's count only goes up when the visit was still expected
+    const statusChange = applyStatusChange(updated, "no_show", {
+      at: now,
+      source: "attendance",
+    });
+    if (statusChange.error) continue;
+
+    await updated.save();
+    publishAppointmentEvent("status_changed", updated, {
+      field: "status",
+      ...statusChange,
+    });
+
+    await Patient.updateOne(
+      { acctNo: updated.patientAcctNo },
+      {
+        $inc: { noShowCount: 1 },
+        $max: { lastNoShowAt: updated.appointmentDate },
+      }
+    );
+  }
+
+  return marked;
+};
+
+/**
+ * Run both checks
+ */
+const checkAttendance = async () => {
+  try {
+    const now = new Date();
+    const late = await markLateAppointments(now);
+    const noShows = await markNoShows(now);
+
+    if (late || noShows) {
+      logger.info(
+        `Attendance monitor: ${late} marked late, ${noShows} marked no-show`
+      );
+    }
+  } catch (error) {
+    logger.error(`Attendance monitor error: ${error.message}`);
+  }
+};
+
+/**
+ * Start checking attendance every minute
+ */
+const startAttendanceMonitor = () => {
+  if (monitorTimer) return;
+
+  monitorTimer = setInterval(checkAttendance, MONITOR_INTERVAL_MS);
+  monitorTimer.unref();
+
+  checkAttendance();
+};
+
+module.exports = {
+  markLateAppointments,
+  markNoShows,
+  checkAttendance,
+  startAttendanceMonitor,
+};
@@ -0,0 +1,29 @@
+const { registerJobHandler, startJobWorker } = require("./jobQueue");
+const {
+  APPOINTMENT_IMPORT_JOB,
+  runAppointmentImport,
+} = require("./appointmentImportJob");
+const { REPORT_JOB, runReportJob } = require("./reportJob");
+const { startReportScheduler } = require("./reportScheduler");
+const { startAttendanceMonitor } = require("./attendanceMonitor");
+const { startReminderScheduler } = require("./reminderScheduler");
+const { startPreviewSweeper } = require("./previewSweeper");
+
+/**
+ * Background jobs
+ * Registers every job handler and starts the in-process worker, the
+ * report scheduler, the attendance monitor, the reminder scheduler and the
+ * upload preview sweeper
+ */
+const startJobs = () => {
+  registerJobHandler(APPOINTMENT_IMPORT_JOB, runAppointmentImport);
+  registerJobHandler(REPORT_JOB, runReportJob);
+
+  startJobWorker();
+  startReportScheduler();
+  startAttendanceMonitor();
+  startReminderScheduler();
+  startPreviewSweeper();
+};
+
+module.exports = startJobs;
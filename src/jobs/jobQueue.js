@@ -0,0 +1,225 @@
+const os = require("os");
+const Job = require("../models/jobModel");
+const logger = require("../config/logger");
+
+/**
+ * MongoDB-backed job queue
+ * Jobs are claimed atomically, so several server instances can share a queue.
+ * Running jobs send a heartbeat; jobs whose heartbeat goes stale (e.g. the
+ * server was restarted mid-job) are put back on the queue and resumed.
+ */
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+const LOCK_TIMEOUT_MS = parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 60 * 1000;
+
+// Registered handlers by job type
+const handlers = {};
+
+let pollTimer = null;
+let isPolling = false;
+
+/**
+ * Register the function that processes jobs of a type
+ * @param {string} type - Job type
+ * @param {Function} handler - async (job, {updateProgress, saveCheckpoint}) => result
+ */
+const registerJobHandler = (type, handler) => {
+  handlers[type] = handler;
+};
+
+/**
+ * Add a job to the queue
+ * @param {string} type - Job type
+ * @param {Object} payload - Data the handler needs
+ * @param {Object} options - {createdBy, runAt, maxAttempts}
+ * @returns {Object} - Created job document
+ */
+const enqueueJob = async (type, payload, options = {}) => {
+  const job = await Job.create({
+    type,
+    payload,
+    createdBy: options.createdBy,
+    runAt: options.runAt || new Date(),
+    maxAttempts: options.maxAttempts,
+  });
+
+  logger.info(`Job queued: ${type} (${job._id})`);
+
+  // Pick the job up straight away instead of waiting for the next poll
+  if (pollTimer) setImmediate(pollJobs);
+
+  return job;
+};
+
+/**
+ * Claim the oldest runnable job
+ * @returns {Object|null} - Claimed job or null if the queue is empty
+ */
+const claimNextJob = async () => {
+  const now = new Date();
+
+  return Job.findOneAndUpdate(
+    { status: "queued", runAt: { $lte: now } },
+    {
+      $set: {
+        status: "running",
+        lockedBy: WORKER_ID,
+        heartbeatAt: now,
+        startedAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1, createdAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Requeue running jobs whose worker stopped sending heartbeats
+ */
+const requeueStaleJobs = async () => {
+  const staleBefore = new Date(Date.now() - LOCK_TIMEOUT_MS);
+  const staleJobs = await Job.find({
+    status: "running",
+    heartbeatAt: { $lt: staleBefore },
+  });
+
+  for (const job of staleJobs) {
+    if (job.attempts >= job.maxAttempts) {
+      job.status = "failed";
+      job.error = `Job was interrupted ${job.attempts} times`;
+      job.finishedAt = new Date();
+      logger.error(`Job ${job._id} failed: ${job.error}`);
+    } else {
+      job.status = "queued";
+      job.lockedBy = undefined;
+      logger.warn(`Requeuing interrupted job ${job.type} (${job._id})`);
+    }
+    await job.save();
+  }
+};
+
+/**
+ * Run a claimed job with its registered handler
+ * @param {Object} job - Claimed job document
+ */
+const runJob = async (job) => {
+  const handler = handlers[job.type];
+
+  if (!handler) {
+    await Job.updateOne(
+      { _id: job._id },
+      {
+        status: "failed",
+        error: `No handler registered for job type: ${job.type}`,
+        finishedAt: new Date(),
+      }
+    );
+    return;
+  }
+
+  const heartbeat = setInterval(() => {
+    Job.updateOne({ _id: job._id }, { heartbeatAt: new Date() }).catch(
+      (error) => logger.warn(`Job heartbeat failed: ${error.message}`)
+    );
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  // Helpers passed to the handler
+  const context = {
+    updateProgress: (progress) =>
+      Job.updateOne(
+        { _id: job._id },
+        {
+          $set: {
+            ...Object.keys(progress).reduce((acc, key) => {
+              acc[`progress.${key}`] = progress[key];
+              return acc;
+            }, {}),
+            heartbeatAt: new Date(),
+          },
+        }
+      ),
+    saveCheckpoint: (checkpoint) =>
+      Job.updateOne(
+        { _id: job._id },
+        { $set: { checkpoint, heartbeatAt: new Date() } }
+      ),
+  };
+
+  try {
+    logger.info(
+      `Job started: ${job.type} (${job._id}), attempt ${job.attempts}`
+    );
+    const result = await handler(job, context);
+
+    await Job.updateOne(
+      { _id: job._id },
+      {
+        $set: { status: "completed", result, finishedAt: new Date() },
+        $unset: { checkpoint: 1 },
+      }
+    );
+    logger.info(`Job completed: ${job.type} (${job._id})`);
+  } catch (error) {
+    logger.error(`Job failed: ${job.type} (${job._id}): ${error.message}`);
+    await Job.updateOne(
+      { _id: job._id },
+      { status: "failed", error: error.message, finishedAt: new Date() }
+    );
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+/**
+ * Requeue stale jobs, then run queued jobs until the queue is empty
+ */
+const pollJobs = async () => {
+  if (isPolling) return;
+  isPolling = true;
+
+  try {
+    await requeueStaleJobs();
+
+    let job;
+    while ((job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (error) {
+    logger.error(`Job worker error: ${error.message}`);
+  } finally {
+    isPolling = false;
+  }
+};
+
+/**
+ * Start polling the queue
+ */
+const startJobWorker = () => {
+  if (pollTimer) return;
+
+  pollTimer = setInterval(pollJobs, POLL_INTERVAL_MS);
+  pollTimer.unref();
+  logger.info(`Job worker started (${WORKER_ID})`);
+
+  pollJobs();
+};
+
+/**
+ * Stop polling the queue
+ */
+const stopJobWorker = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  startJobWorker,
+  stopJobWorker,
+};
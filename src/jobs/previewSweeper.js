@@ -0,0 +1,107 @@
+const fs = require("fs");
+const path = require("path");
+const UploadPreview = require("../models/uploadPreviewModel");
+const { previewDir } = require("../middlewares/upload");
+const { removeUploadedFile } = require("../utils/appointmentImporter");
+const logger = require("../config/logger");
+
+/**
+ * Upload preview sweeper
+ * Deletes previews that were never committed together with their file, and
+ * any file left in the preview directory without a preview (e.g. after a
+ * crash between the upload and saving the preview)
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// How long an upload preview can be committed before it expires
+const PREVIEW_TTL_MINUTES = 60;
+
+let sweepTimer = null;
+
+/**
+ * Delete expired previews and their files
+ * @param {Date} now - Current time
+ * @returns {number} - Previews deleted
+ */
+const removeExpiredPreviews = async (now = new Date()) => {
+  const expired = await UploadPreview.find({ expiresAt: { $lte: now } });
+
+  let removed = 0;
+  for (const preview of expired) {
+    // Conditional, so a preview committed meanwhile keeps its file
+    const deleted = await UploadPreview.findOneAndDelete({
+      _id: preview._id,
+      expiresAt: { $lte: now },
+    });
+    if (!deleted) continue;
+
+    await removeUploadedFile(deleted.filePath);
+    removed++;
+  }
+
+  return removed;
+};
+
+/**
+ * Delete files in the preview directory that no preview refers to
+ * @param {Date} now - Current time
+ * @returns {number} - Files deleted
+ */
+const removeOrphanedFiles = async (now = new Date()) => {
+  const cutoff = now.getTime() - PREVIEW_TTL_MINUTES * 60000;
+  const fileNames = await fs.promises.readdir(previewDir);
+
+  let removed = 0;
+  for (const fileName of fileNames) {
+    const filePath = path.join(previewDir, fileName);
+    const stats = await fs.promises.stat(filePath).catch(() => null);
+    if (!stats || !stats.isFile() || stats.mtimeMs > cutoff) continue;
+
+    if (await UploadPreview.exists({ filePath })) continue;
+
+    await removeUploadedFile(filePath);
+    removed++;
+  }
+
+  return removed;
+};
+
+/**
+ * Run both sweeps
+ */
+const sweepPreviews = async () => {
+  try {
+    const now = new Date();
+    const expired = await removeExpiredPreviews(now);
+    const orphaned = await removeOrphanedFiles(now);
+
+    if (expired || orphaned) {
+      logger.info(
+        `Preview sweeper: ${expired} expired previews and ${orphaned} orphaned files deleted`
+      );
+    }
+  } catch (error) {
+    logger.error(`Preview sweeper error: ${error.message}`);
+  }
+};
+
+/**
+ * Start sweeping previews every minute
+ */
+const startPreviewSweeper = () => {
+  if (sweepTimer) return;
+
+  sweepTimer = setInterval(sweepPreviews, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+
+  sweepPreviews();
+};
+
+module.exports = {
+  PREVIEW_TTL_MINUTES,
+  removeExpiredPreviews,
+  removeOrphanedFiles,
+  sweepPreviews,
+  startPreviewSweeper,
+};
@@ -0,0 +1,174 @@
+const moment = require("moment");
+const Appointment = require("../models/appointmentModel");
+const Patient = require("../models/patientModel");
+const ReminderCampaign = require("../models/reminderCampaignModel");
+const SmsOptOut = require("../models/smsOptOutModel");
+const {
+  REMINDABLE_STATUSES,
+  normalizePhone,
+  getReminderWindows,
+  getReminderRecipients,
+  getReminderData,
+} = require("../utils/reminders");
+const { sendNotification } = require("../utils/notifier");
+const logger = require("../config/logger");
+
+/**
+ * Reminder scheduler
+ * Sends appointment reminders for every active campaign once a visit is
+ * within one of the campaign's offsets. A reminder is claimed with a
+ * conditional update before it is sent, so several server instances can
+ * run the scheduler without sending it twice.
+ */
+
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+let schedulerTimer = null;
+
+/**
+ * Send one campaign reminder for an appointment
+ * @param {Object} appointment - Appointment document
+ * @param {Object} campaign - ReminderCampaign document
+ * @param {number} offsetHours - Offset the reminder is for
+ * @returns {number} - Messages sent
+ */
+const sendReminder = async (appointment, campaign, offsetHours) => {
+  const patient = await Patient.findOne({
+    acctNo: appointment.patientAcctNo,
+  });
+  const phone = normalizePhone(
+    appointment.patientCellPhone || patient?.cellPhone
+  );
+  const optedOut = phone && (await SmsOptOut.exists({ phone }));
+  const recipients = getReminderRecipients(
+    appointment,
+    patient,
+    campaign.channels,
+    new Set(optedOut ? [phone] : [])
+  );
+
+  // Claim the reminder; another instance may have sent it already
+  const claimed = await Appointment.findOneAndUpdate(
+    {
+      _id: appointment._id,
+      reminders: {
+        $not: { $elemMatch: { campaign: campaign._id, offsetHours } },
+      },
+    },
+    {
+      $push: {
+        reminders: {
+          $each: recipients.map(({ channel, recipient, status, error }) => ({
+            campaign: campaign._id,
+            offsetHours,
+            channel,
+            recipient,
+            status,
+            error: error || undefined,
+          })),
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!claimed) return 0;
+
+  const data = getReminderData(claimed);
+  let sent = 0;
+
+  for (const { channel, to, status } of recipients) {
+    if (status !== "pending") continue;
+
+    const result = await sendNotification({
+      channel,
+      to,
+      template: "appointment_reminder",
+      data,
+      patientAcctNo: claimed.patientAcctNo,
+      appointment: claimed._id,
+    });
+
+    const reminder = claimed.reminders.find(
+      (r) =>
+        r.campaign.equals(campaign._id) &&
+        r.offsetHours === offsetHours &&
+        r.channel === channel
+    );
+    reminder.status = result.error ? "failed" : "sent";
+    reminder.error = result.error;
+    reminder.notification = result.log?._id;
+    reminder.sentAt = result.error ? undefined : new Date();
+
+    if (!result.error) sent++;
+  }
+
+  await claimed.save();
+  return sent;
+};
+
+/**
+ * Send the reminders that are due
+ * @param {Date} now - Current time
+ * @returns {number} - Messages sent
+ */
+const sendDueReminders = async (now = new Date()) => {
+  const campaigns = await ReminderCampaign.find({ isActive: true });
+
+  let sent = 0;
+  for (const campaign of campaigns) {
+    for (const { offsetHours, untilHours } of getReminderWindows(
+      campaign.offsets
+    )) {
+      const due = await Appointment.find({
+        scheduledStart: {
+          $gt: moment(now).add(untilHours, "hours").toDate(),
+          $lte: moment(now).add(offsetHours, "hours").toDate(),
+        },
+        status: { $in: REMINDABLE_STATUSES },
+        dontSendStatements: { $ne: true },
+        ...(campaign.facilityName && {
+          appointmentFacilityName: campaign.facilityName,
+        }),
+        reminders: {
+          $not: { $elemMatch: { campaign: campaign._id, offsetHours } },
+        },
+      });
+
+      for (const appointment of due) {
+        sent += await sendReminder(appointment, campaign, offsetHours);
+      }
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * Run one check
+ */
+const checkReminders = async () => {
+  try {
+    const sent = await sendDueReminders();
+    if (sent) logger.info(`Reminder scheduler: ${sent} reminders sent`);
+  } catch (error) {
+    logger.error(`Reminder scheduler error: ${error.message}`);
+  }
+};
+
+/**
+ * Start checking for due reminders every minute
+ */
+const startReminderScheduler = () => {
+  if (schedulerTimer) return;
+
+  schedulerTimer = setInterval(checkReminders, SCHEDULER_INTERVAL_MS);
+  schedulerTimer.unref();
+
+  checkReminders();
+};
+
+module.exports = {
+  sendReminder,
+  sendDueReminders,
+  startReminderScheduler,
+};
@@ -0,0 +1,75 @@
+const fs = require("fs");
+const path = require("path");
+const ReportArchive = require("../models/reportArchiveModel");
+const { buildReport } = require("../utils/reports");
+const { writeReport } = require("../utils/reportWriter");
+const logger = require("../config/logger");
+
+const REPORT_JOB = "report_generate";
+
+// Archived report files (not served publicly; downloaded through the API)
+const REPORTS_DIR =
+  process.env.REPORTS_DIR || path.join(__dirname, "../../reports");
+
+/**
+ * Write a built report to the archive
+ * @param {Object} report - Result of buildReport
+ * @param {string} format - csv, xlsx or pdf
+ * @param {Object} options - {schedule, generatedBy}
+ * @returns {Object} - ReportArchive document
+ */
+const archiveReport = async (report, format, options = {}) => {
+  const { buffer, contentType, fileName } = await writeReport(report, format);
+
+  await fs.promises.mkdir(REPORTS_DIR, { recursive: true });
+  const filePath = path.join(REPORTS_DIR, `${Date.now()}_${fileName}`);
+  await fs.promises.writeFile(filePath, buffer);
+
+  const archive = await ReportArchive.create({
+    type: report.type,
+    format,
+    from: report.from,
+    to: report.to,
+    fileName,
+    filePath,
+    contentType,
+    size: buffer.length,
+    rowCount: report.rows.length,
+    schedule: options.schedule,
+    generatedBy: options.generatedBy,
+  });
+
+  logger.info(`Report archived: ${fileName} (${report.rows.length} rows)`);
+
+  return archive;
+};
+
+/**
+ * Generate a report and store it in the archive
+ * @param {Object} job - Job document ({type, format, from, to, scheduleId, generatedBy})
+ * @returns {Object} - {archiveId, fileName, rowCount}
+ */
+const runReportJob = async (job) => {
+  const { type, format, from, to, scheduleId, generatedBy } = job.payload;
+
+  const report = await buildReport(type, {
+    from: new Date(from),
+    to: new Date(to),
+  });
+  const archive = await archiveReport(report, format, {
+    schedule: scheduleId,
+    generatedBy,
+  });
+
+  return {
+    archiveId: archive._id,
+    fileName: archive.fileName,
+    rowCount: archive.rowCount,
+  };
+};
+
+module.exports = {
+  REPORT_JOB,
+  archiveReport,
+  runReportJob,
+};
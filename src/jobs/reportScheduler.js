@@ -0,0 +1,72 @@
+const ReportSchedule = require("../models/reportScheduleModel");
+const { enqueueJob } = require("./jobQueue");
+const { REPORT_JOB } = require("./reportJob");
+const { getReportRange } = require("../utils/reports");
+const logger = require("../config/logger");
+
+/**
+ * Report scheduler
+ * Queues a report job for every schedule that is due. A schedule is claimed
+ * by moving its nextRunAt forward atomically, so each run is queued once
+ * even with several server instances.
+ */
+
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+let schedulerTimer = null;
+
+/**
+ * Queue the report jobs of all due schedules
+ */
+const queueDueReports = async () => {
+  try {
+    const now = new Date();
+    const due = await ReportSchedule.find({
+      isActive: true,
+      nextRunAt: { $lte: now },
+    });
+
+    for (const schedule of due) {
+      const claimed = await ReportSchedule.findOneAndUpdate(
+        { _id: schedule._id, nextRunAt: schedule.nextRunAt },
+        {
+          $set: {
+            nextRunAt: ReportSchedule.getNextRun(schedule.cron, now),
+            lastRunAt: now,
+          },
+        }
+      );
+      if (!claimed) continue;
+
+      const { from, to } = getReportRange(schedule.range, now);
+
+      await enqueueJob(REPORT_JOB, {
+        type: schedule.type,
+        format: schedule.format,
+        from,
+        to,
+        scheduleId: schedule._id,
+      });
+      logger.info(`Scheduled report queued: ${schedule.name}`);
+    }
+  } catch (error) {
+    logger.error(`Report scheduler error: ${error.message}`);
+  }
+};
+
+/**
+ * Start checking for due report schedules
+ */
+const startReportScheduler = () => {
+  if (schedulerTimer) return;
+
+  schedulerTimer = setInterval(queueDueReports, SCHEDULER_INTERVAL_MS);
+  schedulerTimer.unref();
+
+  queueDueReports();
+};
+
+module.exports = {
+  queueDueReports,
+  startReportScheduler,
+};
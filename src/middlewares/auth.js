@@ -1,11 +1,21 @@
 const jwt = require("jsonwebtoken");
 const { ApiError } = require("./errorHandler");
 const Patient = require("../models/patientModel");
+const Staff = require("../models/staffModel");
+const Appointment = require("../models/appointmentModel");
+const { verifyAppointmentToken } = require("../utils/appointmentLinks");
+const {
+  getLockout,
+  recordFailure,
+  reserveAttempt,
+  clearFailures,
+} = require("../utils/otpAttempts");
+const { isSessionActive } = require("../utils/sessions");
 const logger = require("../config/logger");
 
 /**
- * Authentication middlewares for patient portal
- * Handles JWT verification and OTP validation
+ * Authentication middlewares for patient portal and staff users
+ * Handles JWT verification, OTP validation and role checks
  */
 
 // Protect routes using JWT
@@ -30,6 +40,18 @@ const protect = async (req, res, next) => {
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Staff tokens cannot be used on patient portal routes
+      if (decoded.type && decoded.type !== "patient") {
+        return next(
+          new ApiError("Not authorized, patient token required", 401)
+        );
+      }
+
+      // The session the token was issued for must still be signed in
+      if (!(await isSessionActive(decoded.sid, decoded.acctNo))) {
+        return next(new ApiError("Not authorized, session has ended", 401));
+      }
+
       // Get patient from the token
       const patient = await Patient.findOne({ acctNo: decoded.acctNo });
 
@@ -37,8 +59,9 @@ const protect = async (req, res, next) => {
         return next(new ApiError("Not authorized, patient not found", 401));
       }
 
-      // Add patient to request
+      // Add patient and session to request
       req.patient = patient;
+      req.sessionId = decoded.sid;
       next();
     } catch (error) {
       logger.error(`JWT verification error: ${error.message}`);
@@ -50,6 +73,129 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Protect routes for staff users (CareSync, KIOSK and admin)
+const protectStaff = async (req, res, next) => {
+  try {
+    let token;
+
+    // Get token from Authorization header
+    if (
+      req.headers.authorization &&
+      req.headers.authorization.startsWith("Bearer")
+    ) {
+      token = req.headers.authorization.split(" ")[1];
+    }
+
+    // Check if token exists
+    if (!token) {
+      return next(new ApiError("Not authorized, no token provided", 401));
+    }
+
+    // Verify token
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      if (decoded.type !== "staff") {
+        return next(new ApiError("Not authorized, staff token required", 401));
+      }
+
+      // Get staff member from the token
+      const staff = await Staff.findById(decoded.id);
+
+      if (!staff || !staff.isActive) {
+        return next(
+          new ApiError("Not authorized, staff account not found", 401)
+        );
+      }
+
+      // Add staff member to request
+      req.staff = staff;
+      next();
+    } catch (error) {
+      logger.error(`JWT verification error: ${error.message}`);
+      return next(new ApiError("Not authorized, token failed", 401));
+    }
+  } catch (error) {
+    logger.error(`Authentication error: ${error.message}`);
+    return next(new ApiError("Authentication failed", 500));
+  }
+};
+
+// Restrict routes to the given staff roles (super admins are always allowed)
+const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.staff) {
+      return next(new ApiError("Not authorized, staff login required", 401));
+    }
+
+    if (req.staff.role !== "super_admin" && !roles.includes(req.staff.role)) {
+      return next(
+        new ApiError(
+          `Role '${req.staff.role}' is not allowed to perform this action`,
+          403
+        )
+      );
+    }
+
+    next();
+  };
+
+// Tokens sent as ?token= are credentials: mask them in the URL the access
+// and error logs record (req.query still has the token)
+const redactQueryToken = (req, res, next) => {
+  if (req.query.token) {
+    req.originalUrl = req.originalUrl.replace(
+      /([?&]token=)[^&]*/,
+      "$1[redacted]"
+    );
+  }
+  next();
+};
+
+// Let a signed appointment link (?token=) stand in for a portal login on
+// the one appointment it was issued for
+const protectAppointmentLink = (purpose) => async (req, res, next) => {
+  try {
+    const link = verifyAppointmentToken(req.query.token, purpose);
+
+    if (link.error) {
+      return next(new ApiError(link.error, 401));
+    }
+
+    const appointment = await Appointment.findOne({
+      encounterId: link.encounterId,
+    });
+    const patient =
+      appointment &&
+      (await Patient.findOne({ acctNo: appointment.patientAcctNo }));
+
+    if (!patient) {
+      return next(new ApiError("Appointment not found", 404));
+    }
+
+    req.patient = patient;
+    req.appointmentLink = {
+      acctNo: patient.acctNo,
+      encounterId: appointment.encounterId,
+    };
+    next();
+  } catch (error) {
+    logger.error(`Appointment link error: ${error.message}`);
+    return next(new ApiError("Authentication failed", 500));
+  }
+};
+
+// Restrict patient routes to the signed-in patient's own account (checked
+// before anything, such as an upload, acts on the :acctNo in the URL)
+const requireOwnAccount = (req, res, next) => {
+  if (!req.patient || req.patient.acctNo !== req.params.acctNo) {
+    return next(new ApiError("Not authorized to access this account", 403));
+  }
+
+  next();
+};
+
 // Verify OTP for patient login
 const verifyOTP = async (req, res, next) => {
   try {
@@ -59,15 +205,21 @@ const verifyOTP = async (req, res, next) => {
       return next(new ApiError("Account number and OTP are required", 400));
     }
 
-    // Find patient by account number
-    const patient = await Patient.findOne({ acctNo });
-
-    if (!patient) {
-      return next(new ApiError("Patient not found", 404));
+    // Failed attempts count towards the same lockout as the login route
+    const lockout = await getLockout(acctNo, req.ip);
+    if (lockout) {
+      return next(
+        new ApiError("Too many failed attempts, please try again later", 429)
+      );
     }
 
-    // Check if OTP exists and is valid
-    if (!patient.otp || !patient.otp.code || !patient.otp.expiresAt) {
+    // Take one guess at the pending code before comparing it
+    const patient = await reserveAttempt(acctNo);
+
+    if (!patient) {
+      if (!(await Patient.exists({ acctNo }))) {
+        return next(new ApiError("Patient not found", 404));
+      }
       return next(new ApiError("No OTP found, please request a new one", 400));
     }
 
@@ -79,10 +231,13 @@ const verifyOTP = async (req, res, next) => {
     }
 
     // Check if OTP matches
-    if (patient.otp.code !== otp) {
+    if (!patient.verifyOTP(otp)) {
+      await recordFailure(acctNo, req.ip);
       return next(new ApiError("Invalid OTP", 400));
     }
 
+    await clearFailures(acctNo);
+
     // OTP is valid, add patient to request
     req.patient = patient;
     next();
@@ -92,15 +247,36 @@ const verifyOTP = async (req, res, next) => {
   }
 };
 
-// Generate JWT for patient
-const generateToken = (acctNo) => {
-  return jwt.sign({ acctNo }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || "30d",
-  });
+// Generate a short-lived access token for a patient's session
+const generateToken = (acctNo, sessionId) => {
+  return jwt.sign(
+    { acctNo, sid: sessionId.toString(), type: "patient" },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.ACCESS_TOKEN_EXPIRE || "15m",
+    }
+  );
+};
+
+// Generate JWT for staff member
+const generateStaffToken = (staff) => {
+  return jwt.sign(
+    { id: staff._id.toString(), role: staff.role, type: "staff" },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.STAFF_JWT_EXPIRE || "12h",
+    }
+  );
 };
 
 module.exports = {
   protect,
+  protectStaff,
+  requireRole,
+  redactQueryToken,
+  protectAppointmentLink,
+  requireOwnAccount,
   verifyOTP,
   generateToken,
+  generateStaffToken,
 };
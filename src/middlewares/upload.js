@@ -11,10 +11,22 @@ if (!fs.existsSync(uploadDir)) {
   fs.mkdirSync(uploadDir, { recursive: true });
 }
 
+// Appointment exports hold patient data, so they are kept outside the
+// publicly served uploads directory; previewed files wait in previewDir
+const importDir =
+  process.env.IMPORT_DIR || path.join(__dirname, "../../imports");
+const previewDir = path.join(importDir, "previews");
+
+[importDir, previewDir].forEach((dir) => {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+});
+
 // Configure storage
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, uploadDir);
+    cb(null, importDir);
   },
   filename: (req, file, cb) => {
     // Generate unique filename with original extension
@@ -26,7 +38,7 @@ const storage = multer.diskStorage({
     if (!req.fileInfo) req.fileInfo = {};
     req.fileInfo.originalName = file.originalname;
     req.fileInfo.savedName = newFilename;
-    req.fileInfo.path = path.join(uploadDir, newFilename);
+    req.fileInfo.path = path.join(importDir, newFilename);
 
     cb(null, newFilename);
   },
@@ -85,14 +97,15 @@ const excelUpload = multer({
   },
 });
 
+// Folder for a patient's images; the account comes from the signed-in
+// patient, never from the URL
+const getPatientDir = (req) =>
+  path.join(uploadDir, "patients", req.patient ? req.patient.acctNo : "temp");
+
 // Configure upload for patient images
 const imageStorage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const patientDir = path.join(
-      uploadDir,
-      "patients",
-      req.params.patientId || "temp"
-    );
+    const patientDir = getPatientDir(req);
 
     // Create directory if it doesn't exist
     if (!fs.existsSync(patientDir)) {
@@ -131,12 +144,7 @@ const imageStorage = multer.diskStorage({
       fieldName: file.fieldname,
       originalName: file.originalname,
       savedName: newFilename,
-      path: path.join(
-        uploadDir,
-        "patients",
-        req.params.patientId || "temp",
-        newFilename
-      ),
+      path: path.join(getPatientDir(req), newFilename),
     };
 
     req.fileInfo.files.push(fileInfo);
@@ -173,7 +181,31 @@ const patientImageUpload = multer({
   },
 });
 
+// Configure upload for consent signature images (kept in memory and
+// stored with the signed consent record rather than in the public uploads)
+const signatureUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (["image/png", "image/jpeg"].includes(file.mimetype)) {
+      return cb(null, true);
+    }
+    return cb(
+      new ApiError(
+        "Invalid file type. Signatures must be PNG or JPEG images.",
+        400
+      ),
+      false
+    );
+  },
+  limits: {
+    fileSize: 1024 * 1024, // 1MB max file size
+  },
+});
+
 module.exports = {
+  importDir,
+  previewDir,
   excelUpload,
   patientImageUpload,
+  signatureUpload,
 };
@@ -1,4 +1,48 @@
 const mongoose = require("mongoose");
+const { calculateDurations } = require("../utils/timeCalculator");
+const { getSchedule } = require("../utils/facilityTime");
+const {
+  APPOINTMENT_STATUSES,
+  STATUS_SOURCES,
+} = require("../utils/appointmentStatus");
+const { REMINDER_STATUSES, REMINDER_ACTIONS } = require("../utils/reminders");
+const { PRE_CHECK_IN_STATUSES } = require("../utils/preCheckIn");
+
+// Insurance details (from the KIOSK or pre-check-in)
+const insuranceFields = {
+  name: String,
+  memberId: String,
+  groupName: String,
+  groupNumber: String,
+  phoneNumber: String,
+  copay: Number,
+  specialistCopay: Number,
+  activeDate: Date,
+};
+
+// Medical information (from the KIOSK or pre-check-in)
+const medicalInfoFields = {
+  allergies: [String],
+  medications: [String],
+  medicalHistory: [String],
+  surgicalHistory: [String],
+  familyHistory: {
+    diabetes: String,
+  },
+  socialHistory: {
+    smoke: String,
+  },
+  shoeSize: String,
+};
+
+// The same fields for pre-check-in answers, without the empty list defaults
+// so that questions the patient has not answered stay unset
+const preCheckInMedicalInfoFields = Object.fromEntries(
+  Object.entries(medicalInfoFields).map(([key, field]) => [
+    key,
+    Array.isArray(field) ? { type: field, default: undefined } : field,
+  ])
+);
 
 // Define a schema that will accommodate both Excel and KIOSK data
 // Keeping FHIR compatibility in mind for future migration
@@ -26,6 +70,13 @@ const appointmentSchema = new mongoose.Schema(
     admissionDate: Date,
     dischargeDate: Date,
     appointmentStartTime: String,
+    // appointmentDate + appointmentStartTime in the facility's timezone
+    // (set at import, empty when the start time can't be read)
+    scheduledStart: {
+      type: Date,
+      index: true,
+    },
+    timezone: String,
     isSunohAi: Boolean,
     isTelevisit: Boolean,
     callStartTime: String,
@@ -40,6 +91,75 @@ const appointmentSchema = new mongoose.Schema(
     visitType: String,
     visitSubType: String,
     visitStatus: String,
+
+    // Normalized lifecycle status (visitStatus keeps the EHR's own text)
+    status: {
+      type: String,
+      enum: APPOINTMENT_STATUSES,
+      default: "scheduled",
+      index: true,
+    },
+    statusHistory: [
+      {
+        from: String,
+        to: {
+          type: String,
+          required: true,
+        },
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Staff",
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        reason: String,
+        source: {
+          type: String,
+          enum: STATUS_SOURCES,
+          default: "manual",
+        },
+      },
+    ],
+
+    // Reminders sent before the visit (one per campaign, offset and channel)
+    reminders: [
+      {
+        campaign: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "ReminderCampaign",
+        },
+        offsetHours: Number,
+        channel: String,
+        // Email address, or the phone number's digits for matching replies
+        recipient: String,
+        status: {
+          type: String,
+          enum: REMINDER_STATUSES,
+          default: "pending",
+        },
+        error: String,
+        notification: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "NotificationLog",
+        },
+        sentAt: Date,
+      },
+    ],
+    // The patient's answer to a reminder
+    reminderResponse: {
+      action: {
+        type: String,
+        enum: REMINDER_ACTIONS,
+      },
+      via: {
+        type: String,
+        enum: ["sms", "link"],
+      },
+      respondedAt: Date,
+    },
+
     caseLabel: String,
     appointmentCreatedByUser: String,
     visitCount: Number,
@@ -110,42 +230,11 @@ const appointmentSchema = new mongoose.Schema(
     appointmentEmployer: String,
 
     // Additional insurance details (from KIOSK)
-    primaryInsurance: {
-      name: String,
-      memberId: String,
-      groupName: String,
-      groupNumber: String,
-      phoneNumber: String,
-      copay: Number,
-      specialistCopay: Number,
-      activeDate: Date,
-    },
-
-    secondaryInsurance: {
-      name: String,
-      memberId: String,
-      groupName: String,
-      groupNumber: String,
-      phoneNumber: String,
-      copay: Number,
-      specialistCopay: Number,
-      activeDate: Date,
-    },
+    primaryInsurance: insuranceFields,
+    secondaryInsurance: insuranceFields,
 
     // Medical information (from KIOSK)
-    medicalInfo: {
-      allergies: [String],
-      medications: [String],
-      medicalHistory: [String],
-      surgicalHistory: [String],
-      familyHistory: {
-        diabetes: String,
-      },
-      socialHistory: {
-        smoke: String,
-      },
-      shoeSize: String,
-    },
+    medicalInfo: medicalInfoFields,
 
     // KIOSK check-in information
     kioskCheckIn: {
@@ -157,6 +246,49 @@ const appointmentSchema = new mongoose.Schema(
       uploadedPictureURLs: [String],
     },
 
+    // Check-in questionnaire filled in ahead from the patient portal;
+    // applied to the appointment when the patient arrives at the KIOSK
+    preCheckIn: {
+      status: {
+        type: String,
+        enum: PRE_CHECK_IN_STATUSES,
+      },
+      personalInfo: {
+        fullName: String,
+        email: String,
+        phone: String,
+        address: String,
+        city: String,
+        state: String,
+        zipcode: String,
+      },
+      primaryInsurance: insuranceFields,
+      secondaryInsurance: insuranceFields,
+      medicalInfo: preCheckInMedicalInfoFields,
+      images: [
+        {
+          type: { type: String },
+          url: String,
+          uploadedAt: Date,
+        },
+      ],
+      startedAt: Date,
+      savedAt: Date,
+      submittedAt: Date,
+      appliedAt: Date,
+    },
+
+    // Arrival tracking (set by the attendance monitor job)
+    attendance: {
+      status: {
+        type: String,
+        enum: ["late", "no_show"],
+        index: true,
+      },
+      markedLateAt: Date,
+      markedNoShowAt: Date,
+    },
+
     // Time tracking data (from CareSync)
     visitTimes: {
       rawEvents: [
@@ -176,11 +308,125 @@ const appointmentSchema = new mongoose.Schema(
             type: Date,
             default: Date.now,
           },
+
+          // Who was with the patient, in which room, recorded on which device
+          actorId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Staff",
+          },
+          actorRole: String,
+          roomId: String,
+          deviceId: String,
         },
       ],
       patientDuration: Number, // Duration in minutes
       doctorDuration: Number, // Duration in minutes
       staffDuration: Number, // Duration in minutes
+
+      // Durations in seconds and the start/end segments they come from
+      // (segments still open have no end)
+      durations: {
+        patient: Number,
+        doctor: Number,
+        staff: Number,
+      },
+      segments: [
+        {
+          _id: false,
+          type: {
+            type: String,
+          },
+          actorId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Staff",
+          },
+          actorRole: String,
+          roomId: String,
+          deviceId: String,
+          start: Date,
+          end: Date,
+          duration: Number,
+        },
+      ],
+
+      // Corrections to rawEvents: who changed or deleted which event, when and why
+      eventHistory: [
+        {
+          _id: false,
+          eventId: mongoose.Schema.Types.ObjectId,
+          action: {
+            type: String,
+            enum: ["update", "delete"],
+          },
+          oldValue: mongoose.Schema.Types.Mixed,
+          newValue: mongoose.Schema.Types.Mixed,
+          reason: {
+            type: String,
+            required: true,
+          },
+          changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Staff",
+          },
+          changedAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+
+      // Seconds each staff member spent with the patient, per event type
+      actorDurations: [
+        {
+          _id: false,
+          type: {
+            type: String,
+          },
+          actorId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Staff",
+          },
+          actorRole: String,
+          duration: Number,
+          segments: Number,
+        },
+      ],
+
+      // Visit workflow (stages are configured per facility in VisitWorkflow)
+      currentStage: String,
+      stageEvents: [
+        {
+          stage: String,
+          action: {
+            type: String,
+            enum: ["advance", "revert", "skip"],
+          },
+          enteredAt: Date,
+          exitedAt: Date,
+          by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Staff",
+          },
+          reason: String,
+        },
+      ],
+      completedAt: Date,
+
+      // Derived from stageEvents, in seconds
+      stageDurations: [
+        {
+          _id: false,
+          stage: String,
+          name: String,
+          kind: String,
+          duration: Number,
+          visits: Number,
+          skipped: Boolean,
+        },
+      ],
+      activeDuration: Number,
+      idleDuration: Number,
+      totalDuration: Number,
     },
   },
   {
@@ -202,63 +448,37 @@ appointmentSchema.virtual("fullName").get(function () {
 // The index is already defined in the schema field definition
 
 // Method to calculate durations based on raw events
-appointmentSchema.methods.calculateDurations = function () {
-  const events = this.visitTimes.rawEvents || [];
-
-  // Calculate patient duration
-  const patientEvents = events.filter((e) => e.label.includes("patient_"));
-  if (patientEvents.length >= 2) {
-    const patientStart = patientEvents.find((e) => e.label === "patient_start");
-    const patientEnd = patientEvents.find((e) => e.label === "patient_end");
-
-    if (patientStart && patientEnd) {
-      this.visitTimes.patientDuration = Math.round(
-        (new Date(patientEnd.time) - new Date(patientStart.time)) / 60000
-      ); // Convert ms to minutes
-    }
-  }
+appointmentSchema.methods.calculateDurations = function (now = new Date()) {
+  const result = calculateDurations(
+    this.visitTimes.rawEvents,
+    now,
+    this.timezone
+  );
 
-  // Calculate doctor duration (sum of all doctor segments)
-  const doctorEvents = events.filter((e) => e.label.includes("doctor_"));
-  let doctorDuration = 0;
-
-  // Group doctor events by pairs (start/end)
-  for (let i = 0; i < doctorEvents.length; i += 2) {
-    const start = doctorEvents[i];
-    const end = doctorEvents[i + 1];
-
-    if (
-      start &&
-      end &&
-      start.label === "doctor_start" &&
-      end.label === "doctor_end"
-    ) {
-      doctorDuration += (new Date(end.time) - new Date(start.time)) / 60000;
-    }
-  }
+  this.visitTimes.patientDuration = result.patientDuration;
+  this.visitTimes.doctorDuration = result.doctorDuration;
+  this.visitTimes.staffDuration = result.staffDuration;
+  this.visitTimes.durations = result.durations;
+  this.visitTimes.segments = result.segments.map(
+    ({ open, elapsed, ...segment }) => segment
+  );
+  this.visitTimes.actorDurations = result.actorDurations;
 
-  this.visitTimes.doctorDuration = Math.round(doctorDuration);
-
-  // Calculate staff duration (sum of all staff segments)
-  const staffEvents = events.filter((e) => e.label.includes("staff_"));
-  let staffDuration = 0;
-
-  // Group staff events by pairs (start/end)
-  for (let i = 0; i < staffEvents.length; i += 2) {
-    const start = staffEvents[i];
-    const end = staffEvents[i + 1];
-
-    if (
-      start &&
-      end &&
-      start.label === "staff_start" &&
-      end.label === "staff_end"
-    ) {
-      staffDuration += (new Date(end.time) - new Date(start.time)) / 60000;
-    }
-  }
+  return result;
+};
+
+// Method to store the scheduled start in the facility's timezone (also
+// moves appointmentDate to UTC midnight of its calendar date)
+appointmentSchema.methods.setSchedule = function (timezone) {
+  const { appointmentDate, scheduledStart } = getSchedule(
+    this.appointmentDate,
+    this.appointmentStartTime,
+    timezone
+  );
 
-  this.visitTimes.staffDuration = Math.round(staffDuration);
+  this.appointmentDate = appointmentDate;
+  this.scheduledStart = scheduledStart;
+  this.timezone = timezone;
 
   return this;
 };
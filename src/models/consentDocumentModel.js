@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+// Consent forms patients sign at the KIOSK
+const CONSENT_TYPES = ["hipaa_notice", "financial_policy", "photo_release"];
+
+// One published version of a consent form. Versions are never edited:
+// changing the text means publishing a new version, which makes patients
+// who signed an older version sign again.
+const consentDocumentSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: CONSENT_TYPES,
+      required: [true, "Consent type is required"],
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    title: {
+      type: String,
+      required: [true, "Title is required"],
+      trim: true,
+    },
+
+    // Form text; {{patientName}}, {{patientDOB}}, {{appointmentDate}} and
+    // {{facilityName}} are filled in for each patient
+    body: {
+      type: String,
+      required: [true, "Form text is required"],
+    },
+
+    // Whether check-in requires a signature on this form
+    required: {
+      type: Boolean,
+      default: true,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    publishedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+consentDocumentSchema.index({ type: 1, version: -1 }, { unique: true });
+
+consentDocumentSchema.statics.CONSENT_TYPES = CONSENT_TYPES;
+
+const ConsentDocument = mongoose.model(
+  "ConsentDocument",
+  consentDocumentSchema
+);
+
+module.exports = ConsentDocument;
@@ -0,0 +1,87 @@
+const mongoose = require("mongoose");
+
+// A patient's signature on one version of a consent form
+const consentSignatureSchema = new mongoose.Schema(
+  {
+    patientAcctNo: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    encounterId: String,
+    document: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ConsentDocument",
+      required: true,
+    },
+    documentType: {
+      type: String,
+      required: true,
+    },
+    documentVersion: {
+      type: Number,
+      required: true,
+    },
+
+    // SHA-256 of the form text exactly as it was shown to the patient
+    textHash: {
+      type: String,
+      required: true,
+    },
+
+    // Signature as an image or as the vector strokes drawn on the KIOSK
+    signature: {
+      format: {
+        type: String,
+        enum: ["image", "strokes"],
+        required: true,
+      },
+      image: {
+        contentType: String,
+        data: {
+          type: Buffer,
+          select: false, // Only loaded when the image is requested
+        },
+      },
+      strokes: mongoose.Schema.Types.Mixed, // [[{x, y, t}]]
+      width: Number,
+      height: Number,
+    },
+
+    // Who signed (a guardian can sign for a minor)
+    signerName: String,
+    signerRelationship: {
+      type: String,
+      default: "self",
+    },
+
+    // Where and when it was signed
+    signedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    ipAddress: String,
+    kioskId: String,
+    userAgent: String,
+    capturedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+consentSignatureSchema.index({
+  patientAcctNo: 1,
+  documentType: 1,
+  signedAt: -1,
+});
+
+const ConsentSignature = mongoose.model(
+  "ConsentSignature",
+  consentSignatureSchema
+);
+
+module.exports = ConsentSignature;
@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+const moment = require("moment-timezone");
+
+// Facility settings, matched to appointments by appointmentFacilityName
+const facilitySchema = new mongoose.Schema(
+  {
+    // Matches appointmentFacilityName
+    name: {
+      type: String,
+      required: [true, "Facility name is required"],
+      unique: true,
+      trim: true,
+    },
+
+    // IANA timezone the facility's appointment times are in
+    timezone: {
+      type: String,
+      required: [true, "Timezone is required"],
+      trim: true,
+      validate: {
+        validator: (value) => !!moment.tz.zone(value),
+        message: (props) =>
+          `Unknown timezone: ${props.value} (expected an IANA name such as America/New_York)`,
+      },
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Facility = mongoose.model("Facility", facilitySchema);
+
+module.exports = Facility;
@@ -0,0 +1,104 @@
+const mongoose = require("mongoose");
+
+// Field types an import profile can coerce a column to
+const FIELD_TYPES = ["string", "number", "date", "boolean", "phone"];
+
+// Named import profile describing one EHR export layout
+const importProfileSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Profile name is required"],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [
+        /^[a-z0-9-_]+$/,
+        "Profile name may only contain letters, numbers, - and _",
+      ],
+    },
+    description: String,
+
+    // Column header → appointment field (headers are matched case-insensitively)
+    headerAliases: [
+      {
+        _id: false,
+        header: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        field: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+      },
+    ],
+
+    // Per-field type coercion (overrides the type detected for the field)
+    fieldTypes: [
+      {
+        _id: false,
+        field: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        type: {
+          type: String,
+          enum: FIELD_TYPES,
+          required: true,
+        },
+      },
+    ],
+
+    // Date formats tried in order (moment.js syntax), e.g. "DD.MM.YYYY"
+    dateFormats: [String],
+
+    // Values treated as true/false (compared case-insensitively)
+    booleanVocabulary: {
+      trueValues: {
+        type: [String],
+        default: ["yes", "true", "y", "1"],
+      },
+      falseValues: {
+        type: [String],
+        default: ["no", "false", "n", "0"],
+      },
+    },
+
+    // How phone columns are normalized
+    phoneFormat: {
+      type: String,
+      enum: ["none", "digits", "dashed", "e164"],
+      default: "none",
+    },
+
+    requiredFields: {
+      type: [String],
+      default: ["encounterId", "patientAcctNo", "appointmentDate"],
+    },
+
+    // Facility name used when the export has no facility column
+    defaultFacility: String,
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+importProfileSchema.statics.FIELD_TYPES = FIELD_TYPES;
+
+const ImportProfile = mongoose.model("ImportProfile", importProfileSchema);
+
+module.exports = ImportProfile;
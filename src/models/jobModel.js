@@ -0,0 +1,85 @@
+const mongoose = require("mongoose");
+
+// Background jobs processed by the in-process worker (see src/jobs)
+// Stored in MongoDB so no external broker is needed and jobs survive restarts
+const jobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "failed"],
+      default: "queued",
+      index: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    // Progress reported by the job handler
+    progress: {
+      totalRows: {
+        type: Number,
+        default: 0,
+      },
+      processedRows: {
+        type: Number,
+        default: 0,
+      },
+    },
+
+    // Checkpoint saved by the handler so an interrupted job can resume
+    checkpoint: mongoose.Schema.Types.Mixed,
+
+    result: mongoose.Schema.Types.Mixed,
+    error: String,
+
+    // Scheduling and locking
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+    },
+    lockedBy: String,
+    heartbeatAt: Date,
+    startedAt: Date,
+    finishedAt: Date,
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Index used by the worker to claim the oldest runnable job
+jobSchema.index({ status: 1, runAt: 1, createdAt: 1 });
+
+// Virtual for progress percentage
+jobSchema.virtual("progress.percent").get(function () {
+  if (this.status === "completed") return 100;
+  if (!this.progress || !this.progress.totalRows) return 0;
+  return Math.floor(
+    (this.progress.processedRows / this.progress.totalRows) * 100
+  );
+});
+
+const Job = mongoose.model("Job", jobSchema);
+
+module.exports = Job;
@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+const {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_STATUSES,
+} = require("../utils/notificationTransports");
+
+// One outbound SMS or email and whether it was delivered
+const notificationLogSchema = new mongoose.Schema(
+  {
+    channel: {
+      type: String,
+      enum: NOTIFICATION_CHANNELS,
+      required: true,
+    },
+    transport: String,
+    template: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    recipient: {
+      type: String,
+      required: true,
+    },
+    subject: String,
+    // Left empty for templates with secrets (one-time passwords)
+    body: String,
+    status: {
+      type: String,
+      enum: NOTIFICATION_STATUSES,
+      default: "pending",
+      index: true,
+    },
+    error: String,
+    providerMessageId: String,
+    sentAt: Date,
+
+    patientAcctNo: {
+      type: String,
+      index: true,
+    },
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Appointment",
+    },
+    sentBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationLogSchema.index({ createdAt: -1 });
+
+const NotificationLog = mongoose.model(
+  "NotificationLog",
+  notificationLogSchema
+);
+
+module.exports = NotificationLog;
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// Failed OTP verifications for a patient account or an IP address
+const otpAttemptSchema = new mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      enum: ["account", "ip"],
+      required: true,
+    },
+    // Account number or IP address
+    key: {
+      type: String,
+      required: true,
+    },
+    // Failures since the last lockout (within the attempt window)
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lastFailureAt: Date,
+    // Lockouts so far; each one lasts twice as long as the one before
+    lockouts: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: Date,
+    // Removed by MongoDB once nothing has happened for a day
+    expiresAt: {
+      type: Date,
+      index: { expireAfterSeconds: 0 },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+otpAttemptSchema.index({ scope: 1, key: 1 }, { unique: true });
+
+const OtpAttempt = mongoose.model("OtpAttempt", otpAttemptSchema);
+
+module.exports = OtpAttempt;
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const { verifyOTP } = require("../utils/otpGenerator");
 
 // Define the Patient schema with FHIR compatibility in mind
 const patientSchema = new mongoose.Schema(
@@ -93,6 +94,24 @@ const patientSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Appointment reminder opt-outs (portal setting or a STOP reply)
+    reminderOptOut: {
+      sms: {
+        type: Boolean,
+        default: false,
+      },
+      email: {
+        type: Boolean,
+        default: false,
+      },
+    },
+
+    // Missed appointments (kept by the attendance monitor job)
+    noShowCount: {
+      type: Number,
+      default: 0,
+    },
+    lastNoShowAt: Date,
 
     // Relationships to other collections
     appointments: [
@@ -102,14 +121,19 @@ const patientSchema = new mongoose.Schema(
       },
     ],
 
-    // OTP for patient portal authentication
+    // OTP for patient portal authentication (only its hash is stored)
     otp: {
-      code: {
+      codeHash: {
         type: String,
+        select: false, // Don't return the hash by default
       },
       expiresAt: {
         type: Date,
       },
+      // When the code was sent (for the resend cooldown)
+      sentAt: Date,
+      // Guesses at this code, reserved before each comparison
+      attempts: Number,
     },
 
     // Optional portal access credentials (if implemented later)
@@ -162,10 +186,11 @@ patientSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.portalAccess.password);
 };
 
-// Method to verify OTP
+// Method to verify OTP (the document must be loaded with +otp.codeHash)
 patientSchema.methods.verifyOTP = function (enteredOtp) {
   return (
-    this.otp && this.otp.code === enteredOtp && this.otp.expiresAt > Date.now()
+    !!this.otp &&
+    verifyOTP(this.otp.codeHash, this.otp.expiresAt, enteredOtp, this.acctNo)
   );
 };
 
@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+const { NOTIFICATION_CHANNELS } = require("../utils/notificationTransports");
+
+// Longest time before a visit a reminder can go out (30 days)
+const MAX_OFFSET_HOURS = 30 * 24;
+
+// Reminders sent a set number of hours before each scheduled visit
+const reminderCampaignSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Campaign name is required"],
+      trim: true,
+    },
+
+    // Hours before the scheduled start, e.g. [72, 24]
+    offsets: {
+      type: [Number],
+      validate: {
+        validator: (offsets) =>
+          offsets.length > 0 &&
+          new Set(offsets).size === offsets.length &&
+          offsets.every((hours) => hours > 0 && hours <= MAX_OFFSET_HOURS),
+        message: `Offsets must be distinct hours between 0 and ${MAX_OFFSET_HOURS}`,
+      },
+    },
+    channels: {
+      type: [{ type: String, enum: NOTIFICATION_CHANNELS }],
+      default: ["sms", "email"],
+      validate: {
+        validator: (channels) => channels.length > 0,
+        message: "At least one channel is required",
+      },
+    },
+
+    // Limits the campaign to one facility (appointmentFacilityName)
+    facilityName: {
+      type: String,
+      trim: true,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Keep offsets from the earliest reminder to the latest
+reminderCampaignSchema.pre("save", function (next) {
+  if (this.isModified("offsets")) {
+    this.offsets = [...this.offsets].sort((a, b) => b - a);
+  }
+  next();
+});
+
+const ReminderCampaign = mongoose.model(
+  "ReminderCampaign",
+  reminderCampaignSchema
+);
+
+module.exports = ReminderCampaign;
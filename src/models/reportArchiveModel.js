@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+// A generated report file kept for download
+const reportArchiveSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    format: {
+      type: String,
+      required: true,
+    },
+    from: Date,
+    to: Date,
+    fileName: {
+      type: String,
+      required: true,
+    },
+    filePath: {
+      type: String,
+      required: true,
+    },
+    contentType: String,
+    size: Number,
+    rowCount: Number,
+
+    // Set for scheduled reports; generatedBy for on-demand ones
+    schedule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ReportSchedule",
+    },
+    generatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+reportArchiveSchema.index({ createdAt: -1 });
+
+const ReportArchive = mongoose.model("ReportArchive", reportArchiveSchema);
+
+module.exports = ReportArchive;
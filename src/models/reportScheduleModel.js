@@ -0,0 +1,96 @@
+const mongoose = require("mongoose");
+const cronParser = require("cron-parser");
+const { REPORT_TYPES, REPORT_RANGES } = require("../utils/reports");
+const { REPORT_FORMATS } = require("../utils/reportWriter");
+const { DEFAULT_TIMEZONE } = require("../utils/facilityTime");
+
+// A report generated on a cron schedule and stored in the report archive
+const reportScheduleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Schedule name is required"],
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: Object.keys(REPORT_TYPES),
+      required: [true, "Report type is required"],
+    },
+    format: {
+      type: String,
+      enum: Object.keys(REPORT_FORMATS),
+      default: "xlsx",
+    },
+
+    // Standard 5-field cron expression, e.g. "0 7 * * 1" (Mondays at 07:00),
+    // read in the practice timezone like the report ranges
+    cron: {
+      type: String,
+      required: [true, "Cron expression is required"],
+      validate: {
+        validator: (value) => {
+          try {
+            cronParser.parseExpression(value, { tz: DEFAULT_TIMEZONE });
+            return true;
+          } catch (error) {
+            return false;
+          }
+        },
+        message: (props) => `Invalid cron expression: ${props.value}`,
+      },
+    },
+
+    // Period the report covers, relative to when it runs
+    range: {
+      type: String,
+      enum: Object.keys(REPORT_RANGES),
+      default: "previous_day",
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    nextRunAt: {
+      type: Date,
+      index: true,
+    },
+    lastRunAt: Date,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Next time a cron expression fires after a date, in the practice timezone
+ * @param {string} cron - Cron expression
+ * @param {Date} after - Start point (defaults to now)
+ * @returns {Date}
+ */
+reportScheduleSchema.statics.getNextRun = (cron, after = new Date()) =>
+  cronParser
+    .parseExpression(cron, { currentDate: after, tz: DEFAULT_TIMEZONE })
+    .next()
+    .toDate();
+
+// Keep nextRunAt in step with the cron expression
+reportScheduleSchema.pre("save", function (next) {
+  if (this.isNew || this.isModified("cron") || !this.nextRunAt) {
+    try {
+      this.nextRunAt = this.constructor.getNextRun(this.cron);
+    } catch (error) {
+      // Reported by the cron validator
+    }
+  }
+  next();
+});
+
+const ReportSchedule = mongoose.model("ReportSchedule", reportScheduleSchema);
+
+module.exports = ReportSchedule;
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// A patient portal sign-in on one device, kept alive by its refresh token
+const sessionSchema = new mongoose.Schema(
+  {
+    patientAcctNo: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // SHA-256 of the current refresh token; the token itself is never stored
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Hashes of refresh tokens already rotated out, to spot a reused one
+    previousTokenHashes: {
+      type: [String],
+      index: true,
+    },
+    userAgent: String,
+    ipAddress: String,
+    lastUsedAt: Date,
+    rotatedAt: Date,
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: ["logout", "logout_all", "revoked", "token_reuse"],
+    },
+    // End of the refresh token's life; MongoDB removes the session then
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expireAfterSeconds: 0 },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Session = mongoose.model("Session", sessionSchema);
+
+module.exports = Session;
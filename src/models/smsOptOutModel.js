@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// Phone numbers that replied STOP; no reminder is texted to them, whichever
+// patient has the number on file
+const smsOptOutSchema = new mongoose.Schema(
+  {
+    // Last 10 digits of the number
+    phone: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    optedOutAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const SmsOptOut = mongoose.model("SmsOptOut", smsOptOutSchema);
+
+module.exports = SmsOptOut;
@@ -0,0 +1,96 @@
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+
+// Roles recognised by the role-based access control middleware
+const STAFF_ROLES = [
+  "front_desk",
+  "medical_assistant",
+  "provider",
+  "practice_admin",
+  "super_admin",
+];
+
+// Define the Staff schema for CareSync, KIOSK and admin users
+const staffSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [
+        /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+        "Please provide a valid email address",
+      ],
+    },
+    password: {
+      type: String,
+      required: [true, "Password is required"],
+      minlength: [8, "Password must be at least 8 characters"],
+      select: false, // Don't return password by default
+    },
+    firstName: {
+      type: String,
+      trim: true,
+    },
+    lastName: {
+      type: String,
+      trim: true,
+    },
+    role: {
+      type: String,
+      enum: STAFF_ROLES,
+      required: [true, "Staff role is required"],
+    },
+
+    // Provider details (used to match appointment provider NPIs)
+    npi: {
+      type: String,
+      trim: true,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    lastLogin: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.password;
+        return ret;
+      },
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+// Virtual for full name
+staffSchema.virtual("fullName").get(function () {
+  return `${this.firstName || ""} ${this.lastName || ""}`.trim();
+});
+
+// Hash password if it's modified
+staffSchema.pre("save", async function (next) {
+  if (this.password && this.isModified("password")) {
+    const salt = await bcrypt.genSalt(10);
+    this.password = await bcrypt.hash(this.password, salt);
+  }
+  next();
+});
+
+// Method to compare password
+staffSchema.methods.matchPassword = async function (enteredPassword) {
+  if (!this.password) return false;
+  return await bcrypt.compare(enteredPassword, this.password);
+};
+
+staffSchema.statics.ROLES = STAFF_ROLES;
+
+const Staff = mongoose.model("Staff", staffSchema);
+
+module.exports = Staff;
@@ -0,0 +1,106 @@
+const mongoose = require("mongoose");
+
+// Registry of appointment file uploads and their outcome
+const uploadBatchSchema = new mongoose.Schema(
+  {
+    fileId: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+    },
+    fileName: String,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+    },
+    mode: {
+      type: String,
+      enum: ["insert", "upsert", "replace-day"],
+      default: "insert",
+    },
+    profile: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ImportProfile",
+    },
+    status: {
+      type: String,
+      enum: ["queued", "processing", "completed", "failed", "rolled_back"],
+      default: "processing",
+      index: true,
+    },
+
+    // Row counts
+    totalRows: {
+      type: Number,
+      default: 0,
+    },
+    insertedCount: {
+      type: Number,
+      default: 0,
+    },
+    updatedCount: {
+      type: Number,
+      default: 0,
+    },
+    unchangedCount: {
+      type: Number,
+      default: 0,
+    },
+    failedCount: {
+      type: Number,
+      default: 0,
+    },
+    removedCount: {
+      type: Number,
+      default: 0,
+    },
+
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    finishedAt: Date,
+
+    // File-level failure (e.g. the file could not be parsed)
+    errorMessage: String,
+
+    // Row-level failures, kept so they can be downloaded as CSV (the first
+    // IMPORT_MAX_ROW_ERRORS only; failedCount counts them all)
+    rowErrors: [
+      {
+        _id: false,
+        row: Number,
+        encounterId: String,
+        message: String,
+        // Cells that didn't match their field type
+        cells: [
+          {
+            _id: false,
+            column: String,
+            field: String,
+            rawValue: mongoose.Schema.Types.Mixed,
+            expectedType: String,
+            message: String,
+          },
+        ],
+        data: mongoose.Schema.Types.Mixed,
+      },
+    ],
+
+    // Rollback details (set by DELETE /api/appointments/file/:fileId)
+    rolledBackAt: Date,
+    rolledBackBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+    },
+    rolledBackCount: Number,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const UploadBatch = mongoose.model("UploadBatch", uploadBatchSchema);
+
+module.exports = UploadBatch;
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// Uploaded files that have been previewed but not yet committed.
+// The preview sweeper deletes expired previews together with their file.
+const uploadPreviewSchema = new mongoose.Schema(
+  {
+    previewId: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+    },
+    fileName: String,
+    filePath: {
+      type: String,
+      required: true,
+    },
+    headerMapping: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    profileId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ImportProfile",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const UploadPreview = mongoose.model("UploadPreview", uploadPreviewSchema);
+
+module.exports = UploadPreview;
@@ -0,0 +1,129 @@
+const mongoose = require("mongoose");
+
+// Stage kinds: active stages are time spent with staff, waiting stages are
+// idle time (lobby, waiting for the provider, ...)
+const STAGE_KINDS = ["active", "waiting"];
+
+// Workflow used for facilities without their own configuration
+const DEFAULT_STAGES = [
+  { key: "checked_in", name: "Checked in", kind: "waiting" },
+  { key: "rooming", name: "Rooming", kind: "active" },
+  { key: "vitals", name: "Vitals", kind: "active", optional: true },
+  {
+    key: "waiting_for_provider",
+    name: "Waiting for provider",
+    kind: "waiting",
+  },
+  { key: "provider", name: "With provider", kind: "active" },
+  { key: "imaging", name: "Imaging", kind: "active", optional: true },
+  { key: "checkout", name: "Checkout", kind: "active" },
+];
+
+// Visit workflow for a facility: the stages a visit goes through and the
+// transitions allowed between them (stages follow each other in order
+// when no transitions are configured)
+const visitWorkflowSchema = new mongoose.Schema(
+  {
+    // Matches appointmentFacilityName; leave empty for the practice default
+    facilityName: {
+      type: String,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Workflow name is required"],
+      trim: true,
+    },
+    stages: {
+      type: [
+        {
+          _id: false,
+          key: {
+            type: String,
+            required: true,
+            trim: true,
+            match: [
+              /^[a-z0-9_]+$/,
+              "Stage keys may only contain lowercase letters, numbers and _",
+            ],
+          },
+          name: {
+            type: String,
+            required: true,
+          },
+          kind: {
+            type: String,
+            enum: STAGE_KINDS,
+            default: "active",
+          },
+          // Optional stages can be skipped
+          optional: {
+            type: Boolean,
+            default: false,
+          },
+        },
+      ],
+      validate: [
+        (stages) => stages.length > 0,
+        "A workflow needs at least one stage",
+      ],
+    },
+    transitions: [
+      {
+        _id: false,
+        from: {
+          type: String,
+          required: true,
+        },
+        to: {
+          type: String,
+          required: true,
+        },
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Staff",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One active workflow per facility
+visitWorkflowSchema.index(
+  { facilityName: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+// Stage keys must be unique and transitions must refer to known stages
+visitWorkflowSchema.pre("validate", function (next) {
+  const keys = this.stages.map((stage) => stage.key);
+
+  if (new Set(keys).size !== keys.length) {
+    this.invalidate("stages", "Stage keys must be unique");
+  }
+
+  this.transitions.forEach(({ from, to }) => {
+    if (!keys.includes(from) || !keys.includes(to)) {
+      this.invalidate(
+        "transitions",
+        `Transition ${from} → ${to} refers to an unknown stage`
+      );
+    }
+  });
+
+  next();
+});
+
+visitWorkflowSchema.statics.STAGE_KINDS = STAGE_KINDS;
+visitWorkflowSchema.statics.DEFAULT_STAGES = DEFAULT_STAGES;
+
+const VisitWorkflow = mongoose.model("VisitWorkflow", visitWorkflowSchema);
+
+module.exports = VisitWorkflow;
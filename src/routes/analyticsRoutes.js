@@ -0,0 +1,17 @@
+const express = require("express");
+const router = express.Router();
+const { getAnalytics } = require("../controllers/analyticsController");
+const { protectStaff, requireRole } = require("../middlewares/auth");
+
+/**
+ * Analytics Routes
+ * Base URL: /api/analytics
+ */
+
+// Analytics are limited to admins
+router.use(protectStaff, requireRole("practice_admin"));
+
+// summary, visits, wait-time, door-to-door, face-time, no-shows
+router.get("/:metric", getAnalytics);
+
+module.exports = router;
@@ -2,21 +2,78 @@ const express = require("express");
 const router = express.Router();
 const {
   uploadAppointments,
+  previewUpload,
+  commitUpload,
   getAppointments,
   getAppointment,
+  getUploadBatches,
+  getUploadBatch,
   updateAppointment,
   deleteAppointmentsByFile,
   recordTimeEvents,
+  updateTimeEvent,
+  deleteTimeEvent,
+  changeAppointmentStatus,
+  getActorTimes,
 } = require("../controllers/appointmentController");
+const {
+  getAppointmentStage,
+  advanceStage,
+  revertStage,
+  skipStage,
+} = require("../controllers/workflowController");
 const { excelUpload } = require("../middlewares/upload");
+const { protectStaff, requireRole } = require("../middlewares/auth");
 
 /**
  * Appointment Routes
  * Base URL: /api/appointments
  */
 
+// All routes require a staff login
+router.use(protectStaff);
+
 // Upload Excel file with appointments
-router.post("/upload", excelUpload.single("file"), uploadAppointments);
+router.post(
+  "/upload",
+  requireRole("front_desk", "practice_admin"),
+  excelUpload.single("file"),
+  uploadAppointments
+);
+
+// Preview an Excel upload without writing to the database
+router.post(
+  "/upload/preview",
+  requireRole("front_desk", "practice_admin"),
+  excelUpload.single("file"),
+  previewUpload
+);
+
+// Commit a previewed upload
+router.post(
+  "/upload/:previewId/commit",
+  requireRole("front_desk", "practice_admin"),
+  commitUpload
+);
+
+// Upload history and row-level error reports
+router.get(
+  "/uploads",
+  requireRole("front_desk", "practice_admin"),
+  getUploadBatches
+);
+router.get(
+  "/uploads/:fileId",
+  requireRole("front_desk", "practice_admin"),
+  getUploadBatch
+);
+
+// Time per staff member (per day or per patient)
+router.get(
+  "/times/actors",
+  requireRole("medical_assistant", "provider", "practice_admin"),
+  getActorTimes
+);
 
 // Get all appointments (with filters)
 router.get("/", getAppointments);
@@ -25,12 +82,65 @@ router.get("/", getAppointments);
 router.get("/:encounterId", getAppointment);
 
 // Update appointment with KIOSK data
-router.patch("/:encounterId", updateAppointment);
+router.patch(
+  "/:encounterId",
+  requireRole("front_desk", "medical_assistant", "practice_admin"),
+  updateAppointment
+);
 
 // Delete appointments by file ID
-router.delete("/file/:fileId", deleteAppointmentsByFile);
+router.delete(
+  "/file/:fileId",
+  requireRole("practice_admin"),
+  deleteAppointmentsByFile
+);
 
 // Record time tracking events
-router.post("/:encounterId/times", recordTimeEvents);
+router.post(
+  "/:encounterId/times",
+  requireRole("medical_assistant", "provider", "practice_admin"),
+  recordTimeEvents
+);
+
+// Correct or delete a single time event (a reason is required)
+router.patch(
+  "/:encounterId/times/:eventId",
+  requireRole("medical_assistant", "provider", "practice_admin"),
+  updateTimeEvent
+);
+router.delete(
+  "/:encounterId/times/:eventId",
+  requireRole("medical_assistant", "provider", "practice_admin"),
+  deleteTimeEvent
+);
+
+// Roles that move visits along (workflow stages and status)
+const VISIT_ROLES = [
+  "front_desk",
+  "medical_assistant",
+  "provider",
+  "practice_admin",
+];
+
+// Visit workflow stages
+router.get("/:encounterId/stage", getAppointmentStage);
+router.post(
+  "/:encounterId/stage/advance",
+  requireRole(...VISIT_ROLES),
+  advanceStage
+);
+router.post(
+  "/:encounterId/stage/revert",
+  requireRole(...VISIT_ROLES),
+  revertStage
+);
+router.post("/:encounterId/stage/skip", requireRole(...VISIT_ROLES), skipStage);
+
+// Appointment lifecycle status
+router.post(
+  "/:encounterId/status",
+  requireRole(...VISIT_ROLES),
+  changeAppointmentStatus
+);
 
 module.exports = router;
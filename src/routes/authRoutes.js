@@ -6,6 +6,9 @@ const {
   getProfile,
   refreshToken,
   logout,
+  logoutAllDevices,
+  getSessions,
+  revokeSession,
 } = require("../controllers/authController");
 const { protect, verifyOTP } = require("../middlewares/auth");
 
@@ -23,10 +26,15 @@ router.post("/verify-otp", verifyPatientOTP);
 // Get profile (requires authentication)
 router.get("/profile", protect, getProfile);
 
-// Refresh token (requires authentication)
-router.post("/refresh-token", protect, refreshToken);
+// Exchange a refresh token for new tokens
+router.post("/refresh-token", refreshToken);
 
 // Logout (requires authentication)
 router.post("/logout", protect, logout);
+router.post("/logout-all-devices", protect, logoutAllDevices);
+
+// Signed-in devices (requires authentication)
+router.get("/sessions", protect, getSessions);
+router.delete("/sessions/:id", protect, revokeSession);
 
 module.exports = router;
@@ -0,0 +1,45 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getConsentDocuments,
+  publishConsentDocument,
+  updateConsentDocument,
+  getConsentSignatures,
+  getSignatureData,
+} = require("../controllers/consentController");
+const { protectStaff, requireRole } = require("../middlewares/auth");
+
+/**
+ * Consent Routes
+ * Base URL: /api/consents
+ */
+
+// All consent routes require staff authentication
+router.use(protectStaff);
+
+// Consent form versions (publishing is limited to admins)
+router.get("/documents", getConsentDocuments);
+router.post(
+  "/documents",
+  requireRole("practice_admin"),
+  publishConsentDocument
+);
+router.patch(
+  "/documents/:id",
+  requireRole("practice_admin"),
+  updateConsentDocument
+);
+
+// Signed consent records
+router.get(
+  "/signatures",
+  requireRole("front_desk", "medical_assistant", "practice_admin"),
+  getConsentSignatures
+);
+router.get(
+  "/signatures/:id/signature",
+  requireRole("front_desk", "medical_assistant", "practice_admin"),
+  getSignatureData
+);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getFacilities,
+  createFacility,
+  updateFacility,
+  deleteFacility,
+} = require("../controllers/facilityController");
+const { protectStaff, requireRole } = require("../middlewares/auth");
+
+/**
+ * Facility Routes
+ * Base URL: /api/facilities
+ */
+
+// All facility routes require staff authentication
+router.use(protectStaff);
+
+router.get("/", getFacilities);
+
+// Managing facilities is limited to admins
+router.post("/", requireRole("practice_admin"), createFacility);
+router.patch("/:id", requireRole("practice_admin"), updateFacility);
+router.delete("/:id", requireRole("practice_admin"), deleteFacility);
+
+module.exports = router;
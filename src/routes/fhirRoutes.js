@@ -0,0 +1,41 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getCapabilityStatement,
+  readPatient,
+  searchPatients,
+  readAppointment,
+  searchAppointments,
+  readEncounter,
+  searchEncounters,
+  fhirErrorHandler,
+} = require("../controllers/fhirController");
+const { protectStaff } = require("../middlewares/auth");
+
+/**
+ * FHIR R4 Routes (read-only)
+ * Base URL: /fhir/r4
+ */
+
+// Capability statement (public, as required by the FHIR spec)
+router.get("/metadata", getCapabilityStatement);
+
+// All resource routes require a staff login
+router.use(protectStaff);
+
+// Patient
+router.get("/Patient", searchPatients);
+router.get("/Patient/:id", readPatient);
+
+// Appointment
+router.get("/Appointment", searchAppointments);
+router.get("/Appointment/:id", readAppointment);
+
+// Encounter
+router.get("/Encounter", searchEncounters);
+router.get("/Encounter/:id", readEncounter);
+
+// Errors are returned as OperationOutcome resources
+router.use(fhirErrorHandler);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require("express");
+const router = express.Router();
+const { streamFlowBoard } = require("../controllers/flowBoardController");
+const { protectStaff, redactQueryToken } = require("../middlewares/auth");
+
+/**
+ * Flow Board Routes
+ * Base URL: /api/flow-board
+ */
+
+// EventSource cannot send an Authorization header, so the stream also
+// accepts the staff token as ?token=
+const tokenFromQuery = (req, res, next) => {
+  if (req.query.token && !req.headers.authorization) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// Live appointment events for the waiting-room board
+router.get(
+  "/stream",
+  redactQueryToken,
+  tokenFromQuery,
+  protectStaff,
+  streamFlowBoard
+);
+
+module.exports = router;
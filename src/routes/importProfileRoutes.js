@@ -0,0 +1,33 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getImportProfiles,
+  getImportProfile,
+  createImportProfile,
+  updateImportProfile,
+  deleteImportProfile,
+} = require("../controllers/importProfileController");
+const { protectStaff, requireRole } = require("../middlewares/auth");
+
+/**
+ * Import Profile Routes
+ * Base URL: /api/import-profiles
+ */
+
+// All import profile routes require staff authentication
+router.use(protectStaff);
+
+// Anyone who uploads appointments can pick a profile
+router.get("/", requireRole("front_desk", "practice_admin"), getImportProfiles);
+router.get(
+  "/:id",
+  requireRole("front_desk", "practice_admin"),
+  getImportProfile
+);
+
+// Managing profiles is limited to admins
+router.post("/", requireRole("practice_admin"), createImportProfile);
+router.patch("/:id", requireRole("practice_admin"), updateImportProfile);
+router.delete("/:id", requireRole("practice_admin"), deleteImportProfile);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require("express");
+const router = express.Router();
+const { getJob } = require("../controllers/jobController");
+const { protectStaff } = require("../middlewares/auth");
+
+/**
+ * Background Job Routes
+ * Base URL: /api/jobs
+ */
+
+// All routes require a staff login
+router.use(protectStaff);
+
+// Get job status and progress
+router.get("/:id", getJob);
+
+module.exports = router;
@@ -4,14 +4,26 @@ const {
   checkAppointment,
   submitKioskData,
   uploadPatientImages,
+  getConsentForms,
+  signConsent,
 } = require("../controllers/kioskController");
-const { patientImageUpload } = require("../middlewares/upload");
+const {
+  patientImageUpload,
+  signatureUpload,
+} = require("../middlewares/upload");
+const { protectStaff, requireRole } = require("../middlewares/auth");
 
 /**
  * KIOSK Routes
  * Base URL: /api/kiosk
  */
 
+// KIOSK devices are signed in by front desk staff
+router.use(
+  protectStaff,
+  requireRole("front_desk", "medical_assistant", "practice_admin")
+);
+
 // Check if patient has a current-day appointment
 router.post("/check-in", checkAppointment);
 
@@ -29,4 +41,14 @@ router.post(
   uploadPatientImages
 );
 
+// Consent forms to sign, with re-sign status
+router.get("/consents/:encounterId", getConsentForms);
+
+// Sign a consent form (signature image or strokes)
+router.post(
+  "/consents/:encounterId/sign",
+  signatureUpload.single("signature"),
+  signConsent
+);
+
 module.exports = router;
@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getNotifications,
+  getNotification,
+  sendTestNotification,
+} = require("../controllers/notificationController");
+const { protectStaff, requireRole } = require("../middlewares/auth");
+
+/**
+ * Notification Routes
+ * Base URL: /api/notifications
+ */
+
+// The notification log is limited to admins
+router.use(protectStaff, requireRole("practice_admin"));
+
+router.get("/", getNotifications);
+router.post("/test", sendTestNotification);
+router.get("/:id", getNotification);
+
+module.exports = router;
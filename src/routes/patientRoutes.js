@@ -6,7 +6,14 @@ const {
   updatePatient,
   getPatientDashboard,
 } = require("../controllers/patientController");
-const { protect } = require("../middlewares/auth");
+const {
+  getPreCheckIn,
+  savePreCheckIn,
+  submitPreCheckIn,
+  uploadPreCheckInImages,
+} = require("../controllers/preCheckInController");
+const { patientImageUpload } = require("../middlewares/upload");
+const { protect, requireOwnAccount } = require("../middlewares/auth");
 
 /**
  * Patient Routes
@@ -28,4 +35,22 @@ router.put("/:acctNo", updatePatient);
 // Get patient dashboard data
 router.get("/:acctNo/dashboard", getPatientDashboard);
 
+// Pre-check-in ahead of a visit
+router.get("/:acctNo/appointments/:encounterId/precheckin", getPreCheckIn);
+router.put("/:acctNo/appointments/:encounterId/precheckin", savePreCheckIn);
+router.post(
+  "/:acctNo/appointments/:encounterId/precheckin/submit",
+  submitPreCheckIn
+);
+router.post(
+  "/:acctNo/appointments/:encounterId/precheckin/images",
+  requireOwnAccount,
+  patientImageUpload.fields([
+    { name: "photo", maxCount: 1 },
+    { name: "id", maxCount: 1 },
+    { name: "insurance", maxCount: 2 },
+  ]),
+  uploadPreCheckInImages
+);
+
 module.exports = router;
@@ -0,0 +1,37 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getPreCheckIn,
+  savePreCheckIn,
+  submitPreCheckIn,
+  uploadPreCheckInImages,
+} = require("../controllers/preCheckInController");
+const { patientImageUpload } = require("../middlewares/upload");
+const {
+  redactQueryToken,
+  protectAppointmentLink,
+} = require("../middlewares/auth");
+
+/**
+ * Pre-check-in Link Routes
+ * Base URL: /api/pre-check-in
+ */
+
+// The signed link from an appointment reminder (?token=) stands in for a
+// portal login
+router.use(redactQueryToken, protectAppointmentLink("pre_check_in"));
+
+router.get("/", getPreCheckIn);
+router.put("/", savePreCheckIn);
+router.post("/submit", submitPreCheckIn);
+router.post(
+  "/images",
+  patientImageUpload.fields([
+    { name: "photo", maxCount: 1 },
+    { name: "id", maxCount: 1 },
+    { name: "insurance", maxCount: 2 },
+  ]),
+  uploadPreCheckInImages
+);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getReminderCampaigns,
+  createReminderCampaign,
+  updateReminderCampaign,
+  deleteReminderCampaign,
+  getReminderResponse,
+  respondToReminder,
+  receiveSmsReply,
+} = require("../controllers/reminderController");
+const {
+  protectStaff,
+  requireRole,
+  redactQueryToken,
+} = require("../middlewares/auth");
+
+/**
+ * Reminder Routes
+ * Base URL: /api/reminders
+ */
+
+// Patient answers: signed links and the SMS provider's reply webhook
+router.get("/respond", redactQueryToken, getReminderResponse);
+router.post("/respond", redactQueryToken, respondToReminder);
+router.post("/sms-reply", receiveSmsReply);
+
+// Campaigns are limited to admins
+router.use("/campaigns", protectStaff, requireRole("practice_admin"));
+
+router.get("/campaigns", getReminderCampaigns);
+router.post("/campaigns", createReminderCampaign);
+router.patch("/campaigns/:id", updateReminderCampaign);
+router.delete("/campaigns/:id", deleteReminderCampaign);
+
+module.exports = router;
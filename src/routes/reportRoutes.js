@@ -0,0 +1,42 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getReportTypes,
+  getReport,
+  getReportArchive,
+  downloadArchivedReport,
+  deleteArchivedReport,
+  getReportSchedules,
+  createReportSchedule,
+  updateReportSchedule,
+  deleteReportSchedule,
+  runReportSchedule,
+} = require("../controllers/reportController");
+const { protectStaff, requireRole } = require("../middlewares/auth");
+
+/**
+ * Report Routes
+ * Base URL: /api/reports
+ */
+
+// Reports are limited to admins
+router.use(protectStaff, requireRole("practice_admin"));
+
+router.get("/types", getReportTypes);
+
+// Report archive
+router.get("/archive", getReportArchive);
+router.get("/archive/:id/download", downloadArchivedReport);
+router.delete("/archive/:id", deleteArchivedReport);
+
+// Scheduled reports
+router.get("/schedules", getReportSchedules);
+router.post("/schedules", createReportSchedule);
+router.patch("/schedules/:id", updateReportSchedule);
+router.delete("/schedules/:id", deleteReportSchedule);
+router.post("/schedules/:id/run", runReportSchedule);
+
+// On-demand report (csv, xlsx, pdf or json)
+router.get("/:type", getReport);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require("express");
+const router = express.Router();
+const {
+  loginStaff,
+  getStaffProfile,
+  getStaffMembers,
+  createStaff,
+  updateStaff,
+} = require("../controllers/staffController");
+const { protectStaff, requireRole } = require("../middlewares/auth");
+
+/**
+ * Staff Routes
+ * Base URL: /api/staff
+ */
+
+// Log in with email and password
+router.post("/login", loginStaff);
+
+// Get current staff profile (requires authentication)
+router.get("/me", protectStaff, getStaffProfile);
+
+// Manage staff accounts (admins only)
+router.get("/", protectStaff, requireRole("practice_admin"), getStaffMembers);
+router.post("/", protectStaff, requireRole("practice_admin"), createStaff);
+router.patch("/:id", protectStaff, requireRole("practice_admin"), updateStaff);
+
+module.exports = router;
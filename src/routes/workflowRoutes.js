@@ -0,0 +1,29 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getWorkflows,
+  getWorkflow,
+  createWorkflow,
+  updateWorkflow,
+  deleteWorkflow,
+} = require("../controllers/workflowController");
+const { protectStaff, requireRole } = require("../middlewares/auth");
+
+/**
+ * Visit Workflow Routes
+ * Base URL: /api/workflows
+ */
+
+// All workflow routes require staff authentication
+router.use(protectStaff);
+
+// Any staff member can see the workflows
+router.get("/", getWorkflows);
+router.get("/:id", getWorkflow);
+
+// Configuring workflows is limited to admins
+router.post("/", requireRole("practice_admin"), createWorkflow);
+router.patch("/:id", requireRole("practice_admin"), updateWorkflow);
+router.delete("/:id", requireRole("practice_admin"), deleteWorkflow);
+
+module.exports = router;
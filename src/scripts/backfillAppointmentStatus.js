@@ -0,0 +1,61 @@
+/**
+ * Set the lifecycle status of appointments created before it existed,
+ * worked out from the EHR status, attendance, KIOSK check-in and time events
+ * Usage: node src/scripts/backfillAppointmentStatus.js [--dry-run]
+ */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Appointment = require("../models/appointmentModel");
+const { deriveStatus } = require("../utils/appointmentStatus");
+
+const BATCH_SIZE = 500;
+
+const run = async () => {
+  const dryRun = process.argv.includes("--dry-run");
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const cursor = Appointment.find({ status: { $exists: false } })
+    .lean()
+    .cursor();
+
+  const counts = {};
+  let operations = [];
+
+  const flush = async () => {
+    if (!dryRun && operations.length > 0) {
+      await Appointment.bulkWrite(operations, { ordered: false });
+    }
+    operations = [];
+  };
+
+  for await (const appointment of cursor) {
+    const status = deriveStatus(appointment);
+    counts[status] = (counts[status] || 0) + 1;
+
+    operations.push({
+      updateOne: {
+        filter: { _id: appointment._id, status: { $exists: false } },
+        update: { $set: { status } },
+      },
+    });
+
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+  console.log(
+    `${dryRun ? "[dry run] " : ""}Set the status of ${total} appointments`
+  );
+  Object.entries(counts).forEach(([status, count]) =>
+    console.log(`  ${status}: ${count}`)
+  );
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error(`Failed to backfill appointment status: ${error.message}`);
+  process.exit(1);
+});
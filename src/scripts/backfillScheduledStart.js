@@ -0,0 +1,68 @@
+/**
+ * Store the scheduled start and facility timezone on existing appointments
+ * (and move appointmentDate to UTC midnight of its calendar date).
+ * Safe to run again, e.g. after changing a facility's timezone.
+ * Usage: node src/scripts/backfillScheduledStart.js [--dry-run]
+ */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Appointment = require("../models/appointmentModel");
+const { getTimezoneResolver } = require("../utils/facilityTime");
+
+const BATCH_SIZE = 500;
+
+const run = async () => {
+  const dryRun = process.argv.includes("--dry-run");
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const timezoneOf = await getTimezoneResolver();
+  const cursor = Appointment.find().cursor();
+
+  let checked = 0;
+  let updated = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (!dryRun && operations.length > 0) {
+      await Appointment.bulkWrite(operations, { ordered: false });
+    }
+    operations = [];
+  };
+
+  for await (const appointment of cursor) {
+    checked++;
+    appointment.setSchedule(timezoneOf(appointment.appointmentFacilityName));
+
+    const changedFields = appointment.directModifiedPaths();
+    if (changedFields.length === 0) continue;
+
+    updated++;
+    operations.push({
+      updateOne: {
+        filter: { _id: appointment._id },
+        update: {
+          $set: {
+            appointmentDate: appointment.appointmentDate,
+            scheduledStart: appointment.scheduledStart,
+            timezone: appointment.timezone,
+          },
+        },
+      },
+    });
+
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(
+    `${dryRun ? "[dry run] " : ""}Checked ${checked} appointments, updated ${updated}`
+  );
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error(`Failed to backfill scheduled starts: ${error.message}`);
+  process.exit(1);
+});
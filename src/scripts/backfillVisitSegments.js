@@ -0,0 +1,73 @@
+/**
+ * Work out the time segments and per-staff durations of appointments whose
+ * time events were recorded before segments were stored, so they show up in
+ * the time per staff member
+ * Usage: node src/scripts/backfillVisitSegments.js [--dry-run]
+ */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Appointment = require("../models/appointmentModel");
+
+const BATCH_SIZE = 500;
+
+const run = async () => {
+  const dryRun = process.argv.includes("--dry-run");
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const cursor = Appointment.find({
+    "visitTimes.rawEvents.0": { $exists: true },
+    "visitTimes.segments.0": { $exists: false },
+  }).cursor();
+
+  let updated = 0;
+  let segments = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (!dryRun && operations.length > 0) {
+      await Appointment.bulkWrite(operations, { ordered: false });
+    }
+    operations = [];
+  };
+
+  for await (const appointment of cursor) {
+    appointment.calculateDurations();
+    const { visitTimes } = appointment.toObject();
+
+    updated++;
+    segments += visitTimes.segments.length;
+    operations.push({
+      updateOne: {
+        filter: {
+          _id: appointment._id,
+          "visitTimes.segments.0": { $exists: false },
+        },
+        update: {
+          $set: {
+            "visitTimes.patientDuration": visitTimes.patientDuration,
+            "visitTimes.doctorDuration": visitTimes.doctorDuration,
+            "visitTimes.staffDuration": visitTimes.staffDuration,
+            "visitTimes.durations": visitTimes.durations,
+            "visitTimes.segments": visitTimes.segments,
+            "visitTimes.actorDurations": visitTimes.actorDurations,
+          },
+        },
+      },
+    });
+
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(
+    `${dryRun ? "[dry run] " : ""}Stored ${segments} segments on ${updated} appointments`
+  );
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error(`Failed to backfill visit segments: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,37 @@
+/**
+ * Create the first super admin staff account
+ * Usage: node src/scripts/createSuperAdmin.js <email> <password>
+ */
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Staff = require("../models/staffModel");
+
+const run = async () => {
+  const [email, password] = process.argv.slice(2);
+
+  if (!email || !password) {
+    console.error(
+      "Usage: node src/scripts/createSuperAdmin.js <email> <password>"
+    );
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const existing = await Staff.findOne({ email: email.toLowerCase() });
+  if (existing) {
+    console.error(`Staff account already exists: ${existing.email}`);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+
+  const staff = await Staff.create({ email, password, role: "super_admin" });
+  console.log(`Super admin created: ${staff.email}`);
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error(`Failed to create super admin: ${error.message}`);
+  process.exit(1);
+});
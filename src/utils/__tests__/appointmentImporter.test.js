@@ -0,0 +1,143 @@
+jest.mock("../../models/appointmentModel", () => ({ find: jest.fn() }));
+jest.mock("../../models/patientModel", () => ({ updateOne: jest.fn() }));
+jest.mock("../../config/logger", () => ({ warn: jest.fn() }));
+
+const Appointment = require("../../models/appointmentModel");
+const Patient = require("../../models/patientModel");
+const { getDateFilter } = require("../facilityTime");
+const { removeMissingAppointments } = require("../appointmentImporter");
+
+const day = (date) => new Date(`${date}T00:00:00Z`);
+
+// Stored appointment the query found, with a spy for its deletion
+const storedAppointment = (encounterId, overrides = {}) => ({
+  _id: `id-${encounterId}`,
+  encounterId,
+  patientAcctNo: `acct-${encounterId}`,
+  deleteOne: jest.fn().mockResolvedValue({}),
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Appointment.find.mockResolvedValue([]);
+  Patient.updateOne.mockResolvedValue({});
+});
+
+describe("removeMissingAppointments", () => {
+  it("limits the removal to the facilities and providers in the file", async () => {
+    await removeMissingAppointments([
+      {
+        encounterId: 1001,
+        appointmentDate: day("2024-03-01"),
+        appointmentFacilityName: "North",
+        appointmentProviderName: "Dr. Lee",
+      },
+      {
+        encounterId: 1002,
+        appointmentDate: day("2024-03-01"),
+        appointmentFacilityName: "North",
+        appointmentProviderName: "Dr. Lee",
+      },
+      {
+        encounterId: 1003,
+        appointmentDate: day("2024-03-01"),
+        appointmentFacilityName: "South",
+        appointmentProviderName: "Dr. Kim",
+      },
+      {
+        encounterId: 1004,
+        appointmentDate: day("2024-03-02"),
+        appointmentFacilityName: "North",
+        appointmentProviderName: "Dr. Lee",
+      },
+    ]);
+
+    expect(Appointment.find).toHaveBeenCalledWith({
+      encounterId: { $nin: ["1001", "1002", "1003", "1004"] },
+      $or: [
+        {
+          appointmentDate: getDateFilter("2024-03-01"),
+          appointmentFacilityName: "North",
+          appointmentProviderName: "Dr. Lee",
+        },
+        {
+          appointmentDate: getDateFilter("2024-03-01"),
+          appointmentFacilityName: "South",
+          appointmentProviderName: "Dr. Kim",
+        },
+        {
+          appointmentDate: getDateFilter("2024-03-02"),
+          appointmentFacilityName: "North",
+          appointmentProviderName: "Dr. Lee",
+        },
+      ],
+    });
+  });
+
+  it("replaces the whole day for rows without a facility or provider", async () => {
+    await removeMissingAppointments([
+      {
+        encounterId: 1001,
+        appointmentDate: day("2024-03-01"),
+        appointmentFacilityName: "North",
+      },
+      { encounterId: 1002, appointmentDate: day("2024-03-02") },
+    ]);
+
+    expect(Appointment.find.mock.calls[0][0].$or).toEqual([
+      {
+        appointmentDate: getDateFilter("2024-03-01"),
+        appointmentFacilityName: "North",
+      },
+      { appointmentDate: getDateFilter("2024-03-02") },
+    ]);
+  });
+
+  it("removes nothing when no row has a date", async () => {
+    const result = await removeMissingAppointments([
+      { encounterId: 1001, appointmentDate: "2024-03-01" },
+      { encounterId: 1002 },
+    ]);
+
+    expect(result).toEqual({ removed: [], retained: [] });
+    expect(Appointment.find).not.toHaveBeenCalled();
+  });
+
+  it("keeps missing appointments that already have activity", async () => {
+    const missing = [
+      storedAppointment("2001"),
+      storedAppointment("2002", {
+        kioskCheckIn: { checkedInAt: day("2024-03-01") },
+      }),
+      storedAppointment("2003", {
+        visitTimes: { rawEvents: [{ label: "patient_start" }] },
+      }),
+      storedAppointment("2004", {
+        visitTimes: { rawEvents: [], stageEvents: [{ stage: "rooming" }] },
+      }),
+      storedAppointment("2005", { preCheckIn: { status: "in_progress" } }),
+      storedAppointment("2006", {
+        reminderResponse: { respondedAt: day("2024-02-29") },
+      }),
+      storedAppointment("2007", { visitTimes: { rawEvents: [] } }),
+    ];
+    Appointment.find.mockResolvedValue(missing);
+
+    const result = await removeMissingAppointments([
+      { encounterId: 1001, appointmentDate: day("2024-03-01") },
+    ]);
+
+    expect(result).toEqual({
+      removed: ["2001", "2007"],
+      retained: ["2002", "2003", "2004", "2005", "2006"],
+    });
+    expect(missing[0].deleteOne).toHaveBeenCalled();
+    expect(missing[1].deleteOne).not.toHaveBeenCalled();
+    expect(Patient.updateOne).toHaveBeenCalledWith(
+      { acctNo: "acct-2001" },
+      { $pull: { appointments: "id-2001" } }
+    );
+    expect(Patient.updateOne).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,224 @@
+const {
+  APPOINTMENT_STATUSES,
+  STATUS_TRANSITIONS,
+  canTransition,
+  applyStatusChange,
+  advanceStatus,
+  getStatusForEvents,
+  reconcileEventStatus,
+  deriveStatus,
+} = require("../appointmentStatus");
+
+const at = (time) => new Date(`2024-03-01T${time}:00Z`);
+const buildAppointment = (overrides = {}) => ({
+  status: "scheduled",
+  statusHistory: [],
+  ...overrides,
+});
+
+describe("STATUS_TRANSITIONS", () => {
+  it("covers every status and only leads to known statuses", () => {
+    expect(Object.keys(STATUS_TRANSITIONS).sort()).toEqual(
+      [...APPOINTMENT_STATUSES].sort()
+    );
+    Object.values(STATUS_TRANSITIONS).forEach((targets) =>
+      targets.forEach((to) => expect(APPOINTMENT_STATUSES).toContain(to))
+    );
+  });
+
+  it("ends a visit at checked_out or rescheduled", () => {
+    expect(STATUS_TRANSITIONS.checked_out).toEqual([]);
+    expect(STATUS_TRANSITIONS.rescheduled).toEqual([]);
+    expect(canTransition("checked_out", "scheduled")).toBe(false);
+    expect(canTransition("unknown", "scheduled")).toBe(false);
+  });
+});
+
+describe("applyStatusChange", () => {
+  it("records an allowed change in the history", () => {
+    const appointment = buildAppointment();
+
+    const result = applyStatusChange(appointment, "arrived", {
+      by: "staff-1",
+      at: at("09:00"),
+      reason: "At the desk",
+    });
+
+    expect(result).toEqual({ from: "scheduled", to: "arrived" });
+    expect(appointment.status).toBe("arrived");
+    expect(appointment.statusHistory).toEqual([
+      {
+        from: "scheduled",
+        to: "arrived",
+        changedBy: "staff-1",
+        changedAt: at("09:00"),
+        reason: "At the desk",
+        source: "manual",
+      },
+    ]);
+  });
+
+  it("treats a missing status as scheduled", () => {
+    const appointment = buildAppointment({ status: undefined });
+
+    expect(applyStatusChange(appointment, "confirmed")).toEqual({
+      from: "scheduled",
+      to: "confirmed",
+    });
+  });
+
+  it("rejects a transition the table does not allow", () => {
+    const appointment = buildAppointment({ status: "roomed" });
+
+    expect(applyStatusChange(appointment, "cancelled")).toEqual({
+      error:
+        "Cannot change status from roomed to cancelled (allowed: with_provider, checked_out)",
+    });
+    expect(appointment.status).toBe("roomed");
+    expect(appointment.statusHistory).toEqual([]);
+  });
+
+  it("lists no allowed statuses from a final one", () => {
+    const appointment = buildAppointment({ status: "checked_out" });
+
+    expect(applyStatusChange(appointment, "roomed")).toEqual({
+      error: "Cannot change status from checked_out to roomed",
+    });
+  });
+
+  it("rejects an unknown status", () => {
+    const appointment = buildAppointment();
+
+    expect(applyStatusChange(appointment, "lost").error).toMatch(
+      /^Invalid status: lost\. Expected one of: scheduled, /
+    );
+    expect(appointment.statusHistory).toEqual([]);
+  });
+
+  it("lets a cancelled visit be rebooked", () => {
+    const appointment = buildAppointment({ status: "cancelled" });
+
+    expect(applyStatusChange(appointment, "scheduled")).toEqual({
+      from: "cancelled",
+      to: "scheduled",
+    });
+  });
+});
+
+describe("advanceStatus", () => {
+  it("only moves forward along the visit flow", () => {
+    const appointment = buildAppointment({ status: "roomed" });
+
+    expect(advanceStatus(appointment, "checked_in")).toBeNull();
+    expect(advanceStatus(appointment, "roomed")).toBeNull();
+    expect(
+      advanceStatus(appointment, "with_provider", { source: "time_event" })
+    ).toEqual({ from: "roomed", to: "with_provider" });
+    expect(appointment.statusHistory[0].source).toBe("time_event");
+  });
+
+  it("leaves closed statuses alone", () => {
+    const appointment = buildAppointment({ status: "cancelled" });
+
+    expect(advanceStatus(appointment, "checked_in")).toBeNull();
+    expect(appointment.status).toBe("cancelled");
+  });
+});
+
+describe("getStatusForEvents", () => {
+  it("returns the furthest status the events reach", () => {
+    expect(
+      getStatusForEvents([
+        { label: "patient_start" },
+        { label: "doctor_start" },
+        { label: "doctor_end" },
+      ])
+    ).toBe("with_provider");
+    expect(getStatusForEvents([{ label: "patient_end" }])).toBe("checked_out");
+    expect(getStatusForEvents([{ label: "doctor_end" }])).toBeNull();
+    expect(getStatusForEvents()).toBeNull();
+  });
+});
+
+describe("reconcileEventStatus", () => {
+  it("steps back when the event that set the status is removed", () => {
+    const appointment = buildAppointment({
+      status: "with_provider",
+      statusHistory: [
+        { from: "scheduled", to: "checked_in", source: "kiosk" },
+        { from: "checked_in", to: "roomed", source: "time_event" },
+        { from: "roomed", to: "with_provider", source: "time_event" },
+      ],
+      visitTimes: { rawEvents: [{ label: "patient_start" }] },
+    });
+
+    expect(reconcileEventStatus(appointment)).toEqual({
+      from: "with_provider",
+      to: "roomed",
+    });
+  });
+
+  it("goes back to the status before the time events without any left", () => {
+    const appointment = buildAppointment({
+      status: "roomed",
+      statusHistory: [
+        { from: "scheduled", to: "checked_in", source: "kiosk" },
+        { from: "checked_in", to: "roomed", source: "time_event" },
+      ],
+      visitTimes: { rawEvents: [] },
+    });
+
+    expect(reconcileEventStatus(appointment)).toEqual({
+      from: "roomed",
+      to: "checked_in",
+    });
+    expect(appointment.statusHistory[2].source).toBe("time_event");
+  });
+
+  it("only moves a status set by hand forward", () => {
+    const appointment = buildAppointment({
+      status: "with_provider",
+      statusHistory: [
+        { from: "checked_in", to: "with_provider", source: "manual" },
+      ],
+      visitTimes: { rawEvents: [{ label: "patient_start" }] },
+    });
+
+    expect(reconcileEventStatus(appointment)).toBeNull();
+
+    appointment.visitTimes.rawEvents.push({ label: "patient_end" });
+    expect(reconcileEventStatus(appointment)).toEqual({
+      from: "with_provider",
+      to: "checked_out",
+    });
+  });
+});
+
+describe("deriveStatus", () => {
+  it("reads closed statuses from the EHR text and attendance", () => {
+    expect(deriveStatus({ visitStatus: "Cancelled by patient" })).toBe(
+      "cancelled"
+    );
+    expect(deriveStatus({ visitStatus: "Rescheduled" })).toBe("rescheduled");
+    expect(deriveStatus({ visitStatus: "N/S" })).toBe("no_show");
+    expect(deriveStatus({ attendance: { status: "no_show" } })).toBe("no_show");
+  });
+
+  it("prefers time events, then check-in, then confirmation", () => {
+    expect(
+      deriveStatus({
+        visitStatus: "Confirmed",
+        kioskCheckIn: { checkedInAt: at("08:55") },
+        visitTimes: { rawEvents: [{ label: "doctor_start" }] },
+      })
+    ).toBe("with_provider");
+    expect(
+      deriveStatus({
+        visitStatus: "Confirmed",
+        kioskCheckIn: { checkedInAt: at("08:55") },
+      })
+    ).toBe("checked_in");
+    expect(deriveStatus({ visitStatus: "Confirmed" })).toBe("confirmed");
+    expect(deriveStatus({})).toBe("scheduled");
+  });
+});
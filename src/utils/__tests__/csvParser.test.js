@@ -0,0 +1,107 @@
+const { decodeBuffer, detectDelimiter, parseCsv } = require("../csvParser");
+
+describe("decodeBuffer", () => {
+  it("decodes UTF-8 with and without a BOM", () => {
+    const text = "Name,Ciudad\nJosé,Bogotá";
+
+    expect(decodeBuffer(Buffer.from(text))).toEqual({
+      text,
+      encoding: "utf-8",
+    });
+    expect(
+      decodeBuffer(
+        Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from(text)])
+      )
+    ).toEqual({ text, encoding: "utf-8" });
+  });
+
+  it("decodes UTF-16 LE and BE with a BOM", () => {
+    const text = "Name;Ciudad\nJosé;Bogotá";
+    const le = Buffer.concat([
+      Buffer.from([0xff, 0xfe]),
+      Buffer.from(text, "utf16le"),
+    ]);
+    const be = Buffer.concat([
+      Buffer.from([0xfe, 0xff]),
+      Buffer.from(text, "utf16le").swap16(),
+    ]);
+
+    expect(decodeBuffer(le)).toEqual({ text, encoding: "utf-16le" });
+    expect(decodeBuffer(be)).toEqual({ text, encoding: "utf-16be" });
+  });
+
+  it("falls back to Windows-1252 when the bytes are not valid UTF-8", () => {
+    // "José,Bogotá" as exported by Excel on Windows
+    const buffer = Buffer.from([
+      0x4a, 0x6f, 0x73, 0xe9, 0x2c, 0x42, 0x6f, 0x67, 0x6f, 0x74, 0xe1,
+    ]);
+
+    expect(decodeBuffer(buffer)).toEqual({
+      text: "José,Bogotá",
+      encoding: "windows-1252",
+    });
+  });
+});
+
+describe("detectDelimiter", () => {
+  it("picks the delimiter used most in the header line", () => {
+    expect(detectDelimiter("a,b,c\n1,2,3")).toBe(",");
+    expect(detectDelimiter("a;b;c\n1,2;3")).toBe(";");
+    expect(detectDelimiter("a\tb\tc")).toBe("\t");
+    expect(detectDelimiter("a|b|c")).toBe("|");
+  });
+
+  it("ignores delimiters inside quoted headers", () => {
+    expect(detectDelimiter('"Last, First";"City, State";Phone')).toBe(";");
+  });
+
+  it("only looks at the first line", () => {
+    expect(detectDelimiter("a;b\n1,2,3,4,5")).toBe(";");
+  });
+
+  it("defaults to a comma", () => {
+    expect(detectDelimiter("Name")).toBe(",");
+    expect(detectDelimiter("")).toBe(",");
+  });
+});
+
+describe("parseCsv", () => {
+  it("parses rows of cells with numbers, strings and empty cells", () => {
+    expect(parseCsv("encounterId,name,age\n1001, Jane ,42\n1002,,")).toEqual([
+      ["encounterId", "name", "age"],
+      [1001, "Jane", 42],
+      [1002, null, null],
+    ]);
+  });
+
+  it("keeps values with leading zeros as strings", () => {
+    expect(parseCsv("zip,amount,score\n02134,-1.5,0")).toEqual([
+      ["zip", "amount", "score"],
+      ["02134", -1.5, 0],
+    ]);
+  });
+
+  it("handles quoted fields, escaped quotes and line breaks inside quotes", () => {
+    const text = 'name,notes\n"Doe, Jane","Said ""hi""\nthen left"';
+
+    expect(parseCsv(text)).toEqual([
+      ["name", "notes"],
+      ["Doe, Jane", 'Said "hi"\nthen left'],
+    ]);
+  });
+
+  it("treats CRLF and lone CR as line breaks and drops empty rows", () => {
+    expect(parseCsv("a,b\r\n1,2\r\r\n,\n3,4\r\n")).toEqual([
+      ["a", "b"],
+      [1, 2],
+      [3, 4],
+    ]);
+  });
+
+  it("splits on the given delimiter", () => {
+    expect(parseCsv("a;b\n1,5;2", ";")).toEqual([
+      ["a", "b"],
+      ["1,5", 2],
+    ]);
+  });
+});
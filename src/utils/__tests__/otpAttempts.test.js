@@ -0,0 +1,167 @@
+jest.mock("../../models/otpAttemptModel", () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  deleteOne: jest.fn(),
+}));
+jest.mock("../../models/patientModel", () => ({}));
+jest.mock("../../config/logger", () => ({ warn: jest.fn() }));
+
+const OtpAttempt = require("../../models/otpAttemptModel");
+const logger = require("../../config/logger");
+const {
+  MAX_ACCOUNT_FAILURES,
+  getLockoutMinutes,
+  countFailure,
+  recordFailure,
+} = require("../otpAttempts");
+
+const now = new Date("2024-03-01T10:00:00Z");
+const minutesAfterNow = (minutes) => new Date(now.getTime() + minutes * 60000);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  OtpAttempt.updateOne.mockResolvedValue({});
+});
+
+describe("getLockoutMinutes", () => {
+  it("starts at 15 minutes and doubles with each lockout", () => {
+    expect(getLockoutMinutes(0)).toBe(15);
+    expect(getLockoutMinutes(1)).toBe(30);
+    expect(getLockoutMinutes(2)).toBe(60);
+    expect(getLockoutMinutes(5)).toBe(480);
+  });
+
+  it("never locks out for more than a day", () => {
+    expect(getLockoutMinutes(7)).toBe(24 * 60);
+    expect(getLockoutMinutes(50)).toBe(24 * 60);
+  });
+});
+
+describe("countFailure", () => {
+  it("resets failures older than the attempt window before counting", async () => {
+    OtpAttempt.findOneAndUpdate.mockResolvedValueOnce({
+      failures: 1,
+      lockouts: 0,
+    });
+
+    await countFailure("account", 1001, now);
+
+    expect(OtpAttempt.updateOne).toHaveBeenCalledWith(
+      {
+        scope: "account",
+        key: "1001",
+        lastFailureAt: { $lt: minutesAfterNow(-15) },
+      },
+      { $set: { failures: 0 } }
+    );
+    expect(OtpAttempt.findOneAndUpdate).toHaveBeenCalledWith(
+      { scope: "account", key: "1001" },
+      {
+        $inc: { failures: 1 },
+        $set: { lastFailureAt: now, expiresAt: minutesAfterNow(24 * 60) },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  });
+
+  it("returns the attempts left while under the limit", async () => {
+    OtpAttempt.findOneAndUpdate.mockResolvedValueOnce({
+      failures: 2,
+      lockouts: 0,
+    });
+
+    const result = await countFailure("account", "1001", now);
+
+    expect(result).toEqual({
+      remaining: MAX_ACCOUNT_FAILURES - 2,
+      lockedUntil: null,
+    });
+    expect(OtpAttempt.findOneAndUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  it("locks the account out when the limit is reached", async () => {
+    OtpAttempt.findOneAndUpdate
+      .mockResolvedValueOnce({
+        _id: "attempt-1",
+        failures: MAX_ACCOUNT_FAILURES,
+        lockouts: 1,
+      })
+      .mockResolvedValueOnce({ lockouts: 2 });
+
+    const result = await countFailure("account", "1001", now);
+
+    expect(result).toEqual({ remaining: 0, lockedUntil: minutesAfterNow(30) });
+    expect(OtpAttempt.findOneAndUpdate).toHaveBeenLastCalledWith(
+      { _id: "attempt-1", failures: { $gte: MAX_ACCOUNT_FAILURES } },
+      {
+        $set: {
+          failures: 0,
+          lockedUntil: minutesAfterNow(30),
+          expiresAt: minutesAfterNow(30 + 24 * 60),
+        },
+        $inc: { lockouts: 1 },
+      },
+      { new: true }
+    );
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+  });
+
+  it("does not lock again when a parallel failure already did", async () => {
+    OtpAttempt.findOneAndUpdate
+      .mockResolvedValueOnce({
+        _id: "attempt-1",
+        failures: MAX_ACCOUNT_FAILURES + 1,
+        lockouts: 0,
+      })
+      .mockResolvedValueOnce(null);
+
+    const result = await countFailure("account", "1001", now);
+
+    expect(result).toEqual({ remaining: 0, lockedUntil: minutesAfterNow(15) });
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+
+  it("allows more failures per IP address than per account", async () => {
+    OtpAttempt.findOneAndUpdate.mockResolvedValueOnce({
+      failures: MAX_ACCOUNT_FAILURES,
+      lockouts: 0,
+    });
+
+    const result = await countFailure("ip", "10.0.0.1", now);
+
+    expect(result.lockedUntil).toBeNull();
+    expect(result.remaining).toBeGreaterThan(0);
+  });
+});
+
+describe("recordFailure", () => {
+  it("counts the failure for the account and the IP address", async () => {
+    OtpAttempt.findOneAndUpdate
+      .mockResolvedValueOnce({ failures: 1, lockouts: 0 })
+      .mockResolvedValueOnce({ failures: 1, lockouts: 0 });
+
+    const result = await recordFailure("1001", "10.0.0.1", now);
+
+    expect(result).toEqual({
+      remaining: MAX_ACCOUNT_FAILURES - 1,
+      lockedUntil: null,
+    });
+    expect(OtpAttempt.findOneAndUpdate.mock.calls.map(([f]) => f)).toEqual([
+      { scope: "account", key: "1001" },
+      { scope: "ip", key: "10.0.0.1" },
+    ]);
+  });
+
+  it("returns the later lockout when both are locked out", async () => {
+    OtpAttempt.findOneAndUpdate
+      .mockResolvedValueOnce({ _id: "a", failures: MAX_ACCOUNT_FAILURES })
+      .mockResolvedValueOnce({ lockouts: 1 })
+      .mockResolvedValueOnce({ _id: "b", failures: 100, lockouts: 2 })
+      .mockResolvedValueOnce({ lockouts: 3 });
+
+    const result = await recordFailure("1001", "10.0.0.1", now);
+
+    expect(result).toEqual({ remaining: 0, lockedUntil: minutesAfterNow(60) });
+  });
+});
@@ -0,0 +1,136 @@
+jest.mock("../../models/sessionModel", () => ({
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+}));
+jest.mock("../../config/logger", () => ({ warn: jest.fn() }));
+
+const crypto = require("crypto");
+const Session = require("../../models/sessionModel");
+const logger = require("../../config/logger");
+const { rotateSession } = require("../sessions");
+
+const now = new Date("2024-03-01T10:00:00Z");
+const hash = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const buildSession = (overrides = {}) => ({
+  _id: "session-1",
+  patientAcctNo: "1001",
+  tokenHash: hash("current-token"),
+  userAgent: "old-agent",
+  ipAddress: "10.0.0.1",
+  revokedAt: null,
+  expiresAt: new Date("2024-03-20T10:00:00Z"),
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Session.updateOne.mockResolvedValue({});
+});
+
+describe("rotateSession", () => {
+  it("looks the session up by its current or a rotated-out token", async () => {
+    Session.findOne.mockResolvedValue(null);
+
+    const result = await rotateSession("unknown-token", {}, now);
+
+    expect(result).toEqual({ error: "Invalid refresh token" });
+    expect(Session.findOne).toHaveBeenCalledWith({
+      $or: [
+        { tokenHash: hash("unknown-token") },
+        { previousTokenHashes: hash("unknown-token") },
+      ],
+    });
+  });
+
+  it("replaces the refresh token and extends the session", async () => {
+    const session = buildSession();
+    Session.findOne.mockResolvedValue(session);
+    Session.findOneAndUpdate.mockImplementation((filter, update) =>
+      Promise.resolve({ ...session, ...update.$set })
+    );
+
+    const result = await rotateSession(
+      "current-token",
+      { userAgent: "new-agent" },
+      now
+    );
+
+    expect(result.refreshToken).toEqual(expect.any(String));
+    expect(result.refreshToken).not.toBe("current-token");
+
+    const [filter, update] = Session.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({
+      _id: "session-1",
+      tokenHash: hash("current-token"),
+      revokedAt: null,
+    });
+    expect(update.$set).toMatchObject({
+      tokenHash: hash(result.refreshToken),
+      userAgent: "new-agent",
+      ipAddress: "10.0.0.1",
+      lastUsedAt: now,
+      rotatedAt: now,
+      expiresAt: new Date("2024-03-31T10:00:00Z"),
+    });
+    expect(update.$push.previousTokenHashes.$each).toEqual([
+      hash("current-token"),
+    ]);
+    expect(result.session.tokenHash).toBe(hash(result.refreshToken));
+    expect(Session.updateOne).not.toHaveBeenCalled();
+  });
+
+  it("revokes the session when a rotated-out token is reused", async () => {
+    Session.findOne.mockResolvedValue(buildSession());
+
+    const result = await rotateSession("stolen-token", {}, now);
+
+    expect(result).toEqual({
+      error: "Refresh token has already been used, please sign in again",
+    });
+    expect(Session.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(Session.updateOne).toHaveBeenCalledWith(
+      { _id: "session-1", revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: "token_reuse" } }
+    );
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+  });
+
+  it("revokes the session when a parallel request rotated the token first", async () => {
+    Session.findOne.mockResolvedValue(buildSession());
+    Session.findOneAndUpdate.mockResolvedValue(null);
+
+    const result = await rotateSession("current-token", {}, now);
+
+    expect(result).toEqual({
+      error: "Refresh token has already been used, please sign in again",
+    });
+    expect(Session.updateOne).toHaveBeenCalledWith(
+      { _id: "session-1", revokedAt: null },
+      { $set: { revokedAt: now, revokedReason: "token_reuse" } }
+    );
+  });
+
+  it("rejects a signed-out session", async () => {
+    Session.findOne.mockResolvedValue(
+      buildSession({ revokedAt: new Date("2024-02-28T10:00:00Z") })
+    );
+
+    const result = await rotateSession("current-token", {}, now);
+
+    expect(result).toEqual({ error: "Session has been signed out" });
+    expect(Session.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("rejects an expired session", async () => {
+    Session.findOne.mockResolvedValue(buildSession({ expiresAt: now }));
+
+    const result = await rotateSession("current-token", {}, now);
+
+    expect(result).toEqual({
+      error: "Session has expired, please sign in again",
+    });
+    expect(Session.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
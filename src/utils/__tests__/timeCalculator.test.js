@@ -0,0 +1,180 @@
+const { calculateDurations, validateTimeEvents } = require("../timeCalculator");
+
+const DOCTOR_A = "65f000000000000000000001";
+const DOCTOR_B = "65f000000000000000000002";
+
+const at = (time) => new Date(`2024-03-01T${time}:00Z`);
+const event = (label, time, extra = {}) => ({
+  label,
+  time: at(time),
+  ...extra,
+});
+
+describe("calculateDurations", () => {
+  it("returns zero durations without events", () => {
+    const result = calculateDurations([]);
+
+    expect(result).toMatchObject({
+      patientDuration: 0,
+      doctorDuration: 0,
+      staffDuration: 0,
+      durations: { patient: 0, doctor: 0, staff: 0 },
+      segments: [],
+      warnings: [],
+    });
+  });
+
+  it("pairs starts and ends per type, in any order", () => {
+    const result = calculateDurations(
+      [
+        event("doctor_end", "09:40"),
+        event("patient_start", "09:00"),
+        event("doctor_start", "09:20"),
+        event("patient_end", "10:00"),
+      ],
+      at("12:00"),
+      "UTC"
+    );
+
+    expect(result.patientDuration).toBe(60);
+    expect(result.doctorDuration).toBe(20);
+    expect(result.durations).toEqual({ patient: 3600, doctor: 1200, staff: 0 });
+    expect(result.segments.map((s) => [s.type, s.duration])).toEqual([
+      ["patient", 3600],
+      ["doctor", 1200],
+    ]);
+    expect(result.warnings).toEqual([]);
+  });
+
+  it("counts overlapping segments once in the total but in full per actor", () => {
+    const result = calculateDurations(
+      [
+        event("doctor_start", "09:00", { actorId: DOCTOR_A }),
+        event("doctor_start", "09:10", { actorId: DOCTOR_B }),
+        event("doctor_end", "09:30", { actorId: DOCTOR_A }),
+        event("doctor_end", "09:40", { actorId: DOCTOR_B }),
+      ],
+      at("12:00"),
+      "UTC"
+    );
+
+    expect(result.durations.doctor).toBe(40 * 60);
+    expect(
+      result.actorDurations.map(({ actorId, duration, segments }) => [
+        actorId,
+        duration,
+        segments,
+      ])
+    ).toEqual([
+      [DOCTOR_A, 30 * 60, 1],
+      [DOCTOR_B, 30 * 60, 1],
+    ]);
+  });
+
+  it("reports a start without an end as an open segment", () => {
+    const result = calculateDurations(
+      [event("staff_start", "09:00", { roomId: "room-1" })],
+      at("09:15"),
+      "UTC"
+    );
+
+    expect(result.staffDuration).toBe(0);
+    expect(result.segments).toEqual([
+      expect.objectContaining({
+        type: "staff",
+        roomId: "room-1",
+        start: at("09:00"),
+        end: null,
+        open: true,
+        elapsed: 15 * 60,
+      }),
+    ]);
+  });
+
+  it("warns about duplicate, unmatched and misordered events", () => {
+    const result = calculateDurations(
+      [
+        event("patient_start", "09:00"),
+        event("patient_start", "09:00"),
+        event("patient_end", "09:30"),
+        event("doctor_end", "09:05"),
+        event("staff_end", "09:10"),
+        event("staff_start", "09:20"),
+        event("staff_end", "09:25"),
+      ],
+      at("12:00"),
+      "UTC"
+    );
+
+    expect(result.warnings.map((w) => [w.type, w.label])).toEqual([
+      ["duplicate", "patient_start"],
+      ["missing_start", "doctor_end"],
+      ["end_before_start", "staff_end"],
+    ]);
+    expect(result.patientDuration).toBe(30);
+    expect(result.staffDuration).toBe(5);
+  });
+
+  it("warns when a segment spans midnight in the facility timezone", () => {
+    const events = [
+      event("patient_start", "03:00"),
+      event("patient_end", "06:00"),
+    ];
+
+    // 22:00–01:00 in New York, 03:00–06:00 in UTC
+    expect(
+      calculateDurations(events, at("12:00"), "America/New_York").warnings
+    ).toEqual([expect.objectContaining({ type: "spans_midnight" })]);
+    expect(calculateDurations(events, at("12:00"), "UTC").warnings).toEqual([]);
+  });
+
+  it("warns about a segment left open since an earlier day", () => {
+    const result = calculateDurations(
+      [event("doctor_start", "09:00")],
+      new Date("2024-03-02T09:00:00Z"),
+      "UTC"
+    );
+
+    expect(result.warnings).toEqual([
+      expect.objectContaining({ type: "stale_open_segment" }),
+    ]);
+    expect(result.segments[0].elapsed).toBe(24 * 3600);
+  });
+});
+
+describe("validateTimeEvents", () => {
+  it("accepts well-formed events", () => {
+    expect(
+      validateTimeEvents([
+        event("patient_start", "09:00"),
+        event("doctor_end", "09:30", { actorId: DOCTOR_A }),
+      ])
+    ).toEqual({ isValid: true, errors: [] });
+  });
+
+  it("rejects anything but an array", () => {
+    expect(validateTimeEvents({})).toEqual({
+      isValid: false,
+      errors: ["Events must be an array"],
+    });
+  });
+
+  it("lists every invalid label, time and actor", () => {
+    const result = validateTimeEvents([
+      { time: at("09:00") },
+      { label: "nurse_start", time: "not a date" },
+      { label: "staff_end", actorId: "nobody" },
+    ]);
+
+    expect(result).toEqual({
+      isValid: false,
+      errors: [
+        "Event at index 0 is missing a label",
+        "Event at index 1 has invalid label: nurse_start",
+        "Event at index 1 has invalid time: not a date",
+        "Event at index 2 is missing a time",
+        "Event at index 2 has invalid actorId: nobody",
+      ],
+    });
+  });
+});
@@ -0,0 +1,402 @@
+const VisitWorkflow = require("../../models/visitWorkflowModel");
+const {
+  getNextStages,
+  getStagePath,
+  applyStageAction,
+  calculateStageDurations,
+} = require("../visitWorkflow");
+
+// checked_in, rooming, vitals (optional), waiting_for_provider, provider,
+// imaging (optional), checkout
+const workflow = { stages: VisitWorkflow.DEFAULT_STAGES, transitions: [] };
+
+const at = (time) => new Date(`2024-03-01T${time}:00Z`);
+const newVisit = () => ({ stageEvents: [] });
+
+// Apply actions in order, failing the test on the first error
+const run = (visitTimes, steps, stageWorkflow = workflow) =>
+  steps.forEach(([action, time, stage]) => {
+    const result = applyStageAction(visitTimes, stageWorkflow, action, {
+      at: at(time),
+      stage,
+    });
+    if (result.error) throw new Error(result.error);
+  });
+
+describe("getNextStages", () => {
+  it("follows the stage order without transitions", () => {
+    expect(getNextStages(workflow, undefined)).toEqual(["checked_in"]);
+    expect(getNextStages(workflow, "rooming")).toEqual(["vitals"]);
+    expect(getNextStages(workflow, "checkout")).toEqual([]);
+    expect(getNextStages(workflow, "unknown")).toEqual([]);
+  });
+
+  it("uses the configured transitions when there are any", () => {
+    const custom = {
+      ...workflow,
+      transitions: [
+        { from: "checked_in", to: "provider" },
+        { from: "checked_in", to: "rooming" },
+      ],
+    };
+
+    expect(getNextStages(custom, "checked_in")).toEqual([
+      "provider",
+      "rooming",
+    ]);
+    expect(getNextStages(custom, "rooming")).toEqual([]);
+  });
+});
+
+describe("getStagePath", () => {
+  it("lists advanced stages and leaves skipped ones out", () => {
+    expect(
+      getStagePath([
+        { stage: "checked_in", action: "advance" },
+        { stage: "rooming", action: "advance" },
+        { stage: "vitals", action: "skip" },
+        { stage: "waiting_for_provider", action: "advance" },
+      ])
+    ).toEqual(["checked_in", "rooming", "waiting_for_provider"]);
+  });
+
+  it("steps back to the stage a revert re-entered", () => {
+    expect(
+      getStagePath([
+        { stage: "checked_in", action: "advance" },
+        { stage: "rooming", action: "advance" },
+        { stage: "vitals", action: "advance" },
+        { stage: "rooming", action: "revert" },
+        { stage: "vitals", action: "advance" },
+      ])
+    ).toEqual(["checked_in", "rooming", "vitals"]);
+  });
+
+  it("appends a reverted-to stage that is not on the path", () => {
+    expect(
+      getStagePath([
+        { stage: "checked_in", action: "advance" },
+        { stage: "provider", action: "revert" },
+      ])
+    ).toEqual(["checked_in", "provider"]);
+    expect(getStagePath(undefined)).toEqual([]);
+  });
+});
+
+describe("applyStageAction", () => {
+  it("advances through the stages and completes after the last one", () => {
+    const visit = newVisit();
+
+    expect(
+      applyStageAction(visit, workflow, "advance", { at: at("09:00") })
+    ).toEqual({ from: null, to: "checked_in" });
+    expect(
+      applyStageAction(visit, workflow, "advance", { at: at("09:05") })
+    ).toEqual({ from: "checked_in", to: "rooming" });
+    expect(visit.stageEvents[0].exitedAt).toEqual(at("09:05"));
+    expect(visit.currentStage).toBe("rooming");
+
+    run(visit, [
+      ["advance", "09:10"],
+      ["advance", "09:15"],
+      ["advance", "09:20"],
+      ["advance", "09:40"],
+      ["advance", "09:50"],
+    ]);
+    expect(visit.currentStage).toBe("checkout");
+
+    expect(
+      applyStageAction(visit, workflow, "advance", { at: at("10:00") })
+    ).toEqual({ from: "checkout", to: null });
+    expect(visit.currentStage).toBeUndefined();
+    expect(visit.completedAt).toEqual(at("10:00"));
+    expect(visit.stageEvents.every((event) => event.exitedAt)).toBe(true);
+  });
+
+  it("rejects moving to a stage that does not follow the current one", () => {
+    const visit = newVisit();
+    run(visit, [["advance", "09:00"]]);
+
+    const result = applyStageAction(visit, workflow, "advance", {
+      at: at("09:05"),
+      stage: "provider",
+    });
+
+    expect(result).toEqual({
+      error: "Cannot move from checked_in to provider. Allowed: rooming",
+    });
+    expect(visit.currentStage).toBe("checked_in");
+    expect(visit.stageEvents).toHaveLength(1);
+  });
+
+  it("skips an optional stage and enters the one after it", () => {
+    const visit = newVisit();
+    run(visit, [
+      ["advance", "09:00"],
+      ["advance", "09:05"],
+    ]);
+
+    expect(
+      applyStageAction(visit, workflow, "skip", { at: at("09:10") })
+    ).toEqual({ from: "rooming", to: "waiting_for_provider" });
+    expect(visit.stageEvents.slice(-2)).toEqual([
+      expect.objectContaining({
+        stage: "vitals",
+        action: "skip",
+        enteredAt: at("09:10"),
+        exitedAt: at("09:10"),
+      }),
+      expect.objectContaining({
+        stage: "waiting_for_provider",
+        action: "advance",
+      }),
+    ]);
+  });
+
+  it("does not skip a required stage", () => {
+    const visit = newVisit();
+    run(visit, [["advance", "09:00"]]);
+
+    expect(
+      applyStageAction(visit, workflow, "skip", { at: at("09:05") })
+    ).toEqual({ error: "Stage rooming is required and cannot be skipped" });
+    expect(visit.currentStage).toBe("checked_in");
+  });
+
+  it("completes the visit when the last stage is skipped", () => {
+    const visit = newVisit();
+    run(visit, [
+      ["advance", "09:00"],
+      ["advance", "09:05"],
+      ["skip", "09:10"],
+      ["advance", "09:20"],
+    ]);
+    expect(visit.currentStage).toBe("provider");
+
+    const lastOptional = {
+      stages: workflow.stages.filter((stage) => stage.key !== "checkout"),
+      transitions: [],
+    };
+
+    expect(
+      applyStageAction(visit, lastOptional, "skip", { at: at("09:40") })
+    ).toEqual({ from: "provider", to: null });
+    expect(visit.completedAt).toEqual(at("09:40"));
+  });
+
+  it("reverts to the previous stage", () => {
+    const visit = newVisit();
+    run(visit, [
+      ["advance", "09:00"],
+      ["advance", "09:05"],
+    ]);
+
+    expect(
+      applyStageAction(visit, workflow, "revert", { at: at("09:07") })
+    ).toEqual({ from: "rooming", to: "checked_in" });
+    expect(visit.currentStage).toBe("checked_in");
+    expect(visit.stageEvents[1].exitedAt).toEqual(at("09:07"));
+    expect(getStagePath(visit.stageEvents)).toEqual(["checked_in"]);
+
+    expect(
+      applyStageAction(visit, workflow, "revert", { at: at("09:08") })
+    ).toEqual({ error: "There is no earlier stage to revert to" });
+  });
+
+  it("reopens the last stage when a completed visit is reverted", () => {
+    const visit = newVisit();
+    run(visit, [
+      ["advance", "09:00"],
+      ["advance", "09:05"],
+      ["skip", "09:10"],
+      ["advance", "09:20"],
+      ["skip", "09:40"],
+      ["advance", "09:50"],
+    ]);
+    expect(visit.completedAt).toEqual(at("09:50"));
+
+    expect(
+      applyStageAction(visit, workflow, "advance", { at: at("09:55") })
+    ).toEqual({ error: "The visit workflow is already complete" });
+
+    expect(
+      applyStageAction(visit, workflow, "revert", { at: at("09:55") })
+    ).toEqual({ from: null, to: "checkout" });
+    expect(visit.completedAt).toBeUndefined();
+    expect(visit.currentStage).toBe("checkout");
+
+    expect(
+      applyStageAction(visit, workflow, "advance", { at: at("10:00") })
+    ).toEqual({ from: "checkout", to: null });
+  });
+
+  it("follows custom transitions", () => {
+    const custom = {
+      ...workflow,
+      transitions: [
+        { from: "checked_in", to: "provider" },
+        { from: "checked_in", to: "rooming" },
+        { from: "provider", to: "checkout" },
+      ],
+    };
+    const visit = newVisit();
+    run(visit, [["advance", "09:00"]], custom);
+
+    expect(
+      applyStageAction(visit, custom, "advance", {
+        at: at("09:05"),
+        stage: "rooming",
+      })
+    ).toEqual({ from: "checked_in", to: "rooming" });
+
+    const direct = newVisit();
+    run(direct, [["advance", "09:00"]], custom);
+
+    // The first transition is the default
+    expect(
+      applyStageAction(direct, custom, "advance", { at: at("09:05") })
+    ).toEqual({ from: "checked_in", to: "provider" });
+    expect(
+      applyStageAction(direct, custom, "advance", {
+        at: at("09:10"),
+        stage: "imaging",
+      })
+    ).toEqual({
+      error: "Cannot move from provider to imaging. Allowed: checkout",
+    });
+  });
+
+  it("rejects invalid actions, stages and times", () => {
+    const visit = newVisit();
+    run(visit, [["advance", "09:00"]]);
+
+    expect(applyStageAction(visit, workflow, "jump")).toEqual({
+      error: "Invalid stage action: jump",
+    });
+    expect(
+      applyStageAction(visit, workflow, "advance", {
+        at: at("09:05"),
+        stage: "triage",
+      }).error
+    ).toMatch(/^Unknown stage: triage\. Expected one of: checked_in, /);
+    expect(
+      applyStageAction(visit, workflow, "advance", { at: "not a date" })
+    ).toEqual({ error: "Stage time must be a valid time in the past" });
+    expect(
+      applyStageAction(visit, workflow, "advance", {
+        at: new Date(Date.now() + 60000),
+      })
+    ).toEqual({ error: "Stage time must be a valid time in the past" });
+    expect(
+      applyStageAction(visit, workflow, "advance", { at: at("08:59") })
+    ).toEqual({ error: "Stage time is before the last stage change" });
+    expect(visit.stageEvents).toHaveLength(1);
+  });
+});
+
+describe("calculateStageDurations", () => {
+  it("splits the visit into active and idle time", () => {
+    const visit = newVisit();
+    run(visit, [
+      ["advance", "09:00"],
+      ["advance", "09:10"],
+      ["skip", "09:20"],
+      ["advance", "09:30"],
+    ]);
+    // A gap between stages (e.g. a stage closed by hand) counts as idle
+    visit.stageEvents[0].exitedAt = at("09:08");
+
+    const result = calculateStageDurations(
+      visit.stageEvents,
+      workflow,
+      at("09:45")
+    );
+
+    expect(result.stageDurations).toEqual([
+      {
+        stage: "checked_in",
+        name: "Checked in",
+        kind: "waiting",
+        duration: 480,
+        visits: 1,
+        skipped: false,
+      },
+      {
+        stage: "rooming",
+        name: "Rooming",
+        kind: "active",
+        duration: 600,
+        visits: 1,
+        skipped: false,
+      },
+      {
+        stage: "vitals",
+        name: "Vitals",
+        kind: "active",
+        duration: 0,
+        visits: 0,
+        skipped: true,
+      },
+      {
+        stage: "waiting_for_provider",
+        name: "Waiting for provider",
+        kind: "waiting",
+        duration: 600,
+        visits: 1,
+        skipped: false,
+      },
+      {
+        stage: "provider",
+        name: "With provider",
+        kind: "active",
+        duration: 900,
+        visits: 1,
+        skipped: false,
+      },
+    ]);
+    // Waiting stages (480 + 600) plus the 2-minute gap
+    expect(result.idleDuration).toBe(1200);
+    expect(result.activeDuration).toBe(1500);
+    expect(result.totalDuration).toBe(2700);
+  });
+
+  it("adds up revisits of a stage and keeps unknown stages last", () => {
+    const result = calculateStageDurations(
+      [
+        {
+          stage: "rooming",
+          action: "revert",
+          enteredAt: at("09:20"),
+          exitedAt: at("09:25"),
+        },
+        {
+          stage: "rooming",
+          action: "advance",
+          enteredAt: at("09:00"),
+          exitedAt: at("09:10"),
+        },
+        {
+          stage: "legacy",
+          action: "advance",
+          enteredAt: at("09:10"),
+          exitedAt: at("09:20"),
+        },
+      ],
+      workflow,
+      at("10:00")
+    );
+
+    expect(
+      result.stageDurations.map(({ stage, duration, visits }) => [
+        stage,
+        duration,
+        visits,
+      ])
+    ).toEqual([
+      ["rooming", 900, 2],
+      ["legacy", 600, 1],
+    ]);
+    expect(result.activeDuration).toBe(1500);
+    expect(result.idleDuration).toBe(0);
+  });
+});
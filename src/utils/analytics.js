@@ -0,0 +1,265 @@
+const { CANCELLED_PATTERN, NO_SHOW_PATTERN } = require("./appointmentStatus");
+
+/**
+ * Clinic analytics utility
+ * Builds the aggregation pipeline behind /api/analytics: one pass computes
+ * per-appointment wait, door-to-door and face time, then groups them
+ */
+
+// Group keys for ?groupBy= (several can be combined, e.g. week,provider)
+const GROUP_BY_FIELDS = {
+  day: { $dateToString: { format: "%Y-%m-%d", date: "$appointmentDate" } },
+  week: { $dateToString: { format: "%G-W%V", date: "$appointmentDate" } },
+  month: { $dateToString: { format: "%Y-%m", date: "$appointmentDate" } },
+  provider: "$appointmentProviderName",
+  facility: "$appointmentFacilityName",
+  visitType: "$visitType",
+  televisit: {
+    $cond: [{ $eq: ["$isTelevisit", true] }, "televisit", "in_person"],
+  },
+};
+
+// Metrics each endpoint returns
+const METRICS = {
+  summary: ["visits", "waitTime", "doorToDoor", "faceTime", "noShows"],
+  visits: ["visits"],
+  "wait-time": ["waitTime"],
+  "door-to-door": ["doorToDoor"],
+  "face-time": ["faceTime"],
+  "no-shows": ["noShows"],
+};
+
+/**
+ * Time of the first or last raw event with a label
+ * @param {string} operator - $min or $max
+ * @param {string} label - Event label
+ * @returns {Object} - Aggregation expression
+ */
+const eventTime = (operator, label) => ({
+  [operator]: {
+    $map: {
+      input: {
+        $filter: {
+          input: { $ifNull: ["$visitTimes.rawEvents", []] },
+          cond: { $eq: ["$$this.label", label] },
+        },
+      },
+      in: "$$this.time",
+    },
+  },
+});
+
+/**
+ * Pick an expression on the normalized status, or a fallback for records
+ * stored before appointments had one
+ * @param {Object} withStatus - Expression used when status is set
+ * @param {Object} withoutStatus - Expression used otherwise
+ * @returns {Object} - Aggregation expression
+ */
+const byStatus = (withStatus, withoutStatus) => ({
+  $cond: [
+    { $ne: [{ $ifNull: ["$status", null] }, null] },
+    withStatus,
+    withoutStatus,
+  ],
+});
+
+/**
+ * Seconds between two dates, or null unless both are set and in order
+ * @param {string|Object} from - Expression for the start
+ * @param {string|Object} to - Expression for the end
+ * @returns {Object} - Aggregation expression
+ */
+const secondsBetween = (from, to) => ({
+  $let: {
+    vars: { from: { $ifNull: [from, null] }, to: { $ifNull: [to, null] } },
+    in: {
+      $cond: [
+        {
+          $and: [
+            { $ne: ["$$from", null] },
+            { $ne: ["$$to", null] },
+            { $gte: ["$$to", "$$from"] },
+          ],
+        },
+        { $divide: [{ $subtract: ["$$to", "$$from"] }, 1000] },
+        null,
+      ],
+    },
+  },
+});
+
+/**
+ * $group accumulators for the count, average, median and 90th percentile of
+ * a time, computed by MongoDB (values that aren't numbers are ignored)
+ * @param {string} field - Projected field with the seconds
+ * @returns {Object} - {<field>Count, <field>Average, <field>Percentiles}
+ */
+const timeStats = (field) => ({
+  [`${field}Count`]: { $sum: { $cond: [{ $isNumber: `$${field}` }, 1, 0] } },
+  [`${field}Average`]: { $avg: `$${field}` },
+  [`${field}Percentiles`]: {
+    $percentile: {
+      input: `$${field}`,
+      p: [0.5, 0.9],
+      method: "approximate",
+    },
+  },
+});
+
+/**
+ * Build the analytics pipeline
+ * @param {Object} filter - Appointment filter ($match)
+ * @param {Array} groupBy - Keys of GROUP_BY_FIELDS (empty: one overall group)
+ * @returns {Array} - Aggregation pipeline
+ */
+const buildAnalyticsPipeline = (filter, groupBy) => [
+  { $match: filter },
+  {
+    $project: {
+      group: groupBy.reduce((acc, key) => {
+        acc[key] = GROUP_BY_FIELDS[key];
+        return acc;
+      }, {}),
+      checkedInAt: "$kioskCheckIn.checkedInAt",
+      firstPatientStart: eventTime("$min", "patient_start"),
+      firstDoctorStart: eventTime("$min", "doctor_start"),
+      lastPatientEnd: eventTime("$max", "patient_end"),
+      doctorSeconds: {
+        $ifNull: [
+          "$visitTimes.durations.doctor",
+          { $multiply: ["$visitTimes.doctorDuration", 60] },
+        ],
+      },
+      // The normalized status, or the EHR text for records without one
+      isCancelled: byStatus(
+        { $eq: ["$status", "cancelled"] },
+        {
+          $regexMatch: {
+            input: { $ifNull: ["$visitStatus", ""] },
+            regex: CANCELLED_PATTERN,
+          },
+        }
+      ),
+      isNoShow: byStatus(
+        { $eq: ["$status", "no_show"] },
+        {
+          $or: [
+            {
+              $regexMatch: {
+                input: { $ifNull: ["$visitStatus", ""] },
+                regex: NO_SHOW_PATTERN,
+              },
+            },
+            { $eq: ["$attendance.status", "no_show"] },
+          ],
+        }
+      ),
+    },
+  },
+  {
+    $project: {
+      group: 1,
+      isCancelled: 1,
+      isNoShow: 1,
+      isCheckedIn: { $ne: [{ $ifNull: ["$checkedInAt", null] }, null] },
+      isCompleted: { $ne: [{ $ifNull: ["$lastPatientEnd", null] }, null] },
+      // Check-in to the provider entering the room
+      waitTime: secondsBetween("$checkedInAt", "$firstDoctorStart"),
+      // Arrival (check-in, or the first patient_start) to the patient leaving
+      doorToDoor: secondsBetween(
+        { $ifNull: ["$checkedInAt", "$firstPatientStart"] },
+        "$lastPatientEnd"
+      ),
+      faceTime: {
+        $cond: [{ $gt: ["$doctorSeconds", 0] }, "$doctorSeconds", null],
+      },
+    },
+  },
+  {
+    $group: {
+      _id: "$group",
+      visits: { $sum: 1 },
+      cancelled: { $sum: { $cond: ["$isCancelled", 1, 0] } },
+      noShows: { $sum: { $cond: ["$isNoShow", 1, 0] } },
+      checkedIn: { $sum: { $cond: ["$isCheckedIn", 1, 0] } },
+      completed: { $sum: { $cond: ["$isCompleted", 1, 0] } },
+      ...timeStats("waitTime"),
+      ...timeStats("doorToDoor"),
+      ...timeStats("faceTime"),
+    },
+  },
+  { $sort: { _id: 1 } },
+];
+
+/**
+ * Read the count, average, median and 90th percentile of a time from a
+ * $group result (see timeStats)
+ * @param {Object} group - $group result
+ * @param {string} field - waitTime, doorToDoor or faceTime
+ * @returns {Object} - {count, average, median, p90} in seconds
+ */
+const summarize = (group, field) => {
+  const count = group[`${field}Count`];
+
+  if (!count) {
+    return { count: 0, average: null, median: null, p90: null };
+  }
+
+  const [median, p90] = group[`${field}Percentiles`];
+
+  return {
+    count,
+    average: Math.round(group[`${field}Average`]),
+    median: Math.round(median),
+    p90: Math.round(p90),
+  };
+};
+
+/**
+ * Turn an aggregation result group into the metrics of an endpoint
+ * @param {Object} group - $group result
+ * @param {Array} metrics - Entries of METRICS
+ * @returns {Object} - {group, ...metrics}
+ */
+const toMetrics = (group, metrics) => {
+  const result = { group: group._id };
+  // Appointments that could have been a no-show (not cancelled)
+  const scheduled = group.visits - group.cancelled;
+
+  if (metrics.includes("visits")) {
+    result.visits = {
+      total: group.visits,
+      cancelled: group.cancelled,
+      noShows: group.noShows,
+      checkedIn: group.checkedIn,
+      completed: group.completed,
+    };
+  }
+  if (metrics.includes("waitTime")) {
+    result.waitTime = summarize(group, "waitTime");
+  }
+  if (metrics.includes("doorToDoor")) {
+    result.doorToDoor = summarize(group, "doorToDoor");
+  }
+  if (metrics.includes("faceTime")) {
+    result.faceTime = summarize(group, "faceTime");
+  }
+  if (metrics.includes("noShows")) {
+    result.noShows = {
+      count: group.noShows,
+      scheduled,
+      rate: scheduled > 0 ? Number((group.noShows / scheduled).toFixed(4)) : 0,
+    };
+  }
+
+  return result;
+};
+
+module.exports = {
+  GROUP_BY_FIELDS,
+  METRICS,
+  buildAnalyticsPipeline,
+  summarize,
+  toMetrics,
+};
@@ -0,0 +1,550 @@
+const fs = require("fs").promises;
+const Appointment = require("../models/appointmentModel");
+const Patient = require("../models/patientModel");
+const { DEFAULT_REQUIRED_FIELDS } = require("./excelParser");
+const {
+  getTimezoneResolver,
+  getCalendarDate,
+  getDateFilter,
+} = require("./facilityTime");
+const { applyStatusChange, deriveStatus } = require("./appointmentStatus");
+const logger = require("../config/logger");
+
+/**
+ * Appointment import utility
+ * Shared by the upload endpoints and the background import job
+ */
+
+// Supported import modes for uploaded files
+// insert      - create new appointments, skip rows whose encounterId exists
+// upsert      - create new appointments, update Excel-owned fields of existing ones
+// replace-day - upsert, then remove appointments on the file's days missing from it
+const IMPORT_MODES = ["insert", "upsert", "replace-day"];
+
+// Appointment fields that are set by the system rather than the Excel export
+const NON_IMPORTABLE_FIELDS = [
+  "_id",
+  "__v",
+  "createdAt",
+  "updatedAt",
+  "source",
+  "uploadDate",
+  "fileName",
+  "fileId",
+  "scheduledStart",
+  "timezone",
+  "status",
+  "statusHistory",
+  "reminders",
+];
+const NON_IMPORTABLE_PREFIXES = [
+  "kioskCheckIn.",
+  "visitTimes.",
+  "medicalInfo.",
+  "attendance.",
+  "reminderResponse.",
+  "preCheckIn.",
+];
+
+// Statuses an EHR re-upload can move an existing appointment to
+const CLOSED_STATUSES = ["cancelled", "no_show", "rescheduled"];
+
+// Fields written by the KIOSK/CareSync that a re-upload must never overwrite
+const KIOSK_OWNED_FIELDS = [
+  "kioskCheckIn",
+  "medicalInfo",
+  "visitTimes",
+  "primaryInsurance",
+  "secondaryInsurance",
+];
+
+/**
+ * Get the appointment fields an uploaded column can be mapped to
+ * @returns {Array} - List of schema paths
+ */
+const getImportableFields = () =>
+  Object.keys(Appointment.schema.paths).filter(
+    (field) =>
+      !NON_IMPORTABLE_FIELDS.includes(field) &&
+      !NON_IMPORTABLE_PREFIXES.some((prefix) => field.startsWith(prefix))
+  );
+
+/**
+ * Strip metadata and KIOSK-owned fields from a parsed row before an update
+ * @param {Object} appointmentData - Parsed appointment object
+ * @returns {Object} - Excel-owned fields only
+ */
+const getExcelOwnedUpdates = (appointmentData) =>
+  Object.keys(appointmentData).reduce((acc, key) => {
+    const isMetadata = NON_IMPORTABLE_FIELDS.includes(key);
+    const isKioskOwned = KIOSK_OWNED_FIELDS.some(
+      (field) => key === field || key.startsWith(`${field}.`)
+    );
+
+    if (!isMetadata && !isKioskOwned) {
+      acc[key] = appointmentData[key];
+    }
+    return acc;
+  }, {});
+
+// Row errors kept per import; the rest are only counted as skipped, so the
+// report (and the upload batch that stores it) stays well under 16 MB
+const MAX_ROW_ERRORS = parseInt(process.env.IMPORT_MAX_ROW_ERRORS) || 1000;
+
+/**
+ * Create an empty import report
+ * @param {string} mode - One of IMPORT_MODES
+ * @returns {Object} - Report with zeroed counts
+ */
+const createImportReport = (mode = "insert") => ({
+  mode,
+  created: 0,
+  updated: 0,
+  unchanged: 0,
+  skipped: 0,
+  results: [],
+  errors: [],
+});
+
+/**
+ * Merge a chunk report into the running import report
+ * @param {Object} report - Running report (mutated)
+ * @param {Object} chunkReport - Report for one chunk
+ * @returns {Object} - The running report
+ */
+const mergeImportReport = (report, chunkReport) => {
+  ["created", "updated", "unchanged", "skipped"].forEach((key) => {
+    report[key] += chunkReport[key];
+  });
+  report.results.push(...chunkReport.results);
+  report.errors.push(
+    ...chunkReport.errors.slice(
+      0,
+      Math.max(MAX_ROW_ERRORS - report.errors.length, 0)
+    )
+  );
+  return report;
+};
+
+/**
+ * Convert a Mongoose validation error into per-cell errors.
+ * Missing required fields are reported per row, not per cell.
+ * @param {Object} validationError - Error from validateSync()
+ * @param {Array} columnMapping - [{header, field}] from the parser
+ * @returns {Array} - [{column, field, rawValue, expectedType, message}]
+ */
+const toCellErrors = (validationError, columnMapping = []) =>
+  Object.values(validationError.errors)
+    .filter((error) => error.kind !== "required")
+    .map((error) => {
+      const column = columnMapping.find(({ field }) => field === error.path);
+      const schemaType = Appointment.schema.path(error.path);
+
+      return {
+        column: column ? column.header : error.path,
+        field: error.path,
+        rawValue: error.value,
+        expectedType: schemaType ? schemaType.instance.toLowerCase() : null,
+        message: error.message,
+      };
+    });
+
+/**
+ * Validate a parsed row against the appointment schema
+ * @param {Object} appointmentData - Parsed appointment object
+ * @param {Array} columnMapping - [{header, field}] from the parser
+ * @returns {Array} - Per-cell errors (empty if the row is valid)
+ */
+const getSchemaErrors = (appointmentData, columnMapping) => {
+  const validationError = new Appointment(appointmentData).validateSync();
+  return validationError ? toCellErrors(validationError, columnMapping) : [];
+};
+
+/**
+ * Describe invalid cells in one line
+ * @param {Array} cells - Per-cell errors
+ * @returns {string} - Error message for the row
+ */
+const describeCellErrors = (cells) =>
+  `Invalid values: ${cells
+    .map(({ column, expectedType }) =>
+      expectedType ? `${column} (expected ${expectedType})` : column
+    )
+    .join(", ")}`;
+
+/**
+ * Link imported appointments to their patient records.
+ * Each patient is created/updated once per chunk rather than once per row.
+ * @param {Array} appointments - Saved appointment documents
+ */
+const linkPatients = async (appointments) => {
+  const byPatient = appointments.reduce((acc, appointment) => {
+    if (!acc.has(appointment.patientAcctNo)) {
+      acc.set(appointment.patientAcctNo, []);
+    }
+    acc.get(appointment.patientAcctNo).push(appointment);
+    return acc;
+  }, new Map());
+
+  for (const [acctNo, patientAppointments] of byPatient) {
+    try {
+      await Patient.createOrUpdateFromAppointment(patientAppointments[0]);
+
+      if (patientAppointments.length > 1) {
+        await Patient.updateOne(
+          { acctNo },
+          {
+            $addToSet: {
+              appointments: { $each: patientAppointments.map((a) => a._id) },
+            },
+          }
+        );
+      }
+    } catch (error) {
+      logger.warn(`Error updating patient ${acctNo}: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * Import one chunk of parsed appointments using a single bulk write
+ * @param {Array} appointments - Parsed appointment objects
+ * @param {string} mode - One of IMPORT_MODES
+ * @param {number} offset - Index of the first row of the chunk in the file
+ * @param {Object} options - Parse results for the file
+ * @param {Array} options.requiredFields - Required fields from the import profile
+ * @param {Array} options.cellErrors - Per-cell errors from the parser (rows with one are skipped)
+ * @param {Array} options.columnMapping - [{header, field}] used to name columns in errors
+ * @returns {Object} - Report for the chunk
+ */
+const importAppointmentChunk = async (
+  appointments,
+  mode = "insert",
+  offset = 0,
+  options = {}
+) => {
+  const requiredFields = options.requiredFields || DEFAULT_REQUIRED_FIELDS;
+  const columnMapping = options.columnMapping || [];
+
+  // Parser errors by Excel row number
+  const cellErrorsByRow = (options.cellErrors || []).reduce((acc, cell) => {
+    if (!acc.has(cell.row)) acc.set(cell.row, []);
+    acc.get(cell.row).push(cell);
+    return acc;
+  }, new Map());
+
+  const report = createImportReport(mode);
+
+  const record = (row, encounterId, result, details = {}) => {
+    report[result] += 1;
+    report.results.push({ row, encounterId, result, ...details });
+  };
+
+  const skip = (row, appointmentData, message, cells) => {
+    const { encounterId } = appointmentData;
+    report.errors.push({
+      row,
+      encounterId,
+      message,
+      cells,
+      data: appointmentData,
+    });
+    record(row, encounterId, "skipped", { reason: message });
+  };
+
+  // Look up every existing appointment in the chunk with one query
+  const encounterIds = appointments
+    .filter((a) => a.encounterId)
+    .map((a) => String(a.encounterId));
+  const existingAppointments = await Appointment.find({
+    encounterId: { $in: encounterIds },
+  });
+  const existingById = new Map(
+    existingAppointments.map((a) => [a.encounterId, a])
+  );
+  const timezoneOf = await getTimezoneResolver();
+
+  // Work out what to do with every row before writing anything
+  const pending = [];
+
+  appointments.forEach((appointmentData, index) => {
+    const row = offset + index + 2; // Excel row number (header is row 1)
+
+    // Rows with cells that don't match their field type are not imported
+    const invalidCells = cellErrorsByRow.get(row);
+    if (invalidCells) {
+      const rawValues = invalidCells.reduce((acc, { field, rawValue }) => {
+        acc[field] = rawValue;
+        return acc;
+      }, {});
+
+      return skip(
+        row,
+        { ...appointmentData, ...rawValues },
+        describeCellErrors(invalidCells),
+        invalidCells
+      );
+    }
+
+    // Check for required fields (encounterId and patientAcctNo always are)
+    const missingFields = [
+      ...new Set(["encounterId", "patientAcctNo", ...requiredFields]),
+    ].filter((field) => [undefined, null, ""].includes(appointmentData[field]));
+
+    if (missingFields.length > 0) {
+      return skip(
+        row,
+        appointmentData,
+        `Missing required fields: ${missingFields.join(", ")}`
+      );
+    }
+
+    const existingAppointment = existingById.get(
+      String(appointmentData.encounterId)
+    );
+
+    if (existingAppointment && mode === "insert") {
+      return skip(
+        row,
+        appointmentData,
+        "Appointment with this Encounter ID already exists"
+      );
+    }
+
+    if (existingAppointment) {
+      // Only overwrite Excel-owned fields, KIOSK data stays untouched
+      existingAppointment.set(getExcelOwnedUpdates(appointmentData));
+      existingAppointment.setSchedule(
+        timezoneOf(existingAppointment.appointmentFacilityName)
+      );
+
+      // A cancellation, no-show or reschedule in the EHR closes the visit
+      if (existingAppointment.isModified("visitStatus")) {
+        const status = deriveStatus(existingAppointment);
+        if (CLOSED_STATUSES.includes(status)) {
+          applyStatusChange(existingAppointment, status, { source: "import" });
+        }
+      }
+      const changedFields = existingAppointment.directModifiedPaths();
+
+      if (changedFields.length === 0) {
+        return record(row, appointmentData.encounterId, "unchanged");
+      }
+
+      const validationError = existingAppointment.validateSync(changedFields);
+      if (validationError) {
+        return skip(
+          row,
+          appointmentData,
+          `Error updating appointment: ${validationError.message}`,
+          toCellErrors(validationError, columnMapping)
+        );
+      }
+
+      const $set = changedFields.reduce((acc, field) => {
+        acc[field] = existingAppointment.get(field);
+        return acc;
+      }, {});
+
+      return pending.push({
+        row,
+        appointmentData,
+        appointment: existingAppointment,
+        result: "updated",
+        details: { changedFields },
+        operation: {
+          updateOne: {
+            filter: { _id: existingAppointment._id },
+            update: { $set },
+          },
+        },
+      });
+    }
+
+    const appointment = new Appointment(appointmentData);
+    appointment.setSchedule(timezoneOf(appointment.appointmentFacilityName));
+    appointment.status = deriveStatus(appointment);
+    const validationError = appointment.validateSync();
+    if (validationError) {
+      return skip(
+        row,
+        appointmentData,
+        `Error inserting appointment: ${validationError.message}`,
+        toCellErrors(validationError, columnMapping)
+      );
+    }
+
+    pending.push({
+      row,
+      appointmentData,
+      appointment,
+      result: "created",
+      details: {},
+      operation: {
+        insertOne: {
+          document: appointment.toObject({ virtuals: false }),
+        },
+      },
+    });
+  });
+
+  // Write the whole chunk at once, collecting per-row failures
+  const writeErrors = new Map();
+
+  if (pending.length > 0) {
+    try {
+      await Appointment.bulkWrite(
+        pending.map((p) => p.operation),
+        { ordered: false }
+      );
+    } catch (error) {
+      if (!error.writeErrors) throw error;
+      [].concat(error.writeErrors).forEach((writeError) => {
+        writeErrors.set(writeError.index, writeError.errmsg);
+      });
+    }
+  }
+
+  const written = [];
+
+  pending.forEach((p, index) => {
+    if (writeErrors.has(index)) {
+      const verb = p.result === "created" ? "inserting" : "updating";
+      return skip(
+        p.row,
+        p.appointmentData,
+        `Error ${verb} appointment: ${writeErrors.get(index)}`
+      );
+    }
+
+    record(p.row, p.appointmentData.encounterId, p.result, p.details);
+    written.push(p.appointment);
+  });
+
+  // Update or create patient records
+  await linkPatients(written);
+
+  report.results.sort((a, b) => a.row - b.row);
+  report.errors.sort((a, b) => a.row - b.row);
+
+  return report;
+};
+
+/**
+ * Remove appointments on the uploaded days that are missing from the file.
+ * Only the facilities and providers the file has appointments for on a day
+ * are replaced, so a single-facility or single-provider export leaves the
+ * rest of the schedule alone. Appointments that already have KIOSK or
+ * CareSync activity, pre-check-in answers or a reply to a reminder are kept.
+ * @param {Array} appointments - Parsed appointment objects
+ * @returns {Object} - {removed, retained}
+ */
+const removeMissingAppointments = async (appointments) => {
+  const encounterIds = appointments
+    .filter((a) => a.encounterId)
+    .map((a) => String(a.encounterId));
+
+  // Collect the distinct day, facility and provider combinations in the file
+  // (a column the file doesn't fill in doesn't narrow the scope)
+  const scopes = new Map();
+  appointments.forEach((appointment) => {
+    const { appointmentDate } = appointment;
+    if (!(appointmentDate instanceof Date)) return;
+
+    const day = getCalendarDate(appointmentDate);
+    if (!day) return;
+
+    const scope = { appointmentDate: getDateFilter(day) };
+    ["appointmentFacilityName", "appointmentProviderName"].forEach((field) => {
+      if (appointment[field]) scope[field] = appointment[field];
+    });
+
+    scopes.set(
+      [day, scope.appointmentFacilityName, scope.appointmentProviderName].join(
+        "|"
+      ),
+      scope
+    );
+  });
+
+  if (scopes.size === 0) {
+    return { removed: [], retained: [] };
+  }
+
+  const missing = await Appointment.find({
+    encounterId: { $nin: encounterIds },
+    $or: [...scopes.values()],
+  });
+
+  const removed = [];
+  const retained = [];
+
+  for (const appointment of missing) {
+    const hasActivity =
+      appointment.kioskCheckIn?.checkedInAt ||
+      appointment.visitTimes?.rawEvents?.length > 0 ||
+      appointment.visitTimes?.stageEvents?.length > 0 ||
+      appointment.preCheckIn?.status ||
+      appointment.reminderResponse?.respondedAt;
+
+    if (hasActivity) {
+      retained.push(appointment.encounterId);
+      continue;
+    }
+
+    await appointment.deleteOne();
+    await Patient.updateOne(
+      { acctNo: appointment.patientAcctNo },
+      { $pull: { appointments: appointment._id } }
+    );
+    removed.push(appointment.encounterId);
+  }
+
+  return { removed, retained };
+};
+
+/**
+ * Build the API response body for a finished import
+ * @param {Object} file - {fileId, fileName, appointments}
+ * @param {Object} report - Import report
+ * @returns {Object} - Response data
+ */
+const formatImportResponse = ({ fileId, fileName, appointments }, report) => {
+  const { errors, ...rest } = report;
+
+  return {
+    fileId,
+    fileName,
+    total: appointments.length,
+    inserted: report.created,
+    ...rest,
+    errors: errors.length > 0 ? errors : undefined,
+  };
+};
+
+/**
+ * Delete an uploaded file once it is no longer needed
+ * @param {string} filePath - Path to the uploaded file
+ */
+const removeUploadedFile = async (filePath) => {
+  try {
+    await fs.unlink(filePath);
+  } catch (unlinkError) {
+    logger.warn(`Failed to delete file: ${unlinkError.message}`);
+  }
+};
+
+module.exports = {
+  IMPORT_MODES,
+  KIOSK_OWNED_FIELDS,
+  getImportableFields,
+  getExcelOwnedUpdates,
+  getSchemaErrors,
+  describeCellErrors,
+  createImportReport,
+  mergeImportReport,
+  importAppointmentChunk,
+  removeMissingAppointments,
+  formatImportResponse,
+  removeUploadedFile,
+};
@@ -0,0 +1,94 @@
+const jwt = require("jsonwebtoken");
+
+/**
+ * Appointment links
+ * Signed links that let a patient act on one appointment without logging
+ * in (pre-check-in, confirming or cancelling). Each token names the
+ * appointment and what it may be used for, and expires a day after the
+ * scheduled start.
+ */
+
+const PORTAL_URL = (process.env.PORTAL_URL || "http://localhost:3000").replace(
+  /\/+$/,
+  ""
+);
+
+const LINK_PURPOSES = ["pre_check_in", "respond"];
+
+// Lifetime of links for appointments without a scheduled start
+const DEFAULT_LINK_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Sign a link token for an appointment
+ * @param {Object} appointment - Appointment document
+ * @param {string} purpose - One of LINK_PURPOSES
+ * @returns {string} - JWT
+ */
+const createAppointmentToken = (appointment, purpose) => {
+  const exp = appointment.scheduledStart
+    ? Math.floor(new Date(appointment.scheduledStart).getTime() / 1000) +
+      24 * 60 * 60
+    : Math.floor(Date.now() / 1000) + DEFAULT_LINK_TTL_SECONDS;
+
+  return jwt.sign(
+    {
+      encounterId: appointment.encounterId,
+      purpose,
+      type: "appointment_link",
+      exp,
+    },
+    process.env.JWT_SECRET
+  );
+};
+
+/**
+ * Check a link token
+ * @param {string} token - JWT from the link
+ * @param {string} purpose - Purpose the token must have been signed for
+ * @returns {Object} - {encounterId} or {error}
+ */
+const verifyAppointmentToken = (token, purpose) => {
+  if (!token) return { error: "Link token is required" };
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.type !== "appointment_link" || decoded.purpose !== purpose) {
+      return { error: "This link cannot be used here" };
+    }
+
+    return { encounterId: decoded.encounterId };
+  } catch (error) {
+    return {
+      error:
+        error.name === "TokenExpiredError"
+          ? "This link has expired"
+          : "Invalid link",
+    };
+  }
+};
+
+/**
+ * Build the portal links sent to a patient for an appointment
+ * @param {Object} appointment - Appointment document
+ * @returns {Object} - {preCheckInUrl, confirmUrl, cancelUrl}
+ */
+const getAppointmentLinks = (appointment) => {
+  const respondToken = createAppointmentToken(appointment, "respond");
+
+  return {
+    preCheckInUrl: `${PORTAL_URL}/pre-check-in?token=${createAppointmentToken(
+      appointment,
+      "pre_check_in"
+    )}`,
+    confirmUrl: `${PORTAL_URL}/appointment-response?action=confirm&token=${respondToken}`,
+    cancelUrl: `${PORTAL_URL}/appointment-response?action=cancel&token=${respondToken}`,
+  };
+};
+
+module.exports = {
+  LINK_PURPOSES,
+  createAppointmentToken,
+  verifyAppointmentToken,
+  getAppointmentLinks,
+};
@@ -0,0 +1,234 @@
+/**
+ * Appointment status utility
+ * Normalized lifecycle status of an appointment and the transitions allowed
+ * between statuses. visitStatus keeps the EHR's own text.
+ */
+
+// Visit statuses in the order a visit goes through them
+const VISIT_FLOW = [
+  "scheduled",
+  "confirmed",
+  "arrived",
+  "checked_in",
+  "roomed",
+  "with_provider",
+  "checked_out",
+];
+
+// Visit status text from the EHR export
+const CANCELLED_PATTERN = /cancel/i;
+const NO_SHOW_PATTERN = /no[\s-]?show|\bN\/S\b/i;
+
+// Statuses of visits that will not take place
+const CLOSED_STATUSES = ["cancelled", "no_show", "rescheduled"];
+
+const APPOINTMENT_STATUSES = [...VISIT_FLOW, ...CLOSED_STATUSES];
+
+// What caused a status change
+const STATUS_SOURCES = [
+  "manual",
+  "kiosk",
+  "time_event",
+  "import",
+  "attendance",
+  "reminder",
+];
+
+// Statuses each status can move to
+const STATUS_TRANSITIONS = {
+  scheduled: [
+    "confirmed",
+    "arrived",
+    "checked_in",
+    "cancelled",
+    "no_show",
+    "rescheduled",
+  ],
+  confirmed: [
+    "scheduled",
+    "arrived",
+    "checked_in",
+    "cancelled",
+    "no_show",
+    "rescheduled",
+  ],
+  arrived: ["checked_in", "roomed", "cancelled"],
+  checked_in: ["roomed", "with_provider", "checked_out", "cancelled"],
+  roomed: ["with_provider", "checked_out"],
+  with_provider: ["roomed", "checked_out"],
+  checked_out: [],
+  cancelled: ["scheduled", "rescheduled"],
+  no_show: ["scheduled", "rescheduled"],
+  rescheduled: [],
+};
+
+// Status a time event moves the visit to
+const EVENT_STATUSES = {
+  patient_start: "roomed",
+  staff_start: "roomed",
+  doctor_start: "with_provider",
+  patient_end: "checked_out",
+};
+
+/**
+ * Check whether a status change is allowed
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @returns {boolean}
+ */
+const canTransition = (from, to) =>
+  (STATUS_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Record a status change on an appointment
+ * @param {Object} appointment - Appointment document
+ * @param {string} to - New status
+ * @param {Object} options - {by (staff id), at, reason, source}
+ * @returns {Object} - {from, to}
+ */
+const recordStatus = (appointment, to, options = {}) => {
+  const from = appointment.status || "scheduled";
+
+  appointment.status = to;
+  appointment.statusHistory.push({
+    from,
+    to,
+    changedBy: options.by,
+    changedAt: options.at || new Date(),
+    reason: options.reason,
+    source: options.source || "manual",
+  });
+
+  return { from, to };
+};
+
+/**
+ * Move an appointment to a status, if the transition is allowed
+ * @param {Object} appointment - Appointment document
+ * @param {string} to - New status
+ * @param {Object} options - {by (staff id), at, reason, source}
+ * @returns {Object} - {from, to} or {error}
+ */
+const applyStatusChange = (appointment, to, options = {}) => {
+  const from = appointment.status || "scheduled";
+
+  if (!APPOINTMENT_STATUSES.includes(to)) {
+    return {
+      error: `Invalid status: ${to}. Expected one of: ${APPOINTMENT_STATUSES.join(", ")}`,
+    };
+  }
+
+  if (!canTransition(from, to)) {
+    const allowed = STATUS_TRANSITIONS[from] || [];
+    return {
+      error: `Cannot change status from ${from} to ${to}${
+        allowed.length > 0 ? ` (allowed: ${allowed.join(", ")})` : ""
+      }`,
+    };
+  }
+
+  return recordStatus(appointment, to, options);
+};
+
+/**
+ * Move an appointment forward along the visit flow (used for automatic
+ * updates from the KIOSK and time events). Statuses outside the flow
+ * (cancelled, no_show, rescheduled) and later statuses are left alone.
+ * @param {Object} appointment - Appointment document
+ * @param {string} to - Status reached
+ * @param {Object} options - {by (staff id), at, reason, source}
+ * @returns {Object|null} - {from, to}, or null when nothing changed
+ */
+const advanceStatus = (appointment, to, options = {}) => {
+  const current = VISIT_FLOW.indexOf(appointment.status || "scheduled");
+  const target = VISIT_FLOW.indexOf(to);
+
+  if (current === -1 || target <= current) return null;
+
+  return recordStatus(appointment, to, options);
+};
+
+/**
+ * Get the furthest status a set of time events reaches
+ * @param {Array} events - Time events ({label})
+ * @returns {string|null} - Status, or null if no event changes it
+ */
+const getStatusForEvents = (events = []) =>
+  events
+    .map(({ label }) => EVENT_STATUSES[label])
+    .filter(Boolean)
+    .sort((a, b) => VISIT_FLOW.indexOf(b) - VISIT_FLOW.indexOf(a))[0] || null;
+
+/**
+ * Bring the status back in line with the time events after one was
+ * corrected or deleted. A status the time events set follows the furthest
+ * event left, or goes back to the status it had before them; any other
+ * status is only moved forward.
+ * @param {Object} appointment - Appointment document
+ * @param {Object} options - {by (staff id), at, reason}
+ * @returns {Object|null} - {from, to}, or null when nothing changed
+ */
+const reconcileEventStatus = (appointment, options = {}) => {
+  const history = appointment.statusHistory || [];
+  const reached = getStatusForEvents(appointment.visitTimes?.rawEvents);
+  const last = history[history.length - 1];
+  const fromEvents = { ...options, source: "time_event" };
+
+  if (
+    !last ||
+    last.source !== "time_event" ||
+    last.to !== (appointment.status || "scheduled")
+  ) {
+    return reached ? advanceStatus(appointment, reached, fromEvents) : null;
+  }
+
+  // Status before the time events started changing it
+  let first = history.length - 1;
+  while (first > 0 && history[first - 1].source === "time_event") first--;
+
+  const target = reached || history[first].from;
+  if (target === appointment.status) return null;
+
+  return recordStatus(appointment, target, fromEvents);
+};
+
+/**
+ * Work out the status of an appointment from its EHR status, attendance,
+ * KIOSK check-in and time events (for imports and existing records)
+ * @param {Object} appointment - Appointment document
+ * @returns {string} - One of APPOINTMENT_STATUSES
+ */
+const deriveStatus = (appointment) => {
+  const visitStatus = appointment.visitStatus || "";
+
+  if (CANCELLED_PATTERN.test(visitStatus)) return "cancelled";
+  if (/resched/i.test(visitStatus)) return "rescheduled";
+  if (
+    NO_SHOW_PATTERN.test(visitStatus) ||
+    appointment.attendance?.status === "no_show"
+  ) {
+    return "no_show";
+  }
+
+  const reached = getStatusForEvents(appointment.visitTimes?.rawEvents);
+  if (reached) return reached;
+  if (appointment.kioskCheckIn?.checkedInAt) return "checked_in";
+  if (/confirm/i.test(visitStatus)) return "confirmed";
+
+  return "scheduled";
+};
+
+module.exports = {
+  APPOINTMENT_STATUSES,
+  CLOSED_STATUSES,
+  CANCELLED_PATTERN,
+  NO_SHOW_PATTERN,
+  STATUS_SOURCES,
+  STATUS_TRANSITIONS,
+  canTransition,
+  applyStatusChange,
+  advanceStatus,
+  getStatusForEvents,
+  reconcileEventStatus,
+  deriveStatus,
+};
@@ -0,0 +1,96 @@
+const { CLOSED_STATUSES, CANCELLED_PATTERN } = require("./appointmentStatus");
+const {
+  DEFAULT_TIMEZONE,
+  getCalendarDate,
+  getLocalToday,
+  isAppointmentToday,
+} = require("./facilityTime");
+
+/**
+ * Attendance utility
+ * Decides when an appointment without a check-in counts as late or as a
+ * no-show
+ */
+
+const ATTENDANCE_STATUSES = ["late", "no_show"];
+
+// Minutes after the start time before a patient who has not arrived is late
+const LATE_GRACE_MINUTES = parseInt(process.env.LATE_GRACE_MINUTES) || 15;
+
+/**
+ * Check whether the patient has shown up (KIOSK check-in, time events or
+ * visit stage changes)
+ * @param {Object} appointment - Appointment document
+ * @returns {boolean}
+ */
+const hasArrived = (appointment) =>
+  !!appointment.kioskCheckIn?.checkedInAt ||
+  appointment.visitTimes?.rawEvents?.length > 0 ||
+  appointment.visitTimes?.stageEvents?.length > 0;
+
+/**
+ * Check whether the visit was called off (cancelled, rescheduled or already
+ * a no-show), in the normalized status or the EHR's own text
+ * @param {Object} appointment - Appointment document
+ * @returns {boolean}
+ */
+const isClosed = (appointment) =>
+  CLOSED_STATUSES.includes(appointment.status) ||
+  CANCELLED_PATTERN.test(appointment.visitStatus || "");
+
+/**
+ * Check whether an appointment should be marked late
+ * @param {Object} appointment - Appointment document
+ * @param {Date} now - Current time
+ * @param {number} graceMinutes - Grace period after the start time
+ * @returns {boolean}
+ */
+const isLate = (
+  appointment,
+  now = new Date(),
+  graceMinutes = LATE_GRACE_MINUTES
+) => {
+  if (appointment.attendance?.status) return false;
+  if (isClosed(appointment)) return false;
+  if (hasArrived(appointment)) return false;
+
+  const start = appointment.scheduledStart;
+  return (
+    !!start &&
+    isAppointmentToday(
+      appointment,
+      appointment.timezone || DEFAULT_TIMEZONE,
+      now
+    ) &&
+    now - start >= graceMinutes * 60 * 1000
+  );
+};
+
+/**
+ * Check whether an appointment was a no-show (its day is over in the
+ * facility's timezone and the patient never arrived)
+ * @param {Object} appointment - Appointment document
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+const isNoShow = (appointment, now = new Date()) => {
+  const timezone = appointment.timezone || DEFAULT_TIMEZONE;
+  const day = getCalendarDate(appointment.appointmentDate, timezone);
+
+  return (
+    !!day &&
+    day < getLocalToday(timezone, now) &&
+    appointment.attendance?.status !== "no_show" &&
+    !isClosed(appointment) &&
+    !hasArrived(appointment)
+  );
+};
+
+module.exports = {
+  ATTENDANCE_STATUSES,
+  LATE_GRACE_MINUTES,
+  hasArrived,
+  isClosed,
+  isLate,
+  isNoShow,
+};
@@ -0,0 +1,190 @@
+const crypto = require("crypto");
+const moment = require("moment");
+const ConsentDocument = require("../models/consentDocumentModel");
+const ConsentSignature = require("../models/consentSignatureModel");
+
+/**
+ * Consent form utility
+ * Renders consent forms for a patient and works out which forms
+ * still need a signature (never signed, or signed on an older version)
+ */
+
+// KIOSK check-in flags backed by a signed consent form
+const CONSENT_CHECK_IN_FLAGS = {
+  hipaa_notice: "hasHIPAASignature",
+  financial_policy: "hasPracticePoliciesSignature",
+};
+
+/**
+ * Get the current (highest active) version of every consent form
+ * @returns {Array} - One ConsentDocument per type
+ */
+const getCurrentDocuments = async () => {
+  const documents = await ConsentDocument.find({ isActive: true }).sort({
+    type: 1,
+    version: -1,
+  });
+
+  const seenTypes = new Set();
+  return documents.filter((document) => {
+    if (seenTypes.has(document.type)) return false;
+    seenTypes.add(document.type);
+    return true;
+  });
+};
+
+/**
+ * Fill in the patient placeholders of a consent form
+ * @param {Object} document - ConsentDocument
+ * @param {Object} appointment - Appointment the form is signed for
+ * @returns {string} - Rendered form text
+ */
+const renderConsentText = (document, appointment) => {
+  const formatDate = (date) =>
+    date ? moment.utc(date).format("MM/DD/YYYY") : "";
+
+  const values = {
+    patientName: appointment.patientName || "",
+    patientDOB: formatDate(appointment.patientDOB),
+    appointmentDate: formatDate(appointment.appointmentDate),
+    facilityName: appointment.appointmentFacilityName || "",
+  };
+
+  return document.body.replace(/{{\s*(\w+)\s*}}/g, (placeholder, key) =>
+    Object.prototype.hasOwnProperty.call(values, key)
+      ? values[key]
+      : placeholder
+  );
+};
+
+/**
+ * Hash rendered form text so a signature can be tied to the exact wording
+ * @param {string} text - Rendered form text
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashConsentText = (text) =>
+  crypto.createHash("sha256").update(text, "utf8").digest("hex");
+
+/**
+ * Get the signature status of every current consent form for a patient
+ * @param {Object} appointment - Appointment being checked in
+ * @returns {Array} - [{documentId, type, title, version, required, text, textHash,
+ *                     status (signed, resign_required, unsigned), signedVersion, signedAt}]
+ */
+const getConsentStatus = async (appointment) => {
+  const documents = await getCurrentDocuments();
+
+  const signatures = await ConsentSignature.find({
+    patientAcctNo: appointment.patientAcctNo,
+    documentType: { $in: documents.map((d) => d.type) },
+  }).sort({ signedAt: -1 });
+
+  return documents.map((document) => {
+    const text = renderConsentText(document, appointment);
+    const latest = signatures.find((s) => s.documentType === document.type);
+
+    let status = "unsigned";
+    if (latest) {
+      status =
+        latest.documentVersion >= document.version
+          ? "signed"
+          : "resign_required";
+    }
+
+    return {
+      documentId: document._id,
+      type: document.type,
+      title: document.title,
+      version: document.version,
+      required: document.required,
+      text,
+      textHash: hashConsentText(text),
+      status,
+      signedVersion: latest ? latest.documentVersion : undefined,
+      signedAt: latest ? latest.signedAt : undefined,
+    };
+  });
+};
+
+/**
+ * Work out the KIOSK check-in flags from the consent status.
+ * Only forms that have been published are included.
+ * @param {Array} consents - Result of getConsentStatus
+ * @returns {Object} - e.g. {hasHIPAASignature, hasPracticePoliciesSignature}
+ */
+const getConsentCheckInFlags = (consents) =>
+  Object.entries(CONSENT_CHECK_IN_FLAGS).reduce((acc, [type, flag]) => {
+    const consent = consents.find((c) => c.type === type);
+    if (consent) acc[flag] = consent.status === "signed";
+    return acc;
+  }, {});
+
+// Upper bounds for a captured signature
+const MAX_SIGNATURE_POINTS = 20000;
+const MAX_SIGNATURE_IMAGE_BYTES = 1024 * 1024;
+
+/**
+ * Validate vector strokes captured on the KIOSK
+ * @param {Array|string} strokes - [[{x, y, t}]] (or the same as a JSON string)
+ * @returns {Array|null} - Strokes with numeric points, or null if invalid
+ */
+const parseSignatureStrokes = (strokes) => {
+  let parsed = strokes;
+  if (typeof strokes === "string") {
+    try {
+      parsed = JSON.parse(strokes);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  if (!Array.isArray(parsed) || parsed.length === 0) return null;
+
+  const isPoint = (point) =>
+    point &&
+    Number.isFinite(Number(point.x)) &&
+    Number.isFinite(Number(point.y));
+
+  if (!parsed.every((stroke) => Array.isArray(stroke) && stroke.every(isPoint)))
+    return null;
+
+  const pointCount = parsed.reduce((sum, stroke) => sum + stroke.length, 0);
+  if (pointCount < 2 || pointCount > MAX_SIGNATURE_POINTS) return null;
+
+  return parsed.map((stroke) =>
+    stroke.map(({ x, y, t }) => ({
+      x: Number(x),
+      y: Number(y),
+      t: t !== undefined ? Number(t) : undefined,
+    }))
+  );
+};
+
+/**
+ * Decode a signature image sent as a data URL (canvas.toDataURL())
+ * @param {string} dataUrl - data:image/png;base64,...
+ * @returns {Object|null} - {contentType, data}, or null if invalid
+ */
+const parseSignatureDataUrl = (dataUrl) => {
+  const match = String(dataUrl).match(
+    /^data:(image\/(?:png|jpeg));base64,([A-Za-z0-9+/=\s]+)$/
+  );
+  if (!match) return null;
+
+  const data = Buffer.from(match[2], "base64");
+  if (data.length === 0 || data.length > MAX_SIGNATURE_IMAGE_BYTES) {
+    return null;
+  }
+
+  return { contentType: match[1], data };
+};
+
+module.exports = {
+  getCurrentDocuments,
+  renderConsentText,
+  hashConsentText,
+  getConsentStatus,
+  getConsentCheckInFlags,
+  parseSignatureStrokes,
+  parseSignatureDataUrl,
+};
@@ -0,0 +1,182 @@
+const fs = require("fs").promises;
+
+/**
+ * CSV Parser Utility
+ * Reads CSV exports into rows of cells, the same shape read-excel-file
+ * returns, so both formats share one header mapping and coercion path
+ */
+
+// Delimiters we try to detect, in order of preference for ties
+const CANDIDATE_DELIMITERS = [",", ";", "\t", "|"];
+
+// Plain numbers (no leading zeros) become numbers, like numeric Excel cells
+const NUMBER_PATTERN = /^-?(0|[1-9]\d*)(\.\d+)?$/;
+
+/**
+ * Decode a CSV file buffer, detecting the text encoding
+ * Supports UTF-8 (with or without BOM), UTF-16 LE/BE with BOM and
+ * falls back to Windows-1252 when the bytes are not valid UTF-8
+ * @param {Buffer} buffer - Raw file contents
+ * @returns {Object} - {text, encoding}
+ */
+const decodeBuffer = (buffer) => {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return {
+      text: new TextDecoder("utf-16le").decode(buffer.subarray(2)),
+      encoding: "utf-16le",
+    };
+  }
+
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return {
+      text: new TextDecoder("utf-16be").decode(buffer.subarray(2)),
+      encoding: "utf-16be",
+    };
+  }
+
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return {
+      text: new TextDecoder("utf-8").decode(buffer.subarray(3)),
+      encoding: "utf-8",
+    };
+  }
+
+  try {
+    return {
+      text: new TextDecoder("utf-8", { fatal: true }).decode(buffer),
+      encoding: "utf-8",
+    };
+  } catch (error) {
+    // Not valid UTF-8, most likely an export from Excel on Windows
+    return {
+      text: new TextDecoder("windows-1252").decode(buffer),
+      encoding: "windows-1252",
+    };
+  }
+};
+
+/**
+ * Detect the delimiter from the header line (ignoring quoted text)
+ * @param {string} text - Decoded CSV text
+ * @returns {string} - Detected delimiter (defaults to comma)
+ */
+const detectDelimiter = (text) => {
+  const counts = CANDIDATE_DELIMITERS.reduce((acc, delimiter) => {
+    acc[delimiter] = 0;
+    return acc;
+  }, {});
+
+  let inQuotes = false;
+  for (const char of text) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === "\n" || char === "\r")) {
+      break;
+    } else if (!inQuotes && counts[char] !== undefined) {
+      counts[char] += 1;
+    }
+  }
+
+  return CANDIDATE_DELIMITERS.reduce(
+    (best, delimiter) => (counts[delimiter] > counts[best] ? delimiter : best),
+    ","
+  );
+};
+
+/**
+ * Convert a raw CSV cell to the value read-excel-file would return
+ * @param {string} value - Raw cell text
+ * @returns {string|number|null} - Trimmed string, number or null if empty
+ */
+const toCellValue = (value) => {
+  const trimmed = value.trim();
+  if (trimmed === "") return null;
+  if (NUMBER_PATTERN.test(trimmed)) return Number(trimmed);
+  return trimmed;
+};
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted fields, escaped quotes ("") and line breaks inside quotes
+ * @param {string} text - Decoded CSV text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array} - Array of rows (arrays of cell values), empty rows removed
+ */
+const parseCsv = (text, delimiter = ",") => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  const endField = () => {
+    row.push(field);
+    field = "";
+  };
+
+  const endRow = () => {
+    endField();
+    rows.push(row);
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === "\r" || char === "\n") {
+      // Treat \r\n as a single line break
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  // Last row when the file doesn't end with a line break
+  if (field !== "" || row.length > 0) {
+    endRow();
+  }
+
+  return rows
+    .map((cells) => cells.map(toCellValue))
+    .filter((cells) => cells.some((cell) => cell !== null));
+};
+
+/**
+ * Read a CSV file into rows of cells
+ * @param {string} filePath - Path to the uploaded CSV file
+ * @returns {Object} - {rows, delimiter, encoding}
+ */
+const readCsvFile = async (filePath) => {
+  const buffer = await fs.readFile(filePath);
+  const { text, encoding } = decodeBuffer(buffer);
+  const delimiter = detectDelimiter(text);
+
+  return {
+    rows: parseCsv(text, delimiter),
+    delimiter,
+    encoding,
+  };
+};
+
+module.exports = {
+  decodeBuffer,
+  detectDelimiter,
+  parseCsv,
+  readCsvFile,
+};
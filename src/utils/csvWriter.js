@@ -0,0 +1,45 @@
+/**
+ * Utility for building CSV files from plain objects
+ */
+
+/**
+ * Escape a single value for CSV output
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+const escapeCsvValue = (value) => {
+  if (value === undefined || value === null) return "";
+
+  let str = value instanceof Date ? value.toISOString() : String(value);
+
+  // Spreadsheets run text starting with these as a formula (CSV injection)
+  if (typeof value !== "number" && /^[=+\-@\t\r]/.test(str)) {
+    str = `'${str}`;
+  }
+
+  // Quote values containing delimiters, quotes or line breaks
+  if (/[",\r\n]/.test(str)) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+};
+
+/**
+ * Convert rows to a CSV string
+ * @param {Array} columns - [{key, label}] in output order
+ * @param {Array} rows - Array of objects
+ * @returns {string} - CSV content with a header row
+ */
+const toCsv = (columns, rows) => {
+  const header = columns.map(({ label }) => escapeCsvValue(label)).join(",");
+  const lines = rows.map((row) =>
+    columns.map(({ key }) => escapeCsvValue(row[key])).join(",")
+  );
+
+  return [header, ...lines].join("\r\n");
+};
+
+module.exports = {
+  escapeCsvValue,
+  toCsv,
+};
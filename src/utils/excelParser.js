@@ -1,79 +1,111 @@
 const readXlsxFile = require("read-excel-file/node");
+const path = require("path");
 const { v4: uuidv4 } = require("uuid");
 const logger = require("../config/logger");
 const moment = require("moment");
+const { readCsvFile } = require("./csvParser");
+const Appointment = require("../models/appointmentModel");
+
+// Import field type for each Mongoose schema type
+const SCHEMA_FIELD_TYPES = {
+  String: "string",
+  Number: "number",
+  Date: "date",
+  Boolean: "boolean",
+};
+
+// Boolean values understood when the import profile doesn't define any
+const DEFAULT_TRUE_VALUES = ["yes", "true", "y", "1"];
+const DEFAULT_FALSE_VALUES = ["no", "false", "n", "0"];
+
+/**
+ * Read the rows of an uploaded file (xlsx/xls or csv)
+ * @param {string} filePath - Path to the uploaded file
+ * @param {string} fileName - Original name of the uploaded file
+ * @returns {Array} - Array of rows (arrays of cell values)
+ */
+const readRows = async (filePath, fileName) => {
+  const extension = path.extname(fileName || filePath).toLowerCase();
+
+  if (extension === ".csv") {
+    const { rows, delimiter, encoding } = await readCsvFile(filePath);
+    logger.debug(
+      `Detected CSV delimiter ${JSON.stringify(delimiter)}, encoding ${encoding}`
+    );
+    return rows;
+  }
+
+  return readXlsxFile(filePath);
+};
 
 /**
- * Parse Excel file and convert to appointment objects
- * @param {string} filePath - Path to the uploaded Excel file
- * @returns {Object} - Contains fileId, fileName and parsed appointments array
+ * Parse Excel or CSV file and convert to appointment objects
+ * @param {string} filePath - Path to the uploaded Excel or CSV file
+ * @param {string} fileName - Original name of the uploaded file
+ * @param {Object} options - Parsing options
+ * @param {Object} options.headerMapping - Header → field overrides (null skips a column)
+ * @param {string} options.fileId - Reuse an existing fileId (e.g. when committing a preview)
+ * @param {Object} options.profile - Import profile (header aliases, coercion rules, default facility)
+ * @returns {Object} - Contains fileId, fileName, headers, columnMapping, parsed appointments array
+ *                     and cellErrors ({row, column, field, rawValue, expectedType, message})
  */
-const parseExcelFile = async (filePath, fileName) => {
+const parseExcelFile = async (filePath, fileName, options = {}) => {
   try {
-    // Read the Excel file
-    const rows = await readXlsxFile(filePath);
+    // Read the Excel or CSV file
+    const rows = await readRows(filePath, fileName);
 
     // Extract headers (first row)
     const headers = rows[0];
 
+    const profile = options.profile || {};
+
+    // Work out which schema field each column maps to
+    const columnMapping = mapHeaders(
+      headers,
+      options.headerMapping,
+      profile.headerAliases
+    );
+
     // Generate a unique fileId for this batch
-    const fileId = uuidv4();
+    const fileId = options.fileId || uuidv4();
+
+    // Cells that could not be converted to their field's type
+    const cellErrors = [];
 
     // Map Excel rows to appointment objects (skip the header row)
-    const appointments = rows.slice(1).map((row) => {
+    const appointments = rows.slice(1).map((row, rowIndex) => {
       const appointment = {};
 
-      // Map each cell to its corresponding header
-      headers.forEach((header, index) => {
-        // Skip empty cells or headers
-        if (!header || row[index] === undefined || row[index] === null) {
+      // Map each cell to its corresponding field
+      columnMapping.forEach(({ header, field: key }, index) => {
+        // Skip empty cells or unmapped columns
+        if (!key || row[index] === undefined || row[index] === null) {
           return;
         }
 
-        // Convert header to camelCase for schema compatibility
-        const key = toCamelCase(header.trim());
-
-        // Special handling for dates
-        if (
-          key.toLowerCase().includes("date") ||
-          key.toLowerCase().includes("dob")
-        ) {
-          // Check if it's already a Date object from Excel
-          if (row[index] instanceof Date) {
-            appointment[key] = row[index];
-          } else {
-            // Try to parse the date string
-            const parsedDate = parseDate(row[index]);
-            if (parsedDate) {
-              appointment[key] = parsedDate;
-            } else {
-              appointment[key] = row[index]; // Keep as string if parsing fails
-            }
-          }
-          return;
-        }
+        const { value, type, error } = coerceValue(key, row[index], profile);
 
-        // Special handling for boolean fields
-        if (
-          key.toLowerCase().includes("is") ||
-          key.toLowerCase().includes("dont") ||
-          key.toLowerCase().includes("deceased")
-        ) {
-          // Convert various boolean representations
-          if (typeof row[index] === "string") {
-            appointment[key] = ["yes", "true", "y", "1"].includes(
-              row[index].toLowerCase()
-            );
-          } else {
-            appointment[key] = Boolean(row[index]);
-          }
+        // Leave invalid cells out of the row and report them instead
+        if (error) {
+          cellErrors.push({
+            row: rowIndex + 2, // Excel row number (header is row 1)
+            column: header,
+            field: key,
+            rawValue: row[index],
+            expectedType: type,
+            message: error,
+          });
           return;
         }
 
-        // Default: assign the value as is
-        appointment[key] = row[index];
+        appointment[key] = value;
       });
 
+      // Fall back to the profile's facility when the export has none
+      if (profile.defaultFacility && !appointment.appointmentFacilityName) {
+        appointment.appointmentFacilityName = profile.defaultFacility;
+      }
+
       // Add metadata
       appointment.source = "excel";
       appointment.fileName = fileName;
@@ -84,20 +116,274 @@ const parseExcelFile = async (filePath, fileName) => {
     });
 
     logger.info(
-      `Successfully parsed Excel file: ${fileName}, rows: ${appointments.length}`
+      `Successfully parsed file: ${fileName}, rows: ${appointments.length}`
     );
 
     return {
       fileId,
       fileName,
+      headers,
+      columnMapping,
       appointments,
+      cellErrors,
     };
   } catch (error) {
-    logger.error(`Error parsing Excel file: ${error.message}`);
-    throw new Error(`Failed to parse Excel file: ${error.message}`);
+    logger.error(`Error parsing file: ${error.message}`);
+    throw new Error(`Failed to parse file: ${error.message}`);
+  }
+};
+
+/**
+ * Map header row to schema fields
+ * Precedence: upload overrides, then profile aliases, then toCamelCase
+ * (matched case-insensitively against the appointment schema paths)
+ * @param {Array} headers - Header row from Excel
+ * @param {Object} overrides - Header → field overrides (null or "" skips a column)
+ * @param {Array} aliases - Profile header aliases [{header, field}]
+ * @returns {Array} - [{header, field, overridden, source}] in column order
+ */
+const mapHeaders = (headers, overrides = {}, aliases = []) => {
+  const aliasMap = new Map(
+    (aliases || []).map(({ header, field }) => [
+      header.trim().toLowerCase(),
+      field,
+    ])
+  );
+
+  return headers.map((header) => {
+    if (!header) {
+      return { header, field: null, overridden: false, source: null };
+    }
+
+    const trimmed = String(header).trim();
+
+    if (overrides && Object.prototype.hasOwnProperty.call(overrides, trimmed)) {
+      return {
+        header: trimmed,
+        field: overrides[trimmed] || null,
+        overridden: true,
+        source: "override",
+      };
+    }
+
+    if (aliasMap.has(trimmed.toLowerCase())) {
+      return {
+        header: trimmed,
+        field: aliasMap.get(trimmed.toLowerCase()),
+        overridden: false,
+        source: "profile",
+      };
+    }
+
+    return {
+      header: trimmed,
+      field: toSchemaField(toCamelCase(trimmed)),
+      overridden: false,
+      source: "default",
+    };
+  });
+};
+
+/**
+ * Match a field name to an appointment schema path, ignoring case
+ * (e.g. appointmentFacilityPos → appointmentFacilityPOS)
+ * @param {string} field - Field name derived from a header
+ * @returns {string} - Schema path, or the field name if there is none
+ */
+const toSchemaField = (field) => {
+  if (Appointment.schema.path(field)) return field;
+
+  const lowerField = field.toLowerCase();
+  const schemaField = Object.keys(Appointment.schema.paths).find(
+    (schemaPath) => schemaPath.toLowerCase() === lowerField
+  );
+  return schemaField || field;
+};
+
+/**
+ * Work out how a field's values should be coerced
+ * @param {string} key - Appointment field
+ * @param {Object} profile - Import profile
+ * @returns {string|null} - date, boolean, phone, number, string or null (keep as is)
+ */
+const getFieldType = (key, profile = {}) => {
+  const profileType = (profile.fieldTypes || []).find((f) => f.field === key);
+  if (profileType) return profileType.type;
+
+  // Otherwise use the type declared in the appointment schema
+  const schemaType = Appointment.schema.path(key);
+  return schemaType ? SCHEMA_FIELD_TYPES[schemaType.instance] || null : null;
+};
+
+/**
+ * Coerce a cell value for an appointment field
+ * @param {string} key - Appointment field
+ * @param {*} value - Raw cell value
+ * @param {Object} profile - Import profile
+ * @returns {Object} - {value, type} or {type, error} if the cell doesn't match the field type
+ */
+const coerceValue = (key, value, profile = {}) => {
+  const type = getFieldType(key, profile);
+  const invalid = (expected) => ({
+    type,
+    error: `Expected ${expected} for ${key}, got "${formatRawValue(value)}"`,
+  });
+
+  switch (type) {
+    case "date": {
+      const parsedDate = parseDate(value, profile.dateFormats);
+      return parsedDate ? { value: parsedDate, type } : invalid("a date");
+    }
+    case "boolean": {
+      const parsedBoolean = parseBoolean(value, profile.booleanVocabulary);
+      return parsedBoolean === null
+        ? invalid("yes/no")
+        : { value: parsedBoolean, type };
+    }
+    case "phone":
+      return { value: normalizePhone(value, profile.phoneFormat), type };
+    case "number": {
+      if (typeof value === "number") return { value, type };
+
+      const cleaned = String(value).replace(/[$,\s]/g, "");
+      const number = Number(cleaned);
+      return cleaned === "" || isNaN(number) || value instanceof Date
+        ? invalid("a number")
+        : { value: number, type };
+    }
+    case "string":
+      return { value: toStringValue(key, value), type };
+    default:
+      return { value, type };
+  }
+};
+
+/**
+ * Format a raw cell value for an error message
+ * @param {*} value - Raw cell value
+ * @returns {string} - Printable value
+ */
+const formatRawValue = (value) =>
+  value instanceof Date ? value.toISOString() : String(value);
+
+/**
+ * Convert a cell to the string stored in a String field
+ * Numeric cells keep their digits (zip codes, ids, NPIs) and time-only
+ * Excel cells (dated 1899-12-30) become HH:mm
+ * @param {string} key - Appointment field
+ * @param {*} value - Raw cell value
+ * @returns {string} - String value
+ */
+const toStringValue = (key, value) => {
+  if (value instanceof Date) {
+    if (value.getUTCFullYear() < 1900) {
+      // Excel stores times as fractions of a day, round off float noise
+      const rounded = new Date(Math.round(value.getTime() / 60000) * 60000);
+      return moment.utc(rounded).format("HH:mm");
+    }
+    return value.toISOString();
+  }
+
+  // Excel drops the leading zero of zip codes like 07030
+  if (
+    typeof value === "number" &&
+    key.toLowerCase().includes("zip") &&
+    Number.isInteger(value) &&
+    value >= 0 &&
+    value < 10000
+  ) {
+    return String(value).padStart(5, "0");
+  }
+
+  return String(value).trim();
+};
+
+/**
+ * Convert various boolean representations
+ * @param {*} value - Cell value
+ * @param {Object} vocabulary - {trueValues, falseValues}
+ * @returns {boolean|null} - Parsed boolean, or null if the value isn't recognized
+ */
+const parseBoolean = (value, vocabulary = {}) => {
+  if (typeof value === "boolean") return value;
+
+  const normalized = String(value).trim().toLowerCase();
+  const matches = (values) =>
+    values.map((v) => v.toLowerCase()).includes(normalized);
+
+  if (matches(vocabulary.trueValues || DEFAULT_TRUE_VALUES)) return true;
+  if (matches(vocabulary.falseValues || DEFAULT_FALSE_VALUES)) return false;
+  return null;
+};
+
+/**
+ * Normalize a phone number
+ * @param {*} value - Cell value
+ * @param {string} format - none, digits, dashed (281-844-2481) or e164 (+12818442481)
+ * @returns {string} - Normalized phone number
+ */
+const normalizePhone = (value, format = "none") => {
+  const str = String(value).trim();
+  if (format === "none" || !format) return str;
+
+  let digits = str.replace(/\D/g, "");
+  // Drop the US country code for 11-digit numbers
+  if (digits.length === 11 && digits.startsWith("1")) {
+    digits = digits.slice(1);
+  }
+
+  // Leave anything that isn't a 10-digit number alone
+  if (digits.length !== 10) return str;
+
+  switch (format) {
+    case "digits":
+      return digits;
+    case "dashed":
+      return `${digits.slice(0, 3)}-${digits.slice(3, 6)}-${digits.slice(6)}`;
+    case "e164":
+      return `+1${digits}`;
+    default:
+      return str;
   }
 };
 
+// Fields every imported appointment needs
+const DEFAULT_REQUIRED_FIELDS = [
+  "encounterId",
+  "patientAcctNo",
+  "appointmentDate",
+];
+
+/**
+ * Validate a parsed appointment row before it is inserted
+ * @param {Object} appointment - Parsed appointment object
+ * @param {Array} requiredFields - Fields that must have a value
+ * @returns {Array} - List of validation error messages (empty if valid)
+ */
+const validateAppointmentRow = (
+  appointment,
+  requiredFields = DEFAULT_REQUIRED_FIELDS
+) => {
+  const errors = [];
+
+  requiredFields.forEach((field) => {
+    const value = appointment[field];
+    if (value === undefined || value === null || value === "") {
+      errors.push(`Missing required field: ${field}`);
+    }
+  });
+
+  if (
+    appointment.appointmentDate &&
+    (!(appointment.appointmentDate instanceof Date) ||
+      isNaN(appointment.appointmentDate.getTime()))
+  ) {
+    errors.push(`Invalid appointmentDate: ${appointment.appointmentDate}`);
+  }
+
+  return errors;
+};
+
 /**
  * Convert header string to camelCase
  * @param {string} str - Header string from Excel
@@ -176,12 +462,21 @@ const toCamelCase = (str) => {
 /**
  * Parse various date formats
  * @param {string|Date} dateStr - Date string from Excel
+ * @param {Array} profileFormats - Formats from the import profile, tried first
  * @returns {Date|null} - Parsed Date object or null if invalid
  */
-const parseDate = (dateStr) => {
+const parseDate = (dateStr, profileFormats = []) => {
   if (!dateStr) return null;
   if (dateStr instanceof Date) return dateStr;
 
+  // Profile formats are matched strictly so they take priority
+  if (profileFormats && profileFormats.length > 0) {
+    const profileDate = moment.utc(String(dateStr), profileFormats, true);
+    if (profileDate.isValid()) {
+      return profileDate.toDate();
+    }
+  }
+
   // Handle common date formats
   const formats = [
     "YYYY-MM-DD",
@@ -193,7 +488,8 @@ const parseDate = (dateStr) => {
     "MM-DD-YYYY",
   ];
 
-  const momentDate = moment(dateStr, formats);
+  // Parse as UTC midnight, the same value Excel date cells are read as
+  const momentDate = moment.utc(dateStr, formats);
 
   if (momentDate.isValid()) {
     return momentDate.toDate();
@@ -205,5 +501,11 @@ const parseDate = (dateStr) => {
 };
 
 module.exports = {
+  DEFAULT_REQUIRED_FIELDS,
   parseExcelFile,
+  mapHeaders,
+  toCamelCase,
+  toSchemaField,
+  coerceValue,
+  validateAppointmentRow,
 };
@@ -0,0 +1,181 @@
+const moment = require("moment-timezone");
+const Facility = require("../models/facilityModel");
+
+/**
+ * Facility time utility
+ * Appointment dates are calendar dates stored at UTC midnight; start times
+ * and "today" are read in the timezone of the appointment's facility
+ */
+
+// Timezone for facilities without their own setting (the server's zone is
+// only a development fallback, see checkPracticeTimezone)
+const DEFAULT_TIMEZONE =
+  process.env.PRACTICE_TIMEZONE ||
+  Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+/**
+ * Check the practice timezone setting at startup. Production requires it,
+ * since a server running in UTC would otherwise put every "today" and
+ * scheduled start in UTC.
+ * @returns {Object} - {error} when it is missing in production or invalid,
+ *                     {warning} when the server's timezone is used instead
+ */
+const checkPracticeTimezone = () => {
+  const timezone = process.env.PRACTICE_TIMEZONE;
+
+  if (!timezone) {
+    if (process.env.NODE_ENV === "production") {
+      return { error: "PRACTICE_TIMEZONE is not configured" };
+    }
+    return {
+      warning: `PRACTICE_TIMEZONE is not configured, using the server's timezone (${DEFAULT_TIMEZONE})`,
+    };
+  }
+
+  if (!moment.tz.zone(timezone)) {
+    return { error: `Invalid PRACTICE_TIMEZONE: ${timezone}` };
+  }
+
+  return {};
+};
+
+// Start times as they appear in the EHR export
+const START_TIME_FORMATS = ["HH:mm", "h:mm A", "h:mmA"];
+
+/**
+ * Get the timezone of a facility
+ * @param {string} facilityName - appointmentFacilityName
+ * @returns {string} - IANA timezone
+ */
+const getFacilityTimezone = async (facilityName) => {
+  const facility = facilityName
+    ? await Facility.findOne({ name: facilityName }).select("timezone")
+    : null;
+
+  return facility ? facility.timezone : DEFAULT_TIMEZONE;
+};
+
+/**
+ * Load every facility timezone at once (for imports and batch jobs)
+ * @returns {Function} - facilityName => IANA timezone
+ */
+const getTimezoneResolver = async () => {
+  const facilities = await Facility.find().select("name timezone").lean();
+  const byName = new Map(facilities.map((f) => [f.name, f.timezone]));
+
+  return (facilityName) => byName.get(facilityName) || DEFAULT_TIMEZONE;
+};
+
+/**
+ * Get the timezone an appointment is in (stored at import, or looked up
+ * for records that predate it)
+ * @param {Object} appointment - Appointment document
+ * @returns {string} - IANA timezone
+ */
+const getAppointmentTimezone = async (appointment) =>
+  appointment.timezone ||
+  (await getFacilityTimezone(appointment.appointmentFacilityName));
+
+/**
+ * Get the calendar date a stored appointment date stands for. Dates at UTC
+ * midnight are calendar dates; anything else (a local midnight or a full
+ * timestamp from older imports) is read in the facility's timezone.
+ * @param {Date} date - appointmentDate
+ * @param {string} timezone - IANA timezone
+ * @returns {string|null} - YYYY-MM-DD
+ */
+const getCalendarDate = (date, timezone = DEFAULT_TIMEZONE) => {
+  if (!date || isNaN(new Date(date).getTime())) return null;
+
+  const utc = moment.utc(date);
+  return utc.isSame(utc.clone().startOf("day"))
+    ? utc.format("YYYY-MM-DD")
+    : moment.tz(date, timezone).format("YYYY-MM-DD");
+};
+
+/**
+ * Get the stored appointmentDate of a calendar date
+ * @param {string} day - YYYY-MM-DD
+ * @returns {Date} - UTC midnight
+ */
+const toAppointmentDate = (day) => moment.utc(day, "YYYY-MM-DD").toDate();
+
+/**
+ * Work out the stored schedule of an appointment
+ * @param {Date} date - appointmentDate
+ * @param {string} startTime - appointmentStartTime
+ * @param {string} timezone - IANA timezone of the facility
+ * @returns {Object} - {appointmentDate (UTC midnight), scheduledStart (null without a valid start time)}
+ */
+const getSchedule = (date, startTime, timezone = DEFAULT_TIMEZONE) => {
+  const day = getCalendarDate(date, timezone);
+  if (!day) return { appointmentDate: date, scheduledStart: null };
+
+  const time = moment(String(startTime || "").trim(), START_TIME_FORMATS, true);
+
+  return {
+    appointmentDate: toAppointmentDate(day),
+    scheduledStart: time.isValid()
+      ? moment
+          .tz(`${day} ${time.format("HH:mm")}`, "YYYY-MM-DD HH:mm", timezone)
+          .toDate()
+      : null,
+  };
+};
+
+/**
+ * Get today's date in a timezone
+ * @param {string} timezone - IANA timezone
+ * @param {Date} now - Current time
+ * @returns {string} - YYYY-MM-DD
+ */
+const getLocalToday = (timezone = DEFAULT_TIMEZONE, now = new Date()) =>
+  moment.tz(now, timezone).format("YYYY-MM-DD");
+
+/**
+ * Check whether an appointment is on the current day of its facility
+ * @param {Object} appointment - Appointment document
+ * @param {string} timezone - IANA timezone of the facility
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+const isAppointmentToday = (appointment, timezone, now = new Date()) =>
+  getCalendarDate(appointment.appointmentDate, timezone) ===
+  getLocalToday(timezone, now);
+
+/**
+ * Build an appointmentDate filter for a range of calendar dates
+ * @param {string|Date} from - First day (YYYY-MM-DD)
+ * @param {string|Date} to - Last day (defaults to from)
+ * @returns {Object} - {$gte, $lt}
+ */
+const getDateFilter = (from, to = from) => ({
+  $gte: toAppointmentDate(from),
+  $lt: moment.utc(to, "YYYY-MM-DD").add(1, "day").toDate(),
+});
+
+/**
+ * Get the instants a local day starts and ends at
+ * @param {string} day - YYYY-MM-DD
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} - {start, end}
+ */
+const getLocalDayRange = (day, timezone = DEFAULT_TIMEZONE) => {
+  const start = moment.tz(day, "YYYY-MM-DD", timezone);
+  return { start: start.toDate(), end: start.clone().endOf("day").toDate() };
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  checkPracticeTimezone,
+  getFacilityTimezone,
+  getTimezoneResolver,
+  getAppointmentTimezone,
+  getCalendarDate,
+  getSchedule,
+  getLocalToday,
+  isAppointmentToday,
+  toAppointmentDate,
+  getDateFilter,
+  getLocalDayRange,
+};
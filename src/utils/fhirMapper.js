@@ -0,0 +1,565 @@
+const moment = require("moment");
+const { CANCELLED_PATTERN, NO_SHOW_PATTERN } = require("./appointmentStatus");
+
+/**
+ * FHIR R4 Mapper
+ * Translates Patient and Appointment documents into FHIR R4 resources.
+ * One appointment record maps to both an Appointment (the booking) and an
+ * Encounter (the visit), so both resources share the encounterId as their id.
+ */
+
+// Identifier systems
+const SYSTEMS = {
+  acctNo: process.env.FHIR_ACCT_NO_SYSTEM || "urn:ytfcs:patient-acct-no",
+  encounterId: process.env.FHIR_ENCOUNTER_ID_SYSTEM || "urn:ytfcs:encounter-id",
+  npi: "http://hl7.org/fhir/sid/us-npi",
+  snomed: "http://snomed.info/sct",
+  identifierType: "http://terminology.hl7.org/CodeSystem/v2-0203",
+  participationType:
+    "http://terminology.hl7.org/CodeSystem/v3-ParticipationType",
+  actCode: "http://terminology.hl7.org/CodeSystem/v3-ActCode",
+  ucum: "http://unitsofmeasure.org",
+};
+
+// Extension URLs
+const EXTENSIONS = {
+  race: "http://hl7.org/fhir/us/core/StructureDefinition/us-core-race",
+  ethnicity:
+    "http://hl7.org/fhir/us/core/StructureDefinition/us-core-ethnicity",
+  birthSex: "http://hl7.org/fhir/us/core/StructureDefinition/us-core-birthsex",
+  genderIdentity:
+    "http://hl7.org/fhir/us/core/StructureDefinition/us-core-genderIdentity",
+  sexualOrientation:
+    "http://hl7.org/fhir/StructureDefinition/patient-sexualOrientation",
+};
+
+// Appointment documents matching each state, checked in order. These read
+// the EHR text and visit data, for records without a normalized status.
+const IS_CANCELLED = { visitStatus: CANCELLED_PATTERN };
+// No-shows come from the EHR status or from the attendance monitor
+const IS_NO_SHOW = {
+  $or: [{ visitStatus: NO_SHOW_PATTERN }, { "attendance.status": "no_show" }],
+};
+const HAS_ENDED = { "visitTimes.rawEvents.label": "patient_end" };
+const HAS_STARTED = { "visitTimes.rawEvents.label": "patient_start" };
+const IS_CHECKED_IN = { "kioskCheckIn.checkedInAt": { $ne: null } };
+const HAS_NO_STATUS = { status: null };
+
+const isNoShow = (a) =>
+  NO_SHOW_PATTERN.test(a.visitStatus || "") ||
+  a.attendance?.status === "no_show";
+const hasEvent = (appointment, label) =>
+  (appointment.visitTimes?.rawEvents || []).some((e) => e.label === label);
+
+/**
+ * Build a status rule that maps from the normalized appointment status, and
+ * from the EHR text and visit data for records without one
+ * @param {string} status - FHIR status code
+ * @param {Array} statuses - Appointment statuses mapping to it
+ * @param {Object} legacy - {query, test} for records without a status
+ * @returns {Object} - {status, query, test}
+ */
+const statusRule = (status, statuses, legacy) => ({
+  status,
+  query: legacy
+    ? {
+        $or: [
+          { status: { $in: statuses } },
+          { $and: [HAS_NO_STATUS, legacy.query] },
+        ],
+      }
+    : { status: { $in: statuses } },
+  test: (a) =>
+    a.status ? statuses.includes(a.status) : !!legacy && legacy.test(a),
+});
+
+// Status rules: the first rule an appointment matches gives its status.
+// Each rule has a MongoDB query (for searching) and a test (for mapping).
+const APPOINTMENT_STATUS_RULES = [
+  statusRule("cancelled", ["cancelled", "rescheduled"], {
+    query: IS_CANCELLED,
+    test: (a) => CANCELLED_PATTERN.test(a.visitStatus || ""),
+  }),
+  statusRule("noshow", ["no_show"], { query: IS_NO_SHOW, test: isNoShow }),
+  statusRule("fulfilled", ["checked_out"], {
+    query: HAS_ENDED,
+    test: (a) => hasEvent(a, "patient_end"),
+  }),
+  statusRule("checkedin", ["checked_in", "roomed", "with_provider"], {
+    query: IS_CHECKED_IN,
+    test: (a) => !!a.kioskCheckIn?.checkedInAt,
+  }),
+  statusRule("arrived", ["arrived"]),
+  { status: "booked", query: {}, test: () => true },
+];
+
+const ENCOUNTER_STATUS_RULES = [
+  statusRule("cancelled", ["cancelled", "no_show", "rescheduled"], {
+    query: { $or: [IS_CANCELLED, IS_NO_SHOW] },
+    test: (a) => CANCELLED_PATTERN.test(a.visitStatus || "") || isNoShow(a),
+  }),
+  statusRule("finished", ["checked_out"], {
+    query: HAS_ENDED,
+    test: (a) => hasEvent(a, "patient_end"),
+  }),
+  statusRule("in-progress", ["roomed", "with_provider"], {
+    query: HAS_STARTED,
+    test: (a) => hasEvent(a, "patient_start"),
+  }),
+  statusRule("arrived", ["arrived", "checked_in"], {
+    query: IS_CHECKED_IN,
+    test: (a) => !!a.kioskCheckIn?.checkedInAt,
+  }),
+  { status: "planned", query: {}, test: () => true },
+];
+
+/**
+ * Get the status of an appointment from a rule list
+ * @param {Array} rules - APPOINTMENT_STATUS_RULES or ENCOUNTER_STATUS_RULES
+ * @param {Object} appointment - Appointment document
+ * @returns {string} - FHIR status code
+ */
+const getStatus = (rules, appointment) =>
+  rules.find((rule) => rule.test(appointment)).status;
+
+/**
+ * Build a MongoDB query matching appointments with one of the given statuses
+ * @param {Array} rules - APPOINTMENT_STATUS_RULES or ENCOUNTER_STATUS_RULES
+ * @param {Array} statuses - FHIR status codes
+ * @returns {Object|null} - Query, or null if no status is known
+ */
+const getStatusQuery = (rules, statuses) => {
+  const conditions = rules
+    .map((rule, index) => ({ rule, earlier: rules.slice(0, index) }))
+    .filter(({ rule }) => statuses.includes(rule.status))
+    .map(({ rule, earlier }) => {
+      const notEarlier =
+        earlier.length > 0 ? [{ $nor: earlier.map((r) => r.query) }] : [];
+      return { $and: [rule.query, ...notEarlier] };
+    });
+
+  return conditions.length > 0 ? { $or: conditions } : null;
+};
+
+/**
+ * Format a date as a FHIR date (YYYY-MM-DD)
+ * @param {Date} date - Date stored at UTC midnight
+ * @returns {string|undefined} - FHIR date
+ */
+const toFhirDate = (date) =>
+  date ? moment.utc(date).format("YYYY-MM-DD") : undefined;
+
+/**
+ * Format a timestamp as a FHIR instant
+ * @param {Date} date - Timestamp
+ * @returns {string|undefined} - FHIR instant
+ */
+const toFhirInstant = (date) =>
+  date ? new Date(date).toISOString() : undefined;
+
+/**
+ * Combine the appointment date and start time into a FHIR dateTime
+ * @param {Object} appointment - Appointment document
+ * @returns {string|undefined} - Start of the appointment
+ */
+const getAppointmentStart = (appointment) => {
+  if (!appointment.appointmentDate) return undefined;
+
+  const date = moment.utc(appointment.appointmentDate).format("YYYY-MM-DD");
+  const time = moment(
+    String(appointment.appointmentStartTime || ""),
+    ["HH:mm", "h:mm A", "h:mmA"],
+    true
+  );
+
+  const start = time.isValid()
+    ? moment(`${date} ${time.format("HH:mm")}`, "YYYY-MM-DD HH:mm")
+    : moment(date, "YYYY-MM-DD");
+
+  return start.format();
+};
+
+/**
+ * Remove empty values so resources only carry populated elements
+ * @param {Object} obj - Resource or element
+ * @returns {Object} - Copy without undefined, null, empty strings, arrays or objects
+ */
+const compact = (obj) => {
+  if (Array.isArray(obj)) {
+    // Optional list items are written as `condition && {...}`
+    return obj
+      .filter((value) => value !== false)
+      .map(compact)
+      .filter((value) => !isEmpty(value));
+  }
+
+  if (obj && typeof obj === "object") {
+    return Object.keys(obj).reduce((acc, key) => {
+      const value = compact(obj[key]);
+      if (!isEmpty(value)) acc[key] = value;
+      return acc;
+    }, {});
+  }
+
+  return obj;
+};
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  value === "" ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === "object" &&
+    !Array.isArray(value) &&
+    Object.keys(value).length === 0);
+
+/**
+ * Map a free-text gender to a FHIR administrative gender
+ * @param {string} gender - Gender from the EHR export
+ * @returns {string} - male, female, other or unknown
+ */
+const toAdministrativeGender = (gender) => {
+  const value = String(gender || "")
+    .trim()
+    .toLowerCase();
+
+  if (["male", "m"].includes(value)) return "male";
+  if (["female", "f"].includes(value)) return "female";
+  if (value === "") return "unknown";
+  return "other";
+};
+
+/**
+ * Map a free-text birth sex to the US Core birth sex code
+ * @param {string} birthSex - Birth sex from the EHR export
+ * @returns {string|undefined} - M, F or UNK
+ */
+const toBirthSexCode = (birthSex) => {
+  if (!birthSex) return undefined;
+
+  const value = String(birthSex).trim().toLowerCase();
+  if (["male", "m"].includes(value)) return "M";
+  if (["female", "f"].includes(value)) return "F";
+  return "UNK";
+};
+
+/**
+ * Build a SNOMED CT CodeableConcept
+ * @param {Object} concept - {name, snomedCode}
+ * @returns {Object|undefined} - CodeableConcept
+ */
+const toSnomedConcept = (concept) => {
+  if (!concept || (!concept.name && !concept.snomedCode)) return undefined;
+
+  return {
+    coding: concept.snomedCode
+      ? [
+          {
+            system: SYSTEMS.snomed,
+            code: String(concept.snomedCode),
+            display: concept.name,
+          },
+        ]
+      : undefined,
+    text: concept.name,
+  };
+};
+
+/**
+ * Build a practitioner reference identified by NPI
+ * @param {string} name - Provider name
+ * @param {string} npi - Provider NPI
+ * @returns {Object|undefined} - Reference
+ */
+const toPractitionerReference = (name, npi) => {
+  if (!name && !npi) return undefined;
+
+  return {
+    type: "Practitioner",
+    identifier: npi ? { system: SYSTEMS.npi, value: String(npi) } : undefined,
+    display: name,
+  };
+};
+
+/**
+ * Build a participant type CodeableConcept
+ * @param {string} code - v3 ParticipationType code
+ * @param {string} display - Display text
+ * @returns {Array} - Participant type list
+ */
+const toParticipantType = (code, display) => [
+  { coding: [{ system: SYSTEMS.participationType, code, display }] },
+];
+
+/**
+ * Map a Patient document to a FHIR Patient resource
+ * @param {Object} patient - Patient document
+ * @returns {Object} - FHIR Patient
+ */
+const toFhirPatient = (patient) => {
+  const address = patient.address || {};
+
+  return compact({
+    resourceType: "Patient",
+    id: patient.acctNo,
+    meta: { lastUpdated: toFhirInstant(patient.updatedAt) },
+    extension: [
+      patient.race && {
+        url: EXTENSIONS.race,
+        extension: [{ url: "text", valueString: patient.race }],
+      },
+      patient.ethnicity && {
+        url: EXTENSIONS.ethnicity,
+        extension: [{ url: "text", valueString: patient.ethnicity }],
+      },
+      toBirthSexCode(patient.birthSex) && {
+        url: EXTENSIONS.birthSex,
+        valueCode: toBirthSexCode(patient.birthSex),
+      },
+      toSnomedConcept(patient.genderIdentity) && {
+        url: EXTENSIONS.genderIdentity,
+        valueCodeableConcept: toSnomedConcept(patient.genderIdentity),
+      },
+      toSnomedConcept(patient.sexualOrientation) && {
+        url: EXTENSIONS.sexualOrientation,
+        valueCodeableConcept: toSnomedConcept(patient.sexualOrientation),
+      },
+    ],
+    identifier: [
+      {
+        use: "usual",
+        type: {
+          coding: [
+            {
+              system: SYSTEMS.identifierType,
+              code: "MR",
+              display: "Medical record number",
+            },
+          ],
+        },
+        system: SYSTEMS.acctNo,
+        value: patient.acctNo,
+      },
+    ],
+    active: patient.status !== "inactive",
+    name: [
+      {
+        use: "official",
+        text:
+          patient.name ||
+          [patient.firstName, patient.lastName].filter(Boolean).join(" "),
+        family: patient.lastName,
+        given: [patient.firstName, patient.middleInitial],
+      },
+    ],
+    telecom: [
+      patient.homePhone && {
+        system: "phone",
+        value: patient.homePhone,
+        use: "home",
+      },
+      patient.cellPhone && {
+        system: "phone",
+        value: patient.cellPhone,
+        use: "mobile",
+      },
+      patient.workPhone && {
+        system: "phone",
+        value: patient.workPhone,
+        use: "work",
+      },
+      patient.email && { system: "email", value: patient.email },
+    ],
+    gender: toAdministrativeGender(patient.gender),
+    birthDate: toFhirDate(patient.dob),
+    deceasedBoolean: patient.status === "deceased" ? true : undefined,
+    address: [
+      {
+        use: "home",
+        line: [address.line1, address.line2],
+        city: address.city,
+        state: address.state,
+        postalCode: address.zipCode,
+      },
+    ],
+    communication: patient.language
+      ? [{ language: { text: patient.language } }]
+      : undefined,
+  });
+};
+
+/**
+ * Map an Appointment document to a FHIR Appointment resource
+ * @param {Object} appointment - Appointment document
+ * @returns {Object} - FHIR Appointment
+ */
+const toFhirAppointment = (appointment) => {
+  const status = getStatus(APPOINTMENT_STATUS_RULES, appointment);
+
+  return compact({
+    resourceType: "Appointment",
+    id: appointment.encounterId,
+    meta: { lastUpdated: toFhirInstant(appointment.updatedAt) },
+    identifier: [
+      { system: SYSTEMS.encounterId, value: appointment.encounterId },
+    ],
+    status,
+    appointmentType: appointment.visitType
+      ? { text: appointment.visitType }
+      : undefined,
+    description: appointment.visitSubType,
+    start: getAppointmentStart(appointment),
+    created: toFhirInstant(appointment.createdAt),
+    participant: [
+      {
+        actor: {
+          reference: `Patient/${appointment.patientAcctNo}`,
+          display: appointment.patientName,
+        },
+        required: "required",
+        status: "accepted",
+      },
+      (appointment.appointmentProviderName ||
+        appointment.appointmentProviderNPI) && {
+        type: toParticipantType("PPRF", "primary performer"),
+        actor: toPractitionerReference(
+          appointment.appointmentProviderName,
+          appointment.appointmentProviderNPI
+        ),
+        required: "required",
+        status: "accepted",
+      },
+      (appointment.appointmentReferringProviderName ||
+        appointment.appointmentReferringProviderNPI) && {
+        type: toParticipantType("REF", "referrer"),
+        actor: toPractitionerReference(
+          appointment.appointmentReferringProviderName,
+          appointment.appointmentReferringProviderNPI
+        ),
+        required: "information-only",
+        status: "accepted",
+      },
+      appointment.appointmentFacilityName && {
+        actor: {
+          type: "Location",
+          display: appointment.appointmentFacilityName,
+        },
+        required: "required",
+        status: "accepted",
+      },
+    ],
+  });
+};
+
+/**
+ * Map an Appointment document to a FHIR Encounter resource
+ * @param {Object} appointment - Appointment document
+ * @returns {Object} - FHIR Encounter
+ */
+const toFhirEncounter = (appointment) => {
+  const status = getStatus(ENCOUNTER_STATUS_RULES, appointment);
+  const events = appointment.visitTimes?.rawEvents || [];
+  const firstEvent = (label) => events.find((e) => e.label === label);
+  const lastEvent = (label) =>
+    [...events].reverse().find((e) => e.label === label);
+
+  const periodStart =
+    appointment.kioskCheckIn?.checkedInAt ||
+    (firstEvent("patient_start") || {}).time;
+  const periodEnd = (lastEvent("patient_end") || {}).time;
+  const patientDuration = appointment.visitTimes?.patientDuration;
+
+  return compact({
+    resourceType: "Encounter",
+    id: appointment.encounterId,
+    meta: { lastUpdated: toFhirInstant(appointment.updatedAt) },
+    identifier: [
+      { system: SYSTEMS.encounterId, value: appointment.encounterId },
+    ],
+    status,
+    class: appointment.isTelevisit
+      ? { system: SYSTEMS.actCode, code: "VR", display: "virtual" }
+      : { system: SYSTEMS.actCode, code: "AMB", display: "ambulatory" },
+    type: appointment.visitType ? [{ text: appointment.visitType }] : undefined,
+    subject: {
+      reference: `Patient/${appointment.patientAcctNo}`,
+      display: appointment.patientName,
+    },
+    participant: [
+      (appointment.appointmentProviderName ||
+        appointment.appointmentProviderNPI) && {
+        type: toParticipantType("PPRF", "primary performer"),
+        individual: toPractitionerReference(
+          appointment.appointmentProviderName,
+          appointment.appointmentProviderNPI
+        ),
+      },
+      (appointment.appointmentReferringProviderName ||
+        appointment.appointmentReferringProviderNPI) && {
+        type: toParticipantType("REF", "referrer"),
+        individual: toPractitionerReference(
+          appointment.appointmentReferringProviderName,
+          appointment.appointmentReferringProviderNPI
+        ),
+      },
+    ],
+    appointment: [{ reference: `Appointment/${appointment.encounterId}` }],
+    period:
+      periodStart || periodEnd
+        ? { start: toFhirInstant(periodStart), end: toFhirInstant(periodEnd) }
+        : undefined,
+    length:
+      periodEnd && patientDuration
+        ? {
+            value: patientDuration,
+            unit: "min",
+            system: SYSTEMS.ucum,
+            code: "min",
+          }
+        : undefined,
+    location: appointment.appointmentFacilityName
+      ? [{ location: { display: appointment.appointmentFacilityName } }]
+      : undefined,
+  });
+};
+
+/**
+ * Wrap resources in a searchset Bundle
+ * @param {Array} resources - FHIR resources
+ * @param {Object} options - {baseUrl, total, links: [{relation, url}]}
+ * @returns {Object} - FHIR Bundle
+ */
+const toSearchBundle = (resources, { baseUrl, total, links = [] }) => ({
+  resourceType: "Bundle",
+  type: "searchset",
+  total,
+  link: links,
+  entry: resources.map((resource) => ({
+    fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`,
+    resource,
+    search: { mode: "match" },
+  })),
+});
+
+/**
+ * Build an OperationOutcome describing an error
+ * @param {string} code - FHIR issue type (e.g. not-found, invalid, security)
+ * @param {string} diagnostics - Error message
+ * @returns {Object} - FHIR OperationOutcome
+ */
+const toOperationOutcome = (code, diagnostics) => ({
+  resourceType: "OperationOutcome",
+  issue: [{ severity: "error", code, diagnostics }],
+});
+
+module.exports = {
+  SYSTEMS,
+  APPOINTMENT_STATUS_RULES,
+  ENCOUNTER_STATUS_RULES,
+  getStatusQuery,
+  toFhirPatient,
+  toFhirAppointment,
+  toFhirEncounter,
+  toSearchBundle,
+  toOperationOutcome,
+};
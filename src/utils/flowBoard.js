@@ -0,0 +1,126 @@
+const moment = require("moment");
+const logger = require("../config/logger");
+
+/**
+ * Clinic flow board utility
+ * Pushes appointment events (check-in, images, time events, status,
+ * stage and attendance changes) to connected boards over Server-Sent Events.
+ * Subscribers are kept in memory, so events only reach clients connected
+ * to the same server process.
+ */
+
+// Events sent to the board
+const FLOW_BOARD_EVENTS = [
+  "checked_in",
+  "images_uploaded",
+  "time_events",
+  "status_changed",
+  "stage_changed",
+  "attendance_changed",
+];
+
+// Comment line sent regularly so proxies keep the connection open
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+const subscribers = new Set();
+
+/**
+ * Check whether an appointment matches a board's filters
+ * @param {Object} appointment - Appointment document
+ * @param {Object} filters - {date (YYYY-MM-DD), facility, provider}
+ * @returns {boolean}
+ */
+const matchesFilters = (appointment, filters) => {
+  const contains = (value, search) =>
+    !search ||
+    String(value || "")
+      .toLowerCase()
+      .includes(String(search).toLowerCase());
+
+  return (
+    moment.utc(appointment.appointmentDate).format("YYYY-MM-DD") ===
+      filters.date &&
+    contains(appointment.appointmentFacilityName, filters.facility) &&
+    contains(appointment.appointmentProviderName, filters.provider)
+  );
+};
+
+/**
+ * Write one SSE message
+ * @param {Object} res - Express response
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Open an SSE stream and subscribe it to the flow board
+ * @param {Object} req - Express request (closing it unsubscribes)
+ * @param {Object} res - Express response
+ * @param {Object} filters - {date (YYYY-MM-DD), facility, provider}
+ */
+const subscribe = (req, res, filters) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+
+  const subscriber = { res, filters };
+  subscribers.add(subscriber);
+
+  writeEvent(res, "ready", { filters, events: FLOW_BOARD_EVENTS });
+
+  const heartbeat = setInterval(
+    () => res.write(": heartbeat\n\n"),
+    HEARTBEAT_INTERVAL_MS
+  );
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    subscribers.delete(subscriber);
+  });
+};
+
+/**
+ * Send an appointment event to every board whose filters match
+ * @param {string} event - One of FLOW_BOARD_EVENTS
+ * @param {Object} appointment - Appointment document
+ * @param {Object} data - Event details
+ */
+const publishAppointmentEvent = (event, appointment, data = {}) => {
+  if (!appointment || subscribers.size === 0) return;
+
+  const payload = {
+    event,
+    encounterId: appointment.encounterId,
+    patientName: appointment.patientName,
+    appointmentDate: appointment.appointmentDate,
+    appointmentStartTime: appointment.appointmentStartTime,
+    facility: appointment.appointmentFacilityName,
+    provider: appointment.appointmentProviderName,
+    visitStatus: appointment.visitStatus,
+    status: appointment.status,
+    at: new Date(),
+    ...data,
+  };
+
+  subscribers.forEach(({ res, filters }) => {
+    if (!matchesFilters(appointment, filters)) return;
+
+    try {
+      writeEvent(res, event, payload);
+    } catch (error) {
+      logger.warn(`Flow board write failed: ${error.message}`);
+    }
+  });
+};
+
+module.exports = {
+  FLOW_BOARD_EVENTS,
+  subscribe,
+  publishAppointmentEvent,
+};
@@ -0,0 +1,139 @@
+/**
+ * Notification templates
+ * Each template renders a short text for SMS and a subject, text and HTML
+ * body for email from the same data
+ */
+
+const PRACTICE_NAME = process.env.PRACTICE_NAME || "YTFCS";
+
+/**
+ * Escape text for use in an HTML email
+ * @param {*} value - Text
+ * @returns {string}
+ */
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * Wrap paragraphs in a minimal HTML email
+ * @param {Array} paragraphs - Lines of text, or {text, href} for links
+ * @returns {string}
+ */
+const toHtml = (paragraphs) =>
+  `<div style="font-family: Arial, sans-serif; font-size: 14px;">${paragraphs
+    .map((p) =>
+      p.href
+        ? `<p><a href="${escapeHtml(p.href)}">${escapeHtml(p.text)}</a></p>`
+        : `<p>${escapeHtml(p)}</p>`
+    )
+    .join("")}</div>`;
+
+/**
+ * Plain-text version of toHtml's paragraphs
+ * @param {Array} paragraphs - Lines of text, or {text, href} for links
+ * @returns {string}
+ */
+const toText = (paragraphs) =>
+  paragraphs.map((p) => (p.href ? `${p.text}: ${p.href}` : p)).join("\n\n");
+
+/**
+ * Describe who and where an appointment is with
+ * @param {Object} data - {provider, facility}
+ * @returns {string} - e.g. " with Dr. Smith at Main Clinic"
+ */
+const describeVisit = ({ provider, facility }) =>
+  `${provider ? ` with ${provider}` : ""}${facility ? ` at ${facility}` : ""}`;
+
+// sensitive: the message body holds a secret and is not kept in the log
+const TEMPLATES = {
+  otp: {
+    sensitive: true,
+    sms: ({ code, expiresInMinutes }) =>
+      `${PRACTICE_NAME}: your login code is ${code}. It expires in ${expiresInMinutes} minutes. Do not share this code.`,
+    email: ({ code, expiresInMinutes, name }) => {
+      const lines = [
+        `Hello${name ? ` ${name}` : ""},`,
+        `Your ${PRACTICE_NAME} patient portal login code is ${code}.`,
+        `It expires in ${expiresInMinutes} minutes. If you did not ask for this code, you can ignore this email.`,
+      ];
+      return {
+        subject: `Your ${PRACTICE_NAME} login code`,
+        text: toText(lines),
+        html: toHtml(lines),
+      };
+    },
+  },
+
+  appointment_reminder: {
+    sms: ({ when, preCheckInUrl, ...visit }) =>
+      `${PRACTICE_NAME}: reminder of your appointment on ${when}${describeVisit(
+        visit
+      )}. Check in ahead: ${preCheckInUrl} Reply C to confirm, X to cancel, STOP to opt out.`,
+    email: ({ name, when, preCheckInUrl, confirmUrl, cancelUrl, ...visit }) => {
+      const lines = [
+        `Hello${name ? ` ${name}` : ""},`,
+        `This is a reminder of your appointment on ${when}${describeVisit(visit)}.`,
+        { text: "Check in ahead of your visit", href: preCheckInUrl },
+        { text: "Confirm the appointment", href: confirmUrl },
+        { text: "Cancel the appointment", href: cancelUrl },
+      ];
+      return {
+        subject: `Appointment reminder: ${when}`,
+        text: toText(lines),
+        html: toHtml(lines),
+      };
+    },
+  },
+
+  reminder_response: {
+    sms: ({ action, when }) =>
+      action === "confirm"
+        ? `${PRACTICE_NAME}: thank you, your appointment on ${when} is confirmed.`
+        : `${PRACTICE_NAME}: your appointment on ${when} has been cancelled. Please call us to reschedule.`,
+  },
+
+  test: {
+    sms: () => `${PRACTICE_NAME}: test message, SMS delivery is working.`,
+    email: () => {
+      const lines = [`Test message from ${PRACTICE_NAME}.`];
+      return {
+        subject: `${PRACTICE_NAME} test message`,
+        text: toText(lines),
+        html: toHtml(lines),
+      };
+    },
+  },
+};
+
+/**
+ * Render a template for a channel
+ * @param {string} name - Template name
+ * @param {string} channel - sms or email
+ * @param {Object} data - Template data
+ * @returns {Object} - {subject, text, html, sensitive} or {error}
+ */
+const renderTemplate = (name, channel, data = {}) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    return { error: `Unknown notification template: ${name}` };
+  }
+  if (!template[channel]) {
+    return { error: `Template ${name} has no ${channel} version` };
+  }
+
+  const rendered = template[channel](data);
+  const message =
+    typeof rendered === "string" ? { text: rendered } : { ...rendered };
+
+  return { ...message, sensitive: Boolean(template.sensitive) };
+};
+
+module.exports = {
+  TEMPLATES,
+  renderTemplate,
+};
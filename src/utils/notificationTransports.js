@@ -0,0 +1,165 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const nodemailer = require("nodemailer");
+const moment = require("moment");
+const logger = require("../config/logger");
+
+/**
+ * Notification transports
+ * Deliver a rendered message over SMTP (email), an HTTP SMS provider, the
+ * log (console) or a local outbox file. EMAIL_TRANSPORT and SMS_TRANSPORT
+ * pick the transport per channel; without them, email uses SMTP when
+ * SMTP_HOST is set and SMS uses the HTTP provider when SMS_API_URL is set,
+ * and both fall back to the console outside production.
+ */
+
+const NOTIFICATION_CHANNELS = ["sms", "email"];
+const NOTIFICATION_STATUSES = ["pending", "sent", "failed"];
+
+const SMS_TIMEOUT_MS = parseInt(process.env.SMS_TIMEOUT_MS) || 10000;
+const OUTBOX_DIR = path.resolve(process.env.NOTIFICATION_OUTBOX || "outbox");
+
+let smtpTransporter = null;
+
+/**
+ * Get the SMTP transporter (created on first use)
+ * @returns {Object} - nodemailer transporter
+ */
+const getSmtpTransporter = () => {
+  if (!smtpTransporter) {
+    smtpTransporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return smtpTransporter;
+};
+
+/**
+ * Each transport sends {channel, to, subject, text, html, sensitive} and
+ * resolves with {providerMessageId}, or throws when the message was not
+ * accepted
+ */
+const TRANSPORTS = {
+  smtp: async ({ to, subject, text, html }) => {
+    if (!process.env.SMTP_HOST) {
+      throw new Error("SMTP_HOST is not configured");
+    }
+
+    const info = await getSmtpTransporter().sendMail({
+      from: process.env.EMAIL_FROM || process.env.SMTP_USER,
+      to,
+      subject,
+      text,
+      html,
+    });
+
+    return { providerMessageId: info.messageId };
+  },
+
+  http: async ({ to, text }) => {
+    if (!process.env.SMS_API_URL) {
+      throw new Error("SMS_API_URL is not configured");
+    }
+
+    const response = await fetch(process.env.SMS_API_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(process.env.SMS_API_KEY && {
+          Authorization: `Bearer ${process.env.SMS_API_KEY}`,
+        }),
+      },
+      body: JSON.stringify({ to, from: process.env.SMS_FROM, body: text }),
+      signal: AbortSignal.timeout(SMS_TIMEOUT_MS),
+    });
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(
+        `SMS provider responded ${response.status}${
+          result.message ? `: ${result.message}` : ""
+        }`
+      );
+    }
+
+    return {
+      providerMessageId: result.id || result.sid || result.messageId,
+    };
+  },
+
+  // Never writes the text of sensitive messages (e.g. login codes) to the log
+  console: async ({ channel, to, subject, text, sensitive }) => {
+    logger.info(
+      `[${channel}] To ${to}${subject ? ` (${subject})` : ""}: ${
+        sensitive ? "[sensitive message not logged]" : text
+      }`
+    );
+    return { providerMessageId: crypto.randomUUID() };
+  },
+
+  file: async (message) => {
+    const providerMessageId = crypto.randomUUID();
+    const file = path.join(
+      OUTBOX_DIR,
+      `${message.channel}-${moment().format("YYYY-MM-DD")}.jsonl`
+    );
+
+    await fs.promises.mkdir(OUTBOX_DIR, { recursive: true });
+    await fs.promises.appendFile(
+      file,
+      `${JSON.stringify({ id: providerMessageId, sentAt: new Date(), ...message })}\n`
+    );
+
+    return { providerMessageId };
+  },
+};
+
+// Transports each channel can use
+const CHANNEL_TRANSPORTS = {
+  email: ["smtp", "console", "file"],
+  sms: ["http", "console", "file"],
+};
+
+/**
+ * Get the transport configured for a channel
+ * @param {string} channel - sms or email
+ * @returns {Object} - {name, send} or {error}
+ */
+const getTransport = (channel) => {
+  if (!NOTIFICATION_CHANNELS.includes(channel)) {
+    return { error: `Invalid notification channel: ${channel}` };
+  }
+
+  const name =
+    channel === "email"
+      ? process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? "smtp" : null)
+      : process.env.SMS_TRANSPORT || (process.env.SMS_API_URL ? "http" : null);
+
+  // Messages are not silently dropped into the log in production
+  if (!name) {
+    if (process.env.NODE_ENV === "production") {
+      return { error: `No ${channel} transport is configured` };
+    }
+    return { name: "console", send: TRANSPORTS.console };
+  }
+
+  if (!CHANNEL_TRANSPORTS[channel].includes(name)) {
+    return {
+      error: `Invalid ${channel} transport: ${name}. Expected one of: ${CHANNEL_TRANSPORTS[channel].join(", ")}`,
+    };
+  }
+
+  return { name, send: TRANSPORTS[name] };
+};
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_STATUSES,
+  getTransport,
+};
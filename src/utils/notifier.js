@@ -0,0 +1,80 @@
+const NotificationLog = require("../models/notificationLogModel");
+const { getTransport } = require("./notificationTransports");
+const { renderTemplate } = require("./notificationTemplates");
+const logger = require("../config/logger");
+
+/**
+ * Notifier
+ * Renders a template, sends it over the channel's transport and records
+ * the attempt and its outcome in the notification log
+ */
+
+/**
+ * Send a notification
+ * @param {Object} notification - {channel, to, template, data, patientAcctNo, appointment, sentBy}
+ * @returns {Object} - {log}, or {error, log} when it could not be sent
+ */
+const sendNotification = async ({
+  channel,
+  to,
+  template,
+  data,
+  patientAcctNo,
+  appointment,
+  sentBy,
+}) => {
+  if (!to) {
+    return { error: `No ${channel} recipient` };
+  }
+
+  const message = renderTemplate(template, channel, data);
+  if (message.error) return { error: message.error };
+
+  const transport = getTransport(channel);
+
+  const log = await NotificationLog.create({
+    channel,
+    transport: transport.name,
+    template,
+    recipient: to,
+    subject: message.subject,
+    body: message.sensitive ? undefined : message.text,
+    patientAcctNo,
+    appointment,
+    sentBy,
+  });
+
+  try {
+    if (transport.error) throw new Error(transport.error);
+
+    const { providerMessageId } = await transport.send({
+      channel,
+      to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      sensitive: message.sensitive,
+    });
+
+    log.status = "sent";
+    log.providerMessageId = providerMessageId;
+    log.sentAt = new Date();
+    await log.save();
+
+    return { log };
+  } catch (error) {
+    logger.error(
+      `Failed to send ${template} ${channel} to ${to}: ${error.message}`
+    );
+
+    log.status = "failed";
+    log.error = error.message;
+    await log.save();
+
+    return { error: error.message, log };
+  }
+};
+
+module.exports = {
+  sendNotification,
+};
@@ -0,0 +1,184 @@
+const moment = require("moment");
+const OtpAttempt = require("../models/otpAttemptModel");
+const Patient = require("../models/patientModel");
+const logger = require("../config/logger");
+
+/**
+ * OTP attempt utility
+ * Counts failed OTP verifications per patient account and per IP address,
+ * and locks either one out after too many failures. Each lockout lasts
+ * twice as long as the one before, up to a day.
+ */
+
+// Failed verifications before an account or IP address is locked out
+const MAX_ACCOUNT_FAILURES = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const MAX_IP_FAILURES = parseInt(process.env.OTP_MAX_IP_ATTEMPTS) || 20;
+
+// Failures further apart than this don't add up
+const ATTEMPT_WINDOW_MINUTES =
+  parseInt(process.env.OTP_ATTEMPT_WINDOW_MINUTES) || 15;
+
+// Length of the first lockout, and the longest one
+const LOCKOUT_MINUTES = parseInt(process.env.OTP_LOCKOUT_MINUTES) || 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+// How long counters are kept after the last failure or lockout
+const RETENTION_HOURS = 24;
+
+const LIMITS = {
+  account: MAX_ACCOUNT_FAILURES,
+  ip: MAX_IP_FAILURES,
+};
+
+/**
+ * Length of a lockout
+ * @param {number} lockouts - Lockouts before this one
+ * @returns {number} - Minutes
+ */
+const getLockoutMinutes = (lockouts) =>
+  Math.min(LOCKOUT_MINUTES * Math.pow(2, lockouts), MAX_LOCKOUT_MINUTES);
+
+/**
+ * Find an active lockout for an account or IP address
+ * @param {string} acctNo - Patient account number
+ * @param {string} ip - Client IP address
+ * @param {Date} now - Current time
+ * @returns {Object|null} - {scope, lockedUntil}
+ */
+const getLockout = async (acctNo, ip, now = new Date()) => {
+  const locked = await OtpAttempt.findOne({
+    $or: [
+      { scope: "account", key: String(acctNo) },
+      { scope: "ip", key: ip },
+    ],
+    lockedUntil: { $gt: now },
+  }).sort({ lockedUntil: -1 });
+
+  return locked
+    ? { scope: locked.scope, lockedUntil: locked.lockedUntil }
+    : null;
+};
+
+/**
+ * Count one failure and lock the account or IP address out when it
+ * reaches its limit
+ * @param {string} scope - account or ip
+ * @param {string} key - Account number or IP address
+ * @param {Date} now - Current time
+ * @returns {Object} - {remaining, lockedUntil}
+ */
+const countFailure = async (scope, key, now) => {
+  const filter = { scope, key: String(key) };
+
+  // Failures outside the window start over
+  await OtpAttempt.updateOne(
+    {
+      ...filter,
+      lastFailureAt: {
+        $lt: moment(now).subtract(ATTEMPT_WINDOW_MINUTES, "minutes").toDate(),
+      },
+    },
+    { $set: { failures: 0 } }
+  );
+
+  const attempt = await OtpAttempt.findOneAndUpdate(
+    filter,
+    {
+      $inc: { failures: 1 },
+      $set: {
+        lastFailureAt: now,
+        expiresAt: moment(now).add(RETENTION_HOURS, "hours").toDate(),
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  if (attempt.failures < LIMITS[scope]) {
+    return {
+      remaining: LIMITS[scope] - attempt.failures,
+      lockedUntil: null,
+    };
+  }
+
+  const minutes = getLockoutMinutes(attempt.lockouts);
+  const lockedUntil = moment(now).add(minutes, "minutes").toDate();
+
+  // Only the request that reached the limit locks (and logs) it
+  const locked = await OtpAttempt.findOneAndUpdate(
+    { _id: attempt._id, failures: { $gte: LIMITS[scope] } },
+    {
+      $set: {
+        failures: 0,
+        lockedUntil,
+        expiresAt: moment(lockedUntil).add(RETENTION_HOURS, "hours").toDate(),
+      },
+      $inc: { lockouts: 1 },
+    },
+    { new: true }
+  );
+
+  if (locked) {
+    logger.warn(
+      `OTP lockout: ${scope} ${key} locked for ${minutes} minutes after ${LIMITS[scope]} failed attempts (lockout ${locked.lockouts})`
+    );
+  }
+
+  return { remaining: 0, lockedUntil };
+};
+
+/**
+ * Record a failed OTP verification for an account and an IP address
+ * @param {string} acctNo - Patient account number
+ * @param {string} ip - Client IP address
+ * @param {Date} now - Current time
+ * @returns {Object} - {remaining (attempts left on the account), lockedUntil (set when this failure locked either one out)}
+ */
+const recordFailure = async (acctNo, ip, now = new Date()) => {
+  const account = await countFailure("account", acctNo, now);
+  const byIp = ip ? await countFailure("ip", ip, now) : { lockedUntil: null };
+
+  const lockedUntil = [account.lockedUntil, byIp.lockedUntil]
+    .filter(Boolean)
+    .sort((a, b) => b - a)[0];
+
+  return {
+    remaining: account.remaining,
+    lockedUntil: lockedUntil || null,
+  };
+};
+
+/**
+ * Reserve one guess at a patient's pending code before it is compared, so
+ * parallel requests can't get more guesses between them than the limit
+ * @param {string} acctNo - Patient account number
+ * @returns {Object|null} - Patient (with +otp.codeHash), or null when the
+ *                          account has no code or its guesses are used up
+ */
+const reserveAttempt = (acctNo) =>
+  Patient.findOneAndUpdate(
+    {
+      acctNo,
+      "otp.codeHash": { $exists: true },
+      "otp.attempts": { $not: { $gte: MAX_ACCOUNT_FAILURES } },
+    },
+    { $inc: { "otp.attempts": 1 } },
+    { new: true }
+  ).select("+otp.codeHash");
+
+/**
+ * Reset an account's failures and lockout history after a successful login
+ * @param {string} acctNo - Patient account number
+ */
+const clearFailures = async (acctNo) => {
+  await OtpAttempt.deleteOne({ scope: "account", key: String(acctNo) });
+};
+
+module.exports = {
+  MAX_ACCOUNT_FAILURES,
+  getLockoutMinutes,
+  getLockout,
+  countFailure,
+  recordFailure,
+  reserveAttempt,
+  clearFailures,
+};
@@ -1,5 +1,6 @@
 const { authenticator } = require("otplib");
 const crypto = require("crypto");
+const { sendNotification } = require("./notifier");
 const logger = require("../config/logger");
 
 /**
@@ -73,42 +74,46 @@ const generateNumericOTP = (length = 6) => {
  * @param {Object} patient - Patient document from database
  * @param {string} otpCode - Generated OTP code
  * @param {string} method - 'sms' or 'email'
+ * @param {Date} expiresAt - When the OTP expires
  * @returns {boolean} - Success status
  */
-const sendOTP = async (patient, otpCode, method = "sms") => {
+const sendOTP = async (patient, otpCode, method = "sms", expiresAt) => {
   try {
-    // This is a placeholder for actual SMS/Email sending logic
-    // In a production environment, implement proper SMS/Email service integration
+    let to;
 
     if (method === "sms") {
       if (!patient.phone && !patient.cellPhone) {
         throw new Error("Patient has no phone number on file");
       }
-
-      logger.info(
-        `[MOCK] Sending OTP ${otpCode} to phone: ${
-          patient.cellPhone || patient.phone
-        }`
-      );
-
-      // Implement SMS sending logic here
-      // Example: Use Twilio, AWS SNS, or another SMS provider
-
-      return true;
+      to = patient.cellPhone || patient.phone;
     } else if (method === "email") {
       if (!patient.email) {
         throw new Error("Patient has no email on file");
       }
-
-      logger.info(`[MOCK] Sending OTP ${otpCode} to email: ${patient.email}`);
-
-      // Implement email sending logic here
-      // Example: Use Nodemailer, SendGrid, or another email provider
-
-      return true;
+      to = patient.email;
     } else {
       throw new Error(`Invalid OTP delivery method: ${method}`);
     }
+
+    const result = await sendNotification({
+      channel: method,
+      to,
+      template: "otp",
+      data: {
+        code: otpCode,
+        name: patient.firstName,
+        expiresInMinutes: expiresAt
+          ? Math.max(1, Math.round((new Date(expiresAt) - Date.now()) / 60000))
+          : 10,
+      },
+      patientAcctNo: patient.acctNo,
+    });
+
+    if (result.error) {
+      throw new Error(result.error);
+    }
+
+    return true;
   } catch (error) {
     logger.error(`Error sending OTP: ${error.message}`);
     throw error;
@@ -116,25 +121,50 @@ const sendOTP = async (patient, otpCode, method = "sms") => {
 };
 
 /**
- * Verify an OTP against the stored value and expiry time
- * @param {string} storedOTP - The OTP stored in the database
+ * Hash an OTP for storage; keyed with a server secret so stored hashes
+ * can't be reversed by trying every 6-digit code
+ * @param {string} acctNo - Patient account number
+ * @param {string} otpCode - OTP code
+ * @returns {string} - Hex HMAC-SHA256
+ */
+const hashOTP = (acctNo, otpCode) =>
+  crypto
+    .createHmac("sha256", process.env.OTP_SECRET || process.env.JWT_SECRET)
+    .update(`${acctNo}:${otpCode}`)
+    .digest("hex");
+
+/**
+ * Verify an OTP against the stored hash and expiry time
+ * @param {string} storedHash - The OTP hash stored in the database
  * @param {Date} expiresAt - Expiry timestamp from database
  * @param {string} submittedOTP - OTP submitted by the user
+ * @param {string} acctNo - Patient account number
  * @returns {boolean} - Whether the OTP is valid
  */
-const verifyOTP = (storedOTP, expiresAt, submittedOTP) => {
+const verifyOTP = (storedHash, expiresAt, submittedOTP, acctNo) => {
+  if (!storedHash || !expiresAt || !submittedOTP) {
+    return false;
+  }
+
   // Check if OTP has expired
   if (new Date() > new Date(expiresAt)) {
     return false;
   }
 
-  // Simple comparison for numeric OTPs
-  return storedOTP === submittedOTP;
+  // Constant-time comparison, so response times don't leak the code
+  const expected = Buffer.from(storedHash, "hex");
+  const actual = Buffer.from(hashOTP(acctNo, String(submittedOTP)), "hex");
+
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
 };
 
 module.exports = {
   generateOTP,
   generateNumericOTP,
   sendOTP,
+  hashOTP,
   verifyOTP,
 };
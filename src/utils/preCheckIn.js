@@ -0,0 +1,250 @@
+const moment = require("moment-timezone");
+const { getCalendarDate, getLocalToday } = require("./facilityTime");
+
+/**
+ * Pre-check-in utility
+ * The check-in questionnaire (personal info, insurance and medical history)
+ * as filled in at the KIOSK or ahead of the visit from the patient portal,
+ * and how it maps onto the appointment
+ */
+
+const PRE_CHECK_IN_STATUSES = ["draft", "submitted", "applied"];
+
+// Sections of the questionnaire
+const CHECK_IN_SECTIONS = [
+  "personalInfo",
+  "primaryInsurance",
+  "secondaryInsurance",
+  "medicalInfo",
+];
+
+// Days before the visit the portal accepts pre-check-in
+const PRE_CHECK_IN_DAYS = parseInt(process.env.PRE_CHECK_IN_DAYS) || 7;
+
+// Appointment statuses that no longer take check-in data
+const CLOSED_STATUSES = ["checked_out", "cancelled", "no_show", "rescheduled"];
+
+// Appointment fields the personal info section fills in
+const PERSONAL_INFO_FIELDS = {
+  fullName: "patientName",
+  email: "patientEmail",
+  phone: "patientCellPhone",
+  address: "patientAddressLine1",
+  city: "patientCity",
+  state: "patientState",
+  zipcode: "patientZIPCode",
+};
+
+/**
+ * Check whether a value is a plain object (not an array or date)
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !(value instanceof Date);
+
+/**
+ * Merge questionnaire answers; nested sections are merged field by field
+ * and arrays are replaced
+ * @param {Object} base - Earlier answers
+ * @param {Object} updates - New answers
+ * @returns {Object}
+ */
+const mergeCheckInData = (base = {}, updates = {}) =>
+  Object.entries(updates).reduce(
+    (merged, [key, value]) => {
+      if (value === undefined) return merged;
+      merged[key] =
+        isPlainObject(value) && isPlainObject(merged[key])
+          ? mergeCheckInData(merged[key], value)
+          : value;
+      return merged;
+    },
+    { ...base }
+  );
+
+/**
+ * Pick the questionnaire sections from a request body or stored draft
+ * @param {Object} data - Request body or preCheckIn
+ * @returns {Object} - {personalInfo, primaryInsurance, secondaryInsurance, medicalInfo}
+ */
+const pickCheckInData = (data = {}) =>
+  CHECK_IN_SECTIONS.reduce((acc, section) => {
+    if (isPlainObject(data[section])) acc[section] = data[section];
+    return acc;
+  }, {});
+
+/**
+ * Build the appointment updates for questionnaire answers
+ * @param {Object} data - Questionnaire answers
+ * @returns {Object} - Fields to $set on the appointment
+ */
+const buildCheckInUpdates = (data = {}) => {
+  const updates = {};
+
+  // Add personal information if provided
+  if (data.personalInfo) {
+    Object.entries(PERSONAL_INFO_FIELDS).forEach(([key, field]) => {
+      if (data.personalInfo[key]) updates[field] = data.personalInfo[key];
+    });
+  }
+
+  // Add insurance information if provided, and also update the basic
+  // insurance fields for compatibility
+  ["primary", "secondary"].forEach((rank) => {
+    const insurance = data[`${rank}Insurance`];
+    if (!insurance) return;
+
+    updates[`${rank}Insurance`] = insurance;
+    if (insurance.name) updates[`${rank}InsuranceName`] = insurance.name;
+    if (insurance.memberId) {
+      updates[`${rank}InsuranceSubscriberNo`] = insurance.memberId;
+    }
+  });
+
+  // Add medical information if provided
+  if (data.medicalInfo) {
+    updates.medicalInfo = data.medicalInfo;
+  }
+
+  return updates;
+};
+
+/**
+ * Get the answers already on file for an appointment, to fill in the
+ * questionnaire
+ * @param {Object} appointment - Appointment document
+ * @returns {Object} - {personalInfo, primaryInsurance, secondaryInsurance, medicalInfo}
+ */
+const getCheckInDataOnFile = (appointment) => {
+  const current = appointment.toObject ? appointment.toObject() : appointment;
+
+  return {
+    personalInfo: Object.entries(PERSONAL_INFO_FIELDS).reduce(
+      (acc, [key, field]) => {
+        if (current[field]) acc[key] = current[field];
+        return acc;
+      },
+      {}
+    ),
+    primaryInsurance: current.primaryInsurance || {},
+    secondaryInsurance: current.secondaryInsurance || {},
+    medicalInfo: current.medicalInfo || {},
+  };
+};
+
+/**
+ * Combine answers given at different times (later ones win) with what is
+ * on file, so that a section answered in part keeps its other fields
+ * @param {Object} appointment - Appointment document
+ * @param {...Object} answers - Pre-check-in or KIOSK answers, oldest first
+ * @returns {Object} - The answered sections, complete
+ */
+const combineCheckInData = (appointment, ...answers) => {
+  const onFile = getCheckInDataOnFile(appointment);
+  const answered = answers.reduce(
+    (acc, data) => mergeCheckInData(acc, pickCheckInData(data)),
+    {}
+  );
+
+  return Object.keys(answered).reduce((acc, section) => {
+    acc[section] = mergeCheckInData(onFile[section], answered[section]);
+    return acc;
+  }, {});
+};
+
+/**
+ * Flatten nested answers into dotted paths
+ * @param {Object} value - Answers
+ * @param {string} prefix - Path so far
+ * @returns {Object} - {path: value}
+ */
+const flatten = (value, prefix = "") =>
+  Object.entries(value || {}).reduce((acc, [key, child]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(child)) Object.assign(acc, flatten(child, path));
+    else acc[path] = child;
+    return acc;
+  }, {});
+
+/**
+ * Compare two answers, treating dates and lists by value
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+const isSameValue = (a, b) => {
+  const normalize = (value) =>
+    value instanceof Date ? value.toISOString() : JSON.stringify(value ?? null);
+  return normalize(a) === normalize(b);
+};
+
+/**
+ * List what pre-check-in would change on the appointment, for review at
+ * the KIOSK
+ * @param {Object} appointment - Appointment document
+ * @returns {Array} - [{field, current, submitted}]
+ */
+const getPreCheckInChanges = (appointment) => {
+  const current = appointment.toObject ? appointment.toObject() : appointment;
+  const preCheckIn = current.preCheckIn;
+  if (!preCheckIn?.status) return [];
+
+  const submitted = flatten(
+    buildCheckInUpdates(combineCheckInData(current, preCheckIn))
+  );
+
+  return Object.entries(submitted)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([field, value]) => ({
+      field,
+      current: field
+        .split(".")
+        .reduce((obj, key) => (obj == null ? undefined : obj[key]), current),
+      submitted: value,
+    }))
+    .filter(({ current, submitted }) => !isSameValue(current, submitted));
+};
+
+/**
+ * Check whether the portal can still take pre-check-in for an appointment
+ * @param {Object} appointment - Appointment document
+ * @param {string} timezone - IANA timezone of the facility
+ * @param {Date} now - Current time
+ * @returns {string|null} - Why it is closed, or null when open
+ */
+const getPreCheckInError = (appointment, timezone, now = new Date()) => {
+  if (appointment.kioskCheckIn?.checkedInAt) {
+    return "The patient has already checked in";
+  }
+  if (CLOSED_STATUSES.includes(appointment.status)) {
+    return `The appointment is ${appointment.status.replace("_", " ")}`;
+  }
+
+  const day = getCalendarDate(appointment.appointmentDate, timezone);
+  const today = getLocalToday(timezone, now);
+  if (day < today) {
+    return "The appointment is in the past";
+  }
+  if (moment.utc(day).diff(moment.utc(today), "days") > PRE_CHECK_IN_DAYS) {
+    return `Pre-check-in opens ${PRE_CHECK_IN_DAYS} days before the visit`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  PRE_CHECK_IN_STATUSES,
+  CHECK_IN_SECTIONS,
+  PRE_CHECK_IN_DAYS,
+  mergeCheckInData,
+  pickCheckInData,
+  buildCheckInUpdates,
+  getCheckInDataOnFile,
+  combineCheckInData,
+  getPreCheckInChanges,
+  getPreCheckInError,
+};
@@ -0,0 +1,201 @@
+const moment = require("moment-timezone");
+const { applyStatusChange } = require("./appointmentStatus");
+const { DEFAULT_TIMEZONE } = require("./facilityTime");
+const { getAppointmentLinks } = require("./appointmentLinks");
+
+/**
+ * Appointment reminder utility
+ * Works out when reminders are due, who they go to, what they say and how
+ * a patient's answer changes the appointment
+ */
+
+const REMINDER_STATUSES = ["pending", "sent", "failed", "skipped"];
+const REMINDER_ACTIONS = ["confirm", "cancel"];
+
+// Appointment statuses that still get reminders
+const REMINDABLE_STATUSES = ["scheduled", "confirmed"];
+
+// SMS reply keywords (matched on the first word, case-insensitive)
+const REPLY_KEYWORDS = {
+  confirm: ["C", "CONFIRM", "YES", "Y"],
+  cancel: ["X", "CANCEL"],
+  opt_out: ["STOP", "STOPALL", "UNSUBSCRIBE", "END", "QUIT"],
+  opt_in: ["START", "UNSTOP"],
+};
+
+/**
+ * Reduce a phone number to its last 10 digits for matching
+ * @param {string} phone - Phone number in any format
+ * @returns {string|null}
+ */
+const normalizePhone = (phone) => {
+  const digits = String(phone || "").replace(/\D/g, "");
+  return digits.length >= 7 ? digits.slice(-10) : null;
+};
+
+/**
+ * Read the keyword of an SMS reply
+ * @param {string} text - Reply text
+ * @returns {string|null} - confirm, cancel, opt_out, opt_in or null
+ */
+const parseReply = (text) => {
+  const word = String(text || "")
+    .trim()
+    .split(/\s+/)[0]
+    .replace(/[^a-z]/gi, "")
+    .toUpperCase();
+
+  const match = Object.entries(REPLY_KEYWORDS).find(([, keywords]) =>
+    keywords.includes(word)
+  );
+  return match ? match[0] : null;
+};
+
+/**
+ * Get the window each offset of a campaign covers. A reminder is only sent
+ * until the next one is due, so an appointment booked at short notice gets
+ * the latest reminder instead of all of them at once.
+ * @param {Array} offsets - Hours before the visit
+ * @returns {Array} - [{offsetHours, untilHours}], earliest reminder first
+ */
+const getReminderWindows = (offsets) => {
+  const sorted = [...offsets].sort((a, b) => b - a);
+  return sorted.map((offsetHours, i) => ({
+    offsetHours,
+    untilHours: sorted[i + 1] || 0,
+  }));
+};
+
+/**
+ * Work out who a reminder goes to on each channel, honoring the patient's
+ * statement and reminder opt-outs and numbers that replied STOP
+ * @param {Object} appointment - Appointment document
+ * @param {Object} patient - Patient document (may be null)
+ * @param {Array} channels - Campaign channels
+ * @param {Set} optedOutPhones - Normalized numbers that opted out of SMS
+ * @returns {Array} - [{channel, to, recipient, status, error}]
+ */
+const getReminderRecipients = (
+  appointment,
+  patient,
+  channels,
+  optedOutPhones = new Set()
+) =>
+  channels.map((channel) => {
+    const to =
+      channel === "sms"
+        ? appointment.patientCellPhone || patient?.cellPhone
+        : appointment.patientEmail || patient?.email;
+    const recipient = channel === "sms" ? normalizePhone(to) : to;
+
+    let error = null;
+    if (appointment.dontSendStatements || patient?.dontSendStatements) {
+      error = "Patient does not receive statements";
+    } else if (patient?.reminderOptOut?.[channel]) {
+      error = `Patient opted out of ${channel} reminders`;
+    } else if (!recipient) {
+      error = `No ${channel === "sms" ? "cell phone" : "email"} on file`;
+    } else if (channel === "sms" && optedOutPhones.has(recipient)) {
+      error = "Phone number opted out of SMS reminders";
+    }
+
+    return {
+      channel,
+      to,
+      recipient,
+      status: error ? "skipped" : "pending",
+      error,
+    };
+  });
+
+/**
+ * Describe when an appointment is, in its facility's timezone
+ * @param {Object} appointment - Appointment document
+ * @returns {string} - e.g. "Mon, Mar 3 at 9:30 AM"
+ */
+const formatAppointmentTime = (appointment) =>
+  appointment.scheduledStart
+    ? moment
+        .tz(
+          appointment.scheduledStart,
+          appointment.timezone || DEFAULT_TIMEZONE
+        )
+        .format("ddd, MMM D [at] h:mm A")
+    : moment.utc(appointment.appointmentDate).format("ddd, MMM D");
+
+/**
+ * Template data for an appointment reminder
+ * @param {Object} appointment - Appointment document
+ * @returns {Object}
+ */
+const getReminderData = (appointment) => ({
+  name: appointment.patientFirstName,
+  when: formatAppointmentTime(appointment),
+  facility: appointment.appointmentFacilityName,
+  provider: appointment.appointmentProviderName,
+  ...getAppointmentLinks(appointment),
+});
+
+/**
+ * Apply a patient's answer to an appointment (not saved)
+ * @param {Object} appointment - Appointment document
+ * @param {string} action - confirm or cancel
+ * @param {Object} options - {via (sms or link), now}
+ * @returns {Object} - {statusChange ({from, to}, or null if already there)} or {error}
+ */
+const applyReminderResponse = (appointment, action, options = {}) => {
+  const now = options.now || new Date();
+
+  if (!REMINDER_ACTIONS.includes(action)) {
+    return {
+      error: `action must be one of: ${REMINDER_ACTIONS.join(", ")}`,
+    };
+  }
+
+  if (
+    appointment.scheduledStart &&
+    new Date(appointment.scheduledStart) <= now
+  ) {
+    return { error: "This appointment has already started" };
+  }
+
+  const to = action === "confirm" ? "confirmed" : "cancelled";
+  let statusChange = null;
+
+  if (appointment.status !== to) {
+    statusChange = applyStatusChange(appointment, to, {
+      at: now,
+      reason: `${action === "confirm" ? "Confirmed" : "Cancelled"} by the patient (${
+        options.via === "sms" ? "SMS reply" : "link"
+      })`,
+      source: "reminder",
+    });
+
+    if (statusChange.error) {
+      return {
+        error: `This appointment can no longer be ${to}`,
+      };
+    }
+  }
+
+  appointment.reminderResponse = {
+    action,
+    via: options.via,
+    respondedAt: now,
+  };
+
+  return { statusChange };
+};
+
+module.exports = {
+  REMINDER_STATUSES,
+  REMINDER_ACTIONS,
+  REMINDABLE_STATUSES,
+  normalizePhone,
+  parseReply,
+  getReminderWindows,
+  getReminderRecipients,
+  formatAppointmentTime,
+  getReminderData,
+  applyReminderResponse,
+};
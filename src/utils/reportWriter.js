@@ -0,0 +1,156 @@
+const ExcelJS = require("exceljs");
+const PDFDocument = require("pdfkit");
+const moment = require("moment");
+const { toCsv } = require("./csvWriter");
+
+/**
+ * Utility for writing reports as CSV, Excel or PDF files
+ */
+
+const REPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+  pdf: { contentType: "application/pdf", extension: "pdf" },
+};
+
+/**
+ * Describe the period a report covers
+ * @param {Object} report - Result of buildReport
+ * @returns {string} - e.g. "2025-03-01 – 2025-03-07"
+ */
+const formatPeriod = ({ from, to }) => {
+  const start = moment.utc(from).format("YYYY-MM-DD");
+  const end = moment.utc(to).format("YYYY-MM-DD");
+  return start === end ? start : `${start} – ${end}`;
+};
+
+/**
+ * Write a report as an Excel workbook
+ * @param {Object} report - Result of buildReport
+ * @returns {Buffer}
+ */
+const toXlsx = async (report) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(report.title.slice(0, 31));
+
+  sheet.columns = report.columns.map(({ key, label }) => ({
+    header: label,
+    key,
+    width: Math.max(12, label.length + 2),
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: "frozen", ySplit: 1 }];
+  sheet.addRows(report.rows);
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+/**
+ * Write a report as a PDF table (landscape, repeated header on each page)
+ * @param {Object} report - Result of buildReport
+ * @returns {Buffer}
+ */
+const toPdf = (report) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "LETTER",
+      layout: "landscape",
+      margin: 36,
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const columnWidth = width / report.columns.length;
+    const bottom = doc.page.height - doc.page.margins.bottom;
+
+    const writeRow = (values, font) => {
+      doc.font(font).fontSize(8);
+      const height =
+        Math.max(
+          ...values.map((value) =>
+            doc.heightOfString(value, { width: columnWidth - 4 })
+          )
+        ) + 4;
+
+      if (doc.y + height > bottom) {
+        doc.addPage();
+        if (font !== "Helvetica-Bold") writeHeader();
+        doc.font(font).fontSize(8);
+      }
+
+      const y = doc.y;
+      values.forEach((value, index) =>
+        doc.text(value, left + index * columnWidth, y, {
+          width: columnWidth - 4,
+        })
+      );
+      doc.x = left;
+      doc.y = y + height;
+    };
+
+    const writeHeader = () =>
+      writeRow(
+        report.columns.map(({ label }) => label),
+        "Helvetica-Bold"
+      );
+
+    doc.font("Helvetica-Bold").fontSize(14).text(report.title);
+    doc
+      .font("Helvetica")
+      .fontSize(9)
+      .text(
+        `${formatPeriod(report)} · ${report.rows.length} rows · generated ${moment().format("YYYY-MM-DD HH:mm")}`
+      )
+      .moveDown();
+
+    writeHeader();
+    report.rows.forEach((row) =>
+      writeRow(
+        report.columns.map(({ key }) =>
+          row[key] === undefined || row[key] === null ? "" : String(row[key])
+        ),
+        "Helvetica"
+      )
+    );
+
+    doc.end();
+  });
+
+/**
+ * Write a report in one of REPORT_FORMATS
+ * @param {Object} report - Result of buildReport
+ * @param {string} format - csv, xlsx or pdf
+ * @returns {Object} - {buffer, contentType, fileName}
+ */
+const writeReport = async (report, format) => {
+  let buffer;
+  if (format === "xlsx") {
+    buffer = await toXlsx(report);
+  } else if (format === "pdf") {
+    buffer = await toPdf(report);
+  } else {
+    buffer = Buffer.from(toCsv(report.columns, report.rows));
+  }
+
+  const { contentType, extension } = REPORT_FORMATS[format];
+  const period = formatPeriod(report).replace(" – ", "_");
+
+  return {
+    buffer,
+    contentType,
+    fileName: `${report.type}_${period}.${extension}`,
+  };
+};
+
+module.exports = {
+  REPORT_FORMATS,
+  writeReport,
+};
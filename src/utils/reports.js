@@ -0,0 +1,273 @@
+const moment = require("moment-timezone");
+const Appointment = require("../models/appointmentModel");
+const {
+  CLOSED_STATUSES,
+  CANCELLED_PATTERN,
+  NO_SHOW_PATTERN,
+} = require("./appointmentStatus");
+const { DEFAULT_TIMEZONE, getLocalToday } = require("./facilityTime");
+
+/**
+ * Report utility
+ * Defines the reports that can be exported (on demand or on a schedule)
+ * and builds their rows from appointment data
+ */
+
+// Appointments that took place (not cancelled, rescheduled or a no-show),
+// from the normalized status or, for records without one, the EHR text
+const SEEN = {
+  $or: [
+    { status: { $nin: [null, ...CLOSED_STATUSES] } },
+    {
+      status: null,
+      visitStatus: {
+        $not: new RegExp(
+          `${CANCELLED_PATTERN.source}|${NO_SHOW_PATTERN.source}`,
+          "i"
+        ),
+      },
+      "attendance.status": { $ne: "no_show" },
+    },
+  ],
+};
+
+const formatDate = (date) =>
+  date ? moment.utc(date).format("YYYY-MM-DD") : "";
+const formatTime = (date, timezone = DEFAULT_TIMEZONE) =>
+  date ? moment.tz(date, timezone).format("HH:mm") : "";
+const toMinutes = (seconds) =>
+  Number.isFinite(seconds) ? Math.round(seconds / 60) : "";
+
+/**
+ * Find the appointments in a date range, in schedule order
+ * @param {Object} range - {from, to}
+ * @param {Object} filter - Additional filter
+ * @returns {Array} - Appointment documents
+ */
+const findAppointments = ({ from, to }, filter = {}) =>
+  Appointment.find({
+    appointmentDate: { $gte: from, $lte: to },
+    ...filter,
+  }).sort({ appointmentDate: 1, scheduledStart: 1, appointmentStartTime: 1 });
+
+const REPORT_TYPES = {
+  "daily-schedule": {
+    title: "Daily Schedule",
+    columns: [
+      { key: "date", label: "Date" },
+      { key: "time", label: "Time" },
+      { key: "patientName", label: "Patient" },
+      { key: "patientAcctNo", label: "Account No" },
+      { key: "visitType", label: "Visit Type" },
+      { key: "provider", label: "Provider" },
+      { key: "facility", label: "Facility" },
+      { key: "status", label: "Status" },
+      { key: "checkedInAt", label: "Checked In" },
+    ],
+    build: async (range) =>
+      (await findAppointments(range)).map((appointment) => ({
+        date: formatDate(appointment.appointmentDate),
+        time: appointment.appointmentStartTime,
+        patientName: appointment.patientName,
+        patientAcctNo: appointment.patientAcctNo,
+        visitType: appointment.visitType,
+        provider: appointment.appointmentProviderName,
+        facility: appointment.appointmentFacilityName,
+        status: appointment.status || appointment.visitStatus,
+        checkedInAt: formatTime(
+          appointment.kioskCheckIn?.checkedInAt,
+          appointment.timezone
+        ),
+      })),
+  },
+
+  "time-tracking": {
+    title: "Time Tracking Summary",
+    columns: [
+      { key: "date", label: "Date" },
+      { key: "time", label: "Time" },
+      { key: "encounterId", label: "Encounter ID" },
+      { key: "patientName", label: "Patient" },
+      { key: "provider", label: "Provider" },
+      { key: "facility", label: "Facility" },
+      { key: "checkedInAt", label: "Checked In" },
+      { key: "waitMinutes", label: "Wait (min)" },
+      { key: "patientMinutes", label: "Patient (min)" },
+      { key: "doctorMinutes", label: "Provider (min)" },
+      { key: "staffMinutes", label: "Staff (min)" },
+    ],
+    build: async (range) =>
+      (
+        await findAppointments(range, {
+          "visitTimes.rawEvents.0": { $exists: true },
+        })
+      ).map((appointment) => {
+        const { visitTimes = {}, kioskCheckIn = {} } = appointment;
+        const firstDoctorStart = (visitTimes.rawEvents || [])
+          .filter((event) => event.label === "doctor_start")
+          .map((event) => event.time)
+          .sort((a, b) => a - b)[0];
+        const waitSeconds =
+          kioskCheckIn.checkedInAt &&
+          firstDoctorStart > kioskCheckIn.checkedInAt
+            ? (firstDoctorStart - kioskCheckIn.checkedInAt) / 1000
+            : undefined;
+
+        return {
+          date: formatDate(appointment.appointmentDate),
+          time: appointment.appointmentStartTime,
+          encounterId: appointment.encounterId,
+          patientName: appointment.patientName,
+          provider: appointment.appointmentProviderName,
+          facility: appointment.appointmentFacilityName,
+          checkedInAt: formatTime(
+            kioskCheckIn.checkedInAt,
+            appointment.timezone
+          ),
+          waitMinutes: toMinutes(waitSeconds),
+          patientMinutes: toMinutes(visitTimes.durations?.patient),
+          doctorMinutes: toMinutes(visitTimes.durations?.doctor),
+          staffMinutes: toMinutes(visitTimes.durations?.staff),
+        };
+      }),
+  },
+
+  "kiosk-completion": {
+    title: "KIOSK Completion Rate",
+    columns: [
+      { key: "date", label: "Date" },
+      { key: "facility", label: "Facility" },
+      { key: "appointments", label: "Appointments" },
+      { key: "checkedIn", label: "Checked In" },
+      { key: "completionRate", label: "Completion %" },
+      { key: "hipaaSigned", label: "HIPAA Signed" },
+      { key: "policiesSigned", label: "Policies Signed" },
+      { key: "picturesUploaded", label: "Pictures Uploaded" },
+    ],
+    build: async ({ from, to }) => {
+      const counted = (field) => ({
+        $sum: { $cond: [{ $ifNull: [field, false] }, 1, 0] },
+      });
+
+      const groups = await Appointment.aggregate([
+        { $match: { appointmentDate: { $gte: from, $lte: to }, ...SEEN } },
+        {
+          $group: {
+            _id: {
+              date: {
+                $dateToString: { format: "%Y-%m-%d", date: "$appointmentDate" },
+              },
+              facility: "$appointmentFacilityName",
+            },
+            appointments: { $sum: 1 },
+            checkedIn: counted("$kioskCheckIn.checkedInAt"),
+            hipaaSigned: counted("$kioskCheckIn.hasHIPAASignature"),
+            policiesSigned: counted(
+              "$kioskCheckIn.hasPracticePoliciesSignature"
+            ),
+            picturesUploaded: counted("$kioskCheckIn.hasUploadedPictures"),
+          },
+        },
+        { $sort: { "_id.date": 1, "_id.facility": 1 } },
+      ]);
+
+      return groups.map(({ _id, ...counts }) => ({
+        date: _id.date,
+        facility: _id.facility,
+        ...counts,
+        completionRate: Math.round(
+          (counts.checkedIn / counts.appointments) * 100
+        ),
+      }));
+    },
+  },
+
+  "insurance-missing": {
+    title: "Missing Insurance",
+    columns: [
+      { key: "date", label: "Date" },
+      { key: "time", label: "Time" },
+      { key: "patientName", label: "Patient" },
+      { key: "patientAcctNo", label: "Account No" },
+      { key: "phone", label: "Phone" },
+      { key: "provider", label: "Provider" },
+      { key: "facility", label: "Facility" },
+    ],
+    build: async (range) =>
+      (
+        await findAppointments(range, {
+          ...SEEN,
+          primaryInsuranceName: { $in: [null, ""] },
+          "primaryInsurance.name": { $in: [null, ""] },
+        })
+      ).map((appointment) => ({
+        date: formatDate(appointment.appointmentDate),
+        time: appointment.appointmentStartTime,
+        patientName: appointment.patientName,
+        patientAcctNo: appointment.patientAcctNo,
+        phone:
+          appointment.patientCellPhone ||
+          appointment.patientHomePhone ||
+          appointment.patientWorkPhone,
+        provider: appointment.appointmentProviderName,
+        facility: appointment.appointmentFacilityName,
+      })),
+  },
+};
+
+// Date ranges a scheduled report can cover, relative to the day it runs
+// (appointment dates are calendar dates at UTC midnight)
+const REPORT_RANGES = {
+  today: (today) => [moment(today).startOf("day"), moment(today).endOf("day")],
+  previous_day: (today) => [
+    moment(today).subtract(1, "day").startOf("day"),
+    moment(today).subtract(1, "day").endOf("day"),
+  ],
+  previous_week: (today) => [
+    moment(today).subtract(1, "week").startOf("isoWeek"),
+    moment(today).subtract(1, "week").endOf("isoWeek"),
+  ],
+  previous_month: (today) => [
+    moment(today).subtract(1, "month").startOf("month"),
+    moment(today).subtract(1, "month").endOf("month"),
+  ],
+};
+
+/**
+ * Get the dates a scheduled report covers
+ * @param {string} range - Key of REPORT_RANGES
+ * @param {Date} now - When the report runs
+ * @returns {Object} - {from, to}
+ */
+const getReportRange = (range, now = new Date()) => {
+  const today = moment.utc(getLocalToday(DEFAULT_TIMEZONE, now), "YYYY-MM-DD");
+  const [from, to] = REPORT_RANGES[range](today);
+  return { from: from.toDate(), to: to.toDate() };
+};
+
+/**
+ * Build a report
+ * @param {string} type - Key of REPORT_TYPES
+ * @param {Object} range - {from, to}
+ * @returns {Object} - {type, title, from, to, columns, rows}
+ */
+const buildReport = async (type, range) => {
+  const definition = REPORT_TYPES[type];
+  const rows = await definition.build(range);
+
+  return {
+    type,
+    title: definition.title,
+    from: range.from,
+    to: range.to,
+    columns: definition.columns,
+    rows,
+  };
+};
+
+module.exports = {
+  REPORT_TYPES,
+  REPORT_RANGES,
+  getReportRange,
+  buildReport,
+};
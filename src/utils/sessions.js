@@ -0,0 +1,194 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const moment = require("moment");
+const Session = require("../models/sessionModel");
+const logger = require("../config/logger");
+
+/**
+ * Patient portal sessions
+ * Each sign-in gets an opaque refresh token, stored only as a hash. Using a
+ * refresh token replaces it with a new one; presenting a token that was
+ * already replaced means it was copied, so the whole session is revoked.
+ */
+
+// Days a session stays signed in without being refreshed
+const REFRESH_TOKEN_EXPIRE_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+// Rotated-out token hashes remembered per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 100;
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} refreshToken - Refresh token
+ * @returns {string} - Hex SHA-256
+ */
+const hashRefreshToken = (refreshToken) =>
+  crypto.createHash("sha256").update(String(refreshToken)).digest("hex");
+
+/**
+ * Generate a new random refresh token
+ * @returns {string}
+ */
+const generateRefreshToken = () => crypto.randomBytes(32).toString("base64url");
+
+/**
+ * Expiry of a refresh token issued now
+ * @param {Date} now - Current time
+ * @returns {Date}
+ */
+const getRefreshExpiry = (now = new Date()) =>
+  moment(now).add(REFRESH_TOKEN_EXPIRE_DAYS, "days").toDate();
+
+/**
+ * Start a session for a patient who has just signed in
+ * @param {string} acctNo - Patient account number
+ * @param {Object} client - {userAgent, ipAddress} of the device
+ * @param {Date} now - Current time
+ * @returns {Object} - {session, refreshToken}
+ */
+const createSession = async (acctNo, client = {}, now = new Date()) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await Session.create({
+    patientAcctNo: acctNo,
+    tokenHash: hashRefreshToken(refreshToken),
+    userAgent: client.userAgent,
+    ipAddress: client.ipAddress,
+    lastUsedAt: now,
+    expiresAt: getRefreshExpiry(now),
+  });
+
+  return { session, refreshToken };
+};
+
+/**
+ * Revoke a session whose refresh token was used twice
+ * @param {Object} session - Session document
+ * @param {Date} now - Current time
+ */
+const revokeReusedSession = async (session, now) => {
+  await Session.updateOne(
+    { _id: session._id, revokedAt: null },
+    { $set: { revokedAt: now, revokedReason: "token_reuse" } }
+  );
+
+  logger.warn(
+    `Refresh token reuse: session ${session._id} of patient ${session.patientAcctNo} revoked`
+  );
+};
+
+/**
+ * Exchange a refresh token for a new one
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {Object} client - {userAgent, ipAddress} of the device
+ * @param {Date} now - Current time
+ * @returns {Object} - {session, refreshToken} or {error}
+ */
+const rotateSession = async (refreshToken, client = {}, now = new Date()) => {
+  const tokenHash = hashRefreshToken(refreshToken);
+
+  const session = await Session.findOne({
+    $or: [{ tokenHash }, { previousTokenHashes: tokenHash }],
+  });
+
+  if (!session) {
+    return { error: "Invalid refresh token" };
+  }
+
+  if (session.revokedAt) {
+    return { error: "Session has been signed out" };
+  }
+
+  if (session.expiresAt <= now) {
+    return { error: "Session has expired, please sign in again" };
+  }
+
+  if (session.tokenHash !== tokenHash) {
+    await revokeReusedSession(session, now);
+    return {
+      error: "Refresh token has already been used, please sign in again",
+    };
+  }
+
+  const nextRefreshToken = generateRefreshToken();
+
+  // Conditional on the token, so it can only be exchanged once
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: hashRefreshToken(nextRefreshToken),
+        userAgent: client.userAgent || session.userAgent,
+        ipAddress: client.ipAddress || session.ipAddress,
+        lastUsedAt: now,
+        rotatedAt: now,
+        expiresAt: getRefreshExpiry(now),
+      },
+      $push: {
+        previousTokenHashes: {
+          $each: [tokenHash],
+          $slice: -MAX_PREVIOUS_TOKENS,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  // Another request exchanged the same token first
+  if (!rotated) {
+    await revokeReusedSession(session, now);
+    return {
+      error: "Refresh token has already been used, please sign in again",
+    };
+  }
+
+  return { session: rotated, refreshToken: nextRefreshToken };
+};
+
+/**
+ * Check that the session behind an access token is still signed in
+ * @param {string} sessionId - Session ID from the access token
+ * @param {string} acctNo - Patient account number from the access token
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+const isSessionActive = async (sessionId, acctNo, now = new Date()) => {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+
+  return !!(await Session.exists({
+    _id: sessionId,
+    patientAcctNo: acctNo,
+    revokedAt: null,
+    expiresAt: { $gt: now },
+  }));
+};
+
+/**
+ * Sign out a patient's sessions
+ * @param {string} acctNo - Patient account number
+ * @param {string} sessionId - Sign out this session only (all when omitted)
+ * @param {string} reason - logout, logout_all or revoked
+ * @returns {number} - Sessions signed out
+ */
+const revokeSessions = async (acctNo, sessionId, reason = "logout") => {
+  const filter = { patientAcctNo: acctNo, revokedAt: null };
+
+  if (sessionId) {
+    if (!mongoose.isValidObjectId(sessionId)) return 0;
+    filter._id = sessionId;
+  }
+
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  isSessionActive,
+  revokeSessions,
+};
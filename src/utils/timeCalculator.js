@@ -1,88 +1,236 @@
+const mongoose = require("mongoose");
+const moment = require("moment-timezone");
+
 /**
  * Utility for calculating durations between time events
- * Used for tracking patient, doctor, and staff time
+ * Used for tracking patient, doctor, and staff time. This is the only place
+ * durations are calculated (Appointment#calculateDurations uses it too).
  */
 
+// Time tracked for each of these; events are labelled <type>_start/<type>_end
+const EVENT_TYPES = ["patient", "doctor", "staff"];
+
 /**
- * Calculate durations from raw time events
- * @param {Array} events - Array of {label, time} objects
- * @returns {Object} - Object with calculated durations
+ * Add up the time covered by a set of segments, counting overlaps once
+ * @param {Array} segments - [{start, end}]
+ * @returns {number} - Seconds
  */
-const calculateDurations = (events) => {
-  if (!events || !Array.isArray(events) || events.length === 0) {
-    return {
-      patientDuration: 0,
-      doctorDuration: 0,
-      staffDuration: 0,
-    };
-  }
+const getCoveredSeconds = (segments) => {
+  const sorted = [...segments].sort((a, b) => a.start - b.start);
+  let total = 0;
+  let coveredUntil = null;
 
-  // Sort events by time
-  const sortedEvents = [...events].sort(
-    (a, b) => new Date(a.time) - new Date(b.time)
-  );
+  sorted.forEach(({ start, end }) => {
+    const from = coveredUntil && coveredUntil > start ? coveredUntil : start;
+    if (end > from) {
+      total += (end - from) / 1000;
+      coveredUntil = end;
+    }
+  });
+
+  return Math.round(total);
+};
+
+/**
+ * Calculate durations from raw time events.
+ * Each end is paired with the earliest start still open for the same type
+ * and staff member; overlapping segments are counted once. Starts without an
+ * end are reported as open segments with the time elapsed so far.
+ * @param {Array} events - Array of {label, time, actorId, actorRole, roomId, deviceId}
+ * @param {Date} now - Time used for open segments (defaults to now)
+ * @param {string} timezone - Facility timezone days are compared in (defaults to the server's)
+ * @returns {Object} - {patientDuration, doctorDuration, staffDuration (minutes),
+ *                      durations: {patient, doctor, staff} (seconds, closed segments),
+ *                      segments: [{type, actorId, actorRole, roomId, deviceId,
+ *                                  start, end, duration, open, elapsed}],
+ *                      actorDurations: [{type, actorId, actorRole, duration, segments}],
+ *                      warnings: [{type, label, time, message}]}
+ */
+const calculateDurations = (events, now = new Date(), timezone) => {
+  const isSameDay = (a, b) =>
+    timezone
+      ? moment.tz(a, timezone).isSame(moment.tz(b, timezone), "day")
+      : moment(a).isSame(b, "day");
 
-  // Initialize results
   const result = {
     patientDuration: 0,
     doctorDuration: 0,
     staffDuration: 0,
+    durations: { patient: 0, doctor: 0, staff: 0 },
+    segments: [],
+    actorDurations: [],
+    warnings: [],
   };
 
-  // Calculate patient duration (from first patient_start to last patient_end)
-  const patientEvents = sortedEvents.filter((e) =>
-    e.label.includes("patient_")
+  if (!events || !Array.isArray(events) || events.length === 0) {
+    return result;
+  }
+
+  const warn = (type, event, message) =>
+    result.warnings.push({
+      type,
+      label: event.label,
+      time: new Date(event.time),
+      message,
+    });
+
+  // Sort events by time (events at the same time keep their order)
+  const sortedEvents = [...events].sort(
+    (a, b) => new Date(a.time) - new Date(b.time)
   );
-  if (patientEvents.length >= 2) {
-    const patientStarts = patientEvents.filter(
-      (e) => e.label === "patient_start"
+
+  // Events from different staff members are paired separately
+  const getActor = (event) => (event.actorId ? String(event.actorId) : "");
+
+  EVENT_TYPES.forEach((type) => {
+    const typeEvents = sortedEvents.filter(
+      (e) => e.label === `${type}_start` || e.label === `${type}_end`
     );
-    const patientEnds = patientEvents.filter((e) => e.label === "patient_end");
+    const open = [];
+    const closed = [];
+    const seen = new Set();
 
-    if (patientStarts.length > 0 && patientEnds.length > 0) {
-      const firstStart = new Date(patientStarts[0].time);
-      const lastEnd = new Date(patientEnds[patientEnds.length - 1].time);
+    // The open segment an end event closes: the same staff member's, or an
+    // unattributed one
+    const findOpenStart = (actor) => {
+      const own = open.findIndex((o) => o.actor === actor);
+      if (own !== -1 || open.length === 0) return own;
+      return actor ? open.findIndex((o) => !o.actor) : 0;
+    };
+
+    typeEvents.forEach((event, index) => {
+      const time = new Date(event.time);
+      const actor = getActor(event);
+      const key = `${event.label}|${time.getTime()}|${actor}`;
 
-      if (lastEnd > firstStart) {
-        result.patientDuration = Math.round((lastEnd - firstStart) / 60000); // Convert ms to minutes
+      if (seen.has(key)) {
+        warn("duplicate", event, `Duplicate ${event.label} event ignored`);
+        return;
       }
-    }
-  }
+      seen.add(key);
 
-  // Calculate doctor duration (sum of all doctor_start -> doctor_end pairs)
-  const doctorEvents = sortedEvents.filter((e) => e.label.includes("doctor_"));
-  let doctorStart = null;
-
-  for (const event of doctorEvents) {
-    if (event.label === "doctor_start" && doctorStart === null) {
-      doctorStart = new Date(event.time);
-    } else if (event.label === "doctor_end" && doctorStart !== null) {
-      const doctorEnd = new Date(event.time);
-      result.doctorDuration += Math.round((doctorEnd - doctorStart) / 60000);
-      doctorStart = null; // Reset for the next pair
-    }
-  }
+      if (event.label === `${type}_start`) {
+        if (open.some((o) => o.actor === actor)) {
+          warn(
+            "overlap",
+            event,
+            `${event.label} while an earlier ${type} segment is still open`
+          );
+        }
+        open.push({ start: time, actor, event });
+        return;
+      }
 
-  // Calculate staff duration (sum of all staff_start -> staff_end pairs)
-  const staffEvents = sortedEvents.filter((e) => e.label.includes("staff_"));
-  let staffStart = null;
-
-  for (const event of staffEvents) {
-    if (event.label === "staff_start" && staffStart === null) {
-      staffStart = new Date(event.time);
-    } else if (event.label === "staff_end" && staffStart !== null) {
-      const staffEnd = new Date(event.time);
-      result.staffDuration += Math.round((staffEnd - staffStart) / 60000);
-      staffStart = null; // Reset for the next pair
-    }
-  }
+      const openIndex = findOpenStart(actor);
+
+      if (openIndex === -1) {
+        const laterStart = typeEvents
+          .slice(index + 1)
+          .some(
+            (e) =>
+              e.label === `${type}_start` &&
+              (!actor || !getActor(e) || getActor(e) === actor)
+          );
+        warn(
+          laterStart ? "end_before_start" : "missing_start",
+          event,
+          laterStart
+            ? `${event.label} is before its ${type}_start`
+            : `${event.label} has no matching ${type}_start`
+        );
+        return;
+      }
+
+      const [{ start, event: startEvent }] = open.splice(openIndex, 1);
+      closed.push({ start, end: time, startEvent, endEvent: event });
+
+      if (!isSameDay(start, time)) {
+        warn("spans_midnight", event, `${type} segment spans midnight`);
+      }
+    });
+
+    // Who was with the patient, where, and which device recorded it
+    const getAttribution = (startEvent, endEvent = {}) => ({
+      actorId: startEvent.actorId || endEvent.actorId,
+      actorRole: startEvent.actorRole || endEvent.actorRole,
+      roomId: startEvent.roomId || endEvent.roomId,
+      deviceId: startEvent.deviceId || endEvent.deviceId,
+    });
+
+    closed.forEach(({ start, end, startEvent, endEvent }) =>
+      result.segments.push({
+        type,
+        ...getAttribution(startEvent, endEvent),
+        start,
+        end,
+        duration: Math.round((end - start) / 1000),
+        open: false,
+      })
+    );
+
+    open.forEach(({ start, event }) => {
+      result.segments.push({
+        type,
+        ...getAttribution(event),
+        start,
+        end: null,
+        duration: 0,
+        open: true,
+        elapsed: Math.max(0, Math.round((now - start) / 1000)),
+      });
+
+      if (!isSameDay(start, now)) {
+        warn(
+          "stale_open_segment",
+          { label: `${type}_start`, time: start },
+          `${type} segment started on an earlier day and was never ended`
+        );
+      }
+    });
+
+    // Overlapping segments count once towards the total, but in full for
+    // each staff member (two providers in the room both get the time)
+    result.durations[type] = getCoveredSeconds(closed);
+    result[`${type}Duration`] = Math.round(result.durations[type] / 60);
+
+    const byActor = new Map();
+    closed
+      .filter(
+        ({ startEvent, endEvent }) =>
+          getAttribution(startEvent, endEvent).actorId
+      )
+      .forEach((segment) => {
+        const { actorId, actorRole } = getAttribution(
+          segment.startEvent,
+          segment.endEvent
+        );
+        const actorKey = String(actorId);
+        if (!byActor.has(actorKey)) {
+          byActor.set(actorKey, { actorId, actorRole, segments: [] });
+        }
+        byActor.get(actorKey).segments.push(segment);
+      });
+
+    byActor.forEach(({ actorId, actorRole, segments }) =>
+      result.actorDurations.push({
+        type,
+        actorId,
+        actorRole,
+        duration: getCoveredSeconds(segments),
+        segments: segments.length,
+      })
+    );
+  });
+
+  result.segments.sort((a, b) => a.start - b.start);
+  result.warnings.sort((a, b) => a.time - b.time);
 
   return result;
 };
 
 /**
  * Validate time tracking events
- * @param {Array} events - Array of {label, time} objects
+ * @param {Array} events - Array of {label, time, actorId, ...} objects
  * @returns {Object} - {isValid: boolean, errors: Array}
  */
 const validateTimeEvents = (events) => {
@@ -119,6 +267,10 @@ const validateTimeEvents = (events) => {
         errors.push(`Event at index ${i} has invalid time: ${event.time}`);
       }
     }
+
+    if (event.actorId && !mongoose.isValidObjectId(event.actorId)) {
+      errors.push(`Event at index ${i} has invalid actorId: ${event.actorId}`);
+    }
   }
 
   // Check for logical consistency (optional but recommended)
@@ -131,6 +283,7 @@ const validateTimeEvents = (events) => {
 };
 
 module.exports = {
+  EVENT_TYPES,
   calculateDurations,
   validateTimeEvents,
 };
@@ -0,0 +1,323 @@
+const VisitWorkflow = require("../models/visitWorkflowModel");
+
+/**
+ * Visit workflow utility
+ * Moves an appointment through the stages of its facility's workflow and
+ * derives the time spent in each stage from the stage events
+ */
+
+// Actions that move an appointment between stages
+const STAGE_ACTIONS = ["advance", "revert", "skip"];
+
+/**
+ * Get the active workflow for a facility, falling back to the practice
+ * default and then to the built-in stages
+ * @param {string} facilityName - appointmentFacilityName
+ * @returns {Object} - VisitWorkflow (or a plain object with the default stages)
+ */
+const getWorkflowForFacility = async (facilityName) => {
+  if (facilityName) {
+    const workflow = await VisitWorkflow.findOne({
+      facilityName,
+      isActive: true,
+    });
+    if (workflow) return workflow;
+  }
+
+  const defaultWorkflow = await VisitWorkflow.findOne({
+    facilityName: null,
+    isActive: true,
+  });
+
+  return (
+    defaultWorkflow || {
+      name: "Default",
+      stages: VisitWorkflow.DEFAULT_STAGES,
+      transitions: [],
+    }
+  );
+};
+
+/**
+ * Get the stages that can follow a stage
+ * @param {Object} workflow - VisitWorkflow
+ * @param {string} stageKey - Current stage (empty before the visit starts)
+ * @returns {Array} - Stage keys
+ */
+const getNextStages = (workflow, stageKey) => {
+  const keys = workflow.stages.map((stage) => stage.key);
+
+  if (!stageKey) return keys.slice(0, 1);
+
+  if (workflow.transitions && workflow.transitions.length > 0) {
+    return workflow.transitions
+      .filter((transition) => transition.from === stageKey)
+      .map((transition) => transition.to);
+  }
+
+  const index = keys.indexOf(stageKey);
+  return index === -1 ? [] : keys.slice(index + 1, index + 2);
+};
+
+/**
+ * Replay the stage events to get the stages visited, most recent last.
+ * A revert steps back to the stage it re-entered; skipped stages are left out.
+ * @param {Array} stageEvents - visitTimes.stageEvents
+ * @returns {Array} - Stage keys
+ */
+const getStagePath = (stageEvents) =>
+  (stageEvents || []).reduce((path, event) => {
+    if (event.action === "advance") path.push(event.stage);
+    if (event.action === "revert") {
+      const index = path.lastIndexOf(event.stage);
+      path.splice(index === -1 ? path.length : index + 1);
+      if (index === -1) path.push(event.stage);
+    }
+    return path;
+  }, []);
+
+/**
+ * Move an appointment to another stage of its workflow.
+ * Updates visitTimes.currentStage, stageEvents and completedAt in place.
+ * @param {Object} visitTimes - appointment.visitTimes
+ * @param {Object} workflow - VisitWorkflow for the appointment's facility
+ * @param {string} action - One of STAGE_ACTIONS
+ * @param {Object} options - {stage, by, at, reason}; stage is the stage to
+ *                           enter (advance) or to skip (skip)
+ * @returns {Object} - {from, to} (to is null once the visit is complete), or {error}
+ */
+const applyStageAction = (visitTimes, workflow, action, options = {}) => {
+  const at = options.at ? new Date(options.at) : new Date();
+  const events = visitTimes.stageEvents;
+  const from = visitTimes.currentStage || null;
+  const getStage = (key) => workflow.stages.find((stage) => stage.key === key);
+
+  if (!STAGE_ACTIONS.includes(action)) {
+    return { error: `Invalid stage action: ${action}` };
+  }
+
+  if (isNaN(at.getTime()) || at > new Date()) {
+    return { error: "Stage time must be a valid time in the past" };
+  }
+
+  const lastEvent = events[events.length - 1];
+  if (lastEvent && at < new Date(lastEvent.enteredAt)) {
+    return { error: "Stage time is before the last stage change" };
+  }
+
+  if (options.stage && !getStage(options.stage)) {
+    return {
+      error: `Unknown stage: ${options.stage}. Expected one of: ${workflow.stages
+        .map((stage) => stage.key)
+        .join(", ")}`,
+    };
+  }
+
+  // Close the stage the appointment is leaving
+  const leaveCurrentStage = () => {
+    const current = events.find((event) => !event.exitedAt);
+    if (current) current.exitedAt = at;
+  };
+
+  const enterStage = (stage, stageAction) => {
+    events.push({
+      stage,
+      action: stageAction,
+      enteredAt: at,
+      by: options.by,
+      reason: options.reason,
+    });
+    visitTimes.currentStage = stage;
+  };
+
+  const complete = () => {
+    visitTimes.currentStage = undefined;
+    visitTimes.completedAt = at;
+  };
+
+  if (action === "revert") {
+    const path = getStagePath(events);
+    // A completed visit reopens its last stage
+    const previous = visitTimes.completedAt
+      ? path[path.length - 1]
+      : path[path.length - 2];
+
+    if (!previous) {
+      return { error: "There is no earlier stage to revert to" };
+    }
+
+    leaveCurrentStage();
+    visitTimes.completedAt = undefined;
+    enterStage(previous, "revert");
+    return { from, to: previous };
+  }
+
+  if (visitTimes.completedAt) {
+    return { error: "The visit workflow is already complete" };
+  }
+
+  const nextStages = getNextStages(workflow, from);
+
+  if (action === "advance") {
+    const to = options.stage || nextStages[0];
+
+    // Advancing past the last stage completes the visit
+    if (!to && from) {
+      leaveCurrentStage();
+      complete();
+      return { from, to: null };
+    }
+
+    if (!nextStages.includes(to)) {
+      return {
+        error: `Cannot move from ${from || "the start"} to ${to}. Allowed: ${
+          nextStages.join(", ") || "none"
+        }`,
+      };
+    }
+
+    leaveCurrentStage();
+    enterStage(to, "advance");
+    return { from, to };
+  }
+
+  // skip
+  const skipped = options.stage || nextStages[0];
+
+  if (!skipped || !nextStages.includes(skipped)) {
+    return {
+      error: `Cannot skip ${skipped || "a stage"} from ${from || "the start"}`,
+    };
+  }
+
+  if (!getStage(skipped).optional) {
+    return { error: `Stage ${skipped} is required and cannot be skipped` };
+  }
+
+  const to = getNextStages(workflow, skipped)[0];
+
+  leaveCurrentStage();
+  events.push({
+    stage: skipped,
+    action: "skip",
+    enteredAt: at,
+    exitedAt: at,
+    by: options.by,
+    reason: options.reason,
+  });
+
+  if (to) {
+    enterStage(to, "advance");
+  } else {
+    complete();
+  }
+
+  return { from, to: to || null };
+};
+
+/**
+ * Derive the time spent in each stage from the stage events.
+ * Waiting stages and gaps between stages count as idle time.
+ * @param {Array} stageEvents - visitTimes.stageEvents
+ * @param {Object} workflow - VisitWorkflow for the appointment's facility
+ * @param {Date} now - End of the current (open) stage
+ * @returns {Object} - {stageDurations: [{stage, name, kind, duration, visits, skipped}],
+ *                     activeDuration, idleDuration, totalDuration} in seconds
+ */
+const calculateStageDurations = (stageEvents, workflow, now = new Date()) => {
+  const events = [...(stageEvents || [])].sort(
+    (a, b) => new Date(a.enteredAt) - new Date(b.enteredAt)
+  );
+  const order = workflow.stages.map((stage) => stage.key);
+  const byStage = new Map();
+
+  let activeDuration = 0;
+  let idleDuration = 0;
+  let previousExit = null;
+
+  events.forEach((event) => {
+    const stage = workflow.stages.find((s) => s.key === event.stage) || {
+      key: event.stage,
+      name: event.stage,
+      kind: "active",
+    };
+
+    if (!byStage.has(stage.key)) {
+      byStage.set(stage.key, {
+        stage: stage.key,
+        name: stage.name,
+        kind: stage.kind,
+        duration: 0,
+        visits: 0,
+        skipped: false,
+      });
+    }
+    const summary = byStage.get(stage.key);
+
+    const enteredAt = new Date(event.enteredAt);
+    const exitedAt = event.exitedAt ? new Date(event.exitedAt) : now;
+
+    if (previousExit && enteredAt > previousExit) {
+      idleDuration += Math.round((enteredAt - previousExit) / 1000);
+    }
+
+    if (event.action === "skip") {
+      summary.skipped = summary.visits === 0;
+      return;
+    }
+
+    const duration = Math.max(0, Math.round((exitedAt - enteredAt) / 1000));
+    summary.duration += duration;
+    summary.visits += 1;
+    summary.skipped = false;
+
+    if (stage.kind === "waiting") {
+      idleDuration += duration;
+    } else {
+      activeDuration += duration;
+    }
+
+    previousExit = exitedAt;
+  });
+
+  const stageDurations = [...byStage.values()].sort(
+    (a, b) =>
+      (order.indexOf(a.stage) + 1 || Infinity) -
+      (order.indexOf(b.stage) + 1 || Infinity)
+  );
+
+  return {
+    stageDurations,
+    activeDuration,
+    idleDuration,
+    totalDuration: activeDuration + idleDuration,
+  };
+};
+
+/**
+ * Recalculate the stage durations stored on an appointment
+ * @param {Object} appointment - Appointment document
+ * @param {Object} workflow - VisitWorkflow for the appointment's facility
+ * @param {Date} now - End of the current (open) stage
+ * @returns {Object} - The appointment
+ */
+const applyStageDurations = (appointment, workflow, now = new Date()) => {
+  const durations = calculateStageDurations(
+    appointment.visitTimes.stageEvents,
+    workflow,
+    now
+  );
+
+  Object.assign(appointment.visitTimes, durations);
+  return appointment;
+};
+
+module.exports = {
+  STAGE_ACTIONS,
+  getWorkflowForFacility,
+  getNextStages,
+  getStagePath,
+  applyStageAction,
+  calculateStageDurations,
+  applyStageDurations,
+};